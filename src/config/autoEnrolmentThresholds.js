@@ -0,0 +1,66 @@
+/**
+ * Auto-enrolment Thresholds Configuration Module
+ * Loads automatic enrolment earnings bands, age thresholds and minimum
+ * contributions by tax year from auto-enrolment-thresholds.json
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class AutoEnrolmentThresholds {
+  constructor() {
+    this.thresholds = null;
+    this.lastModified = null;
+    this.configPath = path.join(__dirname, 'auto-enrolment-thresholds.json');
+  }
+
+  /**
+   * Load auto-enrolment thresholds synchronously, reloading if the file has changed
+   * @returns {Object} Auto-enrolment thresholds configuration
+   */
+  loadThresholdsSync() {
+    try {
+      const stats = fs.statSync(this.configPath);
+
+      if (!this.thresholds || !this.lastModified || stats.mtime > this.lastModified) {
+        this.thresholds = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.lastModified = stats.mtime;
+        console.log('✅ Auto-enrolment thresholds loaded successfully');
+      }
+
+      return this.thresholds;
+    } catch (error) {
+      console.error('❌ Failed to load auto-enrolment thresholds:', error);
+      throw new Error(`Failed to load auto-enrolment thresholds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the thresholds in force on a date
+   * @param {string|Date} date - Date
+   * @returns {Object|null} Threshold period ({ effectiveFrom, effectiveTo, description, ageThresholds, contributions, earnings }), or null if none covers the date
+   */
+  getThresholdsForDate(date) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    const dateKey = parsed.toISOString().split('T')[0];
+    const { thresholds } = this.loadThresholdsSync();
+
+    return thresholds.find(period =>
+      period.effectiveFrom <= dateKey && (!period.effectiveTo || period.effectiveTo >= dateKey)
+    ) || null;
+  }
+
+  /**
+   * Get the version of the loaded thresholds
+   * @returns {string|null} Thresholds version
+   */
+  getVersion() {
+    return this.loadThresholdsSync()?.metadata?.version || null;
+  }
+}
+
+module.exports = new AutoEnrolmentThresholds();
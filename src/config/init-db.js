@@ -1,4 +1,6 @@
 const { pool } = require('./database');
+const rateRegistry = require('./rateRegistry');
+const { saveComplianceRules } = require('../utils/database-utils');
 
 const initDatabase = async () => {
   try {
@@ -71,11 +73,38 @@ const initDatabase = async () => {
         external_id VARCHAR(255),
         name VARCHAR(255),
         age INTEGER,
+        date_of_birth DATE,
         apprentice_status BOOLEAN DEFAULT FALSE,
         first_year_apprentice BOOLEAN DEFAULT FALSE,
+        work_type VARCHAR(50) DEFAULT 'time_work',
+        annual_basic_hours DECIMAL(10,2),
+        calculation_year_start DATE,
+        agreed_daily_hours DECIMAL(5,2),
+        daily_average_agreement_date DATE,
+        role VARCHAR(100),
+        hours_pattern VARCHAR(50),
+        leave_year_start DATE,
+        employment_start_date DATE,
+        pension_postponement_date DATE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+
+    // Add work model, holiday and pension postponement columns to existing workers tables
+    await pool.query(`
+      ALTER TABLE workers
+      ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+      ADD COLUMN IF NOT EXISTS work_type VARCHAR(50) DEFAULT 'time_work',
+      ADD COLUMN IF NOT EXISTS annual_basic_hours DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS calculation_year_start DATE,
+      ADD COLUMN IF NOT EXISTS agreed_daily_hours DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS daily_average_agreement_date DATE,
+      ADD COLUMN IF NOT EXISTS role VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS hours_pattern VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS leave_year_start DATE,
+      ADD COLUMN IF NOT EXISTS employment_start_date DATE,
+      ADD COLUMN IF NOT EXISTS pension_postponement_date DATE
+    `);
     
     // Create pay_periods table
     await pool.query(`
@@ -90,9 +119,93 @@ const initDatabase = async () => {
         effective_hourly_rate DECIMAL(10,4),
         required_hourly_rate DECIMAL(10,4),
         period_type VARCHAR(50) DEFAULT 'monthly',
+        units_produced DECIMAL(12,2),
+        piece_rate DECIMAL(10,4),
+        mean_hourly_output DECIMAL(10,4),
+        days_worked DECIMAL(5,2),
+        shifts_worked DECIMAL(5,2),
+        training_hours DECIMAL(6,2),
+        training_description VARCHAR(255),
+        pension_sacrifice DECIMAL(10,2),
+        cycle_to_work_sacrifice DECIMAL(10,2),
+        childcare_voucher_sacrifice DECIMAL(10,2),
+        ev_sacrifice DECIMAL(10,2),
+        salary_sacrifice DECIMAL(10,2),
+        worker_expenses DECIMAL(10,2),
+        worker_expense_description VARCHAR(255),
+        deduction_lines JSONB,
+        occupancy_start DATE,
+        occupancy_end DATE,
+        tips DECIMAL(10,2),
+        tronc DECIMAL(10,2),
+        holiday_pay DECIMAL(10,2),
+        holiday_hours DECIMAL(6,2),
+        overtime_pay DECIMAL(10,2),
+        commission DECIMAL(10,2),
+        average_weekly_earnings DECIMAL(10,2),
+        sick_days DECIMAL(5,2),
+        sickness_start DATE,
+        linked_sickness BOOLEAN,
+        qualifying_days_per_week DECIMAL(3,1),
+        ssp_paid DECIMAL(10,2),
+        maternity_pay_start DATE,
+        smp_paid DECIMAL(10,2),
+        paternity_leave_start DATE,
+        paternity_leave_end DATE,
+        spp_paid DECIMAL(10,2),
+        employer_pension_contribution DECIMAL(10,2),
+        employee_pension_contribution DECIMAL(10,2),
+        pension_opt_out BOOLEAN,
+        arrears_pay DECIMAL(10,2),
+        relates_to_period DATE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+
+    // Add output work, unmeasured work, pay in arrears, training time, salary sacrifice, worker expense,
+    // deduction line, accommodation occupancy, tips/tronc, holiday pay, statutory pay and pension columns to existing pay_periods tables
+    await pool.query(`
+      ALTER TABLE pay_periods
+      ADD COLUMN IF NOT EXISTS units_produced DECIMAL(12,2),
+      ADD COLUMN IF NOT EXISTS piece_rate DECIMAL(10,4),
+      ADD COLUMN IF NOT EXISTS mean_hourly_output DECIMAL(10,4),
+      ADD COLUMN IF NOT EXISTS days_worked DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS arrears_pay DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS relates_to_period DATE,
+      ADD COLUMN IF NOT EXISTS shifts_worked DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS training_hours DECIMAL(6,2),
+      ADD COLUMN IF NOT EXISTS training_description VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS pension_sacrifice DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS cycle_to_work_sacrifice DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS childcare_voucher_sacrifice DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS ev_sacrifice DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS salary_sacrifice DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS worker_expenses DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS worker_expense_description VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS deduction_lines JSONB,
+      ADD COLUMN IF NOT EXISTS occupancy_start DATE,
+      ADD COLUMN IF NOT EXISTS occupancy_end DATE,
+      ADD COLUMN IF NOT EXISTS tips DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS tronc DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS holiday_pay DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS holiday_hours DECIMAL(6,2),
+      ADD COLUMN IF NOT EXISTS overtime_pay DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS commission DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS average_weekly_earnings DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS sick_days DECIMAL(5,2),
+      ADD COLUMN IF NOT EXISTS sickness_start DATE,
+      ADD COLUMN IF NOT EXISTS linked_sickness BOOLEAN,
+      ADD COLUMN IF NOT EXISTS qualifying_days_per_week DECIMAL(3,1),
+      ADD COLUMN IF NOT EXISTS ssp_paid DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS maternity_pay_start DATE,
+      ADD COLUMN IF NOT EXISTS smp_paid DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS paternity_leave_start DATE,
+      ADD COLUMN IF NOT EXISTS paternity_leave_end DATE,
+      ADD COLUMN IF NOT EXISTS spp_paid DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS employer_pension_contribution DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS employee_pension_contribution DECIMAL(10,2),
+      ADD COLUMN IF NOT EXISTS pension_opt_out BOOLEAN
+    `);
     
     // Create offsets table
     await pool.query(`
@@ -139,12 +252,31 @@ const initDatabase = async () => {
         issues JSONB,
         fix_suggestions JSONB,
         compliance_rules_applied JSONB,
+        rate_version VARCHAR(50),
         evidence_summary TEXT,
+        holiday_pay_rag_status VARCHAR(10) CHECK (holiday_pay_rag_status IN ('RED', 'AMBER', 'GREEN')),
+        holiday_pay_check JSONB,
+        statutory_pay_rag_status VARCHAR(10) CHECK (statutory_pay_rag_status IN ('RED', 'AMBER', 'GREEN')),
+        statutory_pay_check JSONB,
+        pension_rag_status VARCHAR(10) CHECK (pension_rag_status IN ('RED', 'AMBER', 'GREEN')),
+        pension_check JSONB,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
     
+    // Record the rate version, holiday pay, statutory pay and pension checks on existing compliance_checks tables
+    await pool.query(`
+      ALTER TABLE compliance_checks
+      ADD COLUMN IF NOT EXISTS rate_version VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS holiday_pay_rag_status VARCHAR(10) CHECK (holiday_pay_rag_status IN ('RED', 'AMBER', 'GREEN')),
+      ADD COLUMN IF NOT EXISTS holiday_pay_check JSONB,
+      ADD COLUMN IF NOT EXISTS statutory_pay_rag_status VARCHAR(10) CHECK (statutory_pay_rag_status IN ('RED', 'AMBER', 'GREEN')),
+      ADD COLUMN IF NOT EXISTS statutory_pay_check JSONB,
+      ADD COLUMN IF NOT EXISTS pension_rag_status VARCHAR(10) CHECK (pension_rag_status IN ('RED', 'AMBER', 'GREEN')),
+      ADD COLUMN IF NOT EXISTS pension_check JSONB
+    `);
+    
     // Create compliance_rules table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS compliance_rules (
@@ -163,6 +295,26 @@ const initDatabase = async () => {
       );
     `);
     
+    // Create rate_versions table (proposed, reviewed and published rate registry versions)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_versions (
+        id SERIAL PRIMARY KEY,
+        version VARCHAR(50) UNIQUE,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('pending_review', 'approved', 'rejected', 'published')),
+        change_summary TEXT,
+        rate_period JSONB,
+        rate_table JSONB,
+        base_version VARCHAR(50),
+        proposed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        proposed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        review_notes TEXT,
+        published_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        published_at TIMESTAMP
+      );
+    `);
+    
     // Create evidence_packs table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS evidence_packs (
@@ -177,6 +329,97 @@ const initDatabase = async () => {
       );
     `);
     
+    // Create rota_shifts table (classified rota shifts, matched to pay periods by worker external ID)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rota_shifts (
+        id SERIAL PRIMARY KEY,
+        csv_upload_id INTEGER REFERENCES csv_uploads(id) ON DELETE CASCADE,
+        worker_id INTEGER REFERENCES workers(id) ON DELETE CASCADE,
+        organization_id INTEGER,
+        worker_external_id VARCHAR(255) NOT NULL,
+        shift_date DATE NOT NULL,
+        start_time TIME,
+        end_time TIME,
+        break_minutes INTEGER DEFAULT 0,
+        shift_type VARCHAR(50) NOT NULL DEFAULT 'standard',
+        shift_hours DECIMAL(6,2) NOT NULL,
+        active_hours DECIMAL(6,2),
+        qualifying_hours DECIMAL(6,2) NOT NULL,
+        travel_minutes DECIMAL(6,2),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Add supplied travel time to existing rota_shifts tables
+    await pool.query(`
+      ALTER TABLE rota_shifts
+      ADD COLUMN IF NOT EXISTS travel_minutes DECIMAL(6,2)
+    `);
+    
+    // Create timesheet_entries table (clocked hours, matched to pay periods by worker external ID)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS timesheet_entries (
+        id SERIAL PRIMARY KEY,
+        csv_upload_id INTEGER REFERENCES csv_uploads(id) ON DELETE CASCADE,
+        worker_id INTEGER REFERENCES workers(id) ON DELETE CASCADE,
+        organization_id INTEGER,
+        worker_external_id VARCHAR(255) NOT NULL,
+        work_date DATE NOT NULL,
+        hours_worked DECIMAL(6,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Create salaried_hours_ledger table (cumulative hours across uploads per calculation year)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS salaried_hours_ledger (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        worker_external_id VARCHAR(255) NOT NULL,
+        calculation_year_start DATE NOT NULL,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        hours_worked DECIMAL(10,2) NOT NULL,
+        annual_basic_hours DECIMAL(10,2) NOT NULL,
+        csv_upload_id INTEGER REFERENCES csv_uploads(id) ON DELETE SET NULL,
+        pay_period_id INTEGER REFERENCES pay_periods(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Create tips_records table (tips collected by site and tips paid to workers, for the Tips Act check)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tips_records (
+        id SERIAL PRIMARY KEY,
+        csv_upload_id INTEGER REFERENCES csv_uploads(id) ON DELETE CASCADE,
+        organization_id INTEGER,
+        organization_type VARCHAR(50),
+        record_type VARCHAR(20) NOT NULL,
+        site VARCHAR(255),
+        record_date DATE NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        tips_month DATE,
+        worker_id INTEGER REFERENCES workers(id) ON DELETE CASCADE,
+        worker_external_id VARCHAR(255),
+        worker_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Create tronc_collections table (service charges and tips collected by a client, for reconciliation)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tronc_collections (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        source VARCHAR(50) DEFAULT 'service_charge',
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
     // Create audit_logs table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS audit_logs (
@@ -194,13 +437,16 @@ const initDatabase = async () => {
     `);
     
     // Insert default compliance rules
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_rules_rule_name ON compliance_rules(rule_name);
+    `);
+
+    // Hourly rate rules are seeded from the rate registry so the database cannot drift from nmw-rates.json
+    rateRegistry.loadRatesSync();
+    await saveComplianceRules(rateRegistry.getComplianceRuleRows());
+
     await pool.query(`
       INSERT INTO compliance_rules (rule_name, rule_description, rule_type, rule_logic, min_age, effective_date) VALUES
-      ('NMW_23_24_21_22', 'National Minimum Wage for workers aged 21-22', 'hourly_rate', '{"min_rate": 10.18}', 21, '2023-04-01'),
-      ('NMW_23_24_18_20', 'National Minimum Wage for workers aged 18-20', 'hourly_rate', '{"min_rate": 7.49}', 18, '2023-04-01'),
-      ('NMW_23_24_16_17', 'National Minimum Wage for workers aged 16-17', 'hourly_rate', '{"min_rate": 5.28}', 16, '2023-04-01'),
-      ('NMW_23_24_APPRENTICE', 'National Minimum Wage for apprentices', 'hourly_rate', '{"min_rate": 5.28}', 16, '2023-04-01'),
-      ('NLW_23_24', 'National Living Wage for workers aged 23+', 'hourly_rate', '{"min_rate": 10.42}', 23, '2023-04-01'),
       ('ACCOMMODATION_OFFSET', 'Maximum accommodation offset per day', 'offset', '{"max_daily": 9.99}', 16, '2023-04-01'),
       ('UNIFORM_OFFSET', 'Maximum uniform offset per day', 'offset', '{"max_daily": 0.00}', 16, '2023-04-01'),
       ('MEALS_OFFSET', 'Maximum meals offset per day', 'offset', '{"max_daily": 0.00}', 16, '2023-04-01')
@@ -218,6 +464,11 @@ const initDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_allowances_pay_period_id ON allowances(pay_period_id);
       CREATE INDEX IF NOT EXISTS idx_compliance_checks_pay_period_id ON compliance_checks(pay_period_id);
       CREATE INDEX IF NOT EXISTS idx_compliance_checks_rag_status ON compliance_checks(rag_status);
+      CREATE INDEX IF NOT EXISTS idx_rota_shifts_worker ON rota_shifts(worker_external_id, shift_date);
+      CREATE INDEX IF NOT EXISTS idx_timesheet_entries_worker ON timesheet_entries(worker_external_id, work_date);
+      CREATE INDEX IF NOT EXISTS idx_salaried_hours_ledger_worker ON salaried_hours_ledger(worker_external_id, calculation_year_start);
+      CREATE INDEX IF NOT EXISTS idx_tips_records_organization ON tips_records(organization_id, record_type, record_date);
+      CREATE INDEX IF NOT EXISTS idx_tronc_collections_client ON tronc_collections(client_id, period_start);
       CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
       CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
     `);
@@ -90,6 +90,66 @@ class NMWComponentRules {
     };
   }
 
+  /**
+   * Classify a named deduction line against the deduction rules only
+   * @param {string} deductionName - Name of the deduction line
+   * @returns {Object} Classification details for the deduction
+   */
+  async classifyDeduction(deductionName) {
+    return this.classifyWithinCategory('deductions', deductionName);
+  }
+
+  /**
+   * Classify a named charge against the benefits in kind rules, which hold the
+   * accommodation charge and charges connected to accommodation
+   * @param {string} chargeName - Name of the charge
+   * @returns {Object} Classification details for the charge
+   */
+  async classifyAccommodationCharge(chargeName) {
+    return this.classifyWithinCategory('benefitsInKind', chargeName);
+  }
+
+  /**
+   * Classify a name against the sub-categories of one component category
+   * Keywords must match whole words of the name, so short keywords such as
+   * 'ni' do not match inside longer words like 'uniform'
+   * @param {string} categoryKey - Component category (e.g. 'deductions')
+   * @param {string} componentName - Name to classify
+   * @returns {Object} Classification details for the name
+   */
+  async classifyWithinCategory(categoryKey, componentName) {
+    const rules = await this.loadRules();
+    const normalizedName = componentName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const categoryRules = rules.payComponents[categoryKey] || {};
+
+    for (const [subKey, subData] of Object.entries(categoryRules)) {
+      const matchedKeyword = (subData.keywords || []).find(keyword =>
+        new RegExp(`(^|_)${keyword}(_|$)`).test(normalizedName)
+      );
+
+      if (matchedKeyword) {
+        return {
+          category: subData.category,
+          treatment: subData.treatment,
+          confidence: matchedKeyword === normalizedName ? 'high' : 'medium',
+          description: subData.description,
+          categoryPath: `${categoryKey}.${subKey}`,
+          matchedKeyword,
+          rule: subData.rule,
+          originalName: componentName
+        };
+      }
+    }
+
+    return {
+      category: 'unclassified',
+      treatment: 'requires_manual_review',
+      confidence: 'none',
+      description: `'${componentName}' requires manual classification`,
+      originalName: componentName
+    };
+  }
+
   /**
    * Search a category for matching keywords
    * @param {Object} categoryData - Category data to search
@@ -0,0 +1,380 @@
+/**
+ * NMW/NLW Rate Registry
+ * Single source of truth for minimum wage rates. Every calculator reads rates
+ * from nmw-rates.json through this registry, and the compliance_rules table is
+ * seeded from it, so the self-test can confirm that all sources agree.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class RateRegistry {
+  constructor() {
+    this.rates = null;
+    this.lastModified = null;
+    this.configPath = path.join(__dirname, 'nmw-rates.json');
+    this.minimumAge = 16;
+    this.pinned = false;
+  }
+
+  /**
+   * Load rates from the configuration file, reloading if it has changed
+   * @returns {Promise<Object>} Rates configuration
+   */
+  async loadRates() {
+    if (this.pinned) {
+      return this.rates;
+    }
+
+    try {
+      const stats = await fs.promises.stat(this.configPath);
+
+      // Only reload if file has been modified or rates not loaded
+      if (!this.rates || !this.lastModified || stats.mtime > this.lastModified) {
+        const configData = await fs.promises.readFile(this.configPath, 'utf8');
+        this.rates = JSON.parse(configData);
+        this.lastModified = stats.mtime;
+        console.log('✅ NMW rates configuration loaded successfully');
+      }
+
+      return this.rates;
+    } catch (error) {
+      console.error('❌ Failed to load NMW rates configuration:', error);
+      throw new Error(`Failed to load NMW rates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load rates synchronously for calculators that cannot await
+   * @returns {Object} Rates configuration
+   */
+  loadRatesSync() {
+    if (this.pinned) {
+      return this.rates;
+    }
+
+    try {
+      const stats = fs.statSync(this.configPath);
+
+      if (!this.rates || !this.lastModified || stats.mtime > this.lastModified) {
+        this.rates = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.lastModified = stats.mtime;
+        console.log('✅ NMW rates configuration loaded successfully');
+      }
+
+      return this.rates;
+    } catch (error) {
+      console.error('❌ Failed to load NMW rates configuration:', error);
+      throw new Error(`Failed to load NMW rates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the cached rates so the next load reads the file again
+   */
+  clearCache() {
+    this.rates = null;
+    this.lastModified = null;
+  }
+
+  /**
+   * Create a registry fixed to a given rate table, e.g. a historical version
+   * @param {Object} rates - Rates configuration
+   * @returns {RateRegistry} Registry that never reloads from the file
+   */
+  forRates(rates) {
+    const registry = new RateRegistry();
+    registry.rates = rates;
+    registry.pinned = true;
+    return registry;
+  }
+
+  /**
+   * Get the version of the loaded rate table
+   * @returns {string|null} Rate table version
+   */
+  getVersion() {
+    return this.rates?.metadata?.version || null;
+  }
+
+  /**
+   * Write a new rate table to the configuration file and reload it
+   * @param {Object} rates - Rates configuration
+   * @returns {Promise<Object>} Reloaded rates configuration
+   */
+  async saveRates(rates) {
+    try {
+      await fs.promises.writeFile(this.configPath, JSON.stringify(rates, null, 2) + '\n');
+      this.clearCache();
+      console.log(`✅ NMW rates configuration saved (version ${rates.metadata?.version})`);
+      return this.loadRates();
+    } catch (error) {
+      console.error('❌ Failed to save NMW rates configuration:', error);
+      throw new Error(`Failed to save NMW rates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a new rate table with an extra rate period
+   * The period currently in force without an end date is closed the day before the new period starts
+   * @param {Object} rates - Current rates configuration
+   * @param {Object} ratePeriod - New rate period (effectiveFrom, description, rates)
+   * @param {string} version - Version for the new rate table
+   * @returns {Object} New rates configuration
+   */
+  addRatePeriod(rates, ratePeriod, version) {
+    const dayBefore = new Date(ratePeriod.effectiveFrom);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+
+    const periods = rates.rates.map(period => (
+      !period.effectiveTo && new Date(period.effectiveFrom) < new Date(ratePeriod.effectiveFrom)
+        ? { ...period, effectiveTo: dayBefore.toISOString().split('T')[0] }
+        : period
+    ));
+
+    return {
+      ...rates,
+      metadata: {
+        ...rates.metadata,
+        version,
+        lastUpdated: new Date().toISOString()
+      },
+      rates: [{
+        effectiveFrom: ratePeriod.effectiveFrom,
+        effectiveTo: ratePeriod.effectiveTo || null,
+        description: ratePeriod.description,
+        rates: ratePeriod.rates
+      }, ...periods]
+        .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom))
+    };
+  }
+
+  /**
+   * Get rate periods sorted by effective date (oldest first)
+   * @returns {Array} Sorted rate periods
+   */
+  getSortedPeriods() {
+    return [...this.rates.rates].sort((a, b) =>
+      new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
+    );
+  }
+
+  /**
+   * Find the rate period in force on a date
+   * @param {Date|string} date - Date to check
+   * @returns {Object|null} Rate period or null
+   */
+  findRatePeriod(date) {
+    const checkDate = new Date(date);
+
+    for (const ratePeriod of this.getSortedPeriods().reverse()) {
+      const effectiveFrom = new Date(ratePeriod.effectiveFrom);
+      const effectiveTo = ratePeriod.effectiveTo ? new Date(ratePeriod.effectiveTo) : null;
+
+      if (checkDate >= effectiveFrom && (!effectiveTo || checkDate <= effectiveTo)) {
+        return ratePeriod;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the first rate period that starts after a PRP start and on or before its end
+   * @param {Date|string} periodStart - Start of the PRP
+   * @param {Date|string} periodEnd - End of the PRP
+   * @returns {Object|null} Uprated rate period or null if the PRP does not span an uprating
+   */
+  findUpratingWithin(periodStart, periodEnd) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+
+    return this.getSortedPeriods().find(period => {
+      const effectiveFrom = new Date(period.effectiveFrom);
+      return effectiveFrom > start && effectiveFrom <= end;
+    }) || null;
+  }
+
+  /**
+   * Find the age band that applies to an age within a rate period
+   * @param {Object} ratePeriod - Rate period
+   * @param {number} age - Worker's age
+   * @returns {Object|null} { rateKey, rate } or null if no band applies
+   */
+  findAgeBand(ratePeriod, age) {
+    for (const [rateKey, rate] of Object.entries(ratePeriod.rates)) {
+      if (rateKey === 'apprentice') continue;
+
+      if ((rate.minAge === null || age >= rate.minAge) && (rate.maxAge === null || age <= rate.maxAge)) {
+        return { rateKey, rate };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the compliance rule name for a rate, e.g. NLW_23_24 or NMW_23_24_18_20
+   * @param {Object} ratePeriod - Rate period
+   * @param {string} rateKey - Rate key within the period
+   * @returns {string} Rule name
+   */
+  getRuleName(ratePeriod, rateKey) {
+    const startYear = new Date(ratePeriod.effectiveFrom).getUTCFullYear();
+    const rateYear = `${String(startYear % 100).padStart(2, '0')}_${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+    if (rateKey === 'national_living_wage') {
+      return `NLW_${rateYear}`;
+    }
+
+    if (rateKey === 'apprentice') {
+      return `NMW_${rateYear}_APPRENTICE`;
+    }
+
+    return `NMW_${rateYear}_${rateKey.replace(/^nmw_/, '').toUpperCase()}`;
+  }
+
+  /**
+   * Get the full rate table with rule names, as used by every calculator
+   * @returns {Object} Rate table
+   */
+  getRateTable() {
+    return {
+      source: path.basename(this.configPath),
+      version: this.rates.metadata?.version || null,
+      lastUpdated: this.rates.metadata?.lastUpdated || null,
+      loadedAt: this.lastModified ? this.lastModified.toISOString() : null,
+      periods: this.getSortedPeriods().reverse().map(period => ({
+        effectiveFrom: period.effectiveFrom,
+        effectiveTo: period.effectiveTo,
+        description: period.description,
+        rates: Object.entries(period.rates).map(([rateKey, rate]) => ({
+          rateKey,
+          ruleName: this.getRuleName(period, rateKey),
+          minAge: rate.minAge,
+          maxAge: rate.maxAge,
+          hourlyRate: rate.hourlyRate,
+          description: rate.description,
+          category: rate.category
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Build compliance_rules rows for the hourly rates in the registry
+   * @returns {Array} Compliance rule rows
+   */
+  getComplianceRuleRows() {
+    const rows = [];
+
+    for (const period of this.getSortedPeriods()) {
+      for (const [rateKey, rate] of Object.entries(period.rates)) {
+        rows.push({
+          rule_name: this.getRuleName(period, rateKey),
+          rule_description: rate.description,
+          rule_type: 'hourly_rate',
+          rule_logic: { min_rate: rate.hourlyRate },
+          min_age: rate.minAge !== null ? rate.minAge : this.minimumAge,
+          max_age: rate.maxAge,
+          effective_date: period.effectiveFrom,
+          expiry_date: period.effectiveTo
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Check that the registry is internally consistent and agrees with stored compliance rules
+   * @param {Array|null} complianceRules - Hourly rate rows from the compliance_rules table, if available
+   * @returns {Object} Self-test result { passed, errors, warnings, checkedAt }
+   */
+  selfTest(complianceRules = null) {
+    const errors = [];
+    const warnings = [];
+    const periods = this.getSortedPeriods();
+
+    if (periods.length === 0) {
+      errors.push('No rate periods are defined');
+    }
+
+    periods.forEach((period, index) => {
+      const next = periods[index + 1];
+
+      if (next) {
+        if (!period.effectiveTo) {
+          errors.push(`Rate period from ${period.effectiveFrom} has no end date but is followed by ${next.effectiveFrom}`);
+        } else {
+          const dayAfter = new Date(period.effectiveTo);
+          dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+          if (dayAfter.toISOString().split('T')[0] !== next.effectiveFrom) {
+            errors.push(`Rate period ending ${period.effectiveTo} is not followed directly by ${next.effectiveFrom}`);
+          }
+        }
+      }
+
+      if (!period.rates.apprentice) {
+        errors.push(`Rate period from ${period.effectiveFrom} has no apprentice rate`);
+      }
+
+      // Every age from the minimum must fall in exactly one band
+      const bands = Object.entries(period.rates)
+        .filter(([rateKey]) => rateKey !== 'apprentice')
+        .map(([, rate]) => rate)
+        .sort((a, b) => a.minAge - b.minAge);
+
+      let expectedMinAge = this.minimumAge;
+      let previousRate = 0;
+      bands.forEach(band => {
+        if (band.minAge !== expectedMinAge) {
+          errors.push(`Rate period from ${period.effectiveFrom} has a gap or overlap in age bands at age ${expectedMinAge}`);
+        }
+        if (band.hourlyRate < previousRate) {
+          warnings.push(`Rate period from ${period.effectiveFrom} pays ${band.description} less than a younger band`);
+        }
+        expectedMinAge = band.maxAge !== null ? band.maxAge + 1 : null;
+        previousRate = band.hourlyRate;
+      });
+
+      if (expectedMinAge !== null) {
+        errors.push(`Rate period from ${period.effectiveFrom} has no open-ended top age band`);
+      }
+    });
+
+    if (complianceRules === null) {
+      warnings.push('Compliance rules table was not checked');
+    } else {
+      const storedRules = new Map(complianceRules.map(rule => [rule.rule_name, rule]));
+
+      this.getComplianceRuleRows().forEach(row => {
+        const stored = storedRules.get(row.rule_name);
+        if (!stored) {
+          warnings.push(`Compliance rule ${row.rule_name} is missing from the database`);
+          return;
+        }
+
+        const storedLogic = typeof stored.rule_logic === 'string' ? JSON.parse(stored.rule_logic) : stored.rule_logic;
+        const storedRate = parseFloat(storedLogic?.min_rate);
+        if (storedRate !== row.rule_logic.min_rate) {
+          errors.push(`Compliance rule ${row.rule_name} has rate £${storedRate.toFixed(2)} but the registry has £${row.rule_logic.min_rate.toFixed(2)}`);
+        }
+        storedRules.delete(row.rule_name);
+      });
+
+      storedRules.forEach((rule, ruleName) => {
+        errors.push(`Compliance rule ${ruleName} is not in the rate registry`);
+      });
+    }
+
+    return {
+      passed: errors.length === 0,
+      errors,
+      warnings,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new RateRegistry();
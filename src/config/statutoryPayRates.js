@@ -0,0 +1,67 @@
+/**
+ * Statutory Pay Rates Configuration Module
+ * Loads Statutory Sick Pay, Statutory Maternity Pay and Statutory Paternity
+ * Pay rates by tax year from statutory-pay-rates.json, which follows the
+ * structure of nmw-rates.json
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class StatutoryPayRates {
+  constructor() {
+    this.rates = null;
+    this.lastModified = null;
+    this.configPath = path.join(__dirname, 'statutory-pay-rates.json');
+  }
+
+  /**
+   * Load statutory pay rates synchronously, reloading if the file has changed
+   * @returns {Object} Statutory pay rates configuration
+   */
+  loadRatesSync() {
+    try {
+      const stats = fs.statSync(this.configPath);
+
+      if (!this.rates || !this.lastModified || stats.mtime > this.lastModified) {
+        this.rates = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.lastModified = stats.mtime;
+        console.log('✅ Statutory pay rates loaded successfully');
+      }
+
+      return this.rates;
+    } catch (error) {
+      console.error('❌ Failed to load statutory pay rates:', error);
+      throw new Error(`Failed to load statutory pay rates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the rate period in force on a date
+   * @param {string|Date} date - Date
+   * @returns {Object|null} Rate period ({ effectiveFrom, effectiveTo, description, rates }), or null if none covers the date
+   */
+  getRatesForDate(date) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    const dateKey = parsed.toISOString().split('T')[0];
+    const { rates } = this.loadRatesSync();
+
+    return rates.find(period =>
+      period.effectiveFrom <= dateKey && (!period.effectiveTo || period.effectiveTo >= dateKey)
+    ) || null;
+  }
+
+  /**
+   * Get the version of the loaded rate table
+   * @returns {string|null} Rate table version
+   */
+  getVersion() {
+    return this.loadRatesSync()?.metadata?.version || null;
+  }
+}
+
+module.exports = new StatutoryPayRates();
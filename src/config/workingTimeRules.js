@@ -0,0 +1,124 @@
+/**
+ * Working Time Rules Configuration Module
+ * Manages the rules for deciding which rota shift hours (sleep-in, on-call,
+ * awake night) and travel between visits count as working time for NMW calculations,
+ * and for pairing time-clock punches into shifts
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class WorkingTimeRules {
+  constructor() {
+    this.rules = null;
+    this.lastModified = null;
+    this.configPath = path.join(__dirname, 'working-time-rules.json');
+  }
+
+  /**
+   * Load working time rules from the configuration file, reloading if it has changed
+   * @returns {Promise<Object>} Working time rules configuration
+   */
+  async loadRules() {
+    try {
+      const stats = await fs.promises.stat(this.configPath);
+
+      // Only reload if file has been modified or rules not loaded
+      if (!this.rules || !this.lastModified || stats.mtime > this.lastModified) {
+        const configData = await fs.promises.readFile(this.configPath, 'utf8');
+        this.rules = JSON.parse(configData);
+        this.lastModified = stats.mtime;
+        console.log('✅ Working time rules loaded successfully');
+      }
+
+      return this.rules;
+    } catch (error) {
+      console.error('❌ Failed to load working time rules:', error);
+      throw new Error(`Failed to load working time rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load working time rules synchronously for parsers and calculators that cannot await
+   * @returns {Object} Working time rules configuration
+   */
+  loadRulesSync() {
+    try {
+      const stats = fs.statSync(this.configPath);
+
+      if (!this.rules || !this.lastModified || stats.mtime > this.lastModified) {
+        this.rules = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.lastModified = stats.mtime;
+        console.log('✅ Working time rules loaded successfully');
+      }
+
+      return this.rules;
+    } catch (error) {
+      console.error('❌ Failed to load working time rules:', error);
+      throw new Error(`Failed to load working time rules: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the rule for a shift type
+   * @param {string} shiftType - Shift type key, e.g. 'sleep_in'
+   * @returns {Object|null} Shift type rule
+   */
+  getShiftType(shiftType) {
+    const rules = this.loadRulesSync();
+    const rule = rules.shiftTypes[shiftType];
+    return rule ? { shiftType, ...rule } : null;
+  }
+
+  /**
+   * Find the shift type for a raw rota value
+   * Blank values are treated as the default shift type
+   * @param {string} value - Raw shift type value from a rota
+   * @returns {string|null} Shift type key or null if unrecognised
+   */
+  findShiftType(value) {
+    const rules = this.loadRulesSync();
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return rules.defaultShiftType;
+    }
+
+    const normalizedValue = String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    for (const [shiftType, rule] of Object.entries(rules.shiftTypes)) {
+      if (shiftType === normalizedValue || rule.keywords.includes(normalizedValue)) {
+        return shiftType;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the rules for counting travel time between visits
+   * @returns {Object} Travel time rules (defaultMinutes, maxGapMinutes)
+   */
+  getTravelTimeRules() {
+    const rules = this.loadRulesSync();
+    return rules.travelTime || { defaultMinutes: 0, maxGapMinutes: 0 };
+  }
+
+  /**
+   * Get the rules for pairing clock punches into shifts
+   * @returns {Object} Punch rules (directions, maxShiftHours, maxBreakMinutes, paidBreakMaxMinutes)
+   */
+  getPunchRules() {
+    const rules = this.loadRulesSync();
+    return rules.punches;
+  }
+
+  /**
+   * Clear the cached rules so the next load reads the file again
+   */
+  clearCache() {
+    this.rules = null;
+    this.lastModified = null;
+  }
+}
+
+module.exports = new WorkingTimeRules();
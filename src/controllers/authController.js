@@ -12,6 +12,9 @@ class AuthController {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
+
+    // Middleware is passed to routers unbound
+    this.verifyToken = this.verifyToken.bind(this);
   }
 
   /**
@@ -30,6 +33,14 @@ class AuthController {
         });
       }
 
+      // Administrators manage rates for every organisation, so they cannot self-register
+      if (role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Admin accounts cannot be self-registered'
+        });
+      }
+
       // Check if user already exists
       const existingUser = await pool.query(
         'SELECT id FROM users WHERE email = $1',
@@ -347,6 +358,19 @@ class AuthController {
     next();
   }
 
+  /**
+   * Check if user is an administrator
+   */
+  requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      });
+    }
+    next();
+  }
+
   /**
    * Check if user has access to specific organization
    */
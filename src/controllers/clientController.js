@@ -5,8 +5,17 @@
  */
 
 const { pool } = require('../config/database');
+const MandatoryActivityService = require('../services/mandatoryActivityService');
+const WorkerExpenseService = require('../services/workerExpenseService');
+const TroncSchemeService = require('../services/troncSchemeService');
 
 class ClientController {
+  constructor() {
+    this.mandatoryActivityService = new MandatoryActivityService();
+    this.workerExpenseService = new WorkerExpenseService();
+    this.troncSchemeService = new TroncSchemeService();
+  }
+
   /**
    * Create a new client for a bureau
    * POST /api/clients
@@ -30,6 +39,15 @@ class ClientController {
         });
       }
 
+      const settingsValidation = this.validateSettings(settings);
+      if (!settingsValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid client settings',
+          details: settingsValidation.errors
+        });
+      }
+
       // Check if client name already exists for this bureau
       const existingClient = await pool.query(
         'SELECT id FROM clients WHERE bureau_id = $1 AND LOWER(name) = LOWER($2)',
@@ -201,6 +219,15 @@ class ClientController {
         });
       }
 
+      const settingsValidation = this.validateSettings(settings);
+      if (!settingsValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid client settings',
+          details: settingsValidation.errors
+        });
+      }
+
       // Check if client exists and belongs to this bureau
       const existingClient = await pool.query(
         'SELECT id FROM clients WHERE id = $1 AND bureau_id = $2',
@@ -382,6 +409,9 @@ class ClientController {
           SUM(CASE WHEN cc.rag_status = 'RED' THEN 1 ELSE 0 END) as red_count,
           SUM(CASE WHEN cc.rag_status = 'AMBER' THEN 1 ELSE 0 END) as amber_count,
           SUM(CASE WHEN cc.rag_status = 'GREEN' THEN 1 ELSE 0 END) as green_count,
+          SUM(CASE WHEN cc.statutory_pay_rag_status = 'RED' THEN 1 ELSE 0 END) as statutory_pay_red_count,
+          SUM(CASE WHEN cc.statutory_pay_rag_status = 'AMBER' THEN 1 ELSE 0 END) as statutory_pay_amber_count,
+          SUM(CASE WHEN cc.statutory_pay_rag_status = 'GREEN' THEN 1 ELSE 0 END) as statutory_pay_green_count,
           AVG(cc.compliance_score) as average_compliance_score,
           MAX(cu.created_at) as last_upload_date
          FROM clients c
@@ -426,6 +456,149 @@ class ClientController {
       });
     }
   }
+
+  /**
+   * Record service charges or tips collected by a client for a period
+   * POST /api/clients/:clientId/tronc/collections
+   */
+  async recordTroncCollection(req, res) {
+    try {
+      const { clientId } = req.params;
+      const bureauId = req.user.bureauId;
+
+      if (!req.user.isBureau) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only bureaus can record tronc collections'
+        });
+      }
+
+      const validation = this.troncSchemeService.validateCollection(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tronc collection',
+          details: validation.errors
+        });
+      }
+
+      // Verify client belongs to this bureau
+      const clientCheck = await pool.query(
+        'SELECT id FROM clients WHERE id = $1 AND bureau_id = $2',
+        [clientId, bureauId]
+      );
+
+      if (clientCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const overlap = await this.troncSchemeService.validateCollectionOverlap(clientId, req.body);
+      if (!overlap.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tronc collection',
+          details: overlap.errors
+        });
+      }
+
+      const collection = await this.troncSchemeService.recordCollection(clientId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tronc collection recorded successfully',
+        collection
+      });
+
+    } catch (error) {
+      console.error('Record tronc collection error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error while recording tronc collection'
+      });
+    }
+  }
+
+  /**
+   * Get a client's tips allocation fairness report
+   * GET /api/clients/:clientId/tronc/report?from=YYYY-MM-DD&to=YYYY-MM-DD
+   */
+  async getTroncAllocationReport(req, res) {
+    try {
+      const { clientId } = req.params;
+      const { from, to } = req.query;
+      const bureauId = req.user.bureauId;
+
+      if (!req.user.isBureau) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only bureaus can access tronc allocation reports'
+        });
+      }
+
+      if (!from || !to || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valid from and to dates are required'
+        });
+      }
+
+      // Verify client belongs to this bureau
+      const clientCheck = await pool.query(
+        'SELECT id FROM clients WHERE id = $1 AND bureau_id = $2',
+        [clientId, bureauId]
+      );
+
+      if (clientCheck.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const report = await this.troncSchemeService.generateClientReport(clientId, from, to);
+
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      console.error('Get tronc allocation report error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error while generating tronc allocation report'
+      });
+    }
+  }
+
+  /**
+   * Validate client settings
+   * @param {Object} settings - Client settings
+   * @returns {Object} Validation result
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    if (settings?.mandatoryUnpaidActivities !== undefined) {
+      errors.push(...this.mandatoryActivityService.validateActivities(settings.mandatoryUnpaidActivities).errors);
+    }
+
+    if (settings?.workerExpenses !== undefined) {
+      errors.push(...this.workerExpenseService.validateDefaults(settings.workerExpenses).errors);
+    }
+
+    if (settings?.troncScheme !== undefined) {
+      errors.push(...this.troncSchemeService.validateScheme(settings.troncScheme).errors);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
 }
 
 module.exports = new ClientController();
@@ -40,7 +40,7 @@ class ColumnMappingController {
       }
 
       // Validate csvType
-      const validTypes = ['payroll', 'rota', 'timesheet'];
+      const validTypes = ['payroll', 'rota', 'timesheet', 'punches', 'tips_collected', 'tips_distributed'];
       if (!validTypes.includes(csvType)) {
         return res.status(400).json({
           success: false,
@@ -136,6 +136,7 @@ class ColumnMappingController {
       res.json({
         success: true,
         validMappings: validationResult.mappings,
+        deductionTreatments: this.mappingService.getDeductionTreatments(validationResult.mappings),
         metadata: {
           csvType,
           validatedMappings: validationResult.mappings.length,
@@ -163,7 +164,7 @@ class ColumnMappingController {
       const { csvType } = req.params;
 
       // Validate csvType
-      const validTypes = ['payroll', 'rota', 'timesheet'];
+      const validTypes = ['payroll', 'rota', 'timesheet', 'punches', 'tips_collected', 'tips_distributed'];
       if (!validTypes.includes(csvType)) {
         return res.status(400).json({
           success: false,
@@ -280,7 +281,7 @@ class ColumnMappingController {
           userValidation: true,
           confidenceScoring: true
         },
-        supportedTypes: ['payroll', 'rota', 'timesheet'],
+        supportedTypes: ['payroll', 'rota', 'timesheet', 'punches', 'tips_collected', 'tips_distributed'],
         schemaFields: Object.keys(this.mappingService.schemaDefinitions).length,
         timestamp: new Date().toISOString()
       };
@@ -7,6 +7,7 @@
 
 const ComplianceExplanationService = require('../services/complianceExplanationService');
 const authController = require('./authController');
+const rateRegistry = require('../config/rateRegistry');
 
 class ComplianceExplanationController {
   constructor() {
@@ -245,6 +246,10 @@ class ComplianceExplanationController {
    */
   async testExplanation(req, res) {
     try {
+      // Underpay a 25 year old against the rate currently in force
+      rateRegistry.loadRatesSync();
+      const requiredRate = rateRegistry.findAgeBand(rateRegistry.findRatePeriod(new Date()), 25).rate.hourlyRate;
+
       // Predefined test scenarios
       const testScenarios = [
         {
@@ -256,11 +261,11 @@ class ComplianceExplanationController {
           },
           issueDetails: {
             effective_hourly_rate: 8.50,
-            required_hourly_rate: 10.42,
+            required_hourly_rate: requiredRate,
             total_hours: 40,
             total_pay: 340,
-            shortfall_amount: 76.80,
-            shortfall_percentage: 18.4
+            shortfall_amount: parseFloat(((requiredRate - 8.50) * 40).toFixed(2)),
+            shortfall_percentage: parseFloat(((requiredRate - 8.50) / requiredRate * 100).toFixed(1))
           }
         },
         {
@@ -1,5 +1,6 @@
 const CSVParserService = require('../services/csvParserService');
 const FileUploadService = require('../services/fileUploadService');
+const OutputWorkService = require('../services/outputWorkService');
 const { pool } = require('../config/database');
 const { logAuditAction } = require('../utils/database-utils');
 
@@ -11,6 +12,7 @@ class CSVUploadController {
   constructor() {
     this.csvParser = new CSVParserService();
     this.fileUpload = new FileUploadService();
+    this.outputWork = new OutputWorkService();
   }
 
   /**
@@ -49,8 +51,11 @@ class CSVUploadController {
       // Get client ID for bureau users
       const clientId = req.body.clientId || null;
       
+      // Get deduction treatments set in the column mapping
+      const deductionTreatments = this.parseDeductionTreatments(req.body.deductionTreatments);
+      
       // Parse CSV file
-      const parseResult = await this.csvParser.parseCSV(req.file.path, csvType);
+      const parseResult = await this.csvParser.parseCSV(req.file.path, csvType, { deductionTreatments });
       
       if (!parseResult.success) {
         // Clean up file on parsing failure
@@ -196,6 +201,21 @@ class CSVUploadController {
         await this.storePayPeriods(csvUploadId, data, workerIds, organizationId, organizationType);
       }
       
+      // Store classified rota shifts
+      if (csvType === 'rota') {
+        await this.storeRotaShifts(csvUploadId, data, workerIds, organizationId);
+      }
+
+      // Store timesheet hours for comparison with paid hours; punches arrive paired into shifts
+      if (csvType === 'timesheet' || csvType === 'punches') {
+        await this.storeTimesheetEntries(csvUploadId, data, workerIds, organizationId);
+      }
+
+      // Store tips collected by site and tips paid to workers for the Tips Act allocation check
+      if (csvType === 'tips_collected' || csvType === 'tips_distributed') {
+        await this.storeTipsRecords(csvUploadId, data, csvType, workerIds, organizationId, organizationType);
+      }
+      
       console.log(`✅ Successfully stored ${data.length} records`);
       return true;
       
@@ -225,7 +245,18 @@ class CSVUploadController {
           if (!uniqueWorkers.has(key)) {
             uniqueWorkers.set(key, {
               external_id: row.worker_id,
-              name: row.worker_name
+              name: row.worker_name,
+              date_of_birth: row.date_of_birth || null,
+              work_type: row.work_type || 'time_work',
+              annual_basic_hours: row.annual_basic_hours || null,
+              calculation_year_start: row.calculation_year_start || null,
+              agreed_daily_hours: row.agreed_daily_hours || null,
+              daily_average_agreement_date: row.daily_average_agreement_date || null,
+              role: row.role || null,
+              hours_pattern: row.hours_pattern || null,
+              leave_year_start: row.leave_year_start || null,
+              employment_start_date: row.employment_start_date || null,
+              pension_postponement_date: row.pension_postponement_date || null
             });
           }
         }
@@ -234,12 +265,34 @@ class CSVUploadController {
       // Insert workers into database
       for (const [key, worker] of uniqueWorkers) {
         const query = `
-          INSERT INTO workers (csv_upload_id, external_id, name, organization_id, organization_type)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO workers (
+            csv_upload_id, external_id, name, organization_id, organization_type,
+            work_type, annual_basic_hours, calculation_year_start,
+            agreed_daily_hours, daily_average_agreement_date, date_of_birth, role,
+            hours_pattern, leave_year_start, employment_start_date, pension_postponement_date
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
           RETURNING id
         `;
         
-        const result = await pool.query(query, [csvUploadId, worker.external_id, worker.name, organizationId, organizationType]);
+        const result = await pool.query(query, [
+          csvUploadId,
+          worker.external_id,
+          worker.name,
+          organizationId,
+          organizationType,
+          worker.work_type,
+          worker.annual_basic_hours,
+          worker.calculation_year_start,
+          worker.agreed_daily_hours,
+          worker.daily_average_agreement_date,
+          worker.date_of_birth,
+          worker.role,
+          worker.hours_pattern,
+          worker.leave_year_start,
+          worker.employment_start_date,
+          worker.pension_postponement_date
+        ]);
         workerIds[key] = result.rows[0].id;
       }
       
@@ -252,6 +305,29 @@ class CSVUploadController {
     }
   }
 
+  /**
+   * Parse the deduction treatments sent with an upload
+   * Multipart form fields arrive as JSON strings; invalid JSON is ignored
+   * @param {string|Object} deductionTreatments - Deduction treatment per column header
+   * @returns {Object} Deduction treatments keyed by lower-case column header
+   */
+  parseDeductionTreatments(deductionTreatments) {
+    let treatments = deductionTreatments || {};
+
+    if (typeof treatments === 'string') {
+      try {
+        treatments = JSON.parse(treatments);
+      } catch (error) {
+        console.warn('⚠️ Ignoring invalid deduction treatments:', error.message);
+        return {};
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(treatments).map(([header, treatment]) => [header.trim().toLowerCase(), treatment])
+    );
+  }
+
   /**
    * Store pay period records in database
    * @param {number} csvUploadId - CSV upload ID
@@ -267,7 +343,14 @@ class CSVUploadController {
       
       // Prepare pay period data
       data.forEach(row => {
-        if (row.worker_id && row.worker_name && row.hours && row.pay) {
+        const isOutputWork = row.work_type === 'output_work';
+        
+        // Output workers' hours come from their output rather than the hours column
+        const totalHours = isOutputWork
+          ? this.outputWork.calculateHoursForNMW(this.outputWork.extractOutputData(row)).hours
+          : row.hours;
+        
+        if (row.worker_id && row.worker_name && totalHours && row.pay) {
           const workerKey = `${row.worker_id}_${row.worker_name}`;
           const workerId = workerIds[workerKey];
           
@@ -277,10 +360,49 @@ class CSVUploadController {
               worker_id: workerId,
               period_start: row.period_start,
               period_end: row.period_end,
-              total_hours: row.hours,
+              total_hours: totalHours,
               total_pay: row.pay,
-              effective_hourly_rate: row.effective_hourly_rate,
-              period_type: 'monthly' // Default, can be enhanced later
+              effective_hourly_rate: isOutputWork ? row.pay / totalHours : row.effective_hourly_rate,
+              period_type: 'monthly', // Default, can be enhanced later
+              units_produced: row.units_produced || null,
+              piece_rate: row.piece_rate || null,
+              mean_hourly_output: row.mean_hourly_output || null,
+              days_worked: row.days_worked || null,
+              shifts_worked: row.shifts_worked || null,
+              training_hours: row.training_hours || null,
+              training_description: row.training_description || null,
+              pension_sacrifice: row.pension_sacrifice || null,
+              cycle_to_work_sacrifice: row.cycle_to_work_sacrifice || null,
+              childcare_voucher_sacrifice: row.childcare_voucher_sacrifice || null,
+              ev_sacrifice: row.ev_sacrifice || null,
+              salary_sacrifice: row.salary_sacrifice || null,
+              worker_expenses: row.worker_expenses || null,
+              worker_expense_description: row.worker_expense_description || null,
+              deduction_lines: row.deduction_lines ? JSON.stringify(row.deduction_lines) : null,
+              occupancy_start: row.occupancy_start || null,
+              occupancy_end: row.occupancy_end || null,
+              tips: row.tips || null,
+              tronc: row.tronc || null,
+              holiday_pay: row.holiday_pay || null,
+              holiday_hours: row.holiday_hours || null,
+              overtime_pay: row.overtime_pay || null,
+              commission: row.commission || null,
+              average_weekly_earnings: row.average_weekly_earnings || null,
+              sick_days: row.sick_days || null,
+              sickness_start: row.sickness_start || null,
+              linked_sickness: row.linked_sickness === '' ? null : row.linked_sickness ?? null,
+              qualifying_days_per_week: row.qualifying_days_per_week || null,
+              ssp_paid: row.ssp_paid || null,
+              maternity_pay_start: row.maternity_pay_start || null,
+              smp_paid: row.smp_paid || null,
+              paternity_leave_start: row.paternity_leave_start || null,
+              paternity_leave_end: row.paternity_leave_end || null,
+              spp_paid: row.spp_paid || null,
+              employer_pension_contribution: row.employer_pension_contribution === '' ? null : row.employer_pension_contribution ?? null,
+              employee_pension_contribution: row.employee_pension_contribution === '' ? null : row.employee_pension_contribution ?? null,
+              pension_opt_out: row.pension_opt_out === '' ? null : row.pension_opt_out ?? null,
+              arrears_pay: row.arrears_pay || null,
+              relates_to_period: row.relates_to_period || null
             });
           }
         }
@@ -292,8 +414,18 @@ class CSVUploadController {
           INSERT INTO pay_periods (
             csv_upload_id, worker_id, period_start, period_end,
             total_hours, total_pay, effective_hourly_rate, period_type,
-            organization_id, organization_type
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            organization_id, organization_type,
+            units_produced, piece_rate, mean_hourly_output, days_worked,
+            arrears_pay, relates_to_period, shifts_worked,
+            training_hours, training_description,
+            pension_sacrifice, cycle_to_work_sacrifice, childcare_voucher_sacrifice, ev_sacrifice, salary_sacrifice,
+            worker_expenses, worker_expense_description, deduction_lines,
+            occupancy_start, occupancy_end, tips, tronc,
+            holiday_pay, holiday_hours, overtime_pay, commission,
+            average_weekly_earnings, sick_days, sickness_start, linked_sickness, qualifying_days_per_week, ssp_paid,
+            maternity_pay_start, smp_paid, paternity_leave_start, paternity_leave_end, spp_paid,
+            employer_pension_contribution, employee_pension_contribution, pension_opt_out
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, $46, $47, $48, $49)
         `;
         
         for (const period of payPeriods) {
@@ -307,7 +439,46 @@ class CSVUploadController {
             period.effective_hourly_rate,
             period.period_type,
             organizationId,
-            organizationType
+            organizationType,
+            period.units_produced,
+            period.piece_rate,
+            period.mean_hourly_output,
+            period.days_worked,
+            period.arrears_pay,
+            period.relates_to_period,
+            period.shifts_worked,
+            period.training_hours,
+            period.training_description,
+            period.pension_sacrifice,
+            period.cycle_to_work_sacrifice,
+            period.childcare_voucher_sacrifice,
+            period.ev_sacrifice,
+            period.salary_sacrifice,
+            period.worker_expenses,
+            period.worker_expense_description,
+            period.deduction_lines,
+            period.occupancy_start,
+            period.occupancy_end,
+            period.tips,
+            period.tronc,
+            period.holiday_pay,
+            period.holiday_hours,
+            period.overtime_pay,
+            period.commission,
+            period.average_weekly_earnings,
+            period.sick_days,
+            period.sickness_start,
+            period.linked_sickness,
+            period.qualifying_days_per_week,
+            period.ssp_paid,
+            period.maternity_pay_start,
+            period.smp_paid,
+            period.paternity_leave_start,
+            period.paternity_leave_end,
+            period.spp_paid,
+            period.employer_pension_contribution,
+            period.employee_pension_contribution,
+            period.pension_opt_out
           ]);
         }
         
@@ -322,6 +493,152 @@ class CSVUploadController {
     }
   }
 
+  /**
+   * Store classified rota shifts in database
+   * Shifts are matched to payroll pay periods by worker external ID and date
+   * @param {number} csvUploadId - CSV upload ID
+   * @param {Array} data - Parsed rota data
+   * @param {Object} workerIds - Mapping of worker names to IDs
+   * @param {number} organizationId - Organization ID for multi-tenant isolation
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeRotaShifts(csvUploadId, data, workerIds, organizationId) {
+    try {
+      const query = `
+        INSERT INTO rota_shifts (
+          csv_upload_id, worker_id, organization_id, worker_external_id,
+          shift_date, start_time, end_time, break_minutes,
+          shift_type, shift_hours, active_hours, qualifying_hours, travel_minutes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `;
+      
+      let storedShifts = 0;
+      for (const row of data) {
+        const workerId = workerIds[`${row.worker_id}_${row.worker_name}`];
+        
+        if (workerId && row.date && row.shift_type) {
+          await pool.query(query, [
+            csvUploadId,
+            workerId,
+            organizationId,
+            row.worker_id,
+            row.date,
+            row.start_time || null,
+            row.end_time || null,
+            row.break_minutes || 0,
+            row.shift_type,
+            row.shift_hours,
+            row.active_hours,
+            row.qualifying_hours,
+            row.travel_minutes !== undefined && row.travel_minutes !== '' ? row.travel_minutes : null
+          ]);
+          storedShifts++;
+        }
+      }
+      
+      console.log(`✅ Stored ${storedShifts} rota shifts`);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ Failed to store rota shifts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store timesheet entries in database
+   * Entries are matched to payroll pay periods by worker external ID and date
+   * @param {number} csvUploadId - CSV upload ID
+   * @param {Array} data - Parsed timesheet data
+   * @param {Object} workerIds - Mapping of worker names to IDs
+   * @param {number} organizationId - Organization ID for multi-tenant isolation
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeTimesheetEntries(csvUploadId, data, workerIds, organizationId) {
+    try {
+      const query = `
+        INSERT INTO timesheet_entries (
+          csv_upload_id, worker_id, organization_id, worker_external_id, work_date, hours_worked
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+      `;
+      
+      let storedEntries = 0;
+      for (const row of data) {
+        const workerId = workerIds[`${row.worker_id}_${row.worker_name}`];
+        
+        if (workerId && row.date) {
+          await pool.query(query, [
+            csvUploadId,
+            workerId,
+            organizationId,
+            row.worker_id,
+            row.date,
+            row.hours || 0
+          ]);
+          storedEntries++;
+        }
+      }
+      
+      console.log(`✅ Stored ${storedEntries} timesheet entries`);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ Failed to store timesheet entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store tips collected or tips distributed in database
+   * @param {number} csvUploadId - CSV upload ID
+   * @param {Array} data - Parsed tips data
+   * @param {string} csvType - 'tips_collected' or 'tips_distributed'
+   * @param {Object} workerIds - Mapping of worker names to IDs
+   * @param {number} organizationId - Organization ID for multi-tenant isolation
+   * @param {string} organizationType - Organization type (employer/client)
+   * @returns {Promise<boolean>} Success status
+   */
+  async storeTipsRecords(csvUploadId, data, csvType, workerIds, organizationId, organizationType) {
+    try {
+      const recordType = csvType === 'tips_collected' ? 'collected' : 'distributed';
+      const query = `
+        INSERT INTO tips_records (
+          csv_upload_id, organization_id, organization_type, record_type, site,
+          record_date, amount, tips_month, worker_id, worker_external_id, worker_name
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `;
+      
+      let storedRecords = 0;
+      for (const row of data) {
+        if (!row.date || row.tips_amount === undefined || row.tips_amount === '') {
+          continue;
+        }
+
+        await pool.query(query, [
+          csvUploadId,
+          organizationId,
+          organizationType,
+          recordType,
+          row.site || null,
+          row.date,
+          row.tips_amount,
+          row.tips_month || null,
+          workerIds[`${row.worker_id}_${row.worker_name}`] || null,
+          row.worker_id || null,
+          row.worker_name || null
+        ]);
+        storedRecords++;
+      }
+      
+      console.log(`✅ Stored ${storedRecords} tips ${recordType} records`);
+      return true;
+      
+    } catch (error) {
+      console.error('❌ Failed to store tips records:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get CSV upload status
    * @param {Object} req - Express request object
@@ -464,8 +464,7 @@ class EvidencePackController {
       const rate = 8 + Math.random() * 5; // Random rate between 8-13
       const hours = 35 + Math.random() * 10; // Random hours between 35-45
       const pay = rate * hours;
-      
-      workers.push({
+      const worker = {
         id: i,
         worker_id: `TEST${i.toString().padStart(3, '0')}`,
         worker_name: `Test Worker ${i}`,
@@ -473,12 +472,14 @@ class EvidencePackController {
         total_hours: hours,
         total_pay: pay,
         effective_hourly_rate: rate,
-        rag_status: rate < 10.42 ? 'RED' : rate < 11 ? 'AMBER' : 'GREEN',
-        rag_reason: rate < 10.42 ? 'Below minimum wage' : rate < 11 ? 'Review recommended' : 'Compliant',
-        shortfall_amount: rate < 10.42 ? (10.42 - rate) * hours : 0,
         period_start: '2024-01-01',
         period_end: '2024-01-31',
         period_type: 'monthly'
+      };
+
+      workers.push({
+        ...worker,
+        ...this.evidencePackService.assessWorkerRate(worker)
       });
     }
 
@@ -521,17 +522,7 @@ class EvidencePackController {
         }
       },
       workers,
-      complianceRules: [
-        {
-          id: 'TEST_NMW',
-          title: 'Test NMW Rules',
-          description: 'Test compliance rules for demonstration',
-          rates: { 'Test Rate': '£10.42' },
-          source: 'Test Source',
-          url: 'https://example.com',
-          lastUpdated: new Date().toISOString()
-        }
-      ],
+      complianceRules: [this.evidencePackService.getCurrentRatesRule()],
       explanations: [],
       generated: {
         timestamp: new Date().toISOString(),
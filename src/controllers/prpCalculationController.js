@@ -1,4 +1,5 @@
 const PRPCalculationService = require('../services/prpCalculationService');
+const RateAdministrationService = require('../services/rateAdministrationService');
 const { pool } = require('../config/database');
 const { logAuditAction } = require('../utils/database-utils');
 
@@ -9,6 +10,7 @@ const { logAuditAction } = require('../utils/database-utils');
 class PRPCalculationController {
   constructor() {
     this.prpService = new PRPCalculationService();
+    this.rateAdminService = new RateAdministrationService();
   }
 
   /**
@@ -32,7 +34,7 @@ class PRPCalculationController {
       }
 
       // Fetch pay period data
-      const payPeriod = await this.getPayPeriod(payPeriodId);
+      let payPeriod = await this.getPayPeriod(payPeriodId);
       if (!payPeriod) {
         return res.status(404).json({
           success: false,
@@ -40,14 +42,47 @@ class PRPCalculationController {
         });
       }
 
+      // Pay in arrears is counted in the PRP the work relates to
+      const workerPayPeriods = await this.getPayPeriodsByWorker(payPeriod.worker_id);
+      const otherPayPeriods = await this.getPayPeriodsFromOtherUploads([payPeriod.worker_id]);
+      payPeriod = this.prpService.reallocatePayInArrears(workerPayPeriods, otherPayPeriods)
+        .find(pp => pp.id === payPeriod.id) || payPeriod;
+
+      // Salaried-hours workers need hours already worked in the calculation year
+      if (this.prpService.salariedHoursService.isSalariedHoursWorker(worker)) {
+        [payPeriod] = await this.prpService.salariedHoursService.applyCumulativeHours(worker, [payPeriod]);
+      }
+
+      // Care rotas decide which hours count as working time
+      [payPeriod] = await this.applyRotaShifts([payPeriod]);
+
+      // Timesheets show hours clocked, to compare with hours paid
+      [payPeriod] = await this.applyClockedHours([payPeriod]);
+
+      // Client's mandatory unpaid activities (security checks, handovers, PPE) add working time
+      [payPeriod] = await this.applyMandatoryActivities([worker], [payPeriod]);
+
+      // Leave taken is checked against average pay over earlier pay periods
+      [payPeriod] = await this.applyHolidayPayHistory([payPeriod]);
+
       // Fetch offsets for this pay period
       const offsets = await this.getOffsets(payPeriodId);
 
       // Fetch allowances for this pay period
       const allowances = await this.getAllowances(payPeriodId);
 
+      // Re-runs use the rate version the first check of this pay period ran with
+      const rateVersion = await this.getFirstRateVersionForPayPeriod(payPeriodId);
+      const prpService = await this.getPRPServiceForRateVersion(rateVersion);
+      if (!prpService) {
+        return res.status(409).json({
+          success: false,
+          error: `Rate version ${rateVersion} used by the original check is not available`
+        });
+      }
+
       // Calculate PRP
-      const prpResult = this.prpService.calculatePRP(worker, payPeriod, offsets, allowances);
+      const prpResult = prpService.calculatePRP(worker, payPeriod, offsets, allowances);
 
       if (!prpResult.success) {
         return res.status(400).json({
@@ -115,7 +150,7 @@ class PRPCalculationController {
       }
 
       // Fetch all pay periods for this upload
-      const payPeriods = await this.getPayPeriodsByUpload(uploadId);
+      let payPeriods = await this.getPayPeriodsByUpload(uploadId);
       if (payPeriods.length === 0) {
         return res.status(404).json({
           success: false,
@@ -123,14 +158,42 @@ class PRPCalculationController {
         });
       }
 
+      // Track salaried-hours workers' cumulative hours across the calculation year
+      payPeriods = await this.applySalariedHours(workers, payPeriods);
+
+      // Attach classified rota shifts so only working time is counted
+      payPeriods = await this.applyRotaShifts(payPeriods);
+
+      // Attach timesheet hours so paid hours can be compared with hours clocked
+      payPeriods = await this.applyClockedHours(payPeriods);
+
+      // Attach the client's mandatory unpaid activities so their time counts as working time
+      payPeriods = await this.applyMandatoryActivities(workers, payPeriods);
+
+      // Attach earlier pay periods to periods with leave taken, for the 52-week holiday pay average
+      payPeriods = await this.applyHolidayPayHistory(payPeriods);
+
+      // Pay in arrears can relate to a PRP in an earlier or later upload
+      const otherPayPeriods = await this.getPayPeriodsFromOtherUploads(workers.map(worker => worker.id));
+
       // Fetch all offsets for this upload
       const offsets = await this.getOffsetsByUpload(uploadId);
 
       // Fetch all allowances for this upload
       const allowances = await this.getAllowancesByUpload(uploadId);
 
+      // Re-runs use the rate version the first check of this upload ran with
+      const rateVersion = await this.getFirstRateVersionForUpload(uploadId);
+      const prpService = await this.getPRPServiceForRateVersion(rateVersion);
+      if (!prpService) {
+        return res.status(409).json({
+          success: false,
+          error: `Rate version ${rateVersion} used by the original check is not available`
+        });
+      }
+
       // Calculate PRP for all workers
-      const bulkResult = this.prpService.batchCalculatePRP(workers, payPeriods, offsets, allowances);
+      const bulkResult = prpService.batchCalculatePRP(workers, payPeriods, offsets, allowances, otherPayPeriods);
 
       if (!bulkResult.success) {
         return res.status(400).json({
@@ -278,6 +341,115 @@ class PRPCalculationController {
     }
   }
 
+  /**
+   * Attach cumulative calculation-year hours to salaried-hours workers' pay periods
+   * @param {Array} workers - Array of workers
+   * @param {Array} payPeriods - Array of pay periods
+   * @returns {Promise<Array>} Pay periods with cumulative hours applied
+   */
+  async applySalariedHours(workers, payPeriods) {
+    const salariedHoursService = this.prpService.salariedHoursService;
+    const salariedWorkers = workers.filter(worker => salariedHoursService.isSalariedHoursWorker(worker));
+
+    if (salariedWorkers.length === 0) {
+      return payPeriods;
+    }
+
+    const salariedWorkerIds = new Set(salariedWorkers.map(worker => worker.id));
+    const updatedPeriods = payPeriods.filter(pp => !salariedWorkerIds.has(pp.worker_id));
+
+    for (const worker of salariedWorkers) {
+      const workerPeriods = payPeriods.filter(pp => pp.worker_id === worker.id);
+      const enrichedPeriods = await salariedHoursService.applyCumulativeHours(worker, workerPeriods);
+      updatedPeriods.push(...enrichedPeriods);
+    }
+
+    return updatedPeriods;
+  }
+
+  /**
+   * Attach classified rota shifts to each pay period they fall within
+   * Pay periods without rota shifts are left unchanged
+   * @param {Array} payPeriods - Array of pay periods
+   * @returns {Promise<Array>} Pay periods with rota shifts attached
+   */
+  async applyRotaShifts(payPeriods) {
+    const shiftService = this.prpService.shiftClassificationService;
+    const updatedPeriods = [];
+
+    for (const payPeriod of payPeriods) {
+      const shifts = await shiftService.getRotaShifts(payPeriod.worker_id, payPeriod.period_start, payPeriod.period_end);
+      updatedPeriods.push(shifts.length > 0 ? { ...payPeriod, shifts } : payPeriod);
+    }
+
+    return updatedPeriods;
+  }
+
+  /**
+   * Attach hours clocked on timesheets to each pay period they fall within
+   * Pay periods without timesheet entries are left unchanged
+   * @param {Array} payPeriods - Array of pay periods
+   * @returns {Promise<Array>} Pay periods with clocked hours attached
+   */
+  async applyClockedHours(payPeriods) {
+    const reconciliationService = this.prpService.hoursReconciliationService;
+    const updatedPeriods = [];
+
+    for (const payPeriod of payPeriods) {
+      const clockedHours = await reconciliationService.getClockedHours(payPeriod.worker_id, payPeriod.period_start, payPeriod.period_end);
+      updatedPeriods.push(clockedHours !== null ? { ...payPeriod, clocked_hours: clockedHours } : payPeriod);
+    }
+
+    return updatedPeriods;
+  }
+
+  /**
+   * Attach the client's mandatory unpaid activities to each worker's pay periods
+   * Pay periods of workers whose organisation has no activities are left unchanged
+   * @param {Array} workers - Array of workers
+   * @param {Array} payPeriods - Array of pay periods
+   * @returns {Promise<Array>} Pay periods with mandatory activities attached
+   */
+  async applyMandatoryActivities(workers, payPeriods) {
+    const activityService = this.prpService.mandatoryActivityService;
+    const activitiesByOrganization = new Map();
+
+    for (const worker of workers) {
+      const key = `${worker.organization_type}_${worker.organization_id}`;
+      if (!activitiesByOrganization.has(key)) {
+        activitiesByOrganization.set(key, await activityService.getClientActivities(worker.organization_id, worker.organization_type));
+      }
+    }
+
+    return payPeriods.map(payPeriod => {
+      const worker = workers.find(w => w.id === payPeriod.worker_id);
+      const activities = worker ? activitiesByOrganization.get(`${worker.organization_type}_${worker.organization_id}`) : [];
+      return activities.length > 0 ? { ...payPeriod, mandatory_activities: activities } : payPeriod;
+    });
+  }
+
+  /**
+   * Attach earlier pay periods to each pay period with holiday hours
+   * Pay periods without leave taken are left unchanged
+   * @param {Array} payPeriods - Array of pay periods
+   * @returns {Promise<Array>} Pay periods with holiday pay reference history attached
+   */
+  async applyHolidayPayHistory(payPeriods) {
+    const holidayPayService = this.prpService.holidayPayService;
+    const updatedPeriods = [];
+
+    for (const payPeriod of payPeriods) {
+      if (parseFloat(payPeriod.holiday_hours) > 0) {
+        const history = await holidayPayService.getReferenceHistory(payPeriod.worker_id, payPeriod.period_start);
+        updatedPeriods.push({ ...payPeriod, holiday_pay_history: history });
+      } else {
+        updatedPeriods.push(payPeriod);
+      }
+    }
+
+    return updatedPeriods;
+  }
+
   // Database helper methods
 
   /**
@@ -288,7 +460,9 @@ class PRPCalculationController {
   async getWorker(workerId) {
     try {
       const query = `
-        SELECT id, external_id, name, age, apprentice_status, first_year_apprentice
+        SELECT id, external_id, name, age, date_of_birth, apprentice_status, first_year_apprentice,
+               work_type, annual_basic_hours, calculation_year_start, organization_id, organization_type, role,
+               hours_pattern, leave_year_start, employment_start_date, pension_postponement_date
         FROM workers
         WHERE id = $1
       `;
@@ -308,7 +482,13 @@ class PRPCalculationController {
   async getPayPeriod(payPeriodId) {
     try {
       const query = `
-        SELECT id, worker_id, period_start, period_end, total_hours, total_pay, effective_hourly_rate
+        SELECT id, worker_id, csv_upload_id, period_start, period_end, total_hours, total_pay, effective_hourly_rate,
+               arrears_pay, relates_to_period, days_worked, shifts_worked, training_hours, training_description,
+               holiday_pay, holiday_hours, overtime_pay, commission,
+               average_weekly_earnings, sick_days, sickness_start, linked_sickness, qualifying_days_per_week, ssp_paid,
+               maternity_pay_start, smp_paid, paternity_leave_start, paternity_leave_end, spp_paid,
+               employer_pension_contribution, employee_pension_contribution, pension_opt_out, pension_sacrifice,
+               cycle_to_work_sacrifice, childcare_voucher_sacrifice, ev_sacrifice, salary_sacrifice
         FROM pay_periods
         WHERE id = $1
       `;
@@ -320,6 +500,63 @@ class PRPCalculationController {
     }
   }
 
+  /**
+   * Get all pay periods for a worker
+   * @param {number} workerId - Worker ID
+   * @returns {Promise<Array>} Array of pay periods
+   */
+  async getPayPeriodsByWorker(workerId) {
+    try {
+      const query = `
+        SELECT id, worker_id, csv_upload_id, period_start, period_end, total_hours, total_pay, effective_hourly_rate,
+               arrears_pay, relates_to_period, days_worked, shifts_worked, training_hours, training_description,
+               holiday_pay, holiday_hours, overtime_pay, commission,
+               average_weekly_earnings, sick_days, sickness_start, linked_sickness, qualifying_days_per_week, ssp_paid,
+               maternity_pay_start, smp_paid, paternity_leave_start, paternity_leave_end, spp_paid,
+               employer_pension_contribution, employee_pension_contribution, pension_opt_out, pension_sacrifice,
+               cycle_to_work_sacrifice, childcare_voucher_sacrifice, ev_sacrifice, salary_sacrifice
+        FROM pay_periods
+        WHERE worker_id = $1
+        ORDER BY period_start
+      `;
+      const result = await pool.query(query, [workerId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching pay periods by worker:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get workers' pay periods from their other uploads
+   * Workers are stored per upload, so the same worker in another upload is matched by external ID
+   * within the organisation. A period uploaded more than once is taken from the latest upload, and
+   * each row carries the worker ID it was looked up for
+   * @param {Array<number>} workerIds - Worker IDs
+   * @returns {Promise<Array>} Pay periods
+   */
+  async getPayPeriodsFromOtherUploads(workerIds) {
+    try {
+      const query = `
+        SELECT DISTINCT ON (w.id, pp.period_start, pp.period_end)
+               pp.id, w.id AS worker_id, pp.csv_upload_id, pp.period_start, pp.period_end, pp.total_pay,
+               pp.arrears_pay, pp.relates_to_period
+        FROM workers w
+        JOIN workers ow ON ow.external_id = w.external_id
+          AND ow.organization_id IS NOT DISTINCT FROM w.organization_id
+          AND ow.csv_upload_id IS DISTINCT FROM w.csv_upload_id
+        JOIN pay_periods pp ON pp.worker_id = ow.id
+        WHERE w.id = ANY($1)
+        ORDER BY w.id, pp.period_start, pp.period_end, pp.csv_upload_id DESC
+      `;
+      const result = await pool.query(query, [workerIds]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching pay periods from other uploads:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get offsets for a pay period
    * @param {number} payPeriodId - Pay period ID
@@ -369,7 +606,9 @@ class PRPCalculationController {
   async getWorkersByUpload(uploadId) {
     try {
       const query = `
-        SELECT id, external_id, name, age, apprentice_status, first_year_apprentice
+        SELECT id, external_id, name, age, date_of_birth, apprentice_status, first_year_apprentice,
+               work_type, annual_basic_hours, calculation_year_start, organization_id, organization_type, role,
+               hours_pattern, leave_year_start, employment_start_date, pension_postponement_date
         FROM workers
         WHERE csv_upload_id = $1
       `;
@@ -389,7 +628,13 @@ class PRPCalculationController {
   async getPayPeriodsByUpload(uploadId) {
     try {
       const query = `
-        SELECT id, worker_id, period_start, period_end, total_hours, total_pay, effective_hourly_rate
+        SELECT id, worker_id, csv_upload_id, period_start, period_end, total_hours, total_pay, effective_hourly_rate,
+               arrears_pay, relates_to_period, days_worked, shifts_worked, training_hours, training_description,
+               holiday_pay, holiday_hours, overtime_pay, commission,
+               average_weekly_earnings, sick_days, sickness_start, linked_sickness, qualifying_days_per_week, ssp_paid,
+               maternity_pay_start, smp_paid, paternity_leave_start, paternity_leave_end, spp_paid,
+               employer_pension_contribution, employee_pension_contribution, pension_opt_out, pension_sacrifice,
+               cycle_to_work_sacrifice, childcare_voucher_sacrifice, ev_sacrifice, salary_sacrifice
         FROM pay_periods
         WHERE csv_upload_id = $1
       `;
@@ -456,8 +701,10 @@ class PRPCalculationController {
       const query = `
         INSERT INTO compliance_checks (
           worker_id, pay_period_id, csv_upload_id, rag_status, compliance_score,
-          issues, fix_suggestions, compliance_rules_applied, evidence_summary
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          issues, fix_suggestions, compliance_rules_applied, rate_version, evidence_summary,
+          holiday_pay_rag_status, holiday_pay_check, statutory_pay_rag_status, statutory_pay_check,
+          pension_rag_status, pension_check
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING id
       `;
 
@@ -470,7 +717,14 @@ class PRPCalculationController {
         JSON.stringify(prpResult.compliance.issues),
         JSON.stringify(prpResult.compliance.fix_suggestions),
         JSON.stringify(prpResult.calculation_metadata.rules_applied),
-        `PRP calculation completed at ${prpResult.calculation_metadata.calculated_at}`
+        prpResult.calculation_metadata.rate_version || null,
+        `PRP calculation completed at ${prpResult.calculation_metadata.calculated_at}`,
+        prpResult.compliance.holiday_pay?.ragStatus || null,
+        prpResult.compliance.holiday_pay ? JSON.stringify(prpResult.compliance.holiday_pay) : null,
+        prpResult.compliance.statutory_pay?.ragStatus || null,
+        prpResult.compliance.statutory_pay ? JSON.stringify(prpResult.compliance.statutory_pay) : null,
+        prpResult.compliance.pension?.ragStatus || null,
+        prpResult.compliance.pension ? JSON.stringify(prpResult.compliance.pension) : null
       ];
 
       const result = await pool.query(query, values);
@@ -481,6 +735,73 @@ class PRPCalculationController {
     }
   }
 
+  /**
+   * Get the rate version used by the first compliance check of a pay period
+   * @param {number} payPeriodId - Pay period ID
+   * @returns {Promise<string|null>} Rate version, or null if never checked
+   */
+  async getFirstRateVersionForPayPeriod(payPeriodId) {
+    try {
+      const query = `
+        SELECT rate_version FROM compliance_checks
+        WHERE pay_period_id = $1 AND rate_version IS NOT NULL
+        ORDER BY created_at ASC
+        LIMIT 1
+      `;
+      const result = await pool.query(query, [payPeriodId]);
+      return result.rows[0]?.rate_version || null;
+    } catch (error) {
+      console.error('Error fetching first rate version for pay period:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rate version used by the first compliance check of a CSV upload
+   * @param {number} uploadId - CSV upload ID
+   * @returns {Promise<string|null>} Rate version, or null if never checked
+   */
+  async getFirstRateVersionForUpload(uploadId) {
+    try {
+      const query = `
+        SELECT cc.rate_version FROM compliance_checks cc
+        JOIN pay_periods pp ON cc.pay_period_id = pp.id
+        WHERE pp.csv_upload_id = $1 AND cc.rate_version IS NOT NULL
+        ORDER BY cc.created_at ASC
+        LIMIT 1
+      `;
+      const result = await pool.query(query, [uploadId]);
+      return result.rows[0]?.rate_version || null;
+    } catch (error) {
+      console.error('Error fetching first rate version for upload:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a calculation service for a rate version
+   * @param {string|null} rateVersion - Rate version, or null for the current rates
+   * @returns {Promise<PRPCalculationService|null>} Calculation service, or null if the version is unavailable
+   */
+  async getPRPServiceForRateVersion(rateVersion) {
+    if (!rateVersion) {
+      return this.prpService;
+    }
+
+    const registry = await this.rateAdminService.getRegistryForVersion(rateVersion);
+    if (!registry) {
+      console.warn(`⚠️ Rate version ${rateVersion} is not available for re-run`);
+      return null;
+    }
+
+    if (registry === this.prpService.rateRegistry) {
+      return this.prpService;
+    }
+
+    console.log(`🔄 Re-running with rate version ${rateVersion}`);
+    return this.prpService.withRateRegistry(registry);
+  }
+
   /**
    * Update CSV upload status
    * @param {number} uploadId - CSV upload ID
@@ -553,6 +874,15 @@ class PRPCalculationController {
           COUNT(CASE WHEN rag_status = 'GREEN' THEN 1 END) as green_count,
           COUNT(CASE WHEN rag_status = 'AMBER' THEN 1 END) as amber_count,
           COUNT(CASE WHEN rag_status = 'RED' THEN 1 END) as red_count,
+          COUNT(CASE WHEN holiday_pay_rag_status = 'GREEN' THEN 1 END) as holiday_pay_green_count,
+          COUNT(CASE WHEN holiday_pay_rag_status = 'AMBER' THEN 1 END) as holiday_pay_amber_count,
+          COUNT(CASE WHEN holiday_pay_rag_status = 'RED' THEN 1 END) as holiday_pay_red_count,
+          COUNT(CASE WHEN statutory_pay_rag_status = 'GREEN' THEN 1 END) as statutory_pay_green_count,
+          COUNT(CASE WHEN statutory_pay_rag_status = 'AMBER' THEN 1 END) as statutory_pay_amber_count,
+          COUNT(CASE WHEN statutory_pay_rag_status = 'RED' THEN 1 END) as statutory_pay_red_count,
+          COUNT(CASE WHEN pension_rag_status = 'GREEN' THEN 1 END) as pension_green_count,
+          COUNT(CASE WHEN pension_rag_status = 'AMBER' THEN 1 END) as pension_amber_count,
+          COUNT(CASE WHEN pension_rag_status = 'RED' THEN 1 END) as pension_red_count,
           AVG(compliance_score) as average_score,
           MIN(compliance_score) as min_score,
           MAX(compliance_score) as max_score
@@ -0,0 +1,233 @@
+/**
+ * Rates Controller
+ *
+ * Exposes the NMW/NLW rate registry used by every calculator and runs the
+ * rate consistency self-test
+ */
+
+const rateRegistry = require('../config/rateRegistry');
+const RateAdministrationService = require('../services/rateAdministrationService');
+const { getHourlyRateRules } = require('../utils/database-utils');
+
+class RatesController {
+  constructor() {
+    this.rateRegistry = rateRegistry;
+    this.rateAdminService = new RateAdministrationService();
+    this.lastSelfTest = null;
+
+    // HTTP status for each rate administration failure code
+    this.errorStatus = {
+      validation_failed: 400,
+      same_reviewer: 403,
+      not_found: 404,
+      invalid_status: 409
+    };
+  }
+
+  /**
+   * Check the rate registry against itself and the compliance_rules table
+   * The database check is skipped with a warning if the database is unavailable
+   * @returns {Promise<Object>} Self-test result
+   */
+  async runSelfTest() {
+    await this.rateRegistry.loadRates();
+
+    let complianceRules = null;
+    try {
+      complianceRules = await getHourlyRateRules();
+    } catch (error) {
+      console.warn(`⚠️ Rate self-test could not read compliance rules: ${error.message}`);
+    }
+
+    this.lastSelfTest = this.rateRegistry.selfTest(complianceRules);
+
+    if (this.lastSelfTest.passed) {
+      console.log(`✅ Rate registry self-test passed (${this.lastSelfTest.warnings.length} warnings)`);
+    } else {
+      console.error(`❌ Rate registry self-test failed: ${this.lastSelfTest.errors.join('; ')}`);
+    }
+    this.lastSelfTest.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+    return this.lastSelfTest;
+  }
+
+  /**
+   * Get the rate table used by all calculators, optionally for a single date
+   * GET /api/v1/rates?date=2024-04-01
+   */
+  async getRates(req, res) {
+    try {
+      const { date } = req.query;
+
+      await this.rateRegistry.loadRates();
+      const rateTable = this.rateRegistry.getRateTable();
+
+      let periods = rateTable.periods;
+      if (date) {
+        if (isNaN(new Date(date).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'Date must be a valid date'
+          });
+        }
+
+        const ratePeriod = this.rateRegistry.findRatePeriod(date);
+        if (!ratePeriod) {
+          return res.status(404).json({
+            success: false,
+            error: 'No applicable rate period found',
+            date
+          });
+        }
+        periods = periods.filter(period => period.effectiveFrom === ratePeriod.effectiveFrom);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...rateTable,
+          periods,
+          selfTest: this.lastSelfTest
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to get rates:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error while fetching rates',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-run the rate consistency self-test
+   * GET /api/v1/rates/self-test
+   */
+  async getSelfTest(req, res) {
+    try {
+      const selfTest = await this.runSelfTest();
+
+      res.status(selfTest.passed ? 200 : 409).json({
+        success: selfTest.passed,
+        data: selfTest
+      });
+
+    } catch (error) {
+      console.error('❌ Rate self-test failed to run:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Rate self-test failed to run',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * List rate proposals and published versions
+   * GET /api/v1/rates/versions?status=pending_review
+   */
+  async listVersions(req, res) {
+    try {
+      const versions = await this.rateAdminService.listVersions(req.query.status || null);
+
+      res.json({
+        success: true,
+        data: {
+          currentVersion: this.rateRegistry.getVersion(),
+          versions
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to list rate versions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error while listing rate versions',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the full rate table for a published version
+   * GET /api/v1/rates/versions/:version
+   */
+  async getVersion(req, res) {
+    try {
+      const registry = await this.rateAdminService.getRegistryForVersion(req.params.version);
+      if (!registry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rate version not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: registry.getRateTable()
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to get rate version:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error while fetching rate version',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Propose a new effective-dated rate period
+   * POST /api/v1/rates/proposals
+   */
+  async proposeRatePeriod(req, res) {
+    const { ratePeriod, changeSummary } = req.body;
+    const result = await this.rateAdminService.proposeRatePeriod(ratePeriod, changeSummary, req.user);
+    this.sendAdminResult(res, result, 201);
+  }
+
+  /**
+   * Approve or reject a rate period proposal
+   * POST /api/v1/rates/proposals/:id/review
+   */
+  async reviewProposal(req, res) {
+    const { decision, notes } = req.body;
+    const result = await this.rateAdminService.reviewProposal(parseInt(req.params.id, 10), decision, notes, req.user);
+    this.sendAdminResult(res, result);
+  }
+
+  /**
+   * Publish an approved rate period as a new rate version
+   * POST /api/v1/rates/proposals/:id/publish
+   */
+  async publishProposal(req, res) {
+    const result = await this.rateAdminService.publishProposal(parseInt(req.params.id, 10), req.user);
+
+    // Re-check that every rate source agrees with the new version
+    if (result.success) {
+      result.selfTest = await this.runSelfTest();
+    }
+
+    this.sendAdminResult(res, result);
+  }
+
+  /**
+   * Send a rate administration result with the matching HTTP status
+   * @param {Object} res - Express response object
+   * @param {Object} result - Rate administration result
+   * @param {number} successStatus - HTTP status on success
+   */
+  sendAdminResult(res, result, successStatus = 200) {
+    if (result.success) {
+      return res.status(successStatus).json(result);
+    }
+
+    const { code, ...body } = result;
+    res.status(this.errorStatus[code] || 500).json(body);
+  }
+}
+
+module.exports = new RatesController();
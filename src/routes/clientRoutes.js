@@ -68,4 +68,22 @@ router.get('/:clientId/compliance-summary', (req, res) => {
   clientController.getClientComplianceSummary(req, res);
 });
 
+/**
+ * @route   POST /api/clients/:clientId/tronc/collections
+ * @desc    Record service charges or tips collected for a period
+ * @access  Private (Bureau only)
+ */
+router.post('/:clientId/tronc/collections', (req, res) => {
+  clientController.recordTroncCollection(req, res);
+});
+
+/**
+ * @route   GET /api/clients/:clientId/tronc/report
+ * @desc    Get the tips allocation fairness report for a date range
+ * @access  Private (Bureau only)
+ */
+router.get('/:clientId/tronc/report', (req, res) => {
+  clientController.getTroncAllocationReport(req, res);
+});
+
 module.exports = router;
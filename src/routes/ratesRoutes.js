@@ -0,0 +1,80 @@
+/**
+ * Rates Routes
+ *
+ * Endpoints for the NMW/NLW rate registry and its admin-only change workflow
+ */
+
+const express = require('express');
+const ratesController = require('../controllers/ratesController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/rates
+ * @desc    Get the rate table used by every calculator, with the latest self-test result
+ * @access  Public
+ * @query   date=2024-04-01 - Optional: only return the rate period in force on this date
+ */
+router.get('/', (req, res) => {
+  ratesController.getRates(req, res);
+});
+
+/**
+ * @route   GET /api/v1/rates/self-test
+ * @desc    Re-run the rate consistency self-test against the compliance_rules table
+ * @access  Public
+ */
+router.get('/self-test', (req, res) => {
+  ratesController.getSelfTest(req, res);
+});
+
+/**
+ * @route   GET /api/v1/rates/versions
+ * @desc    List rate period proposals and published rate versions
+ * @access  Private (Admin)
+ * @query   status=pending_review - Optional: filter by status
+ */
+router.get('/versions', authController.verifyToken, authController.requireAdmin, (req, res) => {
+  ratesController.listVersions(req, res);
+});
+
+/**
+ * @route   GET /api/v1/rates/versions/:version
+ * @desc    Get the full rate table for a published rate version
+ * @access  Private (Admin)
+ */
+router.get('/versions/:version', authController.verifyToken, authController.requireAdmin, (req, res) => {
+  ratesController.getVersion(req, res);
+});
+
+/**
+ * @route   POST /api/v1/rates/proposals
+ * @desc    Propose a new effective-dated rate period
+ * @access  Private (Admin)
+ * @body    { ratePeriod: { effectiveFrom, description, rates }, changeSummary }
+ */
+router.post('/proposals', authController.verifyToken, authController.requireAdmin, (req, res) => {
+  ratesController.proposeRatePeriod(req, res);
+});
+
+/**
+ * @route   POST /api/v1/rates/proposals/:id/review
+ * @desc    Approve or reject a proposal (must be a different admin from the proposer)
+ * @access  Private (Admin)
+ * @body    { decision: 'approve' | 'reject', notes }
+ */
+router.post('/proposals/:id/review', authController.verifyToken, authController.requireAdmin, (req, res) => {
+  ratesController.reviewProposal(req, res);
+});
+
+/**
+ * @route   POST /api/v1/rates/proposals/:id/publish
+ * @desc    Publish an approved proposal as a new rate version
+ * @access  Private (Admin)
+ */
+router.post('/proposals/:id/publish', authController.verifyToken, authController.requireAdmin, (req, res) => {
+  ratesController.publishProposal(req, res);
+});
+
+module.exports = router;
@@ -24,6 +24,8 @@ const clientRoutes = require('./routes/clientRoutes');
 const demoRoutes = require('./routes/demoRoutes');
 const complianceExplanationRoutes = require('./routes/complianceExplanationRoutes');
 const evidencePackRoutes = require('./routes/evidencePackRoutes');
+const ratesRoutes = require('./routes/ratesRoutes');
+const ratesController = require('./controllers/ratesController');
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -51,7 +53,8 @@ app.get('/', (req, res) => {
         clients: '/api/v1/clients',
         demo: '/api/v1/demo',
         compliance: '/api/v1/compliance',
-        evidencePack: '/api/v1/evidence-pack'
+        evidencePack: '/api/v1/evidence-pack',
+        rates: '/api/v1/rates'
       }
   });
 });
@@ -66,6 +69,7 @@ app.use('/api/v1/clients', clientRoutes);
 app.use('/api/v1/demo', demoRoutes);
 app.use('/api/v1/compliance', complianceExplanationRoutes);
 app.use('/api/v1/evidence-pack', evidencePackRoutes);
+app.use('/api/v1/rates', ratesRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -106,6 +110,11 @@ app.listen(PORT, () => {
   console.log(`📊 Health check available at http://localhost:${PORT}/health`);
   console.log(`📁 CSV upload endpoint available at http://localhost:${PORT}/api/v1/csv/upload`);
   console.log(`📊 PRP calculation endpoint available at http://localhost:${PORT}/api/v1/prp/health`);
+
+  // Check that all rate sources agree before any calculations are run
+  ratesController.runSelfTest().catch(error => {
+    console.error('❌ Rate registry self-test could not run:', error);
+  });
 });
 
 module.exports = app;
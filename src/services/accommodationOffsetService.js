@@ -1,22 +1,33 @@
 const ratesConfig = require('../config/rates');
+const nmwComponentRules = require('../config/nmwComponentRules');
 
 /**
  * Accommodation Offset Service for WageGuard
  * Handles calculation of accommodation offsets that can be legally counted towards NMW/NLW pay
+ *
+ * The offset applies per calendar day the accommodation is provided, so workers who move in
+ * or out part way through a pay reference period only have their occupied days counted.
+ * Separate charges connected to the accommodation (utilities, laundry, furniture, cleaning,
+ * retained deposits) are added to the accommodation charge before the limit is applied.
  */
 class AccommodationOffsetService {
   constructor() {
     this.ratesConfig = ratesConfig;
+    this.componentRules = nmwComponentRules;
+
+    // Component rule category for charges connected to accommodation
+    this.RELATED_CATEGORY_PATH = 'benefitsInKind.accommodation_related';
   }
 
   /**
    * Calculate the permissible accommodation offset for a worker's pay period
    * @param {Object} worker - Worker data
    * @param {Object} payPeriod - Pay period data
-   * @param {Object} accommodationData - Accommodation charge data
+   * @param {Object} accommodationData - Accommodation charge data (total_charge, related_charges)
+   * @param {Object} rawPayComponents - Raw pay components, checked for accommodation-related charges
    * @returns {Object} Accommodation offset calculation result
    */
-  async calculateAccommodationOffset(worker, payPeriod, accommodationData) {
+  async calculateAccommodationOffset(worker, payPeriod, accommodationData, rawPayComponents = {}) {
     try {
       // Validate inputs first
       const validation = this.validateAccommodationInputs(worker, payPeriod, accommodationData);
@@ -33,17 +44,21 @@ class AccommodationOffsetService {
       const accommodationRates = await this.ratesConfig.getCategoryRates('accommodation');
       const dailyLimit = accommodationRates.dailyLimit;
 
-      // Calculate PRP dates
-      const prpDates = this.calculatePRPDates(payPeriod.period_start, payPeriod.period_end);
+      // Calculate PRP dates and the days the accommodation was occupied
+      const prpDates = this.calculatePRPDates(payPeriod.period_start, payPeriod.period_end, this.getOccupancyDates(worker, payPeriod, accommodationData));
+      
+      // Add charges connected to the accommodation to the accommodation charge
+      const relatedCharges = await this.collectRelatedCharges(accommodationData, rawPayComponents);
+      const chargeData = { ...accommodationData, total_charge: (accommodationData.total_charge || 0) + relatedCharges.total };
       
       // Calculate accommodation offset values
-      const offsetValues = this.calculateOffsetValues(accommodationData, prpDates, dailyLimit);
+      const offsetValues = this.calculateOffsetValues(chargeData, prpDates, dailyLimit);
       
       // Determine compliance status
       const complianceStatus = this.determineComplianceStatus(offsetValues, dailyLimit);
       
       // Generate detailed breakdown
-      const breakdown = this.generateBreakdown(offsetValues, dailyLimit, prpDates);
+      const breakdown = this.generateBreakdown(offsetValues, dailyLimit, prpDates, accommodationData.total_charge || 0, relatedCharges);
       
       return {
         success: true,
@@ -53,11 +68,17 @@ class AccommodationOffsetService {
         period_start: payPeriod.period_start,
         period_end: payPeriod.period_end,
         daily_limit: dailyLimit,
-        total_charge: accommodationData.total_charge || 0,
+        weekly_limit: offsetValues.weeklyLimit,
+        occupied_days: offsetValues.totalDays,
+        accommodation_charge: accommodationData.total_charge || 0,
+        related_charges: relatedCharges.charges,
+        total_related_charges: relatedCharges.total,
+        total_charge: chargeData.total_charge,
         total_offset: offsetValues.totalOffset,
         total_excess: offsetValues.totalExcess,
         compliant_days: offsetValues.compliantDays,
         non_compliant_days: offsetValues.nonCompliantDays,
+        occupancy_mismatches: offsetValues.mismatches,
         compliance_status: complianceStatus.status,
         compliance_score: complianceStatus.score,
         breakdown: breakdown,
@@ -118,6 +139,25 @@ class AccommodationOffsetService {
       if (typeof accommodationData.total_charge !== 'number' || accommodationData.total_charge < 0) {
         errors.push('Accommodation total charge must be a non-negative number');
       }
+
+      if (accommodationData.related_charges !== undefined) {
+        if (!Array.isArray(accommodationData.related_charges)) {
+          errors.push('Accommodation related charges must be an array');
+        } else if (accommodationData.related_charges.some(charge => !charge?.name || typeof charge.amount !== 'number' || charge.amount < 0)) {
+          errors.push('Each accommodation related charge requires a name and a non-negative amount');
+        }
+      }
+    }
+
+    // Validate occupancy dates
+    const occupancy = this.getOccupancyDates(worker, payPeriod, accommodationData);
+    const occupancyStart = occupancy.occupancy_start ? new Date(occupancy.occupancy_start) : null;
+    const occupancyEnd = occupancy.occupancy_end ? new Date(occupancy.occupancy_end) : null;
+
+    if ((occupancyStart && isNaN(occupancyStart.getTime())) || (occupancyEnd && isNaN(occupancyEnd.getTime()))) {
+      errors.push('Invalid date format for occupancy start or end');
+    } else if (occupancyStart && occupancyEnd && occupancyEnd < occupancyStart) {
+      errors.push('Occupancy end date must not be before occupancy start date');
     }
 
     return {
@@ -126,13 +166,80 @@ class AccommodationOffsetService {
     };
   }
 
+  /**
+   * Collect charges connected to the accommodation
+   * Charges listed with the accommodation data always count; raw pay components count
+   * when the component rules classify them as accommodation-related
+   * @param {Object} accommodationData - Accommodation charge data (related_charges)
+   * @param {Object} rawPayComponents - Raw pay components
+   * @returns {Promise<Object>} Related charges and their total
+   */
+  async collectRelatedCharges(accommodationData, rawPayComponents = {}) {
+    const charges = [];
+
+    for (const charge of accommodationData.related_charges || []) {
+      if (charge.amount > 0) {
+        const classification = await this.componentRules.classifyAccommodationCharge(charge.name);
+        charges.push({
+          name: charge.name,
+          amount: charge.amount,
+          source: charge.source || 'accommodation_data',
+          category_path: classification?.categoryPath || null,
+          matched_keyword: classification?.matchedKeyword || null
+        });
+      }
+    }
+
+    for (const [componentName, value] of Object.entries(rawPayComponents || {})) {
+      const amount = Math.abs(parseFloat(value)) || 0;
+      if (amount === 0) {
+        continue;
+      }
+
+      // The main accommodation charge is already in total_charge
+      const classification = await this.componentRules.classifyAccommodationCharge(componentName);
+      if (classification?.categoryPath === this.RELATED_CATEGORY_PATH) {
+        charges.push({
+          name: componentName,
+          amount,
+          source: 'pay_component',
+          category_path: classification.categoryPath,
+          matched_keyword: classification.matchedKeyword
+        });
+      }
+    }
+
+    return {
+      charges,
+      total: Math.round(charges.reduce((total, charge) => total + charge.amount, 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Get a worker's accommodation occupancy dates
+   * Dates sent with the accommodation data take priority over the pay period, then the worker
+   * @param {Object} worker - Worker data
+   * @param {Object} payPeriod - Pay period data
+   * @param {Object} accommodationData - Accommodation charge data
+   * @returns {Object} Occupancy start and end dates (null when not provided)
+   */
+  getOccupancyDates(worker, payPeriod, accommodationData) {
+    const sources = [accommodationData, payPeriod, worker];
+
+    return {
+      occupancy_start: sources.map(source => source?.occupancy_start).find(Boolean) || null,
+      occupancy_end: sources.map(source => source?.occupancy_end).find(Boolean) || null
+    };
+  }
+
   /**
    * Calculate Pay-Reference Period (PRP) dates
    * @param {string|Date} periodStart - Period start date
    * @param {string|Date} periodEnd - Period end date
+   * @param {Object} occupancyDates - Occupancy start and end dates (optional)
    * @returns {Object} PRP date information
    */
-  calculatePRPDates(periodStart, periodEnd) {
+  calculatePRPDates(periodStart, periodEnd, occupancyDates = {}) {
     const start = new Date(periodStart);
     const end = new Date(periodEnd);
     
@@ -142,19 +249,63 @@ class AccommodationOffsetService {
     // Calculate working days (excluding weekends - simplified calculation)
     const workingDays = this.calculateWorkingDays(start, end);
     
-    // Calculate actual accommodation days (if accommodation is provided daily)
-    const accommodationDays = totalDays; // Default to total days, can be overridden
+    // Accommodation is offset per calendar day occupied, not per working day
+    const occupancy = this.calculateOccupancy(start, end, occupancyDates.occupancy_start, occupancyDates.occupancy_end);
     
     return {
       start: start,
       end: end,
       totalDays: totalDays,
       workingDays: workingDays,
-      accommodationDays: accommodationDays,
+      accommodationDays: occupancy.occupiedDays,
+      occupancy: occupancy,
       periodLength: totalDays
     };
   }
 
+  /**
+   * Calculate the calendar days the accommodation was occupied within the PRP
+   * Without occupancy dates the accommodation is treated as occupied for the whole PRP
+   * @param {Date} prpStart - PRP start date
+   * @param {Date} prpEnd - PRP end date
+   * @param {string|Date} occupancyStart - Date the worker moved in (optional)
+   * @param {string|Date} occupancyEnd - Date the worker moved out (optional)
+   * @returns {Object} Occupied days, move in/out flags and occupied days per PRP week
+   */
+  calculateOccupancy(prpStart, prpEnd, occupancyStart, occupancyEnd) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const movedInDate = occupancyStart ? new Date(occupancyStart) : null;
+    const movedOutDate = occupancyEnd ? new Date(occupancyEnd) : null;
+
+    const first = movedInDate && movedInDate > prpStart ? movedInDate : prpStart;
+    const last = movedOutDate && movedOutDate < prpEnd ? movedOutDate : prpEnd;
+    const occupiedDays = last >= first ? Math.round((last - first) / dayMs) + 1 : 0;
+
+    // Split the PRP into weeks from its start date for the weekly limit
+    const weeks = [];
+    for (let weekStart = new Date(prpStart); weekStart <= prpEnd; weekStart = new Date(weekStart.getTime() + 7 * dayMs)) {
+      const weekEnd = new Date(Math.min(weekStart.getTime() + 6 * dayMs, prpEnd.getTime()));
+      const overlapStart = first > weekStart ? first : weekStart;
+      const overlapEnd = last < weekEnd ? last : weekEnd;
+
+      weeks.push({
+        start: weekStart.toISOString().split('T')[0],
+        end: weekEnd.toISOString().split('T')[0],
+        occupiedDays: overlapEnd >= overlapStart ? Math.round((overlapEnd - overlapStart) / dayMs) + 1 : 0
+      });
+    }
+
+    return {
+      datesProvided: Boolean(movedInDate || movedOutDate),
+      start: occupiedDays > 0 ? first.toISOString().split('T')[0] : null,
+      end: occupiedDays > 0 ? last.toISOString().split('T')[0] : null,
+      occupiedDays,
+      movedInDuringPeriod: Boolean(movedInDate && movedInDate > prpStart && movedInDate <= prpEnd),
+      movedOutDuringPeriod: Boolean(movedOutDate && movedOutDate < prpEnd && movedOutDate >= prpStart),
+      weeks
+    };
+  }
+
   /**
    * Calculate working days between two dates (excluding weekends)
    * @param {Date} start - Start date
@@ -186,6 +337,7 @@ class AccommodationOffsetService {
   calculateOffsetValues(accommodationData, prpDates, dailyLimit) {
     const totalCharge = accommodationData.total_charge || 0;
     const totalDays = prpDates.accommodationDays;
+    const weeklyLimit = dailyLimit * 7;
     
     // Calculate daily charge
     const dailyCharge = totalDays > 0 ? totalCharge / totalDays : 0;
@@ -196,9 +348,25 @@ class AccommodationOffsetService {
     // Calculate total permissible offset for the period
     const totalOffset = permissibleDailyOffset * totalDays;
     
-    // Calculate excess charge (amount above daily limit)
+    // Calculate excess charge (amount above daily limit); a charge with no occupied days is all excess
     const dailyExcess = Math.max(0, dailyCharge - dailyLimit);
-    const totalExcess = dailyExcess * totalDays;
+    const unoccupiedCharge = totalDays === 0 ? totalCharge : 0;
+    const totalExcess = dailyExcess * totalDays + unoccupiedCharge;
+
+    // Apply the weekly limit (7 x daily limit) to each PRP week, pro rata for part weeks
+    const weeks = (prpDates.occupancy?.weeks || [])
+      .filter(week => week.occupiedDays > 0)
+      .map(week => {
+        const charge = dailyCharge * week.occupiedDays;
+        const limit = Math.min(weeklyLimit, dailyLimit * week.occupiedDays);
+        return {
+          ...week,
+          charge: charge,
+          limit: limit,
+          offset: Math.min(charge, limit),
+          excess: Math.max(0, charge - limit)
+        };
+      });
     
     // Count compliant and non-compliant days
     let compliantDays = 0;
@@ -219,6 +387,10 @@ class AccommodationOffsetService {
       totalDays: totalDays,
       dailyCharge: dailyCharge,
       dailyLimit: dailyLimit,
+      weeklyLimit: weeklyLimit,
+      weeks: weeks,
+      unoccupiedCharge: unoccupiedCharge,
+      mismatches: this.findOccupancyMismatches(accommodationData, prpDates, dailyLimit),
       permissibleDailyOffset: permissibleDailyOffset,
       totalOffset: totalOffset,
       dailyExcess: dailyExcess,
@@ -228,6 +400,50 @@ class AccommodationOffsetService {
     };
   }
 
+  /**
+   * Find mismatches between the accommodation charge and the days occupied
+   * @param {Object} accommodationData - Accommodation charge data (total_charge, charged_days)
+   * @param {Object} prpDates - PRP date information including occupancy
+   * @param {number} dailyLimit - Daily accommodation offset limit
+   * @returns {Array} Mismatches ({ type, message, ... })
+   */
+  findOccupancyMismatches(accommodationData, prpDates, dailyLimit) {
+    const mismatches = [];
+    const totalCharge = accommodationData.total_charge || 0;
+    const occupiedDays = prpDates.accommodationDays;
+    const chargedDays = parseInt(accommodationData.charged_days);
+
+    if (totalCharge > 0 && occupiedDays === 0) {
+      mismatches.push({
+        type: 'charge_without_occupancy',
+        message: `Accommodation charge of £${totalCharge.toFixed(2)} made for a period the worker did not occupy the accommodation`,
+        charge: totalCharge
+      });
+    }
+
+    if (!isNaN(chargedDays) && chargedDays !== occupiedDays) {
+      mismatches.push({
+        type: 'charged_days_mismatch',
+        message: `Accommodation charged for ${chargedDays} days but occupied for ${occupiedDays} days`,
+        charged_days: chargedDays,
+        occupied_days: occupiedDays
+      });
+    }
+
+    // A charge within the limit for the whole PRP but over it for the days occupied suggests unoccupied days were charged
+    if (prpDates.occupancy?.datesProvided && occupiedDays > 0 && occupiedDays < prpDates.totalDays &&
+        totalCharge > dailyLimit * occupiedDays && totalCharge <= dailyLimit * prpDates.totalDays) {
+      mismatches.push({
+        type: 'charge_covers_unoccupied_days',
+        message: `Accommodation charge looks like it covers all ${prpDates.totalDays} days of the pay period but the worker occupied it for ${occupiedDays}`,
+        period_days: prpDates.totalDays,
+        occupied_days: occupiedDays
+      });
+    }
+
+    return mismatches;
+  }
+
   /**
    * Determine compliance status for accommodation offset
    * @param {Object} offsetValues - Calculated offset values
@@ -235,7 +451,7 @@ class AccommodationOffsetService {
    * @returns {Object} Compliance status
    */
   determineComplianceStatus(offsetValues, dailyLimit) {
-    const { dailyCharge, totalExcess, compliantDays, totalDays } = offsetValues;
+    const { dailyCharge, totalExcess, compliantDays, totalDays, unoccupiedCharge } = offsetValues;
     
     // Calculate compliance percentage
     const compliancePercentage = totalDays > 0 ? (compliantDays / totalDays) * 100 : 100;
@@ -244,7 +460,11 @@ class AccommodationOffsetService {
     let status = 'green';
     let score = 100;
     
-    if (dailyCharge > dailyLimit) {
+    if (unoccupiedCharge > 0) {
+      // None of a charge for unoccupied accommodation can be offset
+      status = 'red';
+      score = 0;
+    } else if (dailyCharge > dailyLimit) {
       if (compliancePercentage >= 80) {
         status = 'amber';
         score = Math.round(compliancePercentage);
@@ -269,9 +489,11 @@ class AccommodationOffsetService {
    * @param {Object} offsetValues - Calculated offset values
    * @param {number} dailyLimit - Daily accommodation offset limit
    * @param {Object} prpDates - PRP date information
+   * @param {number} accommodationCharge - Accommodation charge before related charges
+   * @param {Object} relatedCharges - Charges connected to the accommodation
    * @returns {Object} Detailed breakdown
    */
-  generateBreakdown(offsetValues, dailyLimit, prpDates) {
+  generateBreakdown(offsetValues, dailyLimit, prpDates, accommodationCharge = offsetValues.totalCharge, relatedCharges = { charges: [], total: 0 }) {
     const {
       totalCharge,
       totalDays,
@@ -281,18 +503,37 @@ class AccommodationOffsetService {
       dailyExcess,
       totalExcess,
       compliantDays,
-      nonCompliantDays
+      nonCompliantDays,
+      weeklyLimit,
+      weeks,
+      mismatches
     } = offsetValues;
 
     return {
       period: {
         start: prpDates.start.toISOString().split('T')[0],
         end: prpDates.end.toISOString().split('T')[0],
-        totalDays: totalDays,
+        totalDays: prpDates.totalDays,
         workingDays: prpDates.workingDays
       },
+      occupancy: {
+        datesProvided: prpDates.occupancy?.datesProvided || false,
+        start: prpDates.occupancy?.start || null,
+        end: prpDates.occupancy?.end || null,
+        occupiedDays: totalDays,
+        movedInDuringPeriod: prpDates.occupancy?.movedInDuringPeriod || false,
+        movedOutDuringPeriod: prpDates.occupancy?.movedOutDuringPeriod || false,
+        weeks: weeks || [],
+        mismatches: mismatches || []
+      },
       charges: {
         total: totalCharge,
+        accommodation: accommodationCharge,
+        related: relatedCharges.total,
+        components: [
+          ...(accommodationCharge > 0 ? [{ name: 'accommodation_charge', amount: accommodationCharge, source: 'accommodation_data' }] : []),
+          ...relatedCharges.charges
+        ],
         daily: dailyCharge,
         breakdown: {
           compliant: {
@@ -310,6 +551,7 @@ class AccommodationOffsetService {
       },
       limits: {
         dailyLimit: dailyLimit,
+        weeklyLimit: weeklyLimit,
         periodLimit: dailyLimit * totalDays,
         appliedLimit: totalOffset
       },
@@ -0,0 +1,333 @@
+/**
+ * Arrears Calculation Service
+ * Calculates HMRC NMW arrears repayments for underpaid pay reference periods.
+ *
+ * Arrears must be repaid at the current rate, not the rate in force at the time:
+ *   repayment = (arrears ÷ rate at the time) × current rate
+ * If the current rate is lower than the rate at the time, the arrears are repaid as-is.
+ */
+
+const NMWRateLookupService = require('./nmwRateLookupService');
+const { round, toDateKey } = require('../utils/calculation-utils');
+
+class ArrearsCalculationService {
+  constructor() {
+    this.nmwRateService = new NMWRateLookupService();
+    this.MIN_ARREARS_THRESHOLD = 0.01; // Ignore rounding-level shortfalls
+  }
+
+  /**
+   * Calculate arrears repayments for a set of compliance results
+   * Accepts IntegratedNMWService results or evidence pack worker rows
+   * @param {Array} complianceResults - Per-PRP compliance results
+   * @param {Object} options - Calculation options
+   * @param {Date|string} options.calculationDate - Date the arrears are calculated (defaults to today)
+   * @returns {Promise<Object>} Per-worker, per-PRP arrears repayments
+   */
+  async calculateArrears(complianceResults, options = {}) {
+    try {
+      if (!Array.isArray(complianceResults)) {
+        return {
+          success: false,
+          error: 'Compliance results must be an array'
+        };
+      }
+
+      const calculationDate = options.calculationDate ? new Date(options.calculationDate) : new Date();
+      if (isNaN(calculationDate.getTime())) {
+        return {
+          success: false,
+          error: 'Calculation date must be a valid date'
+        };
+      }
+
+      console.log(`💷 Calculating arrears for ${complianceResults.length} pay reference periods`);
+
+      const workers = new Map();
+      const warnings = [];
+
+      for (const result of complianceResults) {
+        if (!result || result.success === false) {
+          continue;
+        }
+
+        const record = this.normalizeRecord(result);
+        if (!record.worker_id || !record.period_start) {
+          warnings.push({
+            type: 'incomplete_record',
+            message: 'Skipped result without worker ID or period start date',
+            worker_id: record.worker_id || 'unknown'
+          });
+          continue;
+        }
+
+        const periodArrears = await this.calculatePeriodArrears(record, calculationDate);
+        if (periodArrears.warning) {
+          warnings.push(periodArrears.warning);
+        }
+        if (!periodArrears.arrears) {
+          continue;
+        }
+
+        if (!workers.has(record.worker_id)) {
+          workers.set(record.worker_id, {
+            worker_id: record.worker_id,
+            worker_name: record.worker_name,
+            periods: [],
+            total_arrears: 0,
+            total_uplift: 0,
+            total_repayment: 0
+          });
+        }
+
+        const worker = workers.get(record.worker_id);
+        worker.periods.push(periodArrears.arrears);
+        worker.total_arrears = round(worker.total_arrears + periodArrears.arrears.arrears);
+        worker.total_uplift = round(worker.total_uplift + periodArrears.arrears.uplift);
+        worker.total_repayment = round(worker.total_repayment + periodArrears.arrears.repayment_due);
+      }
+
+      const workerArrears = Array.from(workers.values());
+      const summary = this.generateSummary(workerArrears);
+
+      console.log(`✅ Arrears calculated: £${summary.total_repayment.toFixed(2)} due across ${summary.total_workers} workers`);
+
+      return {
+        success: true,
+        calculation_date: calculationDate.toISOString(),
+        formula: '(arrears ÷ rate at the time) × current rate',
+        workers: workerArrears,
+        summary,
+        warnings
+      };
+
+    } catch (error) {
+      console.error('❌ Arrears calculation failed:', error);
+      return {
+        success: false,
+        error: 'Arrears calculation failed',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Normalise a compliance result into the fields needed for arrears
+   * @param {Object} result - IntegratedNMWService result or evidence pack worker row
+   * @returns {Object} Normalised record
+   */
+  normalizeRecord(result) {
+    const hours = result.total_hours ?? result.hours ?? result.breakdown?.core_prp?.total_hours ?? 0;
+
+    return {
+      worker_id: result.worker_id,
+      worker_name: result.worker_name || null,
+      age: result.age ?? result.worker_age ?? null,
+      date_of_birth: result.date_of_birth || null,
+      is_apprentice: result.is_apprentice || result.apprentice || false,
+      apprenticeship_start_date: result.apprenticeship_start_date || null,
+      period_start: result.period_start,
+      period_end: result.period_end,
+      total_hours: parseFloat(hours) || 0,
+      effective_hourly_rate: parseFloat(result.effective_hourly_rate) || 0,
+      required_hourly_rate: result.required_hourly_rate ? parseFloat(result.required_hourly_rate) : null
+    };
+  }
+
+  /**
+   * Calculate arrears and the current-rate repayment for a single PRP
+   * @param {Object} record - Normalised compliance record
+   * @param {Date} calculationDate - Date the arrears are calculated
+   * @returns {Promise<Object>} { arrears, warning }
+   */
+  async calculatePeriodArrears(record, calculationDate) {
+    const age = this.resolveAge(record);
+    const rateAtTime = await this.getRateAtTime(record, age);
+
+    if (!rateAtTime) {
+      return {
+        arrears: null,
+        warning: {
+          type: 'rate_unavailable',
+          message: `Could not determine the rate in force for period starting ${toDateKey(record.period_start)}`,
+          worker_id: record.worker_id
+        }
+      };
+    }
+
+    const shortfallPerHour = Math.max(0, rateAtTime.hourlyRate - record.effective_hourly_rate);
+    const arrears = round(shortfallPerHour * record.total_hours);
+
+    if (arrears < this.MIN_ARREARS_THRESHOLD) {
+      return { arrears: null };
+    }
+
+    let warning = null;
+    let currentRate = await this.getCurrentRate(rateAtTime, age, calculationDate);
+    if (!currentRate) {
+      // Without a current rate we can only repay the arrears at face value
+      currentRate = { ...rateAtTime, effectiveFrom: null };
+      warning = {
+        type: 'current_rate_unavailable',
+        message: 'Current rate could not be determined; arrears shown without uplift',
+        worker_id: record.worker_id
+      };
+    }
+
+    const repaymentDue = this.calculateRepayment(arrears, rateAtTime.hourlyRate, currentRate.hourlyRate);
+
+    return {
+      arrears: {
+        period_start: toDateKey(record.period_start),
+        period_end: toDateKey(record.period_end),
+        hours: record.total_hours,
+        effective_hourly_rate: round(record.effective_hourly_rate),
+        rate_at_time: rateAtTime.hourlyRate,
+        rate_at_time_effective_from: rateAtTime.effectiveFrom,
+        rate_type: rateAtTime.rateType,
+        current_rate: currentRate.hourlyRate,
+        current_rate_effective_from: currentRate.effectiveFrom,
+        arrears: arrears,
+        uplift: round(repaymentDue - arrears),
+        repayment_due: repaymentDue,
+        working: `(£${arrears.toFixed(2)} ÷ £${rateAtTime.hourlyRate.toFixed(2)}) × £${currentRate.hourlyRate.toFixed(2)} = £${repaymentDue.toFixed(2)}`
+      },
+      warning
+    };
+  }
+
+  /**
+   * Apply the HMRC current-rate uplift formula
+   * @param {number} arrears - Arrears at the rate in force at the time
+   * @param {number} rateAtTime - NMW rate in force during the PRP
+   * @param {number} currentRate - NMW rate in force on the calculation date
+   * @returns {number} Repayment due
+   */
+  calculateRepayment(arrears, rateAtTime, currentRate) {
+    if (!rateAtTime || rateAtTime <= 0 || currentRate <= rateAtTime) {
+      return round(arrears);
+    }
+
+    return round((arrears / rateAtTime) * currentRate);
+  }
+
+  /**
+   * Determine the worker's age at the start of the PRP
+   * @param {Object} record - Normalised compliance record
+   * @returns {number|null} Age or null if unknown
+   */
+  resolveAge(record) {
+    if (record.date_of_birth) {
+      return this.nmwRateService.calculateAge(record.date_of_birth, record.period_start);
+    }
+
+    if (typeof record.age === 'number' && record.age > 0) {
+      return record.age;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the rate that was in force for the worker during the PRP
+   * @param {Object} record - Normalised compliance record
+   * @param {number|null} age - Worker's age at PRP start
+   * @returns {Promise<Object|null>} Rate information
+   */
+  async getRateAtTime(record, age) {
+    if (age !== null) {
+      const lookup = await this.nmwRateService.getRequiredRate(
+        age,
+        record.period_start,
+        record.is_apprentice,
+        record.apprenticeship_start_date
+      );
+
+      if (lookup.success) {
+        return {
+          hourlyRate: lookup.hourlyRate,
+          rateType: lookup.rateType,
+          effectiveFrom: lookup.ratePeriod.effectiveFrom
+        };
+      }
+    }
+
+    // Fall back to the rate the compliance check itself used
+    if (record.required_hourly_rate) {
+      return {
+        hourlyRate: record.required_hourly_rate,
+        rateType: null,
+        effectiveFrom: null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the current rate for the same rate band the worker was in during the PRP
+   * Falls back to the age-based band if that band no longer exists
+   * @param {Object} rateAtTime - Rate in force during the PRP
+   * @param {number|null} age - Worker's age at PRP start
+   * @param {Date} calculationDate - Date the arrears are calculated
+   * @returns {Promise<Object|null>} Current rate information
+   */
+  async getCurrentRate(rateAtTime, age, calculationDate) {
+    await this.nmwRateService.loadRates();
+    const currentPeriod = this.nmwRateService.findApplicableRatePeriod(calculationDate);
+    if (!currentPeriod) {
+      return null;
+    }
+
+    const sameBand = rateAtTime.rateType ? currentPeriod.rates[rateAtTime.rateType] : null;
+    if (sameBand) {
+      return {
+        hourlyRate: sameBand.hourlyRate,
+        rateType: rateAtTime.rateType,
+        effectiveFrom: currentPeriod.effectiveFrom
+      };
+    }
+
+    if (age === null) {
+      return null;
+    }
+
+    const ageBand = this.nmwRateService.determineApplicableRate(age, false, null, currentPeriod, calculationDate);
+    return {
+      hourlyRate: ageBand.hourlyRate,
+      rateType: ageBand.rateType,
+      effectiveFrom: currentPeriod.effectiveFrom
+    };
+  }
+
+  /**
+   * Generate summary totals across all workers
+   * @param {Array} workerArrears - Per-worker arrears
+   * @returns {Object} Summary statistics
+   */
+  generateSummary(workerArrears) {
+    const summary = {
+      total_workers: workerArrears.length,
+      total_periods: 0,
+      total_arrears: 0,
+      total_uplift: 0,
+      total_repayment: 0,
+      currency: 'GBP'
+    };
+
+    for (const worker of workerArrears) {
+      summary.total_periods += worker.periods.length;
+      summary.total_arrears += worker.total_arrears;
+      summary.total_uplift += worker.total_uplift;
+      summary.total_repayment += worker.total_repayment;
+    }
+
+    summary.total_arrears = round(summary.total_arrears);
+    summary.total_uplift = round(summary.total_uplift);
+    summary.total_repayment = round(summary.total_repayment);
+
+    return summary;
+  }
+}
+
+module.exports = ArrearsCalculationService;
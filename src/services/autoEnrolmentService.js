@@ -0,0 +1,357 @@
+/**
+ * Auto-enrolment Service
+ * Checks workplace pension automatic enrolment for each pay period against
+ * the earnings bands, age thresholds and minimum contributions for the tax
+ * year, as a separate RAG dimension alongside the NMW check.
+ *
+ * Workers aged 22 to State Pension age earning above the earnings trigger for
+ * the pay reference period are eligible jobholders and must be enrolled. Other
+ * workers aged 16 to 74 earning above the lower qualifying earnings limit are
+ * non-eligible jobholders, who can opt in with employer contributions, and
+ * those earning less are entitled workers, who can join without them. The
+ * employer must pay at least 3% and the employer and worker together at least
+ * 8% of qualifying earnings, the band between the lower and upper limits.
+ * Shortfalls are rated with the same RAG statuses and severity bands as the
+ * NMW hourly rate check.
+ */
+
+const { pool } = require('../config/database');
+const RAGStatusService = require('./ragStatusService');
+const NMWRateLookupService = require('./nmwRateLookupService');
+const SalarySacrificeService = require('./salarySacrificeService');
+const SalariedHoursService = require('./salariedHoursService');
+const autoEnrolmentThresholds = require('../config/autoEnrolmentThresholds');
+const { toAmount, round, toDateKey } = require('../utils/calculation-utils');
+
+class AutoEnrolmentService {
+  constructor() {
+    this.ragStatusService = new RAGStatusService();
+    this.nmwRateService = new NMWRateLookupService();
+    this.salarySacrificeService = new SalarySacrificeService();
+    this.salariedHoursService = new SalariedHoursService();
+    this.autoEnrolmentThresholds = autoEnrolmentThresholds;
+
+    // Pension providers round contributions, so shortfalls of a few pence are not flagged
+    this.AMOUNT_TOLERANCE = 0.05;
+
+    // Employers can postpone automatic enrolment for up to 3 months from the worker's start date
+    this.MAX_POSTPONEMENT_MONTHS = 3;
+
+    this.CATEGORY_LABELS = {
+      eligible_jobholder: 'Eligible jobholder',
+      non_eligible_jobholder: 'Non-eligible jobholder',
+      entitled_worker: 'Entitled worker',
+      not_in_scope: 'Not in scope'
+    };
+  }
+
+  /**
+   * Work out the pay reference period from the pay period dates
+   * Uses the same pay frequency as the salaried-hours calculation, falling back to the period type without dates
+   * @param {Object} payPeriod - Pay period data (period_start, period_end, period_type)
+   * @returns {string} Pay reference period ('weekly', 'fortnightly', 'four_weekly', 'monthly', 'quarterly', 'bi_annual' or 'annual')
+   */
+  getPayReferencePeriod(payPeriod) {
+    const start = toDateKey(payPeriod.period_start);
+    const end = toDateKey(payPeriod.period_end);
+    if (!start || !end) {
+      return payPeriod.period_type || 'monthly';
+    }
+
+    return this.salariedHoursService.getPayFrequency(start, end);
+  }
+
+  /**
+   * Get earnings for the pay period that count towards auto-enrolment
+   * Uploaded pay is gross pay before salary sacrifice, so sacrificed salary is taken off, as in the
+   * NMW calculation. Holiday pay and statutory sick, maternity and paternity pay are uploaded apart
+   * from pay but are qualifying earnings
+   * @param {Object} payPeriod - Pay period data
+   * @returns {number} Earnings
+   */
+  getEarnings(payPeriod) {
+    const payAfterSacrifice = Math.max((toAmount(payPeriod.total_pay) || 0) - this.salarySacrificeService.getColumnSacrifice(payPeriod), 0);
+
+    return round(['holiday_pay', 'ssp_paid', 'smp_paid', 'spp_paid']
+      .reduce((sum, field) => sum + (toAmount(payPeriod[field]) || 0), payAfterSacrifice));
+  }
+
+  /**
+   * Get the worker's age at the end of the pay period
+   * @param {Object} worker - Worker data (date_of_birth, age)
+   * @param {string} referenceDate - Date (YYYY-MM-DD)
+   * @returns {number|null} Age, or null if not known
+   */
+  getAge(worker, referenceDate) {
+    if (worker?.date_of_birth) {
+      return this.nmwRateService.calculateAge(worker.date_of_birth, referenceDate);
+    }
+
+    const age = parseInt(worker?.age);
+    return isNaN(age) ? null : age;
+  }
+
+  /**
+   * Get the last day of the postponement window for a worker
+   * A postponement date from the worker's notice is used when uploaded, but no later than 3 months after
+   * the start date. With only a start date, the employer may have postponed for the full 3 months
+   * @param {Object} worker - Worker data (employment_start_date, pension_postponement_date)
+   * @returns {string|null} Last day of postponement (YYYY-MM-DD), or null if neither date is known
+   */
+  getPostponementEnd(worker) {
+    const start = toDateKey(worker?.employment_start_date);
+    const postponement = toDateKey(worker?.pension_postponement_date);
+
+    let latest = null;
+    if (start) {
+      const limit = new Date(start);
+      limit.setUTCMonth(limit.getUTCMonth() + this.MAX_POSTPONEMENT_MONTHS);
+      // A start on the 31st runs to the end of a shorter month rather than into the next
+      if (limit.getUTCDate() !== new Date(start).getUTCDate()) {
+        limit.setUTCDate(0);
+      }
+      latest = limit.toISOString().split('T')[0];
+    }
+
+    if (postponement) {
+      return latest && postponement > latest ? latest : postponement;
+    }
+
+    return latest;
+  }
+
+  /**
+   * Classify a worker for automatic enrolment
+   * @param {number} age - Worker's age
+   * @param {number} earnings - Earnings in the pay reference period
+   * @param {Object} ageThresholds - Age thresholds
+   * @param {Object} band - Earnings band for the pay reference period
+   * @returns {string} Worker category
+   */
+  classifyWorker(age, earnings, ageThresholds, band) {
+    if (age < ageThresholds.minimumAge || age >= ageThresholds.maximumAge) {
+      return 'not_in_scope';
+    }
+
+    if (earnings > band.earningsTrigger && age >= ageThresholds.eligibleAge && age < ageThresholds.statePensionAge) {
+      return 'eligible_jobholder';
+    }
+
+    return earnings > band.lowerQualifyingEarnings ? 'non_eligible_jobholder' : 'entitled_worker';
+  }
+
+  /**
+   * Check auto-enrolment for a pay period
+   * @param {Object} worker - Worker data (date_of_birth, age, employment_start_date, pension_postponement_date)
+   * @param {Object} payPeriod - Pay period data (employer_pension_contribution, employee_pension_contribution, pension_opt_out, pension_sacrifice, ...)
+   * @returns {Object} Auto-enrolment result
+   */
+  checkAutoEnrolment(worker, payPeriod) {
+    const referenceDate = toDateKey(payPeriod.period_end) || toDateKey(payPeriod.period_start);
+    const result = {
+      success: true,
+      worker_id: worker?.id,
+      pay_period_id: payPeriod.id,
+      category: null,
+      ragStatus: 'GREEN',
+      reason: null,
+      severity: null,
+      issue: null
+    };
+
+    const thresholds = referenceDate ? this.autoEnrolmentThresholds.getThresholdsForDate(referenceDate) : null;
+    if (!thresholds) {
+      return { ...result, ragStatus: 'AMBER', issue: 'thresholds_missing', reason: `No auto-enrolment thresholds are configured for ${referenceDate || 'this pay period'}` };
+    }
+
+    const age = this.getAge(worker, referenceDate);
+    if (age === null) {
+      return { ...result, ragStatus: 'AMBER', issue: 'age_missing', reason: 'The worker cannot be assessed for auto-enrolment without a date of birth or age' };
+    }
+
+    const payReferencePeriod = this.getPayReferencePeriod(payPeriod);
+    const band = thresholds.earnings[payReferencePeriod];
+    const earnings = this.getEarnings(payPeriod);
+    const category = this.classifyWorker(age, earnings, thresholds.ageThresholds, band);
+
+    // Pension salary sacrifice is paid into the scheme by the employer
+    const employer = toAmount(payPeriod.employer_pension_contribution);
+    const sacrifice = toAmount(payPeriod.pension_sacrifice) || 0;
+    const employee = toAmount(payPeriod.employee_pension_contribution);
+    const employerTotal = employer === null && sacrifice === 0 ? null : (employer || 0) + sacrifice;
+
+    const qualifyingEarnings = round(Math.max(Math.min(earnings, band.upperQualifyingEarnings) - band.lowerQualifyingEarnings, 0));
+    const minimumEmployer = round(qualifyingEarnings * thresholds.contributions.employerPercentage / 100);
+    const minimumTotal = round(qualifyingEarnings * thresholds.contributions.totalPercentage / 100);
+    const optedOut = ['true', 'yes', 'y', '1'].includes(String(payPeriod.pension_opt_out ?? '').trim().toLowerCase());
+    const isMember = (employerTotal || 0) > 0 || (employee || 0) > 0;
+
+    const assessed = {
+      ...result,
+      category,
+      age,
+      pay_reference_period: payReferencePeriod,
+      earnings,
+      lower_qualifying_earnings: band.lowerQualifyingEarnings,
+      earnings_trigger: band.earningsTrigger,
+      upper_qualifying_earnings: band.upperQualifyingEarnings,
+      qualifying_earnings: qualifyingEarnings,
+      opted_out: optedOut,
+      contributions: {
+        employer: employerTotal,
+        employee,
+        total: employerTotal === null && employee === null ? null : round((employerTotal || 0) + (employee || 0)),
+        minimum_employer: minimumEmployer,
+        minimum_total: minimumTotal
+      },
+      employer_shortfall: 0,
+      total_shortfall: 0,
+      tax_year: thresholds.description
+    };
+
+    const label = this.CATEGORY_LABELS[category];
+
+    // Eligible jobholders must be enrolled unless they opt out; others only contribute once they opt in
+    if (category === 'not_in_scope') {
+      return { ...assessed, reason: `Aged ${age}, so outside the ${thresholds.ageThresholds.minimumAge} to ${thresholds.ageThresholds.maximumAge - 1} age range for auto-enrolment` };
+    }
+
+    if (category === 'eligible_jobholder' && optedOut) {
+      return { ...assessed, reason: `${label} who has opted out; they must be re-enrolled every three years` };
+    }
+
+    if (category === 'entitled_worker' || (category === 'non_eligible_jobholder' && !isMember)) {
+      return {
+        ...assessed,
+        reason: category === 'entitled_worker'
+          ? `${label} earning £${earnings.toFixed(2)}, not above the lower qualifying earnings limit (£${band.lowerQualifyingEarnings.toFixed(2)}); they can ask to join a pension scheme`
+          : `${label}; they can opt in with employer contributions`
+      };
+    }
+
+    if (category === 'eligible_jobholder' && employerTotal === null && employee === null) {
+      return {
+        ...assessed,
+        ragStatus: 'AMBER',
+        issue: 'contributions_missing',
+        reason: `${label} earning £${earnings.toFixed(2)}, above the earnings trigger (£${band.earningsTrigger.toFixed(2)}); upload pension contributions to confirm they were enrolled`
+      };
+    }
+
+    // Enrolment is not yet due while the employer is postponing it
+    const postponementEnd = this.getPostponementEnd(worker);
+    if (category === 'eligible_jobholder' && !isMember && postponementEnd && referenceDate <= postponementEnd) {
+      return {
+        ...assessed,
+        ragStatus: 'AMBER',
+        issue: 'enrolment_postponed',
+        postponement_end: postponementEnd,
+        reason: `${label} not yet enrolled, within the postponement period ending ${postponementEnd}; confirm they are enrolled from the day after`
+      };
+    }
+
+    return this.rateContributions(assessed, label);
+  }
+
+  /**
+   * Rate contributions against the employer and total minimums
+   * @param {Object} assessed - Auto-enrolment result so far
+   * @param {string} label - Worker category label
+   * @returns {Object} Auto-enrolment result
+   */
+  rateContributions(assessed, label) {
+    const { contributions } = assessed;
+    const employer = contributions.employer || 0;
+    const total = contributions.total || 0;
+    const employerShortfall = round(Math.max(contributions.minimum_employer - employer, 0));
+    const totalShortfall = round(Math.max(contributions.minimum_total - total, 0));
+
+    const employerStatus = this.ragStatusService.determineStatusFromAmounts(
+      employer, contributions.minimum_employer, 'Employer pension contribution', this.AMOUNT_TOLERANCE
+    );
+    const totalStatus = this.ragStatusService.determineStatusFromAmounts(
+      total, contributions.minimum_total, 'Total pension contribution', this.AMOUNT_TOLERANCE
+    );
+    const status = employerStatus.ragStatus === 'RED' ? employerStatus : totalStatus;
+
+    let issue = null;
+    if (status.ragStatus === 'RED') {
+      if (total === 0 && assessed.category === 'eligible_jobholder') {
+        issue = 'not_enrolled';
+      } else {
+        issue = employerStatus.ragStatus === 'RED' ? 'employer_contribution_below_minimum' : 'total_contribution_below_minimum';
+      }
+    }
+
+    return {
+      ...assessed,
+      ragStatus: status.ragStatus,
+      reason: status.ragStatus === 'RED' ? `${label}: ${status.reason}` : `${label} with at least the minimum contributions on qualifying earnings of £${assessed.qualifying_earnings.toFixed(2)}`,
+      severity: status.severity,
+      issue,
+      employer_shortfall: status.ragStatus === 'RED' ? employerShortfall : 0,
+      total_shortfall: status.ragStatus === 'RED' ? totalShortfall : 0
+    };
+  }
+
+  /**
+   * Summarise auto-enrolment results by RAG status and worker category
+   * @param {Array} results - Auto-enrolment results
+   * @returns {Object} Auto-enrolment summary
+   */
+  summarizeResults(results) {
+    const checked = results.filter(Boolean);
+    const summary = this.ragStatusService.getRAGStatusSummary(checked);
+    const countCategory = category => checked.filter(result => result.category === category).length;
+
+    return {
+      checked: checked.length,
+      green: summary.green,
+      amber: summary.amber,
+      red: summary.red,
+      eligible_jobholders: countCategory('eligible_jobholder'),
+      non_eligible_jobholders: countCategory('non_eligible_jobholder'),
+      entitled_workers: countCategory('entitled_worker'),
+      total_employer_shortfall: round(checked.reduce((sum, result) => sum + (result.employer_shortfall || 0), 0)),
+      total_contribution_shortfall: round(checked.reduce((sum, result) => sum + (result.total_shortfall || 0), 0))
+    };
+  }
+
+  /**
+   * Build the auto-enrolment section of an evidence pack from the stored checks for an upload
+   * @param {Object} uploadInfo - Upload information
+   * @returns {Promise<Object|null>} Auto-enrolment findings, or null if the upload has not been checked
+   */
+  async generateEvidenceReport(uploadInfo) {
+    const result = await pool.query(`
+      SELECT DISTINCT ON (cc.pay_period_id)
+        cc.pension_check, w.external_id, w.name, pp.period_start, pp.period_end
+      FROM compliance_checks cc
+      JOIN pay_periods pp ON cc.pay_period_id = pp.id
+      JOIN workers w ON cc.worker_id = w.id
+      WHERE pp.csv_upload_id = $1 AND cc.pension_check IS NOT NULL
+      ORDER BY cc.pay_period_id, cc.created_at DESC
+    `, [uploadInfo.id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const findings = result.rows.map(row => ({
+      ...row.pension_check,
+      worker_id: row.external_id,
+      worker_name: row.name,
+      period_start: row.period_start,
+      period_end: row.period_end
+    }));
+
+    return {
+      summary: this.summarizeResults(findings),
+      workers: findings,
+      rule: 'Eligible jobholders must be enrolled with employer contributions of at least 3% and total contributions of at least 8% of qualifying earnings',
+      thresholds_version: this.autoEnrolmentThresholds.getVersion()
+    };
+  }
+}
+
+module.exports = AutoEnrolmentService;
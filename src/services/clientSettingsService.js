@@ -0,0 +1,46 @@
+/**
+ * Client Settings Service
+ * Loads the settings a client has configured for its workers, such as
+ * mandatory unpaid activities, worker expense defaults and the tronc scheme,
+ * and decides which role-limited entries apply to a worker.
+ *
+ * Only client organisations have settings; employers uploading their own
+ * payroll have none.
+ */
+
+const { pool } = require('../config/database');
+
+class ClientSettingsService {
+  /**
+   * Get a client's settings
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type ('client' or 'employer')
+   * @returns {Promise<Object|null>} Client settings, or null for employers and unknown clients
+   */
+  async getSettings(organizationId, organizationType) {
+    if (!organizationId || organizationType !== 'client') {
+      return null;
+    }
+
+    const result = await pool.query('SELECT settings FROM clients WHERE id = $1', [organizationId]);
+    return result.rows[0]?.settings || null;
+  }
+
+  /**
+   * Check whether a configured entry applies to a worker's role
+   * Entries without roles apply to every worker; roles are matched ignoring case and spacing
+   * @param {Object} entry - Configured entry with optional roles
+   * @param {Object} worker - Worker information (role)
+   * @returns {boolean} True if the entry applies
+   */
+  appliesToRole(entry, worker) {
+    if (!Array.isArray(entry.roles) || entry.roles.length === 0) {
+      return true;
+    }
+
+    const role = String(worker?.role || '').trim().toLowerCase();
+    return role !== '' && entry.roles.some(entryRole => entryRole.trim().toLowerCase() === role);
+  }
+}
+
+module.exports = ClientSettingsService;
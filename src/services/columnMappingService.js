@@ -18,6 +18,9 @@ class ColumnMappingService {
       this.llmAvailable = false;
     }
 
+    // Treatments that can be set on a deduction line to override the component rules
+    this.DEDUCTION_TREATMENTS = ['employer_benefit', 'worker_benefit', 'statutory'];
+
     // Define our expected schema with descriptions
     this.schemaDefinitions = {
       // Core worker identification
@@ -33,6 +36,12 @@ class ColumnMappingService {
         required: true,
         type: "string"
       },
+      date_of_birth: {
+        description: "Worker's date of birth, used to set the rate band at the start of each pay period",
+        examples: ["2003-05-14", "14/05/2003"],
+        required: false,
+        type: "date"
+      },
       
       // Time and date fields
       hours: {
@@ -94,6 +103,20 @@ class ColumnMappingService {
         type: "number"
       },
       
+      // Time-clock punches
+      timestamp: {
+        description: "Date and time of a clock-in or clock-out punch",
+        examples: ["2024-01-15 08:58", "15/01/2024 17:02", "2024-01-15T22:00:00"],
+        required: false,
+        type: "datetime"
+      },
+      direction: {
+        description: "Whether the punch is a clock-in or a clock-out",
+        examples: ["IN", "OUT", "Clock In"],
+        required: false,
+        type: "string"
+      },
+      
       // NMW deductions (reduce pay for NMW purposes)
       uniform_deduction: {
         description: "Deduction for uniform/workwear costs",
@@ -127,6 +150,18 @@ class ColumnMappingService {
         required: false,
         type: "currency"
       },
+      occupancy_start: {
+        description: "Date the worker moved into employer-provided accommodation, if during the pay period",
+        examples: ["2024-04-10", "10/04/2024"],
+        required: false,
+        type: "date"
+      },
+      occupancy_end: {
+        description: "Date the worker moved out of employer-provided accommodation, if during the pay period",
+        examples: ["2024-04-21", "21/04/2024"],
+        required: false,
+        type: "date"
+      },
       meals_charge: {
         description: "Charge for meals provided by employer",
         examples: ["30.00", "£30", "0"],
@@ -178,10 +213,310 @@ class ColumnMappingService {
         type: "number"
       },
       holiday_pay: {
-        description: "Holiday/annual leave pay",
+        description: "Holiday/annual leave pay, or rolled-up holiday pay for irregular-hours workers (not included in pay)",
         examples: ["400.00", "£400", "0"],
         required: false,
         type: "currency"
+      },
+      holiday_hours: {
+        description: "Hours of annual leave taken in the pay period",
+        examples: ["16", "7.5", "0"],
+        required: false,
+        type: "number"
+      },
+      overtime_pay: {
+        description: "Overtime pay for the period, included in pay",
+        examples: ["120.00", "£85.50", "0"],
+        required: false,
+        type: "currency"
+      },
+      hours_pattern: {
+        description: "Whether the worker has irregular hours or works part of the year, for holiday accrual at 12.07%",
+        examples: ["regular", "irregular", "part_year"],
+        required: false,
+        type: "string"
+      },
+      leave_year_start: {
+        description: "Date the worker's holiday leave year starts",
+        examples: ["2024-04-01", "01/01/2025"],
+        required: false,
+        type: "date"
+      },
+      average_weekly_earnings: {
+        description: "Average weekly earnings used for statutory sick, maternity and paternity pay eligibility",
+        examples: ["450.00", "£320.50"],
+        required: false,
+        type: "currency"
+      },
+      sick_days: {
+        description: "Qualifying days of sickness absence in the pay period",
+        examples: ["3", "5", "0"],
+        required: false,
+        type: "number"
+      },
+      sickness_start: {
+        description: "First day of the period of incapacity for work",
+        examples: ["2025-05-12", "12/05/2025"],
+        required: false,
+        type: "date"
+      },
+      linked_sickness: {
+        description: "Whether the sickness links to an earlier period of incapacity, so no waiting days apply",
+        examples: ["yes", "no", "true"],
+        required: false,
+        type: "string"
+      },
+      qualifying_days_per_week: {
+        description: "Number of SSP qualifying days in the worker's week",
+        examples: ["5", "3"],
+        required: false,
+        type: "number"
+      },
+      ssp_paid: {
+        description: "Statutory Sick Pay paid in the period",
+        examples: ["71.25", "£118.75", "0"],
+        required: false,
+        type: "currency"
+      },
+      maternity_pay_start: {
+        description: "First day of the Statutory Maternity Pay period",
+        examples: ["2025-03-03", "03/03/2025"],
+        required: false,
+        type: "date"
+      },
+      smp_paid: {
+        description: "Statutory Maternity Pay paid in the period",
+        examples: ["1620.00", "£748.72", "0"],
+        required: false,
+        type: "currency"
+      },
+      paternity_leave_start: {
+        description: "First day of paternity leave",
+        examples: ["2025-06-02", "02/06/2025"],
+        required: false,
+        type: "date"
+      },
+      paternity_leave_end: {
+        description: "Last day of paternity leave",
+        examples: ["2025-06-15", "15/06/2025"],
+        required: false,
+        type: "date"
+      },
+      spp_paid: {
+        description: "Statutory Paternity Pay paid in the period",
+        examples: ["374.36", "£187.18", "0"],
+        required: false,
+        type: "currency"
+      },
+      employer_pension_contribution: {
+        description: "Employer workplace pension contribution for the period",
+        examples: ["54.96", "£32.10", "0"],
+        required: false,
+        type: "currency"
+      },
+      employee_pension_contribution: {
+        description: "Worker's own workplace pension contribution for the period",
+        examples: ["73.28", "£42.80", "0"],
+        required: false,
+        type: "currency"
+      },
+      pension_opt_out: {
+        description: "Whether the worker has opted out of the workplace pension",
+        examples: ["yes", "no", "true"],
+        required: false,
+        type: "string"
+      },
+      employment_start_date: {
+        description: "Date the worker started employment, from which auto-enrolment can be postponed for up to 3 months",
+        examples: ["2025-03-10", "10/03/2025"],
+        required: false,
+        type: "date"
+      },
+      pension_postponement_date: {
+        description: "Date auto-enrolment is postponed to, as given in the worker's postponement notice",
+        examples: ["2025-06-10", "10/06/2025"],
+        required: false,
+        type: "date"
+      },
+      shift_type: {
+        description: "Rota shift type (standard, awake night, sleep-in, on-call at home or at the workplace)",
+        examples: ["standard", "sleep_in", "on_call_home", "awake_night"],
+        required: false,
+        type: "string"
+      },
+      active_hours: {
+        description: "Hours spent awake and working during a sleep-in or on-call shift",
+        examples: ["0", "1.5", "2"],
+        required: false,
+        type: "number"
+      },
+      travel_minutes: {
+        description: "Minutes spent travelling from the previous visit on the same day",
+        examples: ["10", "15", "25"],
+        required: false,
+        type: "number"
+      },
+      
+      // Work model
+      work_type: {
+        description: "NMW work type of the worker's contract (time, salaried hours, output or unmeasured work)",
+        examples: ["time_work", "salaried_hours", "output_work", "unmeasured_work"],
+        required: false,
+        type: "string"
+      },
+      annual_basic_hours: {
+        description: "Contracted annual basic hours for salaried-hours workers",
+        examples: ["2080", "1950", "1716"],
+        required: false,
+        type: "number"
+      },
+      calculation_year_start: {
+        description: "Start date of the salaried-hours calculation year",
+        examples: ["2024-04-06", "01/01/2024"],
+        required: false,
+        type: "date"
+      },
+      units_produced: {
+        description: "Units or pieces produced by an output worker in the period",
+        examples: ["1200", "350", "48"],
+        required: false,
+        type: "number"
+      },
+      piece_rate: {
+        description: "Amount paid per unit or piece produced",
+        examples: ["0.12", "£0.12", "1.50"],
+        required: false,
+        type: "currency"
+      },
+      mean_hourly_output: {
+        description: "Mean hourly output rate from the employer's fair piece rate test",
+        examples: ["100", "42.5", "12"],
+        required: false,
+        type: "number"
+      },
+      days_worked: {
+        description: "Number of days the worker was available for work in the period",
+        examples: ["5", "20", "22"],
+        required: false,
+        type: "number"
+      },
+      shifts_worked: {
+        description: "Number of shifts worked in the period",
+        examples: ["5", "18", "21"],
+        required: false,
+        type: "number"
+      },
+      role: {
+        description: "Worker's job role, used to apply client mandatory unpaid activities",
+        examples: ["Warehouse Operative", "Care Assistant", "Security Officer"],
+        required: false,
+        type: "string"
+      },
+      training_hours: {
+        description: "Unpaid training hours in the period, such as induction days or mandatory e-learning",
+        examples: ["7.5", "2", "15"],
+        required: false,
+        type: "number"
+      },
+      training_description: {
+        description: "Description of the unpaid training undertaken",
+        examples: ["Induction", "Mandatory e-learning", "Manual handling course"],
+        required: false,
+        type: "string"
+      },
+      pension_sacrifice: {
+        description: "Salary given up under a pension salary sacrifice scheme",
+        examples: ["45.00", "120.50", "0"],
+        required: false,
+        type: "currency"
+      },
+      cycle_to_work_sacrifice: {
+        description: "Salary given up under a cycle-to-work scheme",
+        examples: ["25.00", "41.67", "0"],
+        required: false,
+        type: "currency"
+      },
+      childcare_voucher_sacrifice: {
+        description: "Salary given up for childcare vouchers",
+        examples: ["243.00", "100.00", "0"],
+        required: false,
+        type: "currency"
+      },
+      ev_sacrifice: {
+        description: "Salary given up under an electric vehicle salary sacrifice scheme",
+        examples: ["350.00", "275.50", "0"],
+        required: false,
+        type: "currency"
+      },
+      salary_sacrifice: {
+        description: "Other salary sacrifice amounts not covered by a specific scheme column",
+        examples: ["50.00", "15.00", "0"],
+        required: false,
+        type: "currency"
+      },
+      worker_expenses: {
+        description: "Work expenses the worker paid for themselves with no payroll deduction, such as a DBS check or uniform",
+        examples: ["40.00", "18.00", "0"],
+        required: false,
+        type: "currency"
+      },
+      deduction_line: {
+        description: "A named deduction from pay, such as a gym membership or uniform charge. Several columns can be mapped here",
+        examples: ["25.00", "12.50", "0"],
+        required: false,
+        type: "currency"
+      },
+      worker_expense_description: {
+        description: "Description of the expenses the worker paid for",
+        examples: ["DBS check", "Uniform from supplier", "Own car without mileage"],
+        required: false,
+        type: "string"
+      },
+      agreed_daily_hours: {
+        description: "Daily average hours agreed in writing for unmeasured work",
+        examples: ["7.5", "8", "6"],
+        required: false,
+        type: "number"
+      },
+      daily_average_agreement_date: {
+        description: "Date the unmeasured work daily average agreement was made",
+        examples: ["2024-04-01", "01/04/2024"],
+        required: false,
+        type: "date"
+      },
+      
+      // Pay in arrears
+      arrears_pay: {
+        description: "Part of this period's pay that is for work done in an earlier period (e.g. overtime paid a month late)",
+        examples: ["150.00", "£85.50", "42"],
+        required: false,
+        type: "currency"
+      },
+      relates_to_period: {
+        description: "A date within the earlier pay period that the pay in arrears relates to",
+        examples: ["2024-04-01", "01/04/2024"],
+        required: false,
+        type: "date"
+      },
+      
+      // Tips collected and distributed
+      site: {
+        description: "Site, venue or branch where the tips were received",
+        examples: ["Soho", "Manchester Piccadilly", "Branch 12"],
+        required: false,
+        type: "string"
+      },
+      tips_amount: {
+        description: "Tips received from customers on the date, or tips paid to the worker on the date",
+        examples: ["245.60", "£80", "0"],
+        required: false,
+        type: "currency"
+      },
+      tips_month: {
+        description: "Month the tips being paid out were received from customers",
+        examples: ["2024-03", "2024-03-01", "01/03/2024"],
+        required: false,
+        type: "date"
       }
     };
 
@@ -190,6 +525,7 @@ class ColumnMappingService {
       // Worker identification
       worker_id: ['worker_id', 'employee_id', 'staff_id', 'emp_id', 'id', 'worker', 'employee', 'staff_number'],
       worker_name: ['worker_name', 'employee_name', 'staff_name', 'name', 'full_name', 'employee', 'worker'],
+      date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'birthdate'],
       
       // Time fields
       hours: ['hours', 'hours_worked', 'total_hours', 'worked_hours', 'hrs', 'time_worked'],
@@ -199,6 +535,8 @@ class ColumnMappingService {
       start_time: ['start_time', 'clock_in', 'begin_time', 'start', 'shift_start'],
       end_time: ['end_time', 'clock_out', 'finish_time', 'end', 'shift_end'],
       break_minutes: ['break_minutes', 'break_time', 'break', 'rest_time', 'breaks'],
+      timestamp: ['timestamp', 'punch_time', 'clock_time', 'event_time', 'date_time', 'datetime', 'punch_timestamp'],
+      direction: ['direction', 'punch_type', 'event_type', 'in_out', 'clock_type', 'punch_direction'],
       
       // Pay fields
       pay: ['pay', 'total_pay', 'gross_pay', 'wages', 'salary', 'amount', 'earnings'],
@@ -214,6 +552,8 @@ class ColumnMappingService {
       accommodation_charge: ['accommodation_charge', 'accommodation_cost', 'housing_charge', 'lodging_fee'],
       meals_charge: ['meals_charge', 'meal_cost', 'food_charge', 'subsistence_charge'],
       transport_charge: ['transport_charge', 'transport_cost', 'travel_cost', 'commute_cost'],
+      occupancy_start: ['occupancy_start', 'occupancy_start_date', 'move_in_date', 'accommodation_start'],
+      occupancy_end: ['occupancy_end', 'occupancy_end_date', 'move_out_date', 'accommodation_end'],
       
       // Additional components
       bonus: ['bonus', 'performance_bonus', 'incentive_pay', 'reward'],
@@ -222,7 +562,61 @@ class ColumnMappingService {
       tronc: ['tronc', 'service_charge_pool', 'tip_pool', 'pooled_tips'],
       shift_premium: ['shift_premium', 'night_shift', 'weekend_premium', 'unsocial_hours'],
       overtime_rate: ['overtime_rate', 'overtime_multiplier', 'ot_rate', 'overtime'],
-      holiday_pay: ['holiday_pay', 'holiday_allowance', 'annual_leave_pay', 'vacation_pay']
+      holiday_pay: ['holiday_pay', 'holiday_allowance', 'annual_leave_pay', 'vacation_pay', 'rolled_up_holiday_pay'],
+      holiday_hours: ['holiday_hours', 'leave_hours', 'annual_leave_hours', 'holiday_hours_taken'],
+      overtime_pay: ['overtime_pay', 'overtime_earnings', 'ot_pay', 'overtime_amount'],
+      hours_pattern: ['hours_pattern', 'irregular_hours', 'working_pattern', 'hours_type'],
+      leave_year_start: ['leave_year_start', 'holiday_year_start', 'leave_year'],
+      average_weekly_earnings: ['average_weekly_earnings', 'awe', 'avg_weekly_earnings', 'average_weekly_pay'],
+      sick_days: ['sick_days', 'sickness_days', 'days_sick', 'sick_days_taken'],
+      sickness_start: ['sickness_start', 'sickness_start_date', 'piw_start', 'first_day_sick'],
+      linked_sickness: ['linked_sickness', 'linked_piw'],
+      qualifying_days_per_week: ['qualifying_days_per_week', 'qualifying_days', 'ssp_qualifying_days'],
+      ssp_paid: ['ssp_paid', 'ssp', 'statutory_sick_pay'],
+      maternity_pay_start: ['maternity_pay_start', 'smp_start', 'smp_start_date', 'mpp_start'],
+      smp_paid: ['smp_paid', 'smp', 'statutory_maternity_pay'],
+      paternity_leave_start: ['paternity_leave_start', 'spp_start', 'paternity_start'],
+      paternity_leave_end: ['paternity_leave_end', 'spp_end', 'paternity_end'],
+      spp_paid: ['spp_paid', 'spp', 'statutory_paternity_pay'],
+      employer_pension_contribution: ['employer_pension_contribution', 'employer_pension', 'er_pension', 'er_pension_contribution'],
+      employee_pension_contribution: ['employee_pension_contribution', 'employee_pension', 'ee_pension', 'ee_pension_contribution'],
+      pension_opt_out: ['pension_opt_out', 'pension_opted_out', 'opted_out', 'ae_opt_out'],
+      employment_start_date: ['employment_start_date', 'date_started', 'employment_start', 'date_joined'],
+      pension_postponement_date: ['pension_postponement_date', 'postponement_date', 'deferral_date', 'ae_postponement_date', 'postponed_until'],
+      shift_type: ['shift_type', 'shift_category', 'shift_kind', 'shift_class'],
+      active_hours: ['active_hours', 'awake_hours', 'hours_awake', 'call_out_hours', 'hours_worked_on_call'],
+      travel_minutes: ['travel_minutes', 'travel_time', 'travel_time_minutes', 'travel_mins', 'journey_minutes'],
+      
+      // Work model
+      work_type: ['work_type', 'pay_basis', 'nmw_work_type', 'contract_type'],
+      annual_basic_hours: ['annual_basic_hours', 'annual_hours', 'contracted_annual_hours', 'basic_annual_hours'],
+      calculation_year_start: ['calculation_year_start', 'calculation_year', 'salary_year_start'],
+      units_produced: ['units_produced', 'units', 'pieces', 'pieces_produced', 'output_units', 'quantity_produced'],
+      piece_rate: ['piece_rate', 'rate_per_piece', 'rate_per_unit', 'unit_rate'],
+      mean_hourly_output: ['mean_hourly_output', 'mean_hourly_output_rate', 'average_hourly_output', 'fair_rate_output'],
+      days_worked: ['days_worked', 'days', 'working_days', 'days_available'],
+      shifts_worked: ['shifts_worked', 'number_of_shifts', 'shift_count', 'shifts'],
+      role: ['role', 'job_title', 'job_role', 'position', 'worker_role'],
+      training_hours: ['training_hours', 'unpaid_training_hours', 'induction_hours', 'elearning_hours', 'e_learning_hours', 'course_hours'],
+      training_description: ['training_description', 'training_type', 'course_name', 'training_course'],
+      pension_sacrifice: ['pension_sacrifice', 'pension_salary_sacrifice', 'sacrifice_pension', 'ss_pension'],
+      cycle_to_work_sacrifice: ['cycle_to_work_sacrifice', 'cycle_to_work', 'cycle_sacrifice', 'bike_scheme'],
+      childcare_voucher_sacrifice: ['childcare_voucher_sacrifice', 'childcare_vouchers', 'childcare_voucher', 'childcare_sacrifice'],
+      ev_sacrifice: ['ev_sacrifice', 'ev_scheme', 'electric_car_scheme', 'ev_salary_sacrifice', 'car_scheme'],
+      salary_sacrifice: ['salary_sacrifice', 'other_sacrifice', 'sacrifice_amount', 'salary_sacrifice_other'],
+      worker_expenses: ['worker_expenses', 'expenses_borne_by_worker', 'worker_paid_expenses', 'unreimbursed_expenses', 'out_of_pocket_expenses'],
+      worker_expense_description: ['worker_expense_description', 'expense_description', 'worker_expense_type'],
+      agreed_daily_hours: ['agreed_daily_hours', 'daily_average_hours', 'daily_average', 'agreed_hours_per_day'],
+      daily_average_agreement_date: ['daily_average_agreement_date', 'agreement_date', 'daily_average_agreement'],
+      
+      // Pay in arrears
+      arrears_pay: ['arrears_pay', 'pay_in_arrears', 'back_pay', 'late_paid_amount', 'arrears'],
+      relates_to_period: ['relates_to_period', 'relates_to', 'related_period', 'work_period', 'arrears_period'],
+      
+      // Tips collected and distributed
+      site: ['site', 'site_name', 'location', 'venue', 'branch', 'outlet'],
+      tips_amount: ['tips_amount', 'tip_amount', 'tips_collected', 'amount_collected', 'tips_distributed', 'amount_distributed', 'tips_paid', 'amount_paid'],
+      tips_month: ['tips_month', 'tip_month', 'collection_month', 'month_collected', 'tips_received_month']
     };
   }
 
@@ -524,11 +918,20 @@ Guidelines:
     
     switch (csvType) {
       case 'rota':
-        return [...baseFields, 'date', 'start_time', 'end_time', 'break_minutes', 'shift_premium', 'overtime_rate', 'holiday_pay'];
+        return [...baseFields, 'date', 'start_time', 'end_time', 'break_minutes', 'shift_type', 'active_hours', 'travel_minutes', 'shift_premium', 'overtime_rate', 'holiday_pay'];
       
       case 'timesheet':
         return [...baseFields, 'date', 'hours', 'pay_rate', 'pay', 'bonus', 'commission', 'tips', 'tronc'];
       
+      case 'punches':
+        return [...baseFields, 'timestamp', 'direction'];
+      
+      case 'tips_collected':
+        return ['site', 'date', 'tips_amount'];
+      
+      case 'tips_distributed':
+        return [...baseFields, 'date', 'tips_amount', 'site', 'tips_month'];
+      
       case 'payroll':
       default:
         return Object.keys(this.schemaDefinitions);
@@ -566,15 +969,28 @@ Guidelines:
           continue;
         }
 
-        // Check for duplicates
+        // Validate deduction treatment overrides
+        if (mapping.deductionTreatment !== undefined) {
+          if (mapping.suggestedField !== 'deduction_line') {
+            errors.push(`Header "${mapping.csvHeader}" can only have a deduction treatment when mapped to deduction_line`);
+            continue;
+          }
+          if (!this.DEDUCTION_TREATMENTS.includes(mapping.deductionTreatment)) {
+            errors.push(`Deduction treatment for "${mapping.csvHeader}" must be one of: ${this.DEDUCTION_TREATMENTS.join(', ')}`);
+            continue;
+          }
+        }
+
+        // Check for duplicates; any number of headers can be deduction lines
         const duplicates = validMappings.filter(m => m.suggestedField === mapping.suggestedField);
-        if (duplicates.length > 0) {
+        if (duplicates.length > 0 && mapping.suggestedField !== 'deduction_line') {
           warnings.push(`Field "${mapping.suggestedField}" is mapped to multiple headers`);
         }
 
         validMappings.push({
           csvHeader: mapping.csvHeader,
           suggestedField: mapping.suggestedField,
+          ...(mapping.deductionTreatment ? { deductionTreatment: mapping.deductionTreatment } : {}),
           confidence: 100, // User-confirmed mappings have 100% confidence
           reasoning: 'User confirmed'
         });
@@ -596,6 +1012,24 @@ Guidelines:
     }
   }
 
+  /**
+   * Get the deduction treatment overrides from validated mappings
+   * Headers mapped to deduction_line without a treatment are classified by the component rules
+   * @param {Object[]} mappings - Validated mappings
+   * @returns {Object} Deduction treatment keyed by lower-case CSV header
+   */
+  getDeductionTreatments(mappings) {
+    const treatments = {};
+
+    (mappings || [])
+      .filter(mapping => mapping.suggestedField === 'deduction_line' && mapping.deductionTreatment)
+      .forEach(mapping => {
+        treatments[mapping.csvHeader.trim().toLowerCase()] = mapping.deductionTreatment;
+      });
+
+    return treatments;
+  }
+
   /**
    * Get schema information for frontend display
    * @param {string} csvType - CSV type
@@ -50,6 +50,32 @@ class ComplianceExplanationService {
         shortDescription: 'Worker age required to determine applicable minimum wage rate'
       },
       
+      // Hours Reconciliation Issues
+      'ROSTERED_HOURS_EXCEED_PAID': {
+        category: 'critical',
+        title: 'Unpaid Rostered Hours',
+        shortDescription: 'Hours rostered or clocked exceed the hours paid, so some working time has not been paid'
+      },
+      'UNPAID_TRAINING_TIME': {
+        category: 'critical',
+        title: 'Unpaid Training Time',
+        shortDescription: 'Unpaid training such as induction days or mandatory e-learning is working time and must be paid at least the minimum wage'
+      },
+      
+      // Worker-Incurred Expense Issues
+      'WORKER_INCURRED_EXPENSES': {
+        category: 'critical',
+        title: 'Work Expenses Paid by Worker',
+        shortDescription: 'Work-related costs the worker paid for themselves, such as a DBS check, uniform or use of their own car, reduce pay for minimum wage purposes'
+      },
+      
+      // Salary Sacrifice Issues
+      'SALARY_SACRIFICE_BELOW_MINIMUM': {
+        category: 'critical',
+        title: 'Salary Sacrifice Below Minimum Wage',
+        shortDescription: 'Salary sacrifice takes pay below the minimum wage, leaving the employer owing arrears and exposed to penalties and public naming'
+      },
+      
       // Fix Suggestion Types
       'ARREARS_TOP_UP': {
         category: 'action',
@@ -152,6 +178,22 @@ class ComplianceExplanationService {
       time_period: {
         fields: ['period_start', 'period_end', 'period_type', 'total_hours', 'break_minutes'],
         description: 'Pay period and working time details'
+      },
+      hours_reconciliation: {
+        fields: ['paid_hours', 'rostered_hours', 'clocked_hours', 'unpaid_hours'],
+        description: 'Paid hours compared with rostered and clocked hours'
+      },
+      training_time: {
+        fields: ['training_hours', 'training_description', 'hours_without_training', 'effective_hourly_rate_without_training'],
+        description: 'Unpaid training time added to hours worked'
+      },
+      worker_expenses: {
+        fields: ['total_expenses', 'expense_source', 'expenses'],
+        description: 'Work expenses paid by the worker with no payroll deduction'
+      },
+      salary_sacrifice: {
+        fields: ['total_sacrifice', 'effective_hourly_rate_without_sacrifice', 'arrears_owed', 'maximum_penalty', 'naming_risk'],
+        description: 'Salary sacrifice and the employer\'s exposure when it takes pay below the minimum wage'
       }
     };
   }
@@ -327,6 +369,41 @@ class ComplianceExplanationService {
       };
     }
 
+    if (issueDetails.paid_hours !== undefined && issueDetails.unpaid_hours !== undefined) {
+      context.hoursComparison = {
+        paid: parseFloat(issueDetails.paid_hours),
+        rostered: issueDetails.rostered_hours !== null && issueDetails.rostered_hours !== undefined ? parseFloat(issueDetails.rostered_hours) : null,
+        clocked: issueDetails.clocked_hours !== null && issueDetails.clocked_hours !== undefined ? parseFloat(issueDetails.clocked_hours) : null,
+        unpaid: parseFloat(issueDetails.unpaid_hours)
+      };
+    }
+
+    if (issueDetails.training_hours !== undefined) {
+      context.trainingTime = {
+        hours: parseFloat(issueDetails.training_hours),
+        description: issueDetails.training_description || null,
+        rateWithoutTraining: issueDetails.effective_hourly_rate_without_training !== undefined
+          ? parseFloat(issueDetails.effective_hourly_rate_without_training)
+          : null
+      };
+    }
+
+    if (issueDetails.total_expenses !== undefined) {
+      context.workerExpenses = {
+        total: parseFloat(issueDetails.total_expenses),
+        source: issueDetails.expense_source || null
+      };
+    }
+
+    if (issueDetails.total_sacrifice !== undefined && issueDetails.arrears_owed !== undefined) {
+      context.employerExposure = {
+        sacrifice: parseFloat(issueDetails.total_sacrifice),
+        arrears: parseFloat(issueDetails.arrears_owed),
+        maximumPenalty: parseFloat(issueDetails.maximum_penalty) || 0,
+        namingRisk: issueDetails.naming_risk === true
+      };
+    }
+
     return context;
   }
 
@@ -33,6 +33,42 @@ class CsvGenerationService {
       const workerCSV = await this.generateWorkerDetailsCSV(evidencePack.workers);
       csvSections.push(workerCSV);
 
+      // Generate rate year selection section
+      if (evidencePack.rateSelection && evidencePack.rateSelection.length > 0) {
+        const rateSelectionCSV = await this.generateRateSelectionCSV(evidencePack.rateSelection);
+        csvSections.push(rateSelectionCSV);
+      }
+
+      // Generate travel time section if travel between visits was added
+      if (evidencePack.travelTime && evidencePack.travelTime.length > 0) {
+        const travelTimeCSV = await this.generateTravelTimeCSV(evidencePack.travelTime);
+        csvSections.push(travelTimeCSV);
+      }
+
+      // Generate output work section if any output workers are present
+      if (evidencePack.outputWork && evidencePack.outputWork.length > 0) {
+        const outputWorkCSV = await this.generateOutputWorkCSV(evidencePack.outputWork);
+        csvSections.push(outputWorkCSV);
+      }
+
+      // Generate tips allocation section if the client has a tronc scheme or tips were paid
+      if (evidencePack.troncAllocation) {
+        const troncAllocationCSV = await this.generateTroncAllocationCSV(evidencePack.troncAllocation);
+        csvSections.push(troncAllocationCSV);
+      }
+
+      // Generate auto-enrolment section if pension checks were stored for the upload
+      if (evidencePack.autoEnrolment) {
+        const autoEnrolmentCSV = await this.generateAutoEnrolmentCSV(evidencePack.autoEnrolment);
+        csvSections.push(autoEnrolmentCSV);
+      }
+
+      // Generate arrears section if any repayments are due
+      if (evidencePack.arrears && evidencePack.arrears.workers.length > 0) {
+        const arrearsCSV = await this.generateArrearsCSV(evidencePack.arrears);
+        csvSections.push(arrearsCSV);
+      }
+
       // Generate explanations section if available
       if (evidencePack.explanations && evidencePack.explanations.length > 0) {
         const explanationsCSV = await this.generateExplanationsCSV(evidencePack.explanations);
@@ -128,7 +164,8 @@ class CsvGenerationService {
       'RAG Status': worker.rag_status,
       'Shortfall Amount (£)': worker.shortfall_amount > 0 ? worker.shortfall_amount.toFixed(2) : '0.00',
       'Issue Description': worker.rag_reason,
-      'Period Type': worker.period_type || 'monthly'
+      'Period Type': worker.period_type || 'monthly',
+      'Work Type': worker.work_type || 'time_work'
     }));
 
     // Generate header section
@@ -149,13 +186,324 @@ class CsvGenerationService {
         'RAG Status',
         'Shortfall Amount (£)',
         'Issue Description',
-        'Period Type'
+        'Period Type',
+        'Work Type'
       ]
     });
 
     return headerCSV + '\n' + workerCSV;
   }
 
+  /**
+   * Generate rate year selection CSV
+   * @param {Array} rateSelection - Rate selection for each worker PRP
+   * @returns {Promise<string>} CSV content
+   */
+  async generateRateSelectionCSV(rateSelection) {
+    // Add header section
+    const headerRows = [
+      ['RATE YEAR SELECTION', '', '', '', '', ''],
+      ['Basis', 'Rates in force at the start of each pay reference period', '', '', '', ''],
+      ['', '', '', '', '', '']
+    ];
+
+    const selectionData = rateSelection.map(selection => ({
+      'Worker ID': selection.worker_id,
+      'Worker Name': selection.worker_name || 'N/A',
+      'Period Start': new Date(selection.period_start).toLocaleDateString(),
+      'Period End': new Date(selection.period_end).toLocaleDateString(),
+      'Rate Year': selection.rate_year,
+      'Spans Uprating': selection.spans_uprating ? `Yes (${selection.uprating_date})` : 'No',
+      'Reason': selection.explanation
+    }));
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate rate selection data
+    const selectionCSV = await this.stringifyAsync(selectionData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Period Start',
+        'Period End',
+        'Rate Year',
+        'Spans Uprating',
+        'Reason'
+      ]
+    });
+
+    return headerCSV + '\n' + selectionCSV;
+  }
+
+  /**
+   * Generate travel time CSV
+   * @param {Array} travelTime - Travel time added for each worker PRP
+   * @returns {Promise<string>} CSV content
+   */
+  async generateTravelTimeCSV(travelTime) {
+    // Add header section
+    const headerRows = [
+      ['TRAVEL TIME BETWEEN VISITS', '', '', '', '', '', '', '', ''],
+      ['Basis', 'Travel between consecutive visits on the same day counts as working time', '', '', '', '', '', '', ''],
+      ['', '', '', '', '', '', '', '', '']
+    ];
+
+    const travelData = travelTime.map(entry => ({
+      'Worker ID': entry.worker_id,
+      'Worker Name': entry.worker_name || 'N/A',
+      'Period Start': new Date(entry.period_start).toLocaleDateString(),
+      'Period End': new Date(entry.period_end).toLocaleDateString(),
+      'Visits': entry.visits,
+      'Rota Hours': entry.rota_hours.toFixed(2),
+      'Travel Hours Added': entry.travel_hours.toFixed(2),
+      'Default Journeys': `${entry.default_travel_legs} of ${entry.travel_legs}`,
+      'Hours for NMW': entry.qualifying_hours.toFixed(2)
+    }));
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate travel time data
+    const travelCSV = await this.stringifyAsync(travelData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Period Start',
+        'Period End',
+        'Visits',
+        'Rota Hours',
+        'Travel Hours Added',
+        'Default Journeys',
+        'Hours for NMW'
+      ]
+    });
+
+    return headerCSV + '\n' + travelCSV;
+  }
+
+  /**
+   * Generate tips allocation fairness CSV
+   * @param {Object} troncAllocation - Tronc governance, reconciliation and fairness report
+   * @returns {Promise<string>} CSV content
+   */
+  async generateTroncAllocationCSV(troncAllocation) {
+    const { governance, reconciliation, fairness } = troncAllocation;
+
+    // Add header section
+    const headerRows = [
+      ['TIPS ALLOCATION', '', '', '', '', '', '', ''],
+      ['Scheme Type', governance.scheme_type, '', '', '', '', '', ''],
+      ['Troncmaster', governance.troncmaster ? governance.troncmaster.name : 'None', '', '', '', '', '', ''],
+      ['Distribution Policy', governance.distribution_policy || 'Not recorded', '', '', '', '', '', ''],
+      ['NI Treatment', governance.ni_treatment, '', '', '', '', '', ''],
+      ['Total Collected', reconciliation.total_collected.toFixed(2), '', '', '', '', '', ''],
+      ['Total Paid to Workers', reconciliation.total_distributed.toFixed(2), '', '', '', '', '', ''],
+      ['Reconciliation', reconciliation.status, reconciliation.message, '', '', '', '', ''],
+      ...governance.issues.map(issue => ['Issue', issue.message, issue.action_required, '', '', '', '', '']),
+      ['Fairness Basis', fairness.basis, '', '', '', '', '', ''],
+      ['', '', '', '', '', '', '', '']
+    ];
+
+    const allocationData = fairness.workers.map(worker => ({
+      'Worker ID': worker.worker_id,
+      'Worker Name': worker.worker_name || 'N/A',
+      'Role': worker.role || 'N/A',
+      'Hours': worker.hours.toFixed(2),
+      'Received': worker.amount.toFixed(2),
+      'Expected Share': worker.expected_share !== null && worker.expected_share !== undefined ? worker.expected_share.toFixed(2) : 'N/A',
+      'Difference': worker.variance !== null && worker.variance !== undefined ? worker.variance.toFixed(2) : 'N/A',
+      'Fair Share': !fairness.assessed ? 'Manual review' : (worker.flagged ? 'REVIEW' : 'PASS')
+    }));
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate allocation data
+    const allocationCSV = await this.stringifyAsync(allocationData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Role',
+        'Hours',
+        'Received',
+        'Expected Share',
+        'Difference',
+        'Fair Share'
+      ]
+    });
+
+    return headerCSV + '\n' + allocationCSV;
+  }
+
+  /**
+   * Generate auto-enrolment CSV
+   * @param {Object} autoEnrolment - Auto-enrolment classification and contribution findings
+   * @returns {Promise<string>} CSV content
+   */
+  async generateAutoEnrolmentCSV(autoEnrolment) {
+    const { summary, workers } = autoEnrolment;
+    const formatAmount = amount => amount !== null && amount !== undefined ? amount.toFixed(2) : 'N/A';
+
+    // Add header section
+    const headerRows = [
+      ['PENSION AUTO-ENROLMENT', '', '', '', '', '', '', '', '', '', ''],
+      ['Rule', autoEnrolment.rule, '', '', '', '', '', '', '', '', ''],
+      ['Eligible Jobholders', summary.eligible_jobholders, '', '', '', '', '', '', '', '', ''],
+      ['Non-eligible Jobholders', summary.non_eligible_jobholders, '', '', '', '', '', '', '', '', ''],
+      ['Entitled Workers', summary.entitled_workers, '', '', '', '', '', '', '', '', ''],
+      ['Employer Shortfall', summary.total_employer_shortfall.toFixed(2), '', '', '', '', '', '', '', '', ''],
+      ['Total Contribution Shortfall', summary.total_contribution_shortfall.toFixed(2), '', '', '', '', '', '', '', '', ''],
+      ['', '', '', '', '', '', '', '', '', '', '']
+    ];
+
+    const workerData = workers.map(worker => ({
+      'Worker ID': worker.worker_id,
+      'Worker Name': worker.worker_name || 'N/A',
+      'Age': worker.age ?? 'N/A',
+      'Pay Reference Period': worker.pay_reference_period || 'N/A',
+      'Earnings': formatAmount(worker.earnings),
+      'Category': worker.category || 'Not assessed',
+      'Employer Contribution': formatAmount(worker.contributions?.employer),
+      'Total Contribution': formatAmount(worker.contributions?.total),
+      'Minimum Employer': formatAmount(worker.contributions?.minimum_employer),
+      'Minimum Total': formatAmount(worker.contributions?.minimum_total),
+      'Status': worker.ragStatus
+    }));
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate worker data
+    const workerCSV = await this.stringifyAsync(workerData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Age',
+        'Pay Reference Period',
+        'Earnings',
+        'Category',
+        'Employer Contribution',
+        'Total Contribution',
+        'Minimum Employer',
+        'Minimum Total',
+        'Status'
+      ]
+    });
+
+    return headerCSV + '\n' + workerCSV;
+  }
+
+  /**
+   * Generate output work CSV
+   * @param {Array} outputWork - Output work results
+   * @returns {Promise<string>} CSV content
+   */
+  async generateOutputWorkCSV(outputWork) {
+    // Add header section
+    const headerRows = [
+      ['OUTPUT WORK', '', '', '', '', '', '', ''],
+      ['', '', '', '', '', '', '', '']
+    ];
+
+    const outputData = outputWork.map(result => ({
+      'Worker ID': result.worker_id,
+      'Worker Name': result.worker_name || 'N/A',
+      'Units Produced': result.units_produced,
+      'Piece Rate (£)': result.piece_rate.toFixed(4),
+      'Mean Hourly Output': result.rated_output_work ? result.mean_hourly_output : 'N/A',
+      'Fair Piece Rate (£)': result.fair_piece_rate !== null ? result.fair_piece_rate.toFixed(4) : 'N/A',
+      'Hours for NMW': result.hours_for_nmw.toFixed(2),
+      'Hours Basis': result.hours_basis,
+      'Effective Hourly Rate (£)': result.effective_hourly_rate.toFixed(2),
+      'Fair Rate Test': result.piece_rate_is_fair === null ? 'Not rated' : (result.piece_rate_is_fair ? 'Pass' : 'Fail')
+    }));
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate output work data
+    const outputCSV = await this.stringifyAsync(outputData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Units Produced',
+        'Piece Rate (£)',
+        'Mean Hourly Output',
+        'Fair Piece Rate (£)',
+        'Hours for NMW',
+        'Hours Basis',
+        'Effective Hourly Rate (£)',
+        'Fair Rate Test'
+      ]
+    });
+
+    return headerCSV + '\n' + outputCSV;
+  }
+
+  /**
+   * Generate arrears repayments CSV
+   * @param {Object} arrears - Arrears calculation data
+   * @returns {Promise<string>} CSV content
+   */
+  async generateArrearsCSV(arrears) {
+    // Add header section
+    const headerRows = [
+      ['ARREARS REPAYMENTS', '', '', '', '', '', '', ''],
+      ['Formula', arrears.formula, '', '', '', '', '', ''],
+      ['Calculation Date', new Date(arrears.calculation_date).toLocaleDateString(), '', '', '', '', '', ''],
+      ['', '', '', '', '', '', '', '']
+    ];
+
+    // One row per underpaid pay reference period
+    const arrearsData = [];
+    for (const worker of arrears.workers) {
+      for (const period of worker.periods) {
+        arrearsData.push({
+          'Worker ID': worker.worker_id,
+          'Worker Name': worker.worker_name || 'N/A',
+          'Period Start': period.period_start || 'N/A',
+          'Period End': period.period_end || 'N/A',
+          'Hours': period.hours.toFixed(2),
+          'Effective Hourly Rate (£)': period.effective_hourly_rate.toFixed(2),
+          'Rate at Time (£)': period.rate_at_time.toFixed(2),
+          'Current Rate (£)': period.current_rate.toFixed(2),
+          'Arrears (£)': period.arrears.toFixed(2),
+          'Uplift (£)': period.uplift.toFixed(2),
+          'Repayment Due (£)': period.repayment_due.toFixed(2)
+        });
+      }
+    }
+
+    // Generate header section
+    const headerCSV = await this.stringifyAsync(headerRows, { header: false });
+
+    // Generate arrears data
+    const arrearsCSV = await this.stringifyAsync(arrearsData, {
+      header: true,
+      columns: [
+        'Worker ID',
+        'Worker Name',
+        'Period Start',
+        'Period End',
+        'Hours',
+        'Effective Hourly Rate (£)',
+        'Rate at Time (£)',
+        'Current Rate (£)',
+        'Arrears (£)',
+        'Uplift (£)',
+        'Repayment Due (£)'
+      ]
+    });
+
+    return headerCSV + '\n' + arrearsCSV;
+  }
+
   /**
    * Generate explanations CSV
    * @param {Array} explanations - Explanation data
@@ -389,6 +737,11 @@ class CsvGenerationService {
       csvFiles['non_compliant_workers.csv'] = await this.generateWorkerDetailsCSV(nonCompliantWorkers);
     }
 
+    // Arrears repayments for payroll
+    if (evidencePack.arrears && evidencePack.arrears.workers.length > 0) {
+      csvFiles['arrears_repayments.csv'] = await this.generateArrearsCSV(evidencePack.arrears);
+    }
+
     // Review required workers
     const reviewWorkers = evidencePack.workers.filter(w => w.rag_status === 'AMBER');
     if (reviewWorkers.length > 0) {
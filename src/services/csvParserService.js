@@ -1,6 +1,10 @@
 const fs = require('fs-extra');
 const { parse } = require('csv-parse');
 const path = require('path');
+const WorkTypeService = require('./workTypeService');
+const ShiftClassificationService = require('./shiftClassificationService');
+const PunchPairingService = require('./punchPairingService');
+const { round } = require('../utils/calculation-utils');
 
 /**
  * CSV Parser Service for WageGuard
@@ -12,30 +16,69 @@ class CSVParserService {
     this.expectedColumns = {
       payroll: ['worker_id', 'worker_name', 'hours', 'pay', 'period_start', 'period_end'],
       rota: ['worker_id', 'worker_name', 'date', 'start_time', 'end_time', 'break_minutes'],
-      timesheet: ['worker_id', 'worker_name', 'date', 'hours_worked', 'pay_rate', 'total_pay']
+      timesheet: ['worker_id', 'worker_name', 'date', 'hours_worked', 'pay_rate', 'total_pay'],
+      punches: ['worker_id', 'worker_name', 'timestamp', 'direction'],
+      tips_collected: ['site', 'date', 'tips_amount'],
+      tips_distributed: ['worker_id', 'worker_name', 'date', 'tips_amount']
     };
 
     // Extended expected columns for NMW compliance calculations
     this.extendedColumns = {
       payroll: [
         'worker_id', 'worker_name', 'hours', 'pay', 'period_start', 'period_end',
+        // Date of birth sets the rate band at the start of each PRP
+        'date_of_birth',
         // Deductions that reduce NMW pay
         'uniform_deduction', 'tools_deduction', 'training_deduction', 'other_deductions',
         // Offsets that can be added to NMW pay
         'accommodation_charge', 'meals_charge', 'transport_charge',
+        // Accommodation occupancy dates for workers moving in or out mid-period
+        'occupancy_start', 'occupancy_end',
         // Additional pay components for payroll
-        'bonus', 'commission', 'tips', 'tronc'
+        'bonus', 'commission', 'tips', 'tronc',
+        // Work model (salaried-hours, output and unmeasured workers)
+        'work_type', 'annual_basic_hours', 'calculation_year_start',
+        'units_produced', 'piece_rate', 'mean_hourly_output',
+        'days_worked', 'agreed_daily_hours', 'daily_average_agreement_date',
+        // Pay in arrears relating to an earlier pay reference period
+        'arrears_pay', 'relates_to_period',
+        // Role and shift count for client mandatory unpaid activities
+        'role', 'shifts_worked',
+        // Unpaid training time (induction days, mandatory e-learning) counts as working time
+        'training_hours', 'training_description',
+        // Salary sacrifice reduces NMW pay
+        'pension_sacrifice', 'cycle_to_work_sacrifice', 'childcare_voucher_sacrifice', 'ev_sacrifice', 'salary_sacrifice',
+        // Work expenses the worker paid for themselves reduce NMW pay
+        'worker_expenses', 'worker_expense_description',
+        // Holiday pay, checked against 12.07% accrual or the 52-week average; pay includes overtime and commission
+        'holiday_pay', 'holiday_hours', 'overtime_pay', 'hours_pattern', 'leave_year_start',
+        // Statutory sick, maternity and paternity pay, checked against the rates for the tax year
+        'average_weekly_earnings', 'sick_days', 'sickness_start', 'linked_sickness', 'qualifying_days_per_week', 'ssp_paid',
+        'maternity_pay_start', 'smp_paid', 'paternity_leave_start', 'paternity_leave_end', 'spp_paid',
+        // Workplace pension contributions, checked against the auto-enrolment minimums
+        'employer_pension_contribution', 'employee_pension_contribution', 'pension_opt_out',
+        'employment_start_date', 'pension_postponement_date'
       ],
       rota: [
         'worker_id', 'worker_name', 'date', 'start_time', 'end_time', 'break_minutes',
         // Additional fields for rota-based calculations
-        'shift_premium', 'overtime_rate', 'holiday_pay'
+        'shift_premium', 'overtime_rate', 'holiday_pay',
+        // Sleep-in and on-call shifts only count the hours spent awake and working
+        'shift_type', 'active_hours',
+        // Travel from the previous visit on the same day counts as working time
+        'travel_minutes'
       ],
       timesheet: [
         'worker_id', 'worker_name', 'date', 'hours_worked', 'pay_rate', 'total_pay',
         // Additional fields for timesheet-based calculations
         'bonus', 'commission', 'tips', 'tronc'
-      ]
+      ],
+      // One row per clock event, paired into shifts before hours are calculated
+      punches: ['worker_id', 'worker_name', 'timestamp', 'direction'],
+      // Tips received from customers at each site, checked against tips paid out under the Tips Act
+      tips_collected: ['site', 'date', 'tips_amount'],
+      // Tips paid to each worker; the tips month says which month's tips a payment shares out
+      tips_distributed: ['worker_id', 'worker_name', 'date', 'tips_amount', 'site', 'tips_month']
     };
     
     // Column mapping for different CSV formats
@@ -43,6 +86,7 @@ class CSVParserService {
       // Common variations of column names
       worker_id: ['worker_id', 'employee_id', 'staff_id', 'id', 'worker', 'employee'],
       worker_name: ['worker_name', 'employee_name', 'staff_name', 'name', 'full_name'],
+      date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'birthdate'],
       hours: ['hours', 'hours_worked', 'total_hours', 'worked_hours', 'hrs'],
       pay: ['pay', 'total_pay', 'gross_pay', 'wages', 'salary', 'amount'],
       period_start: ['period_start', 'start_date', 'from_date', 'week_start', 'month_start'],
@@ -53,6 +97,8 @@ class CSVParserService {
       break_minutes: ['break_minutes', 'break_time', 'break', 'rest_time'],
       pay_rate: ['pay_rate', 'hourly_rate', 'rate', 'per_hour'],
       total_pay: ['total_pay', 'gross_pay', 'pay', 'wages', 'amount'],
+      timestamp: ['timestamp', 'punch_time', 'clock_time', 'event_time', 'date_time', 'datetime', 'punch_timestamp'],
+      direction: ['direction', 'punch_type', 'event_type', 'in_out', 'clock_type', 'punch_direction'],
       
       // Deduction fields that reduce NMW pay
       uniform_deduction: ['uniform_deduction', 'uniform_cost', 'workwear_deduction', 'clothing_cost', 'uniform_charge'],
@@ -64,25 +110,112 @@ class CSVParserService {
       accommodation_charge: ['accommodation_charge', 'accommodation_cost', 'housing_charge', 'lodging_fee', 'room_charge'],
       meals_charge: ['meals_charge', 'meal_cost', 'food_charge', 'subsistence_charge', 'lunch_cost'],
       transport_charge: ['transport_charge', 'transport_cost', 'travel_cost', 'commute_cost', 'fuel_cost'],
+      occupancy_start: ['occupancy_start', 'occupancy_start_date', 'move_in_date', 'moved_in', 'accommodation_start', 'accommodation_start_date'],
+      occupancy_end: ['occupancy_end', 'occupancy_end_date', 'move_out_date', 'moved_out', 'accommodation_end', 'accommodation_end_date'],
       
       // Additional fields for enhanced calculations
       shift_premium: ['shift_premium', 'night_shift', 'weekend_premium', 'unsocial_hours'],
       overtime_rate: ['overtime_rate', 'overtime_multiplier', 'ot_rate'],
-      holiday_pay: ['holiday_pay', 'holiday_allowance', 'annual_leave_pay'],
+      holiday_pay: ['holiday_pay', 'holiday_allowance', 'annual_leave_pay', 'rolled_up_holiday_pay'],
+      shift_type: ['shift_type', 'shift_category', 'shift_kind', 'shift_class'],
+      active_hours: ['active_hours', 'awake_hours', 'hours_awake', 'call_out_hours', 'hours_worked_on_call'],
+      travel_minutes: ['travel_minutes', 'travel_time', 'travel_time_minutes', 'travel_mins', 'journey_minutes'],
       bonus: ['bonus', 'performance_bonus', 'incentive_pay'],
       commission: ['commission', 'sales_commission', 'performance_pay'],
       tips: ['tips', 'gratuities', 'service_charge'],
-      tronc: ['tronc', 'service_charge_pool', 'tip_pool']
+      tronc: ['tronc', 'service_charge_pool', 'tip_pool'],
+
+      // Holiday pay fields
+      holiday_hours: ['holiday_hours', 'leave_hours', 'annual_leave_hours', 'holiday_hours_taken'],
+      overtime_pay: ['overtime_pay', 'overtime_earnings', 'ot_pay', 'overtime_amount'],
+      hours_pattern: ['hours_pattern', 'irregular_hours', 'working_pattern', 'hours_type'],
+      leave_year_start: ['leave_year_start', 'holiday_year_start', 'leave_year'],
+
+      // Statutory sick, maternity and paternity pay fields
+      average_weekly_earnings: ['average_weekly_earnings', 'awe', 'avg_weekly_earnings', 'average_weekly_pay'],
+      sick_days: ['sick_days', 'sickness_days', 'days_sick', 'sick_days_taken', 'qualifying_sick_days'],
+      sickness_start: ['sickness_start', 'sickness_start_date', 'piw_start', 'sick_from', 'first_day_sick'],
+      linked_sickness: ['linked_sickness', 'linked_piw', 'linked_period_of_incapacity'],
+      qualifying_days_per_week: ['qualifying_days_per_week', 'qualifying_days', 'ssp_qualifying_days'],
+      ssp_paid: ['ssp_paid', 'ssp', 'statutory_sick_pay'],
+      maternity_pay_start: ['maternity_pay_start', 'smp_start', 'smp_start_date', 'mpp_start', 'maternity_pay_period_start'],
+      smp_paid: ['smp_paid', 'smp', 'statutory_maternity_pay'],
+      paternity_leave_start: ['paternity_leave_start', 'spp_start', 'paternity_start', 'paternity_start_date'],
+      paternity_leave_end: ['paternity_leave_end', 'spp_end', 'paternity_end', 'paternity_end_date'],
+      spp_paid: ['spp_paid', 'spp', 'statutory_paternity_pay'],
+
+      // Workplace pension fields
+      employer_pension_contribution: ['employer_pension_contribution', 'employer_pension', 'er_pension', 'er_pension_contribution', 'employer_contribution'],
+      employee_pension_contribution: ['employee_pension_contribution', 'employee_pension', 'ee_pension', 'ee_pension_contribution', 'employee_contribution'],
+      pension_opt_out: ['pension_opt_out', 'pension_opted_out', 'opted_out', 'ae_opt_out'],
+      employment_start_date: ['employment_start_date', 'date_started', 'employment_start', 'date_joined'],
+      pension_postponement_date: ['pension_postponement_date', 'postponement_date', 'deferral_date', 'ae_postponement_date', 'postponed_until'],
+
+      // Work model fields
+      work_type: ['work_type', 'pay_basis', 'nmw_work_type', 'contract_type'],
+      annual_basic_hours: ['annual_basic_hours', 'annual_hours', 'contracted_annual_hours', 'basic_annual_hours'],
+      calculation_year_start: ['calculation_year_start', 'calculation_year', 'salary_year_start'],
+      units_produced: ['units_produced', 'units', 'pieces', 'pieces_produced', 'output_units', 'quantity_produced'],
+      piece_rate: ['piece_rate', 'rate_per_piece', 'rate_per_unit', 'unit_rate'],
+      mean_hourly_output: ['mean_hourly_output', 'mean_hourly_output_rate', 'average_hourly_output', 'fair_rate_output'],
+      days_worked: ['days_worked', 'days', 'working_days', 'days_available'],
+      agreed_daily_hours: ['agreed_daily_hours', 'daily_average_hours', 'daily_average', 'agreed_hours_per_day'],
+      daily_average_agreement_date: ['daily_average_agreement_date', 'agreement_date', 'daily_average_agreement'],
+
+      // Pay in arrears fields
+      arrears_pay: ['arrears_pay', 'pay_in_arrears', 'back_pay', 'late_paid_amount', 'arrears'],
+      relates_to_period: ['relates_to_period', 'relates_to', 'related_period', 'work_period', 'arrears_period'],
+
+      // Mandatory unpaid activity fields
+      role: ['role', 'job_title', 'job_role', 'position', 'worker_role'],
+      shifts_worked: ['shifts_worked', 'number_of_shifts', 'shift_count', 'shifts'],
+
+      // Unpaid training time fields
+      training_hours: ['training_hours', 'unpaid_training_hours', 'induction_hours', 'elearning_hours', 'e_learning_hours', 'course_hours'],
+      training_description: ['training_description', 'training_type', 'course_name', 'training_course'],
+
+      // Salary sacrifice fields that reduce NMW pay
+      pension_sacrifice: ['pension_sacrifice', 'pension_salary_sacrifice', 'sacrifice_pension', 'ss_pension'],
+      cycle_to_work_sacrifice: ['cycle_to_work_sacrifice', 'cycle_to_work', 'cycle_sacrifice', 'bike_scheme'],
+      childcare_voucher_sacrifice: ['childcare_voucher_sacrifice', 'childcare_vouchers', 'childcare_voucher', 'childcare_sacrifice'],
+      ev_sacrifice: ['ev_sacrifice', 'ev_scheme', 'electric_car_scheme', 'ev_salary_sacrifice', 'car_scheme'],
+      salary_sacrifice: ['salary_sacrifice', 'other_sacrifice', 'sacrifice_amount', 'salary_sacrifice_other'],
+
+      // Worker-incurred expense fields that reduce NMW pay
+      worker_expenses: ['worker_expenses', 'expenses_borne_by_worker', 'worker_paid_expenses', 'unreimbursed_expenses', 'out_of_pocket_expenses'],
+      worker_expense_description: ['worker_expense_description', 'expense_description', 'worker_expense_type'],
+
+      // Tips collected and distributed fields
+      site: ['site', 'site_name', 'location', 'venue', 'branch', 'outlet'],
+      tips_amount: ['tips_amount', 'tip_amount', 'tips_collected', 'amount_collected', 'tips_distributed', 'amount_distributed', 'tips_paid', 'amount_paid'],
+      tips_month: ['tips_month', 'tip_month', 'collection_month', 'month_collected', 'tips_received_month']
     };
+
+    // Recognised NMW work types
+    this.workTypeService = new WorkTypeService();
+
+    // Rota shift types and the hours that count as working time
+    this.shiftClassificationService = new ShiftClassificationService();
+
+    // Pairs time-clock punches into shifts
+    this.punchPairingService = new PunchPairingService();
+
+    // Payroll columns holding salary sacrifice amounts
+    this.salarySacrificeFields = ['pension_sacrifice', 'cycle_to_work_sacrifice', 'childcare_voucher_sacrifice', 'ev_sacrifice', 'salary_sacrifice'];
+
+    // Named deduction columns (e.g. "deduction_gym" or "gym_membership_deduction") become deduction lines
+    this.deductionLinePattern = /^deduction_(.+)$|^(.+)_deduction$/;
   }
 
   /**
    * Parse CSV file and return structured data
    * @param {string} filePath - Path to CSV file
-   * @param {string} csvType - Type of CSV (payroll, rota, timesheet)
+   * @param {string} csvType - Type of CSV (payroll, rota, timesheet, punches, tips_collected, tips_distributed)
+   * @param {Object} options - Parse options
+   * @param {Object} options.deductionTreatments - Deduction treatment per column header, set in the column mapping
    * @returns {Promise<Object>} Parsed data with validation results
    */
-  async parseCSV(filePath, csvType = 'payroll') {
+  async parseCSV(filePath, csvType = 'payroll', options = {}) {
     try {
       console.log(`🔄 Parsing CSV file: ${filePath}`);
       
@@ -101,7 +234,7 @@ class CSVParserService {
       const validationResult = this.validateParsedData(parsedData, csvType);
       
       // Process and structure data
-      const processedData = this.processData(parsedData.data, csvType);
+      const processedData = this.processData(parsedData.data, csvType, options);
       
       // Categorize deduction and offset components
       const components = this.categorizeComponents(processedData);
@@ -253,6 +386,11 @@ class CSVParserService {
       errors.push(...rowErrors);
     });
     
+    // Punches can only be checked against each other once every row is read
+    if (csvType === 'punches') {
+      errors.push(...this.validatePunchPairs(parsedData.data));
+    }
+    
     // Check for empty file
     if (parsedData.data.length === 0) {
       warnings.push({
@@ -292,7 +430,12 @@ class CSVParserService {
         });
       }
       
-      if (!row.hours || isNaN(parseFloat(row.hours))) {
+      // Output workers may be paid purely on units produced
+      const isOutputWork = this.normalizeWorkType(row.work_type) === 'output_work';
+      
+      if (isOutputWork) {
+        errors.push(...this.validateOutputWorkRow(row, rowNumber));
+      } else if (!row.hours || isNaN(parseFloat(row.hours))) {
         errors.push({
           type: 'invalid_hours',
           message: `Row ${rowNumber}: Invalid or missing hours`,
@@ -301,7 +444,7 @@ class CSVParserService {
         });
       }
       
-      if (!row.pay || isNaN(parseFloat(row.pay))) {
+      if (!isOutputWork && (!row.pay || isNaN(parseFloat(row.pay)))) {
         errors.push({
           type: 'invalid_pay',
           message: `Row ${rowNumber}: Invalid or missing pay amount`,
@@ -311,6 +454,80 @@ class CSVParserService {
       }
     }
     
+    // Salaried-hours workers need their contracted annual hours
+    if (row.work_type && !this.normalizeWorkType(row.work_type)) {
+      errors.push({
+        type: 'invalid_work_type',
+        message: `Row ${rowNumber}: Unrecognised work type "${row.work_type}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (this.normalizeWorkType(row.work_type) === 'salaried_hours' &&
+        (!row.annual_basic_hours || !(parseFloat(row.annual_basic_hours) > 0))) {
+      errors.push({
+        type: 'missing_annual_basic_hours',
+        message: `Row ${rowNumber}: Salaried-hours workers require annual basic hours`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    if (row.agreed_daily_hours && (isNaN(parseFloat(row.agreed_daily_hours)) ||
+        parseFloat(row.agreed_daily_hours) < 0 || parseFloat(row.agreed_daily_hours) > 24)) {
+      errors.push({
+        type: 'invalid_agreed_daily_hours',
+        message: `Row ${rowNumber}: Agreed daily hours must be between 0 and 24`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    errors.push(...this.validateArrearsPay(row, rowNumber));
+
+    errors.push(...this.validateSalarySacrifice(row, rowNumber));
+
+    errors.push(...this.validateDeductionLines(row, rowNumber));
+
+    errors.push(...this.validateOccupancyDates(row, rowNumber));
+
+    errors.push(...this.validateHolidayPay(row, rowNumber));
+
+    errors.push(...this.validateStatutoryPay(row, rowNumber));
+
+    errors.push(...this.validatePensionContributions(row, rowNumber));
+
+    if (row.worker_expenses && (isNaN(parseFloat(row.worker_expenses)) || parseFloat(row.worker_expenses) < 0)) {
+      errors.push({
+        type: 'invalid_worker_expenses',
+        message: `Row ${rowNumber}: Expenses borne by the worker must be a positive amount`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (row.training_hours && (isNaN(parseFloat(row.training_hours)) || parseFloat(row.training_hours) < 0)) {
+      errors.push({
+        type: 'invalid_training_hours',
+        message: `Row ${rowNumber}: Training hours must be a number of hours of 0 or more`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (csvType === 'rota') {
+      errors.push(...this.validateShiftRow(row, rowNumber));
+    }
+
+    if (csvType === 'punches') {
+      errors.push(...this.validatePunchRow(row, rowNumber));
+    }
+
+    if (csvType === 'tips_collected' || csvType === 'tips_distributed') {
+      errors.push(...this.validateTipsRow(row, csvType, rowNumber));
+    }
+    
     // Check for data type issues
     if (row.hours && parseFloat(row.hours) < 0) {
       errors.push({
@@ -333,14 +550,493 @@ class CSVParserService {
     return errors;
   }
 
+  /**
+   * Validate shift type fields for a rota row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateShiftRow(row, rowNumber) {
+    const errors = [];
+
+    if (!this.shiftClassificationService.normalizeShiftType(row.shift_type)) {
+      errors.push({
+        type: 'invalid_shift_type',
+        message: `Row ${rowNumber}: Unrecognised shift type "${row.shift_type}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (row.active_hours && (isNaN(parseFloat(row.active_hours)) || parseFloat(row.active_hours) < 0)) {
+      errors.push({
+        type: 'invalid_active_hours',
+        message: `Row ${rowNumber}: Active hours must be a number of hours of 0 or more`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (row.travel_minutes && (isNaN(parseFloat(row.travel_minutes)) || parseFloat(row.travel_minutes) < 0)) {
+      errors.push({
+        type: 'invalid_travel_minutes',
+        message: `Row ${rowNumber}: Travel minutes must be a number of minutes of 0 or more`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a time-clock punch row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validatePunchRow(row, rowNumber) {
+    const errors = [];
+
+    if (!row.worker_id || row.worker_id.trim() === '') {
+      errors.push({
+        type: 'missing_worker_id',
+        message: `Row ${rowNumber}: Missing worker ID`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (!this.punchPairingService.parseTimestamp(row.timestamp)) {
+      errors.push({
+        type: 'invalid_timestamp',
+        message: `Row ${rowNumber}: Invalid or missing punch timestamp "${row.timestamp || ''}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (!this.punchPairingService.normalizeDirection(row.direction)) {
+      errors.push({
+        type: 'invalid_direction',
+        message: `Row ${rowNumber}: Unrecognised punch direction "${row.direction || ''}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a tips collected or tips distributed row
+   * @param {Object} row - Data row
+   * @param {string} csvType - 'tips_collected' or 'tips_distributed'
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateTipsRow(row, csvType, rowNumber) {
+    const errors = [];
+
+    if (csvType === 'tips_collected' && (!row.site || row.site.trim() === '')) {
+      errors.push({
+        type: 'missing_site',
+        message: `Row ${rowNumber}: Missing site for tips collected`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (csvType === 'tips_distributed' && (!row.worker_id || row.worker_id.trim() === '')) {
+      errors.push({
+        type: 'missing_worker_id',
+        message: `Row ${rowNumber}: Missing worker ID`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (!this.parseDate(row.date)) {
+      errors.push({
+        type: 'invalid_tips_date',
+        message: `Row ${rowNumber}: Invalid or missing date "${row.date || ''}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (!row.tips_amount || isNaN(parseFloat(row.tips_amount)) || parseFloat(row.tips_amount) < 0) {
+      errors.push({
+        type: 'invalid_tips_amount',
+        message: `Row ${rowNumber}: Tips amount must be 0 or more`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    if (row.tips_month && !this.parseDate(row.tips_month)) {
+      errors.push({
+        type: 'invalid_tips_month',
+        message: `Row ${rowNumber}: Invalid tips month "${row.tips_month}"`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Flag punches that cannot be paired into a shift
+   * @param {Array} data - Raw punch rows
+   * @returns {Array} Array of validation errors
+   */
+  validatePunchPairs(data) {
+    const { unpaired } = this.punchPairingService.pairPunches(data);
+
+    return unpaired.map(punch => ({
+      type: 'unpaired_punch',
+      message: punch.reason === 'missing_clock_out'
+        ? `Row ${punch.row}: Clock-in at ${punch.timestamp} has no matching clock-out`
+        : `Row ${punch.row}: Clock-out at ${punch.timestamp} has no matching clock-in`,
+      row: punch.row,
+      reason: punch.reason,
+      severity: 'error'
+    }));
+  }
+
+  /**
+   * Validate pay in arrears fields for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateArrearsPay(row, rowNumber) {
+    const errors = [];
+    
+    if (!row.arrears_pay && !row.relates_to_period) {
+      return errors;
+    }
+    
+    if (row.arrears_pay && (isNaN(parseFloat(row.arrears_pay)) || parseFloat(row.arrears_pay) < 0)) {
+      errors.push({
+        type: 'invalid_arrears_pay',
+        message: `Row ${rowNumber}: Pay in arrears must be a positive amount`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    const relatesToPeriod = row.relates_to_period ? this.parseDate(row.relates_to_period) : null;
+    if (row.arrears_pay && !relatesToPeriod) {
+      errors.push({
+        type: 'missing_relates_to_period',
+        message: `Row ${rowNumber}: Pay in arrears requires a valid "relates to period" date`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    const periodStart = row.period_start ? this.parseDate(row.period_start) : null;
+    if (relatesToPeriod && periodStart && relatesToPeriod >= periodStart) {
+      errors.push({
+        type: 'invalid_relates_to_period',
+        message: `Row ${rowNumber}: "Relates to period" must be before the period start`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Validate salary sacrifice amounts for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateSalarySacrifice(row, rowNumber) {
+    return this.salarySacrificeFields
+      .filter(field => row[field] && (isNaN(parseFloat(row[field])) || parseFloat(row[field]) < 0))
+      .map(field => ({
+        type: 'invalid_salary_sacrifice',
+        message: `Row ${rowNumber}: Salary sacrifice amount "${field}" must be a positive amount`,
+        row: rowNumber,
+        field,
+        severity: 'error'
+      }));
+  }
+
+  /**
+   * Validate named deduction line amounts for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateDeductionLines(row, rowNumber) {
+    return Object.keys(row)
+      .filter(header => this.getDeductionLineName(header) && row[header] && (isNaN(parseFloat(row[header])) || parseFloat(row[header]) < 0))
+      .map(header => ({
+        type: 'invalid_deduction_line',
+        message: `Row ${rowNumber}: Deduction "${header}" must be a positive amount`,
+        row: rowNumber,
+        field: header,
+        severity: 'error'
+      }));
+  }
+
+  /**
+   * Validate accommodation occupancy dates for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateOccupancyDates(row, rowNumber) {
+    const occupancyStart = row.occupancy_start ? this.parseDate(row.occupancy_start) : null;
+    const occupancyEnd = row.occupancy_end ? this.parseDate(row.occupancy_end) : null;
+
+    if ((row.occupancy_start && !occupancyStart) || (row.occupancy_end && !occupancyEnd)) {
+      return [{
+        type: 'invalid_occupancy_dates',
+        message: `Row ${rowNumber}: Accommodation occupancy dates must be valid dates`,
+        row: rowNumber,
+        severity: 'error'
+      }];
+    }
+
+    if (occupancyStart && occupancyEnd && occupancyEnd < occupancyStart) {
+      return [{
+        type: 'invalid_occupancy_dates',
+        message: `Row ${rowNumber}: Accommodation occupancy end date is before the start date`,
+        row: rowNumber,
+        severity: 'error'
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Validate holiday pay fields for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateHolidayPay(row, rowNumber) {
+    const errors = [];
+    const labels = { holiday_pay: 'Holiday pay', holiday_hours: 'Holiday hours', overtime_pay: 'Overtime pay' };
+
+    Object.entries(labels).forEach(([field, label]) => {
+      if (row[field] && (isNaN(parseFloat(row[field])) || parseFloat(row[field]) < 0)) {
+        errors.push({
+          type: `invalid_${field}`,
+          message: `Row ${rowNumber}: ${label} must be a number of 0 or more`,
+          row: rowNumber,
+          severity: 'error'
+        });
+      }
+    });
+
+    if (row.leave_year_start && !this.parseDate(row.leave_year_start)) {
+      errors.push({
+        type: 'invalid_leave_year_start',
+        message: `Row ${rowNumber}: Leave year start must be a valid date`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate statutory sick, maternity and paternity pay fields for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateStatutoryPay(row, rowNumber) {
+    const errors = [];
+    const amounts = {
+      average_weekly_earnings: 'Average weekly earnings',
+      sick_days: 'Sick days',
+      ssp_paid: 'SSP paid',
+      smp_paid: 'SMP paid',
+      spp_paid: 'SPP paid'
+    };
+
+    Object.entries(amounts).forEach(([field, label]) => {
+      if (row[field] && (isNaN(parseFloat(row[field])) || parseFloat(row[field]) < 0)) {
+        errors.push({
+          type: `invalid_${field}`,
+          message: `Row ${rowNumber}: ${label} must be a number of 0 or more`,
+          row: rowNumber,
+          severity: 'error'
+        });
+      }
+    });
+
+    if (row.qualifying_days_per_week && !(parseFloat(row.qualifying_days_per_week) > 0 && parseFloat(row.qualifying_days_per_week) <= 7)) {
+      errors.push({
+        type: 'invalid_qualifying_days_per_week',
+        message: `Row ${rowNumber}: Qualifying days per week must be between 1 and 7`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+
+    ['sickness_start', 'maternity_pay_start', 'paternity_leave_start', 'paternity_leave_end'].forEach(field => {
+      if (row[field] && !this.parseDate(row[field])) {
+        errors.push({
+          type: `invalid_${field}`,
+          message: `Row ${rowNumber}: ${field.replace(/_/g, ' ')} must be a valid date`,
+          row: rowNumber,
+          severity: 'error'
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate workplace pension contribution and postponement fields for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validatePensionContributions(row, rowNumber) {
+    const errors = [];
+    const amounts = {
+      employer_pension_contribution: 'Employer pension contribution',
+      employee_pension_contribution: 'Employee pension contribution'
+    };
+
+    Object.entries(amounts).forEach(([field, label]) => {
+      if (row[field] && (isNaN(parseFloat(row[field])) || parseFloat(row[field]) < 0)) {
+        errors.push({
+          type: `invalid_${field}`,
+          message: `Row ${rowNumber}: ${label} must be a number of 0 or more`,
+          row: rowNumber,
+          severity: 'error'
+        });
+      }
+    });
+
+    const dates = {
+      employment_start_date: 'Employment start date',
+      pension_postponement_date: 'Pension postponement date'
+    };
+
+    Object.entries(dates).forEach(([field, label]) => {
+      if (row[field] && !this.parseDate(row[field])) {
+        errors.push({
+          type: `invalid_${field}`,
+          message: `Row ${rowNumber}: ${label} must be a valid date`,
+          row: rowNumber,
+          severity: 'error'
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get the deduction line name for a named deduction column
+   * The fixed deduction columns (uniform, tools, training, other) are not deduction lines
+   * @param {string} header - Column header
+   * @returns {string|null} Deduction name, or null if the column is not a named deduction
+   */
+  getDeductionLineName(header) {
+    const normalized = String(header).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (this.columnMappings[normalized]) {
+      return null;
+    }
+
+    const match = normalized.match(this.deductionLinePattern);
+    return match ? (match[1] || match[2]).replace(/_/g, ' ') : null;
+  }
+
+  /**
+   * Collect named deduction lines from a payroll row
+   * Columns given a treatment in the column mapping are deduction lines whatever their name
+   * @param {Object} row - Data row
+   * @param {Object} deductionTreatments - Deduction treatment per column header
+   * @returns {Array} Deduction lines ({ name, column, amount, treatment })
+   */
+  collectDeductionLines(row, deductionTreatments = {}) {
+    const lines = [];
+
+    Object.keys(row).forEach(header => {
+      const treatment = deductionTreatments[header];
+      const name = this.getDeductionLineName(header) || (treatment ? header.replace(/_/g, ' ') : null);
+      const amount = parseFloat(row[header]) || 0;
+
+      if (name && amount > 0) {
+        lines.push({ name, column: header, amount, ...(treatment ? { treatment } : {}) });
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Validate output work fields for a payroll row
+   * @param {Object} row - Data row
+   * @param {number} rowNumber - Row number for error reporting
+   * @returns {Array} Array of validation errors
+   */
+  validateOutputWorkRow(row, rowNumber) {
+    const errors = [];
+    
+    if (!row.units_produced || isNaN(parseFloat(row.units_produced)) || parseFloat(row.units_produced) < 0) {
+      errors.push({
+        type: 'invalid_units_produced',
+        message: `Row ${rowNumber}: Output workers require units produced`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    const hasPieceRate = row.piece_rate && !isNaN(parseFloat(row.piece_rate));
+    const hasPay = row.pay && !isNaN(parseFloat(row.pay));
+    if (!hasPieceRate && !hasPay) {
+      errors.push({
+        type: 'missing_piece_rate',
+        message: `Row ${rowNumber}: Output workers require a piece rate or pay amount`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    const hasHours = row.hours && !isNaN(parseFloat(row.hours));
+    const hasMeanHourlyOutput = row.mean_hourly_output && parseFloat(row.mean_hourly_output) > 0;
+    if (!hasHours && !hasMeanHourlyOutput) {
+      errors.push({
+        type: 'missing_output_hours',
+        message: `Row ${rowNumber}: Output workers require hours worked or a mean hourly output rate`,
+        row: rowNumber,
+        severity: 'error'
+      });
+    }
+    
+    return errors;
+  }
+
   /**
    * Process and structure parsed data
    * @param {Array} data - Raw parsed data
    * @param {string} csvType - Type of CSV
+   * @param {Object} options - Parse options (deductionTreatments)
    * @returns {Array} Processed data
    */
-  processData(data, csvType) {
-    return data.map(row => {
+  processData(data, csvType, options = {}) {
+    // Punches are paired into shifts first; unpaired punches are left out of the hours
+    const rows = csvType === 'punches' ? this.punchPairingService.processPunches(data).shifts : data;
+
+    const processedData = rows.map(row => {
       const processed = { ...row };
       
       // Convert numeric fields
@@ -360,6 +1056,10 @@ class CSVParserService {
         processed.break_minutes = parseInt(processed.break_minutes) || 0;
       }
 
+      if (processed.travel_minutes) {
+        processed.travel_minutes = parseFloat(processed.travel_minutes) || 0;
+      }
+
       // Process deduction fields (reduce NMW pay)
       if (processed.uniform_deduction) {
         processed.uniform_deduction = parseFloat(processed.uniform_deduction) || 0;
@@ -402,6 +1102,36 @@ class CSVParserService {
       if (processed.holiday_pay) {
         processed.holiday_pay = parseFloat(processed.holiday_pay) || 0;
       }
+
+      if (processed.holiday_hours) {
+        processed.holiday_hours = parseFloat(processed.holiday_hours) || 0;
+      }
+
+      if (processed.overtime_pay) {
+        processed.overtime_pay = parseFloat(processed.overtime_pay) || 0;
+      }
+
+      // Process statutory pay fields
+      ['average_weekly_earnings', 'sick_days', 'qualifying_days_per_week', 'ssp_paid', 'smp_paid', 'spp_paid'].forEach(field => {
+        if (processed[field]) {
+          processed[field] = parseFloat(processed[field]) || 0;
+        }
+      });
+
+      if (processed.linked_sickness) {
+        processed.linked_sickness = ['true', 'yes', 'y', '1'].includes(String(processed.linked_sickness).trim().toLowerCase());
+      }
+
+      // Process pension fields; a contribution of 0 is kept to show the worker was not enrolled
+      ['employer_pension_contribution', 'employee_pension_contribution'].forEach(field => {
+        if (processed[field]) {
+          processed[field] = parseFloat(processed[field]) || 0;
+        }
+      });
+
+      if (processed.pension_opt_out) {
+        processed.pension_opt_out = ['true', 'yes', 'y', '1'].includes(String(processed.pension_opt_out).trim().toLowerCase());
+      }
       
       if (processed.bonus) {
         processed.bonus = parseFloat(processed.bonus) || 0;
@@ -418,6 +1148,75 @@ class CSVParserService {
       if (processed.tronc) {
         processed.tronc = parseFloat(processed.tronc) || 0;
       }
+
+      // Process work model fields
+      if (processed.work_type) {
+        processed.work_type = this.normalizeWorkType(processed.work_type) || processed.work_type;
+      }
+
+      if (processed.annual_basic_hours) {
+        processed.annual_basic_hours = parseFloat(processed.annual_basic_hours) || 0;
+      }
+
+      // Process output work fields
+      if (processed.units_produced) {
+        processed.units_produced = parseFloat(processed.units_produced) || 0;
+      }
+
+      if (processed.piece_rate) {
+        processed.piece_rate = parseFloat(processed.piece_rate) || 0;
+      }
+
+      if (processed.mean_hourly_output) {
+        processed.mean_hourly_output = parseFloat(processed.mean_hourly_output) || 0;
+      }
+
+      // Process unmeasured work fields
+      if (processed.days_worked) {
+        processed.days_worked = parseFloat(processed.days_worked) || 0;
+      }
+
+      if (processed.shifts_worked) {
+        processed.shifts_worked = parseFloat(processed.shifts_worked) || 0;
+      }
+
+      if (processed.agreed_daily_hours) {
+        processed.agreed_daily_hours = parseFloat(processed.agreed_daily_hours) || 0;
+      }
+
+      // Process unpaid training time
+      if (processed.training_hours) {
+        processed.training_hours = parseFloat(processed.training_hours) || 0;
+      }
+
+      // Process expenses borne by the worker (reduce NMW pay)
+      if (processed.worker_expenses) {
+        processed.worker_expenses = parseFloat(processed.worker_expenses) || 0;
+      }
+
+      // Process salary sacrifice amounts (reduce NMW pay)
+      this.salarySacrificeFields.forEach(field => {
+        if (processed[field]) {
+          processed[field] = parseFloat(processed[field]) || 0;
+        }
+      });
+
+      // Collect named deduction lines, classified later as for the employer's or worker's benefit
+      if (csvType === 'payroll') {
+        const deductionLines = this.collectDeductionLines(row, options.deductionTreatments);
+        if (deductionLines.length > 0) {
+          processed.deduction_lines = deductionLines;
+        }
+      }
+
+      // Process pay in arrears
+      if (processed.arrears_pay) {
+        processed.arrears_pay = parseFloat(processed.arrears_pay) || 0;
+      }
+
+      if (processed.work_type === 'output_work' && !processed.pay && processed.units_produced && processed.piece_rate) {
+        processed.pay = processed.units_produced * processed.piece_rate;
+      }
       
       // Parse dates
       if (processed.period_start) {
@@ -431,6 +1230,65 @@ class CSVParserService {
       if (processed.date) {
         processed.date = this.parseDate(processed.date);
       }
+
+      if (processed.calculation_year_start) {
+        processed.calculation_year_start = this.parseDate(processed.calculation_year_start);
+      }
+
+      if (processed.date_of_birth) {
+        processed.date_of_birth = this.parseDate(processed.date_of_birth);
+      }
+
+      if (processed.daily_average_agreement_date) {
+        processed.daily_average_agreement_date = this.parseDate(processed.daily_average_agreement_date);
+      }
+
+      if (processed.relates_to_period) {
+        processed.relates_to_period = this.parseDate(processed.relates_to_period);
+      }
+
+      if (processed.occupancy_start) {
+        processed.occupancy_start = this.parseDate(processed.occupancy_start);
+      }
+
+      if (processed.occupancy_end) {
+        processed.occupancy_end = this.parseDate(processed.occupancy_end);
+      }
+
+      if (processed.leave_year_start) {
+        processed.leave_year_start = this.parseDate(processed.leave_year_start);
+      }
+
+      ['employment_start_date', 'pension_postponement_date'].forEach(field => {
+        if (processed[field]) {
+          processed[field] = this.parseDate(processed[field]);
+        }
+      });
+
+      ['sickness_start', 'maternity_pay_start', 'paternity_leave_start', 'paternity_leave_end'].forEach(field => {
+        if (processed[field]) {
+          processed[field] = this.parseDate(processed[field]);
+        }
+      });
+
+      if (processed.tips_amount) {
+        processed.tips_amount = parseFloat(processed.tips_amount) || 0;
+      }
+
+      if (processed.tips_month) {
+        processed.tips_month = this.parseDate(processed.tips_month);
+      }
+      
+      // Rota rows only count the hours that are working time for their shift type
+      if (csvType === 'rota' && this.shiftClassificationService.normalizeShiftType(processed.shift_type)) {
+        const shift = this.shiftClassificationService.classifyShift(processed);
+        processed.shift_type = shift.shift_type;
+        processed.shift_hours = shift.shift_hours;
+        processed.active_hours = shift.active_hours;
+        processed.qualifying_hours = shift.qualifying_hours;
+        processed.excluded_hours = shift.excluded_hours;
+        processed.hours = shift.qualifying_hours;
+      }
       
       // Calculate derived fields
       if (processed.hours && processed.pay) {
@@ -439,6 +1297,34 @@ class CSVParserService {
       
       return processed;
     });
+
+    if (csvType === 'rota') {
+      this.applyTravelTime(processedData);
+    }
+
+    return processedData;
+  }
+
+  /**
+   * Add travel between consecutive visits on the same day to each rota row's hours
+   * @param {Array} rows - Processed rota rows (updated in place)
+   */
+  applyTravelTime(rows) {
+    const rowsByWorker = new Map();
+    rows.forEach(row => {
+      if (row.worker_id && row.qualifying_hours !== undefined) {
+        rowsByWorker.set(row.worker_id, [...(rowsByWorker.get(row.worker_id) || []), row]);
+      }
+    });
+
+    for (const workerRows of rowsByWorker.values()) {
+      this.shiftClassificationService.calculateTravelTime(workerRows).forEach(leg => {
+        const row = workerRows[leg.to_shift_index];
+        row.travel_hours = round(leg.travel_minutes / 60);
+        row.travel_source = leg.source;
+        row.hours = round(row.qualifying_hours + row.travel_hours);
+      });
+    }
   }
 
   /**
@@ -473,6 +1359,15 @@ class CSVParserService {
     return null;
   }
 
+  /**
+   * Normalise a work type value to a recognised work type
+   * @param {string} workType - Raw work type value
+   * @returns {string|null} Normalised work type or null if unrecognised
+   */
+  normalizeWorkType(workType) {
+    return this.workTypeService.normalizeWorkType(workType);
+  }
+
   /**
    * Identify and categorize deduction and offset components from parsed data
    * @param {Array} data - Parsed CSV data
@@ -484,7 +1379,8 @@ class CSVParserService {
         uniform: [],
         tools: [],
         training: [],
-        other: []
+        other: [],
+        lines: []
       },
       offsets: {
         accommodation: [],
@@ -551,6 +1447,17 @@ class CSVParserService {
         components.summary.totalDeductions += parseFloat(row.other_deductions);
       }
 
+      (row.deduction_lines || []).forEach(line => {
+        components.deductions.lines.push({
+          worker_id: row.worker_id,
+          worker_name: row.worker_name,
+          name: line.name,
+          amount: line.amount,
+          row: index + 2
+        });
+        components.summary.totalDeductions += line.amount;
+      });
+
       // Process offsets (can be added to NMW pay)
       if (row.accommodation_charge && parseFloat(row.accommodation_charge) > 0) {
         components.offsets.accommodation.push({
@@ -7,10 +7,27 @@
 
 const { pool } = require('../config/database');
 const ComplianceExplanationService = require('./complianceExplanationService');
+const ArrearsCalculationService = require('./arrearsCalculationService');
+const OutputWorkService = require('./outputWorkService');
+const NMWRateLookupService = require('./nmwRateLookupService');
+const ShiftClassificationService = require('./shiftClassificationService');
+const TroncSchemeService = require('./troncSchemeService');
+const TipsAllocationService = require('./tipsAllocationService');
+const AutoEnrolmentService = require('./autoEnrolmentService');
+const rateRegistry = require('../config/rateRegistry');
 
 class EvidencePackService {
   constructor() {
     this.explanationService = new ComplianceExplanationService();
+    this.arrearsService = new ArrearsCalculationService();
+    this.outputWorkService = new OutputWorkService();
+    this.nmwRateService = new NMWRateLookupService();
+    this.shiftClassificationService = new ShiftClassificationService();
+    this.troncSchemeService = new TroncSchemeService();
+    this.tipsAllocationService = new TipsAllocationService();
+    this.autoEnrolmentService = new AutoEnrolmentService();
+    // Effective rates within this fraction above the required rate are flagged for review
+    this.reviewMargin = 0.05;
   }
 
   /**
@@ -29,6 +46,13 @@ class EvidencePackService {
       const workers = await this.getWorkerDetails(uploadId);
       const complianceRules = await this.getComplianceRules();
       const explanations = await this.generateExplanations(workers, options);
+      const arrears = await this.calculateArrears(workers, options);
+      const outputWork = await this.calculateOutputWork(workers);
+      const rateSelection = await this.describeRateSelection(workers);
+      const travelTime = await this.describeTravelTime(workers);
+      const troncAllocation = await this.troncSchemeService.generateAllocationReport(uploadInfo, workers);
+      const tipsCompliance = await this.tipsAllocationService.generateComplianceReport(uploadInfo, workers);
+      const autoEnrolment = await this.autoEnrolmentService.generateEvidenceReport(uploadInfo);
       
       // Generate audit metadata
       const auditMetadata = this.generateAuditMetadata(uploadInfo, options);
@@ -41,6 +65,13 @@ class EvidencePackService {
         workers,
         complianceRules,
         explanations,
+        arrears,
+        outputWork,
+        rateSelection,
+        travelTime,
+        troncAllocation,
+        tipsCompliance,
+        autoEnrolment,
         generated: {
           timestamp: new Date().toISOString(),
           requestedBy: options.requestedBy || 'system',
@@ -157,23 +188,11 @@ class EvidencePackService {
         pp.total_pay,
         pp.effective_hourly_rate,
         pp.period_type,
-        CASE 
-          WHEN pp.effective_hourly_rate < 10.42 THEN 'RED'
-          WHEN pp.effective_hourly_rate < 11.00 THEN 'AMBER'
-          ELSE 'GREEN'
-        END as rag_status,
-        CASE 
-          WHEN pp.effective_hourly_rate < 10.42 THEN 
-            ROUND(((10.42 - pp.effective_hourly_rate) * pp.total_hours)::numeric, 2)
-          ELSE 0
-        END as shortfall_amount,
-        CASE 
-          WHEN pp.effective_hourly_rate < 10.42 THEN 
-            'Effective rate below minimum wage requirement'
-          WHEN pp.effective_hourly_rate < 11.00 THEN 
-            'Pay meets minimum wage but review recommended'
-          ELSE 'Compliant with minimum wage requirements'
-        END as rag_reason
+        pp.units_produced,
+        pp.piece_rate,
+        pp.mean_hourly_output,
+        pp.tips,
+        pp.tronc
       FROM workers w
       LEFT JOIN pay_periods pp ON w.id = pp.worker_id
       WHERE w.csv_upload_id = $1
@@ -182,21 +201,139 @@ class EvidencePackService {
 
     const result = await pool.query(query, [uploadId]);
     
-    return result.rows.map(row => ({
-      id: row.id,
-      worker_id: row.external_id,
-      worker_name: row.name,
-      age: row.age,
-      period_start: row.period_start,
-      period_end: row.period_end,
-      total_hours: parseFloat(row.total_hours || 0),
-      total_pay: parseFloat(row.total_pay || 0),
-      effective_hourly_rate: parseFloat(row.effective_hourly_rate || 0),
-      rag_status: row.rag_status,
-      rag_reason: row.rag_reason,
-      shortfall_amount: parseFloat(row.shortfall_amount || 0),
-      period_type: row.period_type || 'monthly'
-    }));
+    return result.rows.map(row => {
+      const rateCheck = this.assessWorkerRate(row);
+
+      return {
+        id: row.id,
+        worker_id: row.external_id,
+        worker_name: row.name,
+        age: row.age,
+        date_of_birth: row.date_of_birth || null,
+        period_start: row.period_start,
+        period_end: row.period_end,
+        total_hours: parseFloat(row.total_hours || 0),
+        total_pay: parseFloat(row.total_pay || 0),
+        effective_hourly_rate: parseFloat(row.effective_hourly_rate || 0),
+        required_hourly_rate: rateCheck.required_hourly_rate,
+        rag_status: rateCheck.rag_status,
+        rag_reason: rateCheck.rag_reason,
+        shortfall_amount: rateCheck.shortfall_amount,
+        period_type: row.period_type || 'monthly',
+        work_type: row.work_type || 'time_work',
+        units_produced: row.units_produced !== null && row.units_produced !== undefined ? parseFloat(row.units_produced) : null,
+        piece_rate: row.piece_rate !== null && row.piece_rate !== undefined ? parseFloat(row.piece_rate) : null,
+        mean_hourly_output: row.mean_hourly_output !== null && row.mean_hourly_output !== undefined ? parseFloat(row.mean_hourly_output) : null,
+        role: row.role || null,
+        tips: parseFloat(row.tips || 0),
+        tronc: parseFloat(row.tronc || 0)
+      };
+    });
+  }
+
+  /**
+   * Work out the RAG status and shortfall for a worker PRP against the rate
+   * in force at the start of the PRP for the worker's age band
+   * @param {Object} row - Worker and pay period row
+   * @returns {Object} { required_hourly_rate, rag_status, rag_reason, shortfall_amount }
+   */
+  assessWorkerRate(row) {
+    const effectiveRate = parseFloat(row.effective_hourly_rate || 0);
+    const totalHours = parseFloat(row.total_hours || 0);
+    const requiredRate = this.getRequiredRate(row, row.period_start);
+
+    if (requiredRate === null) {
+      return {
+        required_hourly_rate: null,
+        rag_status: 'AMBER',
+        rag_reason: 'Missing worker age or pay period date prevents rate determination',
+        shortfall_amount: 0
+      };
+    }
+
+    if (effectiveRate < requiredRate) {
+      return {
+        required_hourly_rate: requiredRate,
+        rag_status: 'RED',
+        rag_reason: 'Effective rate below minimum wage requirement',
+        shortfall_amount: parseFloat(((requiredRate - effectiveRate) * totalHours).toFixed(2))
+      };
+    }
+
+    if (effectiveRate < requiredRate * (1 + this.reviewMargin)) {
+      return {
+        required_hourly_rate: requiredRate,
+        rag_status: 'AMBER',
+        rag_reason: 'Pay meets minimum wage but review recommended',
+        shortfall_amount: 0
+      };
+    }
+
+    return {
+      required_hourly_rate: requiredRate,
+      rag_status: 'GREEN',
+      rag_reason: 'Compliant with minimum wage requirements',
+      shortfall_amount: 0
+    };
+  }
+
+  /**
+   * Get the NMW/NLW hourly rate a worker is entitled to on a date from the rate registry
+   * The age band is fixed by age at the start of the PRP
+   * @param {Object} worker - Worker with age or date_of_birth and apprentice flags
+   * @param {Date|string} date - Start of the PRP
+   * @returns {number|null} Required hourly rate, or null if it cannot be determined
+   */
+  getRequiredRate(worker, date) {
+    if (!date || isNaN(new Date(date).getTime())) {
+      return null;
+    }
+
+    const age = worker.date_of_birth
+      ? this.nmwRateService.calculateAge(worker.date_of_birth, date)
+      : worker.age;
+    if (age === null || age === undefined || age === '') {
+      return null;
+    }
+
+    rateRegistry.loadRatesSync();
+    const ratePeriod = rateRegistry.findRatePeriod(date);
+    if (!ratePeriod) {
+      return null;
+    }
+
+    // First year apprentices get the apprentice rate regardless of age
+    if (worker.apprentice_status && (worker.first_year_apprentice || age < 19) && ratePeriod.rates.apprentice) {
+      return ratePeriod.rates.apprentice.hourlyRate;
+    }
+
+    const ageBand = rateRegistry.findAgeBand(ratePeriod, parseInt(age));
+    return ageBand ? ageBand.rate.hourlyRate : null;
+  }
+
+  /**
+   * Build the NMW/NLW rates reference from the rate period currently in force
+   * @returns {Object} Rates compliance rule
+   */
+  getCurrentRatesRule() {
+    rateRegistry.loadRatesSync();
+    const ratePeriod = rateRegistry.findRatePeriod(new Date()) || rateRegistry.getSortedPeriods().pop();
+    const year = new Date(ratePeriod.effectiveFrom).getUTCFullYear();
+
+    const rates = {};
+    for (const rate of Object.values(ratePeriod.rates)) {
+      rates[rate.description] = `£${rate.hourlyRate.toFixed(2)}`;
+    }
+
+    return {
+      id: `NMW_${year}`,
+      title: `National Minimum Wage Rates ${year}`,
+      description: ratePeriod.description,
+      rates,
+      source: 'GOV.UK',
+      url: 'https://www.gov.uk/national-minimum-wage-rates',
+      lastUpdated: ratePeriod.effectiveFrom
+    };
   }
 
   /**
@@ -207,20 +344,7 @@ class EvidencePackService {
     // For now, return static rules
     // In a full implementation, this could come from a database
     return [
-      {
-        id: 'NMW_2024',
-        title: 'National Minimum Wage Rates 2024',
-        description: 'Current UK minimum wage rates effective from April 2024',
-        rates: {
-          'National Living Wage (23 and over)': '£11.44',
-          'Adult Rate (21-22)': '£10.42', 
-          'Young Worker Rate (18-20)': '£7.49',
-          'Apprentice Rate': '£6.40'
-        },
-        source: 'GOV.UK',
-        url: 'https://www.gov.uk/national-minimum-wage-rates',
-        lastUpdated: '2024-04-01'
-      },
+      this.getCurrentRatesRule(),
       {
         id: 'NMW_DEDUCTIONS',
         title: 'Permitted Deductions from National Minimum Wage',
@@ -270,7 +394,7 @@ class EvidencePackService {
       try {
         // Determine issue code based on worker data
         let issueCode = 'DATA_INSUFFICIENT';
-        if (worker.rag_status === 'RED' && worker.effective_hourly_rate < 10.42) {
+        if (worker.rag_status === 'RED' && worker.effective_hourly_rate < worker.required_hourly_rate) {
           issueCode = 'RATE_BELOW_MINIMUM';
         }
 
@@ -284,7 +408,7 @@ class EvidencePackService {
           },
           {
             effective_hourly_rate: worker.effective_hourly_rate,
-            required_hourly_rate: 10.42,
+            required_hourly_rate: worker.required_hourly_rate,
             total_hours: worker.total_hours,
             total_pay: worker.total_pay,
             shortfall_amount: worker.shortfall_amount
@@ -307,6 +431,138 @@ class EvidencePackService {
     return explanations;
   }
 
+  /**
+   * Calculate HMRC arrears repayments for underpaid workers
+   * @param {Array} workers - Worker data
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object|null>} Arrears calculation or null if unavailable
+   */
+  async calculateArrears(workers, options = {}) {
+    const underpaidWorkers = workers.filter(w => w.rag_status === 'RED');
+    if (underpaidWorkers.length === 0) {
+      return null;
+    }
+
+    const arrearsResult = await this.arrearsService.calculateArrears(underpaidWorkers, {
+      calculationDate: options.arrearsCalculationDate
+    });
+
+    if (!arrearsResult.success) {
+      console.warn(`⚠️ Arrears calculation skipped: ${arrearsResult.error}`);
+      return null;
+    }
+
+    return arrearsResult;
+  }
+
+  /**
+   * Calculate output work fair piece rate results for output workers
+   * @param {Array} workers - Worker data
+   * @returns {Promise<Array>} Output work results
+   */
+  async calculateOutputWork(workers) {
+    const outputWorkers = workers.filter(w => this.outputWorkService.isOutputWorker(w));
+    const results = [];
+
+    for (const worker of outputWorkers) {
+      const outputResult = await this.outputWorkService.calculateOutputWork(worker, {
+        period_start: worker.period_start,
+        units_produced: worker.units_produced,
+        piece_rate: worker.piece_rate,
+        mean_hourly_output: worker.mean_hourly_output,
+        total_pay: worker.total_pay,
+        // Stored hours are already deemed hours for rated output work
+        hours: worker.mean_hourly_output ? null : worker.total_hours
+      });
+
+      if (outputResult.success) {
+        results.push({
+          worker_id: worker.worker_id,
+          worker_name: worker.worker_name,
+          period_start: worker.period_start,
+          period_end: worker.period_end,
+          ...outputResult
+        });
+      } else {
+        console.warn(`⚠️ Output work calculation skipped for worker ${worker.worker_id}: ${outputResult.error}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Record which rate year was used for each PRP and why
+   * @param {Array} workers - Worker data
+   * @returns {Promise<Array>} Rate selection for each worker PRP
+   */
+  async describeRateSelection(workers) {
+    const results = [];
+
+    for (const worker of workers) {
+      if (!worker.period_start || !worker.period_end) {
+        continue;
+      }
+
+      const rateSelection = await this.nmwRateService.getRateSelection(worker.period_start, worker.period_end);
+      if (rateSelection.success) {
+        results.push({
+          worker_id: worker.worker_id,
+          worker_name: worker.worker_name,
+          period_start: worker.period_start,
+          period_end: worker.period_end,
+          rate_year: rateSelection.rateYear,
+          effective_from: rateSelection.effectiveFrom,
+          spans_uprating: rateSelection.spansUprating,
+          uprating_date: rateSelection.upratingDate,
+          explanation: rateSelection.explanation
+        });
+      } else {
+        console.warn(`⚠️ Rate selection skipped for worker ${worker.worker_id}: ${rateSelection.error}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Record travel time between rota visits that was added to each PRP's hours
+   * @param {Array} workers - Worker data
+   * @returns {Promise<Array>} Travel time added for each worker PRP
+   */
+  async describeTravelTime(workers) {
+    const results = [];
+
+    for (const worker of workers) {
+      if (!worker.period_start || !worker.period_end) {
+        continue;
+      }
+
+      const shifts = await this.shiftClassificationService.getRotaShifts(worker.id, worker.period_start, worker.period_end);
+      if (shifts.length === 0) {
+        continue;
+      }
+
+      const workingTime = this.shiftClassificationService.summarizeShifts(shifts);
+      if (workingTime.travel_hours > 0) {
+        results.push({
+          worker_id: worker.worker_id,
+          worker_name: worker.worker_name,
+          period_start: worker.period_start,
+          period_end: worker.period_end,
+          visits: shifts.length,
+          rota_hours: workingTime.total_shift_hours,
+          travel_legs: workingTime.travel.length,
+          default_travel_legs: workingTime.travel.filter(leg => leg.source === 'default').length,
+          travel_hours: workingTime.travel_hours,
+          qualifying_hours: workingTime.qualifying_hours
+        });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Generate audit metadata
    * @param {Object} uploadInfo - Upload information
@@ -231,6 +231,15 @@ class FixSuggestionService {
             });
             break;
 
+          case 'daily_average_unrealistic':
+            suggestions.push({
+              type: 'AGREEMENT_REVIEW',
+              severity: 'HIGH',
+              message: 'Hours actually worked are well above the agreed daily average. Review the daily average agreement so it reflects a realistic average of hours worked.',
+              actionRequired: true
+            });
+            break;
+
           default:
             suggestions.push({
               type: 'MANUAL_REVIEW',
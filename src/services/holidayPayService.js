@@ -0,0 +1,354 @@
+/**
+ * Holiday Pay Service
+ * Checks the holiday pay in a payroll export against the Working Time
+ * Regulations, as a separate RAG dimension alongside the NMW check.
+ *
+ * Irregular-hours and part-year workers in leave years starting on or after
+ * 1 April 2024 accrue holiday at 12.07% of hours worked, and may be paid
+ * rolled-up holiday pay of 12.07% of their pay for work in each period.
+ * Leave taken with holiday hours, and everyone else's leave, is paid at
+ * average pay over the 52 weeks before the leave, skipping weeks with no pay
+ * and looking back no more than 104 weeks. Pay for work includes overtime
+ * and commission, which case law requires to count towards holiday pay, so
+ * the earnings basis is the period's total pay; holiday pay itself is
+ * uploaded separately.
+ */
+
+const { pool } = require('../config/database');
+const { toAmount, round, toDateKey } = require('../utils/calculation-utils');
+
+class HolidayPayService {
+  constructor() {
+    // Accrual rate for irregular-hours and part-year workers (5.6 / 46.4 weeks)
+    this.ACCRUAL_RATE = 0.1207;
+
+    // Irregular-hours rules apply to leave years starting on or after this date
+    this.REFORM_DATE = '2024-04-01';
+
+    // Reference period for average pay, and how far back it may reach for weeks with pay
+    this.REFERENCE_WEEKS = 52;
+    this.MAX_LOOKBACK_WEEKS = 104;
+
+    // Shortfalls below a pound are treated as rounding in the averages
+    this.SHORTFALL_TOLERANCE = 1.00;
+
+    // Uploaded hours patterns recognised as irregular-hours or part-year work
+    this.HOURS_PATTERNS = {
+      irregular_hours: ['irregular', 'irregular_hours', 'zero_hours', 'casual', 'variable', 'yes', 'true', 'y'],
+      part_year: ['part_year', 'term_time', 'seasonal']
+    };
+  }
+
+  /**
+   * Classify a worker's hours pattern for holiday purposes
+   * @param {Object} worker - Worker data (hours_pattern)
+   * @returns {string} 'irregular_hours', 'part_year' or 'regular'
+   */
+  getHoursPattern(worker) {
+    const pattern = String(worker?.hours_pattern || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+    for (const [category, values] of Object.entries(this.HOURS_PATTERNS)) {
+      if (values.includes(pattern)) {
+        return category;
+      }
+    }
+
+    return 'regular';
+  }
+
+  /**
+   * Get the start of the leave year a date falls in
+   * @param {Object} worker - Worker data (leave_year_start)
+   * @param {string|Date} date - Date within the leave year
+   * @returns {string|null} Leave year start (YYYY-MM-DD), or null if the worker has no leave year recorded
+   */
+  getLeaveYearStart(worker, date) {
+    const leaveYearStart = toDateKey(worker?.leave_year_start);
+    const dateKey = toDateKey(date);
+    if (!leaveYearStart || !dateKey) {
+      return null;
+    }
+
+    // Latest anniversary of the leave year start on or before the date
+    const anniversary = `${dateKey.substring(0, 4)}${leaveYearStart.substring(4)}`;
+    return anniversary <= dateKey
+      ? anniversary
+      : `${Number(dateKey.substring(0, 4)) - 1}${leaveYearStart.substring(4)}`;
+  }
+
+  /**
+   * Check whether the irregular-hours rules apply to a pay period
+   * Without a recorded leave year, the period start is taken as the start of the leave year
+   * @param {Object} worker - Worker data
+   * @param {string|Date} periodStart - Pay period start date
+   * @returns {boolean} True if the pay period falls in a leave year starting on or after 1 April 2024
+   */
+  isReformLeaveYear(worker, periodStart) {
+    const leaveYearStart = this.getLeaveYearStart(worker, periodStart) || toDateKey(periodStart);
+    return Boolean(leaveYearStart) && leaveYearStart >= this.REFORM_DATE;
+  }
+
+  /**
+   * Get the pay for work that holiday pay is based on
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Object} Earnings basis, showing the overtime and commission it includes
+   */
+  getEarnings(payPeriod) {
+    return {
+      total_pay: round(toAmount(payPeriod.total_pay, 0)),
+      overtime_pay: round(toAmount(payPeriod.overtime_pay, 0)),
+      commission: round(toAmount(payPeriod.commission, 0))
+    };
+  }
+
+  /**
+   * Check the holiday pay in a pay period
+   * @param {Object} worker - Worker data (hours_pattern, leave_year_start)
+   * @param {Object} payPeriod - Pay period data (total_pay, total_hours, holiday_pay, holiday_hours, holiday_pay_history)
+   * @returns {Object|null} Holiday pay check, or null if the period has no holiday pay to check
+   */
+  checkHolidayPay(worker, payPeriod) {
+    const hoursPattern = this.getHoursPattern(worker);
+    const holidayPay = toAmount(payPeriod.holiday_pay, 0);
+    const holidayHours = toAmount(payPeriod.holiday_hours, 0);
+
+    // Leave paid when it is taken is checked against average pay, whatever the hours pattern
+    if (hoursPattern !== 'regular' && holidayHours <= 0 && this.isReformLeaveYear(worker, payPeriod.period_start)) {
+      return this.checkRolledUpHolidayPay(hoursPattern, payPeriod);
+    }
+
+    if (holidayPay <= 0 && holidayHours <= 0) {
+      return null;
+    }
+
+    if (holidayHours <= 0) {
+      return this.buildResult(hoursPattern, 'reference_average', payPeriod, {
+        ragStatus: 'AMBER',
+        reason: hoursPattern === 'regular'
+          ? `Holiday pay of £${holidayPay.toFixed(2)} was paid without the holiday hours it covers, so it cannot be checked against average pay`
+          : `Holiday pay of £${holidayPay.toFixed(2)} looks rolled-up, which is only lawful for leave years starting on or after 1 April 2024`,
+        issue: hoursPattern === 'regular' ? 'holiday_hours_missing' : 'rolled_up_before_reform'
+      });
+    }
+
+    return this.checkReferenceHolidayPay(hoursPattern, payPeriod);
+  }
+
+  /**
+   * Check rolled-up holiday pay for an irregular-hours or part-year worker
+   * Expected holiday pay is 12.07% of pay for work in the period, including overtime and commission
+   * @param {string} hoursPattern - Worker's hours pattern
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Object} Holiday pay check
+   */
+  checkRolledUpHolidayPay(hoursPattern, payPeriod) {
+    const earnings = this.getEarnings(payPeriod);
+    const holidayPay = toAmount(payPeriod.holiday_pay, 0);
+    const expected = round(earnings.total_pay * this.ACCRUAL_RATE);
+    const accruedHours = round(toAmount(payPeriod.total_hours, 0) * this.ACCRUAL_RATE);
+
+    if (holidayPay <= 0) {
+      return this.buildResult(hoursPattern, 'accrual', payPeriod, {
+        ragStatus: 'AMBER',
+        reason: `No rolled-up holiday pay was paid; check ${accruedHours} hours of holiday (12.07% of hours worked) were accrued instead`,
+        issue: 'holiday_accrual_unconfirmed',
+        expected_holiday_pay: expected,
+        accrual_rate: this.ACCRUAL_RATE,
+        accrued_hours: accruedHours
+      });
+    }
+
+    const shortfall = round(Math.max(expected - holidayPay, 0));
+    const underpaid = shortfall > this.SHORTFALL_TOLERANCE;
+
+    return this.buildResult(hoursPattern, 'rolled_up', payPeriod, {
+      ragStatus: underpaid ? 'RED' : 'GREEN',
+      reason: underpaid
+        ? `Rolled-up holiday pay of £${holidayPay.toFixed(2)} is £${shortfall.toFixed(2)} short of 12.07% of £${earnings.total_pay.toFixed(2)} pay for work`
+        : 'Rolled-up holiday pay is at least 12.07% of pay for work, including overtime and commission',
+      issue: underpaid ? 'rolled_up_holiday_pay_shortfall' : null,
+      expected_holiday_pay: expected,
+      shortfall,
+      accrual_rate: this.ACCRUAL_RATE,
+      accrued_hours: accruedHours
+    });
+  }
+
+  /**
+   * Calculate average pay over the reference period before leave
+   * Works back from the leave through pay periods with pay, up to 52 weeks and no further than 104 weeks
+   * @param {Array} history - Earlier pay periods (period_start, period_end, total_hours, total_pay)
+   * @param {string|Date} beforeDate - Date the leave pay period starts
+   * @returns {Object} Reference period average
+   */
+  calculateReferenceAverage(history, beforeDate) {
+    const before = toDateKey(beforeDate);
+    const earliest = new Date(before);
+    earliest.setUTCDate(earliest.getUTCDate() - this.MAX_LOOKBACK_WEEKS * 7);
+    const earliestKey = earliest.toISOString().split('T')[0];
+
+    const periods = (history || [])
+      .map(period => ({
+        period_start: toDateKey(period.period_start),
+        period_end: toDateKey(period.period_end),
+        total_hours: toAmount(period.total_hours, 0),
+        total_pay: toAmount(period.total_pay, 0)
+      }))
+      .filter(period => period.period_start && period.period_end &&
+        period.period_end < before && period.period_start >= earliestKey && period.total_pay > 0)
+      .sort((a, b) => b.period_end.localeCompare(a.period_end));
+
+    const used = [];
+    let weeks = 0;
+    for (const period of periods) {
+      if (weeks >= this.REFERENCE_WEEKS) {
+        break;
+      }
+      const days = Math.round((new Date(period.period_end) - new Date(period.period_start)) / (1000 * 60 * 60 * 24)) + 1;
+      weeks += days / 7;
+      used.push(period);
+    }
+
+    const totalPay = used.reduce((sum, period) => sum + period.total_pay, 0);
+    const totalHours = used.reduce((sum, period) => sum + period.total_hours, 0);
+
+    return {
+      weeks: round(weeks),
+      periods_used: used.length,
+      complete: weeks >= this.REFERENCE_WEEKS - 0.5,
+      total_pay: round(totalPay),
+      total_hours: round(totalHours),
+      average_weekly_pay: weeks > 0 ? round(totalPay / weeks) : 0,
+      average_hourly_pay: totalHours > 0 ? Math.round((totalPay / totalHours) * 10000) / 10000 : 0
+    };
+  }
+
+  /**
+   * Check holiday pay for leave taken against average pay over the reference period
+   * @param {string} hoursPattern - Worker's hours pattern
+   * @param {Object} payPeriod - Pay period data, with earlier periods as holiday_pay_history
+   * @returns {Object} Holiday pay check
+   */
+  checkReferenceHolidayPay(hoursPattern, payPeriod) {
+    const holidayPay = toAmount(payPeriod.holiday_pay, 0);
+    const holidayHours = toAmount(payPeriod.holiday_hours, 0);
+    const reference = this.calculateReferenceAverage(payPeriod.holiday_pay_history, payPeriod.period_start);
+
+    if (reference.periods_used === 0 || reference.average_hourly_pay <= 0) {
+      const unpaid = holidayPay <= 0;
+      return this.buildResult(hoursPattern, 'reference_average', payPeriod, {
+        ragStatus: unpaid ? 'RED' : 'AMBER',
+        reason: unpaid
+          ? `No holiday pay was paid for ${holidayHours} hours of leave`
+          : 'No earlier pay periods were uploaded to work out average pay over the 52-week reference period',
+        issue: unpaid ? 'holiday_pay_shortfall' : 'reference_period_missing',
+        reference
+      });
+    }
+
+    const expected = round(reference.average_hourly_pay * holidayHours);
+    const shortfall = round(Math.max(expected - holidayPay, 0));
+    const underpaid = shortfall > this.SHORTFALL_TOLERANCE;
+
+    let ragStatus = 'GREEN';
+    let reason = `Holiday pay is at least average pay over the ${reference.complete ? '52-week' : `${reference.weeks}-week`} reference period, including overtime and commission`;
+    let issue = null;
+
+    if (underpaid && reference.complete) {
+      ragStatus = 'RED';
+      reason = `Holiday pay of £${holidayPay.toFixed(2)} for ${holidayHours} hours is £${shortfall.toFixed(2)} short of average pay of £${reference.average_hourly_pay.toFixed(2)} an hour over the last 52 weeks`;
+      issue = 'holiday_pay_shortfall';
+    } else if (underpaid) {
+      ragStatus = 'AMBER';
+      reason = `Holiday pay looks £${shortfall.toFixed(2)} short, but only ${reference.weeks} weeks of earlier pay were uploaded; upload 52 weeks to confirm`;
+      issue = 'reference_period_incomplete';
+    }
+
+    return this.buildResult(hoursPattern, 'reference_average', payPeriod, {
+      ragStatus,
+      reason,
+      issue,
+      expected_holiday_pay: expected,
+      shortfall,
+      reference
+    });
+  }
+
+  /**
+   * Build a holiday pay check result
+   * @param {string} hoursPattern - Worker's hours pattern
+   * @param {string} method - 'rolled_up', 'accrual' or 'reference_average'
+   * @param {Object} payPeriod - Pay period data
+   * @param {Object} check - Outcome of the check
+   * @returns {Object} Holiday pay check
+   */
+  buildResult(hoursPattern, method, payPeriod, check) {
+    return {
+      hours_pattern: hoursPattern,
+      method,
+      ragStatus: check.ragStatus,
+      reason: check.reason,
+      issue: check.issue || null,
+      holiday_pay_paid: round(toAmount(payPeriod.holiday_pay, 0)),
+      holiday_hours: round(toAmount(payPeriod.holiday_hours, 0)),
+      expected_holiday_pay: check.expected_holiday_pay ?? null,
+      shortfall: check.shortfall ?? 0,
+      earnings: this.getEarnings(payPeriod),
+      accrual_rate: check.accrual_rate ?? null,
+      accrued_hours: check.accrued_hours ?? null,
+      reference_period: check.reference || null,
+      rule: method === 'reference_average'
+        ? 'Holiday pay must be at least average weekly pay over the previous 52 paid weeks, including overtime and commission'
+        : 'Irregular-hours and part-year workers accrue holiday at 12.07% of hours worked, and rolled-up holiday pay must be at least 12.07% of pay for work'
+    };
+  }
+
+  /**
+   * Summarise holiday pay checks by RAG status
+   * @param {Array} checks - Holiday pay checks (null entries are periods with nothing to check)
+   * @returns {Object} Holiday pay summary
+   */
+  summarizeChecks(checks) {
+    const checked = checks.filter(Boolean);
+
+    return {
+      checked: checked.length,
+      green: checked.filter(check => check.ragStatus === 'GREEN').length,
+      amber: checked.filter(check => check.ragStatus === 'AMBER').length,
+      red: checked.filter(check => check.ragStatus === 'RED').length,
+      total_shortfall: round(checked.reduce((sum, check) => sum + (check.shortfall || 0), 0))
+    };
+  }
+
+  /**
+   * Get a worker's earlier pay periods for the holiday pay reference period, from any payroll upload
+   * Pay periods are matched to the worker by external ID within their organisation
+   * @param {number} workerId - Worker ID (from any upload)
+   * @param {string|Date} periodStart - Start of the pay period the leave falls in
+   * @returns {Promise<Array>} Earlier pay periods, latest first
+   */
+  async getReferenceHistory(workerId, periodStart) {
+    const before = toDateKey(periodStart);
+    const earliest = new Date(before);
+    earliest.setUTCDate(earliest.getUTCDate() - this.MAX_LOOKBACK_WEEKS * 7);
+
+    // A pay period uploaded more than once is counted once, from the latest upload
+    const query = `
+      SELECT DISTINCT ON (pp.period_start, pp.period_end)
+             pp.period_start, pp.period_end, pp.total_hours, pp.total_pay
+      FROM pay_periods pp
+      JOIN workers pw ON pw.id = pp.worker_id
+      JOIN workers w ON w.external_id = pw.external_id
+        AND w.organization_id IS NOT DISTINCT FROM pw.organization_id
+      WHERE w.id = $1
+        AND pp.period_end < $2
+        AND pp.period_start >= $3
+      ORDER BY pp.period_start DESC, pp.period_end DESC, pp.csv_upload_id DESC
+    `;
+
+    const result = await pool.query(query, [workerId, before, earliest.toISOString().split('T')[0]]);
+    return result.rows;
+  }
+}
+
+module.exports = HolidayPayService;
@@ -0,0 +1,93 @@
+/**
+ * Hours Reconciliation Service
+ * Compares the hours a worker was paid for in a payroll export with the hours
+ * rostered on a rota and clocked on timesheets for the same pay period.
+ *
+ * Rota, timesheet and payroll uploads are joined by worker ID within the
+ * organisation. The NMW check runs on the highest of the figures, because
+ * working time that was rostered or clocked but not paid still counts.
+ */
+
+const { pool } = require('../config/database');
+const { toAmount, round } = require('../utils/calculation-utils');
+
+class HoursReconciliationService {
+  constructor() {
+    // Sources an hours figure can come from, in order of preference when figures are equal
+    this.SOURCES = ['paid', 'rostered', 'clocked'];
+  }
+
+  /**
+   * Reconcile paid hours against rostered and clocked hours
+   * @param {number|null} paidHours - Hours paid in the payroll export
+   * @param {number|null} rosteredHours - Qualifying hours from rota shifts
+   * @param {number|null} clockedHours - Hours clocked on timesheets
+   * @returns {Object} Reconciliation with the hours to use for the NMW check
+   */
+  reconcileHours(paidHours, rosteredHours, clockedHours) {
+    const figures = {
+      paid: this.toHours(paidHours),
+      rostered: this.toHours(rosteredHours),
+      clocked: this.toHours(clockedHours)
+    };
+
+    let hoursSource = null;
+    this.SOURCES.forEach(source => {
+      if (figures[source] !== null && (hoursSource === null || figures[source] > figures[hoursSource])) {
+        hoursSource = source;
+      }
+    });
+
+    const hoursUsed = hoursSource ? figures[hoursSource] : 0;
+
+    // Only a payroll figure can be short of the hours worked
+    const unpaidHours = figures.paid !== null && figures.paid > 0
+      ? round(Math.max(hoursUsed - figures.paid, 0))
+      : 0;
+
+    return {
+      paid_hours: figures.paid,
+      rostered_hours: figures.rostered,
+      clocked_hours: figures.clocked,
+      hours_used: hoursUsed,
+      hours_source: hoursSource,
+      unpaid_hours: unpaidHours
+    };
+  }
+
+  /**
+   * Get the hours a worker clocked within a pay period, from any timesheet upload
+   * Timesheet entries are matched to the worker by external ID within their organisation
+   * @param {number} workerId - Worker ID (from any upload)
+   * @param {string|Date} periodStart - Pay period start date
+   * @param {string|Date} periodEnd - Pay period end date
+   * @returns {Promise<number|null>} Clocked hours or null if no timesheet covers the period
+   */
+  async getClockedHours(workerId, periodStart, periodEnd) {
+    const query = `
+      SELECT COUNT(te.id) AS entries, COALESCE(SUM(te.hours_worked), 0) AS clocked_hours
+      FROM timesheet_entries te
+      JOIN workers w ON w.external_id = te.worker_external_id
+        AND w.organization_id IS NOT DISTINCT FROM te.organization_id
+      WHERE w.id = $1
+        AND te.work_date BETWEEN $2 AND $3
+    `;
+
+    const result = await pool.query(query, [workerId, periodStart, periodEnd]);
+    const row = result.rows[0];
+
+    return row && parseInt(row.entries) > 0 ? round(parseFloat(row.clocked_hours)) : null;
+  }
+
+  /**
+   * Convert an hours value to a number, treating blanks as not supplied
+   * @param {number|string|null} hours - Hours value
+   * @returns {number|null} Hours or null if not supplied
+   */
+  toHours(hours) {
+    const parsed = toAmount(hours);
+    return parsed === null ? null : round(parsed);
+  }
+}
+
+module.exports = HoursReconciliationService;
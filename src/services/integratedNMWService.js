@@ -1,16 +1,23 @@
 const PRPCalculationService = require('./prpCalculationService');
 const AccommodationOffsetService = require('./accommodationOffsetService');
 const NMWDeductionService = require('./nmwDeductionService');
+const WorkerExpenseService = require('./workerExpenseService');
 const AllowancePremiumService = require('./allowancePremiumService');
 const TroncExclusionService = require('./troncExclusionService');
+const SalarySacrificeService = require('./salarySacrificeService');
 const RAGStatusService = require('./ragStatusService');
 const FixSuggestionService = require('./fixSuggestionService');
+const OutputWorkService = require('./outputWorkService');
+const UnmeasuredWorkService = require('./unmeasuredWorkService');
+const TrainingTimeService = require('./trainingTimeService');
+const WorkTypeService = require('./workTypeService');
 const ratesConfig = require('../config/rates');
 
 /**
  * Integrated NMW Service for WageGuard
  * Combines all NMW compliance services: PRP calculations, accommodation offsets,
- * NMW deductions, allowances/premiums, and tronc exclusions
+ * NMW deductions, worker-incurred expenses, allowances/premiums, tronc exclusions
+ * and salary sacrifice
  * to provide comprehensive NMW/NLW compliance checking
  */
 class IntegratedNMWService {
@@ -18,10 +25,16 @@ class IntegratedNMWService {
     this.prpService = new PRPCalculationService();
     this.accommodationService = new AccommodationOffsetService();
     this.deductionService = new NMWDeductionService();
+    this.workerExpenseService = new WorkerExpenseService();
     this.allowancePremiumService = new AllowancePremiumService();
     this.troncExclusionService = new TroncExclusionService();
+    this.salarySacrificeService = new SalarySacrificeService();
     this.ragStatusService = new RAGStatusService();
     this.fixSuggestionService = new FixSuggestionService();
+    this.outputWorkService = new OutputWorkService();
+    this.unmeasuredWorkService = new UnmeasuredWorkService();
+    this.trainingTimeService = new TrainingTimeService();
+    this.workTypeService = new WorkTypeService();
     this.ratesConfig = ratesConfig;
   }
 
@@ -52,18 +65,50 @@ class IntegratedNMWService {
       const nmwRates = await this.loadNMWRates();
       
       // Calculate core PRP (Pay-Reference Period)
-      const prpResult = await this.calculateCorePRP(worker, payPeriod, nmwRates);
-      
-      // Calculate accommodation offsets
-      const accommodationResult = await this.accommodationService.calculateAccommodationOffset(
-        worker, payPeriod, offsetData.accommodation || { total_charge: 0 }
-      );
+      let prpResult = await this.calculateCorePRP(worker, payPeriod, nmwRates);
+
+      // Output workers are paid by the piece, so hours come from the output work rules
+      let outputWorkResult = null;
+      if (this.outputWorkService.isOutputWorker(worker)) {
+        outputWorkResult = await this.outputWorkService.calculateOutputWork(worker, payPeriod);
+        if (outputWorkResult.success) {
+          prpResult = this.applyOutputWork(prpResult, outputWorkResult);
+        }
+      }
+
+      // Unmeasured workers count agreed daily average hours where an agreement is in effect
+      let unmeasuredWorkResult = null;
+      if (this.unmeasuredWorkService.isUnmeasuredWorker(worker)) {
+        unmeasuredWorkResult = this.unmeasuredWorkService.calculateUnmeasuredWork(worker, payPeriod);
+        if (unmeasuredWorkResult.success) {
+          prpResult = this.applyUnmeasuredWork(prpResult, unmeasuredWorkResult);
+        }
+      }
+
+      // Training hours recorded for the period are added to the core PRP hours
+      const trainingTimeResult = this.trainingTimeService.calculateTrainingTime(payPeriod, prpResult.total_hours || 0);
+      if (trainingTimeResult) {
+        prpResult = this.applyTrainingTime(prpResult, trainingTimeResult);
+      }
       
       // Calculate NMW deductions
       const deductionResult = await this.deductionService.calculateNMWDeductions(
         worker, payPeriod, deductionData
       );
       
+      // Calculate accommodation offsets, including utilities, laundry and other accommodation-related charges
+      // and any accommodation charges taken as deduction lines
+      const accommodationData = offsetData.accommodation || { total_charge: 0 };
+      const accommodationResult = await this.accommodationService.calculateAccommodationOffset(
+        worker, payPeriod, {
+          ...accommodationData,
+          related_charges: [...(accommodationData.related_charges || []), ...(deductionResult.accommodation_charges || [])]
+        }, rawPayComponents
+      );
+      
+      // Calculate expenses the worker paid for themselves (DBS checks, uniforms, own vehicle)
+      const workerExpenseResult = await this.workerExpenseService.calculateWorkerExpenses(worker, payPeriod);
+      
       // Process allowances and premiums
       const allowancePremiumResult = await this.allowancePremiumService.calculateAllowancesAndPremiums(
         worker, payPeriod, rawPayComponents
@@ -74,6 +119,11 @@ class IntegratedNMWService {
         worker, payPeriod, rawPayComponents
       );
       
+      // Calculate salary sacrifice (pension, cycle-to-work, childcare vouchers, EV schemes)
+      const salarySacrificeResult = await this.salarySacrificeService.calculateSalarySacrifice(
+        worker, payPeriod, rawPayComponents
+      );
+      
       // Calculate other offsets (meals, transport)
       const otherOffsetsResult = this.calculateOtherOffsets(offsetData, nmwRates);
       
@@ -89,7 +139,9 @@ class IntegratedNMWService {
         troncExclusionResult,
         otherOffsetsResult,
         enhancementsResult,
-        nmwRates
+        nmwRates,
+        salarySacrificeResult,
+        workerExpenseResult
       );
       
       // Generate comprehensive breakdown
@@ -103,9 +155,42 @@ class IntegratedNMWService {
         enhancementsResult,
         integratedResult
       );
+      if (outputWorkResult) {
+        breakdown.output_work = outputWorkResult;
+      }
+      if (unmeasuredWorkResult) {
+        breakdown.unmeasured_work = unmeasuredWorkResult;
+      }
+      if (salarySacrificeResult.success && salarySacrificeResult.total_sacrifice > 0) {
+        breakdown.salary_sacrifice = {
+          schemes: salarySacrificeResult.schemes,
+          total_sacrifice: salarySacrificeResult.total_sacrifice,
+          exposure: this.salarySacrificeService.calculateExposure(
+            salarySacrificeResult,
+            integratedResult.effectiveHourlyRate,
+            integratedResult.requiredHourlyRate,
+            integratedResult.baseHours
+          )
+        };
+      }
+      if (workerExpenseResult.success && workerExpenseResult.total_expenses > 0) {
+        breakdown.worker_expenses = {
+          source: workerExpenseResult.source,
+          expenses: workerExpenseResult.expenses,
+          total_expenses: workerExpenseResult.total_expenses
+        };
+      }
+      if (trainingTimeResult) {
+        trainingTimeResult.effective_hourly_rate_without_training = trainingTimeResult.hours_without_training > 0
+          ? (integratedResult.netPayForNMW - integratedResult.totalOffsets) / trainingTimeResult.hours_without_training
+          : 0;
+        breakdown.training_time = trainingTimeResult;
+      }
 
       // Calculate RAG status based on effective rate vs required rate
-      const ragStatusResult = await this.calculateRAGStatus(worker, payPeriod, integratedResult);
+      const ragStatusResult = await this.calculateRAGStatus(
+        worker, payPeriod, integratedResult, outputWorkResult, unmeasuredWorkResult, breakdown.salary_sacrifice
+      );
       
       // Generate fix suggestions if needed (especially for RED status)
       const fixSuggestionsResult = await this.generateFixSuggestions(
@@ -119,15 +204,23 @@ class IntegratedNMWService {
         pay_period_id: payPeriod.id,
         period_start: payPeriod.period_start,
         period_end: payPeriod.period_end,
+        age: worker.age || null,
+        date_of_birth: worker.date_of_birth || null,
+        work_type: this.workTypeService.classifyWorker(worker),
+        is_apprentice: worker.is_apprentice || worker.apprentice || false,
+        total_hours: integratedResult.baseHours,
         final_compliance_status: integratedResult.finalStatus,
         final_compliance_score: integratedResult.finalScore,
         effective_hourly_rate: integratedResult.effectiveHourlyRate,
         required_hourly_rate: integratedResult.requiredHourlyRate,
+        rate_selection: ragStatusResult.rateSelection || null,
         total_offsets: integratedResult.totalOffsets,
         total_deductions: integratedResult.totalDeductions,
+        total_worker_expenses: integratedResult.totalWorkerExpenses,
         total_allowances: integratedResult.totalAllowances,
         total_premiums: integratedResult.totalPremiums,
         total_tronc_excluded: integratedResult.totalTroncExcluded,
+        total_salary_sacrifice: integratedResult.totalSalarySacrifice,
         total_enhancements: integratedResult.totalEnhancements,
         net_pay_for_nmw: integratedResult.netPayForNMW,
         rag_status: ragStatusResult.ragStatus,
@@ -137,7 +230,12 @@ class IntegratedNMWService {
         primary_fix_suggestion: fixSuggestionsResult.primarySuggestion?.message || null,
         fix_calculations: fixSuggestionsResult.calculations || {},
         breakdown: breakdown,
-        warnings: this.consolidateWarnings(allowancePremiumResult, troncExclusionResult, ragStatusResult, fixSuggestionsResult),
+        warnings: [
+          ...this.consolidateWarnings(allowancePremiumResult, troncExclusionResult, ragStatusResult, fixSuggestionsResult),
+          ...this.generateTrainingTimeWarnings(trainingTimeResult, integratedResult),
+          ...this.generateSalarySacrificeWarnings(breakdown.salary_sacrifice),
+          ...this.generateWorkerExpenseWarnings(breakdown.worker_expenses, integratedResult)
+        ],
         calculation_date: new Date().toISOString(),
         rates_source: 'GOV.UK NMW/NLW rules',
         rates_last_updated: new Date().toISOString()
@@ -243,32 +341,105 @@ class IntegratedNMWService {
   async calculateCorePRP(worker, payPeriod, nmwRates) {
     // Extract basic worker and pay period data for PRP calculation
     const prpWorker = {
+      id: worker.id || worker.worker_id,
       worker_id: worker.worker_id,
       worker_name: worker.worker_name,
       age: worker.age || 25, // Default age for rate determination
       apprentice: worker.apprentice || false
     };
 
+    // Date of birth sets the rate band from age at the start of the PRP
+    if (worker.date_of_birth) {
+      prpWorker.date_of_birth = worker.date_of_birth;
+    }
+
+    // Role decides which of the client's mandatory unpaid activities apply
+    if (worker.role) {
+      prpWorker.role = worker.role;
+    }
+
+    // Pay periods reach this service with either the upload's hours/pay or the stored total_hours/total_pay
+    const totalHours = parseFloat(payPeriod.total_hours ?? payPeriod.hours) || 0;
+    const totalPay = parseFloat(payPeriod.total_pay ?? payPeriod.pay) || 0;
+
     const prpPayPeriod = {
       id: payPeriod.id,
       period_start: payPeriod.period_start,
       period_end: payPeriod.period_end,
-      hours: payPeriod.hours || 0,
-      pay: payPeriod.pay || 0
+      total_hours: totalHours,
+      total_pay: totalPay
     };
 
+    // Mandatory unpaid activities are counted per shift worked
+    if (payPeriod.mandatory_activities) {
+      prpPayPeriod.mandatory_activities = payPeriod.mandatory_activities;
+      prpPayPeriod.shifts_worked = payPeriod.shifts_worked;
+      prpPayPeriod.days_worked = payPeriod.days_worked;
+    }
+
     // Calculate core PRP
     const prpResult = this.prpService.calculatePRP(prpWorker, prpPayPeriod);
-    
+
+    // Fall back to the uploaded hours and pay so later steps still have something to work from
+    if (!prpResult.success) {
+      console.warn(`⚠️ Core PRP calculation failed for worker ${worker.worker_id}: ${prpResult.error}`);
+      return {
+        success: false,
+        error: prpResult.error,
+        effective_hourly_rate: totalHours > 0 ? totalPay / totalHours : 0,
+        required_hourly_rate: null,
+        compliance_status: null,
+        compliance_score: null,
+        total_hours: totalHours,
+        total_pay: totalPay,
+        mandatory_activities: null
+      };
+    }
+
     return {
       success: true,
-      effective_hourly_rate: prpResult.effectiveHourlyRate,
-      required_hourly_rate: prpResult.requiredRate,
-      compliance_status: prpResult.ragStatus,
-      compliance_score: prpResult.complianceScore,
-      total_hours: prpResult.totalHours,
-      total_pay: prpResult.totalPay,
-      breakdown: prpResult.breakdown
+      effective_hourly_rate: prpResult.prp.effective_hourly_rate,
+      required_hourly_rate: prpResult.prp.required_hourly_rate,
+      compliance_status: prpResult.compliance.rag_status,
+      compliance_score: prpResult.compliance.compliance_score,
+      total_hours: prpResult.prp.total_hours,
+      total_pay: prpResult.prp.total_pay,
+      mandatory_activities: prpResult.prp.mandatory_activities || null,
+      breakdown: {
+        start_date: prpResult.prp.start_date,
+        end_date: prpResult.prp.end_date,
+        rate_selection: prpResult.prp.rate_selection
+      }
+    };
+  }
+
+  /**
+   * Replace core PRP hours and pay with the output work calculation
+   * @param {Object} prpResult - Core PRP calculation result
+   * @param {Object} outputWorkResult - Output work calculation result
+   * @returns {Object} Core PRP result for an output worker
+   */
+  applyOutputWork(prpResult, outputWorkResult) {
+    return {
+      ...prpResult,
+      total_hours: outputWorkResult.hours_for_nmw,
+      total_pay: outputWorkResult.output_pay,
+      effective_hourly_rate: outputWorkResult.effective_hourly_rate,
+      required_hourly_rate: outputWorkResult.required_hourly_rate
+    };
+  }
+
+  /**
+   * Replace core PRP hours with the unmeasured work hours
+   * @param {Object} prpResult - Core PRP calculation result
+   * @param {Object} unmeasuredWorkResult - Unmeasured work calculation result
+   * @returns {Object} Core PRP result for an unmeasured worker
+   */
+  applyUnmeasuredWork(prpResult, unmeasuredWorkResult) {
+    return {
+      ...prpResult,
+      total_hours: unmeasuredWorkResult.hours_for_nmw,
+      effective_hourly_rate: unmeasuredWorkResult.effective_hourly_rate
     };
   }
 
@@ -343,6 +514,96 @@ class IntegratedNMWService {
     };
   }
 
+  /**
+   * Add unpaid training time to core PRP hours
+   * @param {Object} prpResult - Core PRP calculation result
+   * @param {Object} trainingTimeResult - Training time result
+   * @returns {Object} Core PRP result including training hours
+   */
+  applyTrainingTime(prpResult, trainingTimeResult) {
+    const totalHours = trainingTimeResult.hours_with_training;
+
+    return {
+      ...prpResult,
+      total_hours: totalHours,
+      effective_hourly_rate: totalHours > 0 ? (prpResult.total_pay || 0) / totalHours : 0
+    };
+  }
+
+  /**
+   * Generate warnings for unpaid training time added to hours worked
+   * @param {Object|null} trainingTimeResult - Training time result
+   * @param {Object} integratedResult - Integrated calculation result
+   * @returns {Array} Training time warnings
+   */
+  generateTrainingTimeWarnings(trainingTimeResult, integratedResult) {
+    if (!trainingTimeResult) {
+      return [];
+    }
+
+    return [{
+      ...this.trainingTimeService.generateTrainingTimeIssue(
+        trainingTimeResult, integratedResult.effectiveHourlyRate, integratedResult.requiredHourlyRate
+      ),
+      code: 'UNPAID_TRAINING_TIME',
+      source: 'training_time'
+    }];
+  }
+
+  /**
+   * Generate warnings for salary sacrifice that takes pay below the minimum wage
+   * @param {Object|undefined} salarySacrifice - Salary sacrifice breakdown line
+   * @returns {Array} Salary sacrifice warnings
+   */
+  generateSalarySacrificeWarnings(salarySacrifice) {
+    if (!salarySacrifice?.exposure) {
+      return [];
+    }
+
+    const { exposure } = salarySacrifice;
+    const schemes = [...new Set(salarySacrifice.schemes.map(scheme => scheme.scheme))].join(', ');
+
+    return [{
+      type: 'salary_sacrifice_below_minimum',
+      code: 'SALARY_SACRIFICE_BELOW_MINIMUM',
+      severity: 'high',
+      message: `Salary sacrifice of £${exposure.total_sacrifice.toFixed(2)} (${schemes}) takes pay below the minimum wage; ` +
+        `arrears of £${exposure.arrears_owed.toFixed(2)} are owed and the employer faces a penalty of up to £${exposure.maximum_penalty.toFixed(2)}` +
+        (exposure.naming_risk ? ' and public naming' : ''),
+      total_sacrifice: exposure.total_sacrifice,
+      effective_hourly_rate_without_sacrifice: exposure.effective_hourly_rate_without_sacrifice,
+      arrears_owed: exposure.arrears_owed,
+      maximum_penalty: exposure.maximum_penalty,
+      naming_risk: exposure.naming_risk,
+      source: 'salary_sacrifice'
+    }];
+  }
+
+  /**
+   * Generate warnings for work expenses the worker paid for themselves
+   * @param {Object|undefined} workerExpenses - Worker expenses breakdown line
+   * @param {Object} integratedResult - Integrated calculation result
+   * @returns {Array} Worker expense warnings
+   */
+  generateWorkerExpenseWarnings(workerExpenses, integratedResult) {
+    if (!workerExpenses) {
+      return [];
+    }
+
+    const belowMinimum = integratedResult.effectiveHourlyRate < integratedResult.requiredHourlyRate;
+
+    return [{
+      type: 'worker_incurred_expenses',
+      code: 'WORKER_INCURRED_EXPENSES',
+      severity: belowMinimum ? 'high' : 'medium',
+      message: `Worker paid £${workerExpenses.total_expenses.toFixed(2)} of work expenses themselves (${workerExpenses.expenses.map(expense => expense.name).join(', ')}), ` +
+        `reducing NMW pay${belowMinimum ? ' below the minimum wage' : ''}`,
+      total_expenses: workerExpenses.total_expenses,
+      expense_source: workerExpenses.source,
+      source: 'worker_expenses'
+    }];
+  }
+
   /**
    * Integrate all calculations for final NMW compliance
    * @param {Object} prpResult - Core PRP result
@@ -353,9 +614,11 @@ class IntegratedNMWService {
    * @param {Object} otherOffsetsResult - Other offsets result
    * @param {Object} enhancementsResult - Enhancements result
    * @param {Object} nmwRates - NMW rates
+   * @param {Object} salarySacrificeResult - Salary sacrifice result
+   * @param {Object} workerExpenseResult - Worker-incurred expense result
    * @returns {Object} Integrated calculation result
    */
-  integrateCalculations(prpResult, accommodationResult, deductionResult, allowancePremiumResult, troncExclusionResult, otherOffsetsResult, enhancementsResult, nmwRates) {
+  integrateCalculations(prpResult, accommodationResult, deductionResult, allowancePremiumResult, troncExclusionResult, otherOffsetsResult, enhancementsResult, nmwRates, salarySacrificeResult = { success: false }, workerExpenseResult = { success: false }) {
     // Extract key values
     const basePay = prpResult.total_pay || 0;
     const baseHours = prpResult.total_hours || 0;
@@ -367,6 +630,9 @@ class IntegratedNMWService {
     // Calculate total deductions
     const totalDeductions = deductionResult.success ? deductionResult.total_deductions : 0;
     
+    // Calculate expenses borne by the worker, which reduce pay like deductions
+    const totalWorkerExpenses = workerExpenseResult.success ? workerExpenseResult.total_expenses || 0 : 0;
+    
     // Calculate allowances and premiums
     const totalAllowances = allowancePremiumResult.success ? allowancePremiumResult.totals?.total_allowances_included || 0 : 0;
     const totalPremiums = allowancePremiumResult.success ? allowancePremiumResult.totals?.total_premiums_basic_rate || 0 : 0;
@@ -374,12 +640,15 @@ class IntegratedNMWService {
     // Calculate tronc exclusions
     const totalTroncExcluded = troncExclusionResult.success ? troncExclusionResult.exclusion_summary?.total_excluded || 0 : 0;
     
+    // Calculate salary sacrifice
+    const totalSalarySacrifice = salarySacrificeResult.success ? salarySacrificeResult.total_sacrifice || 0 : 0;
+    
     // Calculate total enhancements
     const totalEnhancements = enhancementsResult.total;
     
     // Calculate net pay for NMW purposes
-    // Base pay + allowances + premiums (basic rate) + enhancements - deductions - tronc exclusions
-    const netPayForNMW = basePay + totalAllowances + totalPremiums + totalEnhancements - totalDeductions - totalTroncExcluded;
+    // Base pay + allowances + premiums (basic rate) + enhancements - deductions - worker expenses - tronc exclusions - salary sacrifice
+    const netPayForNMW = basePay + totalAllowances + totalPremiums + totalEnhancements - totalDeductions - totalWorkerExpenses - totalTroncExcluded - totalSalarySacrifice;
     
     // Calculate effective hourly rate after all adjustments
     const effectiveHourlyRate = baseHours > 0 ? (netPayForNMW - totalOffsets) / baseHours : 0;
@@ -407,9 +676,11 @@ class IntegratedNMWService {
       requiredHourlyRate: requiredRate,
       totalOffsets,
       totalDeductions,
+      totalWorkerExpenses,
       totalAllowances,
       totalPremiums,
       totalTroncExcluded,
+      totalSalarySacrifice,
       totalEnhancements,
       netPayForNMW,
       basePay,
@@ -503,10 +774,21 @@ class IntegratedNMWService {
         total_hours: prpResult.total_hours,
         total_pay: prpResult.total_pay
       },
+      mandatory_activities: prpResult.mandatory_activities ? {
+        shifts: prpResult.mandatory_activities.shifts,
+        shift_count_source: prpResult.mandatory_activities.shift_count_source,
+        activities: prpResult.mandatory_activities.activities,
+        total_hours: prpResult.mandatory_activities.total_hours,
+        hours_without_activities: prpResult.mandatory_activities.hours_without_activities,
+        effective_hourly_rate_without_activities: prpResult.mandatory_activities.effective_hourly_rate_without_activities
+      } : null,
       accommodation_offsets: accommodationResult.success ? {
         total_charge: accommodationResult.total_charge,
+        related_charges: accommodationResult.related_charges || [],
         total_offset: accommodationResult.total_offset,
         total_excess: accommodationResult.total_excess,
+        occupied_days: accommodationResult.occupied_days,
+        occupancy_mismatches: accommodationResult.occupancy_mismatches || [],
         compliance_status: accommodationResult.compliance_status,
         compliance_score: accommodationResult.compliance_score
       } : null,
@@ -514,6 +796,8 @@ class IntegratedNMWService {
         total_deductions: deductionResult.total_deductions,
         compliant_deductions: deductionResult.compliant_deductions,
         non_compliant_deductions: deductionResult.non_compliant_deductions,
+        deduction_lines: deductionResult.deduction_lines || [],
+        deductions_not_reducing_nmw: deductionResult.deductions_not_reducing_nmw || 0,
         compliance_status: deductionResult.compliance_status,
         compliance_score: deductionResult.compliance_score
       } : null,
@@ -540,6 +824,7 @@ class IntegratedNMWService {
         net_pay_for_nmw: integratedResult.netPayForNMW,
         total_offsets: integratedResult.totalOffsets,
         total_deductions: integratedResult.totalDeductions,
+        total_worker_expenses: integratedResult.totalWorkerExpenses,
         total_allowances: integratedResult.totalAllowances,
         total_premiums: integratedResult.totalPremiums,
         total_tronc_excluded: integratedResult.totalTroncExcluded,
@@ -669,9 +954,12 @@ class IntegratedNMWService {
    * @param {Object} worker - Worker data
    * @param {Object} payPeriod - Pay period data
    * @param {Object} integratedResult - Integrated calculation result
+   * @param {Object} outputWorkResult - Output work calculation result (output workers only)
+   * @param {Object} unmeasuredWorkResult - Unmeasured work calculation result (unmeasured workers only)
+   * @param {Object} salarySacrifice - Salary sacrifice breakdown line (workers with salary sacrifice only)
    * @returns {Promise<Object>} RAG status result
    */
-  async calculateRAGStatus(worker, payPeriod, integratedResult) {
+  async calculateRAGStatus(worker, payPeriod, integratedResult, outputWorkResult = null, unmeasuredWorkResult = null, salarySacrifice = null) {
     try {
       console.log(`🚦 Calculating RAG status for worker ${worker.worker_id || worker.id}`);
       
@@ -685,7 +973,10 @@ class IntegratedNMWService {
         deductionRatio: integratedResult.totalPay > 0 ? 
           (integratedResult.totalDeductions / integratedResult.totalPay) : 0,
         accommodationOffsetFlags: this.extractAccommodationFlags(integratedResult),
-        compliance_score: integratedResult.finalScore
+        compliance_score: integratedResult.finalScore,
+        outputWork: outputWorkResult,
+        unmeasuredWork: unmeasuredWorkResult,
+        salarySacrifice
       };
 
       const ragResult = await this.ragStatusService.calculateRAGStatus(worker, payPeriod, calculatedData);
@@ -788,6 +1079,9 @@ class IntegratedNMWService {
       if (accomBreakdown.compliance_status === 'non_compliant') {
         flags.push('accommodation_compliance_violation');
       }
+      if (accomBreakdown.occupancy_mismatches?.length > 0) {
+        flags.push('accommodation_occupancy_mismatch');
+      }
     }
 
     return flags;
@@ -824,6 +1118,11 @@ class IntegratedNMWService {
       }
     }
 
+    // Forward-looking RAG warnings (e.g., rate band changes next period)
+    if (ragStatusResult && ragStatusResult.warnings) {
+      warnings.push(...ragStatusResult.warnings.map(w => ({ ...w, source: 'rag_status' })));
+    }
+
     // Warnings from fix suggestions (e.g., critical underpayments)
     if (fixSuggestionsResult && fixSuggestionsResult.suggestions) {
       const criticalSuggestions = fixSuggestionsResult.suggestions.filter(s => s.severity === 'CRITICAL');
@@ -0,0 +1,145 @@
+/**
+ * Mandatory Activity Service
+ * Works out the time workers spend on mandatory unpaid activities before and
+ * after their shifts, such as security checks, handovers, putting on and
+ * taking off PPE and pre-shift briefings.
+ *
+ * Activities are configured per client in the client's settings as
+ * `mandatoryUnpaidActivities`, each with minutes per shift and an optional
+ * list of roles it applies to. The time is working time for NMW even when the
+ * rota and payroll leave it out.
+ */
+
+const ClientSettingsService = require('./clientSettingsService');
+const { round } = require('../utils/calculation-utils');
+
+class MandatoryActivityService {
+  constructor() {
+    this.clientSettingsService = new ClientSettingsService();
+
+    // Longest activity time accepted per shift
+    this.MAX_MINUTES_PER_SHIFT = 240;
+  }
+
+  /**
+   * Get the mandatory unpaid activities from a client's settings
+   * @param {Object} settings - Client settings
+   * @returns {Array} Configured activities
+   */
+  getActivities(settings) {
+    return Array.isArray(settings?.mandatoryUnpaidActivities) ? settings.mandatoryUnpaidActivities : [];
+  }
+
+  /**
+   * Validate a client's mandatory unpaid activities configuration
+   * @param {Array} activities - Activities ({ name, minutesPerShift, roles })
+   * @returns {Object} Validation result
+   */
+  validateActivities(activities) {
+    const errors = [];
+
+    if (!Array.isArray(activities)) {
+      return { isValid: false, errors: ['Mandatory unpaid activities must be an array'] };
+    }
+
+    activities.forEach((activity, index) => {
+      const label = activity?.name ? `"${activity.name}"` : `at index ${index}`;
+
+      if (!activity?.name || String(activity.name).trim() === '') {
+        errors.push(`Activity at index ${index} requires a name`);
+      }
+
+      const minutes = parseFloat(activity?.minutesPerShift);
+      if (isNaN(minutes) || minutes <= 0 || minutes > this.MAX_MINUTES_PER_SHIFT) {
+        errors.push(`Activity ${label} minutes per shift must be more than 0 and no more than ${this.MAX_MINUTES_PER_SHIFT}`);
+      }
+
+      if (activity?.roles !== undefined && (!Array.isArray(activity.roles) || activity.roles.some(role => typeof role !== 'string'))) {
+        errors.push(`Activity ${label} roles must be a list of role names`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check whether mandatory unpaid activities have been attached to a pay period
+   * @param {Object} payPeriod - Pay period data
+   * @returns {boolean} True if the pay period has activities
+   */
+  hasActivities(payPeriod) {
+    return Array.isArray(payPeriod?.mandatory_activities) && payPeriod.mandatory_activities.length > 0;
+  }
+
+  /**
+   * Count the shifts worked in a pay period
+   * Rota shifts are used where attached, then shifts or days worked from payroll
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Object|null} Shift count and its source, or null if unknown
+   */
+  countShifts(payPeriod) {
+    if (Array.isArray(payPeriod?.shifts) && payPeriod.shifts.length > 0) {
+      return { count: payPeriod.shifts.length, source: 'rota' };
+    }
+
+    if (parseFloat(payPeriod?.shifts_worked) > 0) {
+      return { count: parseFloat(payPeriod.shifts_worked), source: 'shifts_worked' };
+    }
+
+    if (parseFloat(payPeriod?.days_worked) > 0) {
+      return { count: parseFloat(payPeriod.days_worked), source: 'days_worked' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate the working time spent on mandatory unpaid activities in a pay period
+   * @param {Array} activities - Client's activities
+   * @param {Object} worker - Worker information (role)
+   * @param {Object|null} shiftCount - Shift count from countShifts
+   * @returns {Object} Activity time breakdown
+   */
+  calculateActivityTime(activities, worker, shiftCount) {
+    const shifts = shiftCount ? shiftCount.count : 0;
+    const applicable = activities.filter(activity => this.clientSettingsService.appliesToRole(activity, worker));
+
+    const breakdown = applicable.map(activity => {
+      const minutesPerShift = parseFloat(activity.minutesPerShift) || 0;
+      return {
+        name: activity.name,
+        minutes_per_shift: minutesPerShift,
+        roles: activity.roles || null,
+        hours: round((minutesPerShift * shifts) / 60)
+      };
+    });
+
+    const totalMinutes = applicable.reduce((total, activity) => total + (parseFloat(activity.minutesPerShift) || 0) * shifts, 0);
+
+    return {
+      shifts,
+      shift_count_source: shiftCount ? shiftCount.source : null,
+      shifts_unknown: !shiftCount && applicable.length > 0,
+      activities: breakdown,
+      activities_not_applicable: activities.length - applicable.length,
+      total_minutes: totalMinutes,
+      total_hours: round(totalMinutes / 60)
+    };
+  }
+
+  /**
+   * Get a client's mandatory unpaid activities
+   * Only client organisations have activity settings
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type ('client' or 'employer')
+   * @returns {Promise<Array>} Configured activities
+   */
+  async getClientActivities(organizationId, organizationType) {
+    return this.getActivities(await this.clientSettingsService.getSettings(organizationId, organizationType));
+  }
+}
+
+module.exports = MandatoryActivityService;
@@ -1,4 +1,5 @@
 const ratesConfig = require('../config/rates');
+const nmwComponentRules = require('../config/nmwComponentRules');
 
 /**
  * NMW Deduction Service for WageGuard
@@ -7,6 +8,24 @@ const ratesConfig = require('../config/rates');
 class NMWDeductionService {
   constructor() {
     this.ratesConfig = ratesConfig;
+    this.componentRules = nmwComponentRules;
+
+    // Treatments a deduction line can be given in the column mapping
+    this.DEDUCTION_TREATMENTS = {
+      employer_benefit: { reduces_nmw: true, reasoning: 'Deduction for the employer\'s own use and benefit reduces NMW pay' },
+      worker_benefit: { reduces_nmw: false, reasoning: 'Deduction for the worker\'s own benefit does not reduce NMW pay' },
+      statutory: { reduces_nmw: false, reasoning: 'Statutory deduction does not reduce NMW pay' }
+    };
+
+    // Deduction rule categories and the treatment they give
+    this.CATEGORY_TREATMENTS = {
+      'deductions.employer_benefit': 'employer_benefit',
+      'deductions.voluntary': 'worker_benefit',
+      'deductions.statutory': 'statutory'
+    };
+
+    // Component rule categories for charges that belong to the accommodation offset instead
+    this.ACCOMMODATION_CATEGORY_PATHS = ['benefitsInKind.accommodation', 'benefitsInKind.accommodation_related'];
   }
 
   /**
@@ -38,14 +57,17 @@ class NMWDeductionService {
       // Process deductions by category
       const processedDeductions = this.processDeductionsByCategory(deductionData, deductionRates);
       
+      // Classify named deduction lines as for the employer's or the worker's benefit
+      const deductionLines = await this.processDeductionLines(deductionData.deduction_lines || payPeriod.deduction_lines || []);
+      
       // Calculate total NMW-reducing deductions
-      const totalDeductions = this.calculateTotalDeductions(processedDeductions);
+      const totalDeductions = this.calculateTotalDeductions(processedDeductions, deductionLines);
       
       // Determine compliance status
-      const complianceStatus = this.determineComplianceStatus(processedDeductions, deductionRates);
+      const complianceStatus = this.determineComplianceStatus(processedDeductions, deductionRates, deductionLines);
       
       // Generate detailed breakdown
-      const breakdown = this.generateBreakdown(processedDeductions, totalDeductions, prpDates, deductionRates);
+      const breakdown = this.generateBreakdown(processedDeductions, totalDeductions, prpDates, deductionRates, deductionLines);
       
       return {
         success: true,
@@ -57,6 +79,9 @@ class NMWDeductionService {
         total_deductions: totalDeductions.total,
         compliant_deductions: totalDeductions.compliant,
         non_compliant_deductions: totalDeductions.nonCompliant,
+        deduction_lines: deductionLines.lines,
+        deductions_not_reducing_nmw: deductionLines.totalNotReducing,
+        accommodation_charges: deductionLines.accommodationCharges,
         compliance_status: complianceStatus.status,
         compliance_score: complianceStatus.score,
         breakdown: breakdown,
@@ -206,6 +231,78 @@ class NMWDeductionService {
     return processed;
   }
 
+  /**
+   * Classify named deduction lines through the component rules
+   * A treatment set on the line in the column mapping overrides the rules. Accommodation
+   * charges (rent, utilities, laundry) are set aside for the accommodation offset, which
+   * caps them at the daily limit. Lines the rules do not recognise are treated as for the
+   * employer's benefit until confirmed
+   * @param {Array} lines - Deduction lines ({ name, column, amount, treatment })
+   * @returns {Promise<Object>} Classified lines, accommodation charges and totals
+   */
+  async processDeductionLines(lines) {
+    const classified = [];
+    const accommodationCharges = [];
+
+    for (const line of lines) {
+      const amount = parseFloat(line.amount) || 0;
+      if (amount === 0) {
+        continue;
+      }
+
+      if (this.DEDUCTION_TREATMENTS[line.treatment]) {
+        classified.push({
+          name: line.name,
+          amount,
+          treatment: line.treatment,
+          reduces_nmw: this.DEDUCTION_TREATMENTS[line.treatment].reduces_nmw,
+          source: 'column_mapping_override',
+          reasoning: `${this.DEDUCTION_TREATMENTS[line.treatment].reasoning} (set in column mapping)`,
+          needs_review: false
+        });
+        continue;
+      }
+
+      const accommodationClassification = await this.componentRules.classifyAccommodationCharge(line.column || line.name);
+      if (this.ACCOMMODATION_CATEGORY_PATHS.includes(accommodationClassification?.categoryPath)) {
+        accommodationCharges.push({ name: line.name, amount, source: 'deduction_line' });
+        continue;
+      }
+
+      const classification = await this.componentRules.classifyDeduction(line.name);
+      const treatment = this.CATEGORY_TREATMENTS[classification?.categoryPath];
+
+      classified.push(treatment ? {
+        name: line.name,
+        amount,
+        treatment,
+        reduces_nmw: this.DEDUCTION_TREATMENTS[treatment].reduces_nmw,
+        source: 'component_rules',
+        reasoning: `Matched "${classification.matchedKeyword}" in ${classification.categoryPath}: ${classification.rule}`,
+        needs_review: false
+      } : {
+        name: line.name,
+        amount,
+        treatment: 'employer_benefit',
+        reduces_nmw: true,
+        source: 'default',
+        reasoning: 'Not recognised by the component rules; treated as for the employer\'s own use and benefit until confirmed',
+        needs_review: true
+      });
+    }
+
+    const total = (reducesNMW) => classified
+      .filter(line => line.reduces_nmw === reducesNMW)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+      lines: classified,
+      accommodationCharges,
+      totalReducing: total(true),
+      totalNotReducing: total(false)
+    };
+  }
+
   /**
    * Process uniform deductions
    * @param {number} amount - Uniform deduction amount
@@ -292,10 +389,12 @@ class NMWDeductionService {
 
   /**
    * Calculate total deductions and compliance
+   * Only named deduction lines that reduce NMW pay are added to the totals
    * @param {Object} processedDeductions - Processed deductions by category
+   * @param {Object} deductionLines - Classified deduction lines
    * @returns {Object} Total deduction calculations
    */
-  calculateTotalDeductions(processedDeductions) {
+  calculateTotalDeductions(processedDeductions, deductionLines = { totalReducing: 0 }) {
     let total = 0;
     let compliant = 0;
     let nonCompliant = 0;
@@ -312,12 +411,16 @@ class NMWDeductionService {
       }
     });
 
+    // Lines for the employer's benefit are lawful but reduce NMW pay; the hourly rate check decides
+    // whether they take the worker below the minimum
+    total += deductionLines.totalReducing;
+
     return {
       total: total,
       compliant: compliant,
       nonCompliant: nonCompliant,
       totalExcess: totalExcess,
-      complianceRate: total > 0 ? (compliant / total) * 100 : 100
+      complianceRate: total > 0 ? ((total - nonCompliant) / total) * 100 : 100
     };
   }
 
@@ -325,10 +428,11 @@ class NMWDeductionService {
    * Determine compliance status for deductions
    * @param {Object} processedDeductions - Processed deductions
    * @param {Object} deductionRates - Deduction rates
+   * @param {Object} deductionLines - Classified deduction lines
    * @returns {Object} Compliance status
    */
-  determineComplianceStatus(processedDeductions, deductionRates) {
-    const totalDeductions = this.calculateTotalDeductions(processedDeductions);
+  determineComplianceStatus(processedDeductions, deductionRates, deductionLines = { totalReducing: 0 }) {
+    const totalDeductions = this.calculateTotalDeductions(processedDeductions, deductionLines);
     const compliancePercentage = totalDeductions.complianceRate;
     
     // Determine RAG status
@@ -362,9 +466,10 @@ class NMWDeductionService {
    * @param {Object} totalDeductions - Total deduction calculations
    * @param {Object} prpDates - PRP date information
    * @param {Object} deductionRates - Deduction rates
+   * @param {Object} deductionLines - Classified deduction lines
    * @returns {Object} Detailed breakdown
    */
-  generateBreakdown(processedDeductions, totalDeductions, prpDates, deductionRates) {
+  generateBreakdown(processedDeductions, totalDeductions, prpDates, deductionRates, deductionLines = { lines: [], totalReducing: 0, totalNotReducing: 0 }) {
     return {
       period: {
         start: prpDates.start.toISOString().split('T')[0],
@@ -378,7 +483,10 @@ class NMWDeductionService {
         nonCompliant: totalDeductions.nonCompliant,
         totalExcess: totalDeductions.totalExcess,
         complianceRate: totalDeductions.complianceRate,
-        breakdown: processedDeductions
+        breakdown: processedDeductions,
+        lines: deductionLines.lines,
+        linesReducingNMW: deductionLines.totalReducing,
+        linesNotReducingNMW: deductionLines.totalNotReducing
       },
       rates: {
         uniform: deductionRates.uniform?.maxDeduction || 0,
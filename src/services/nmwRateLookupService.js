@@ -4,20 +4,18 @@
  * based on worker age, apprentice status, and pay period dates
  */
 
-const path = require('path');
-const fs = require('fs').promises;
+const rateRegistry = require('../config/rateRegistry');
 
 class NMWRateLookupService {
   constructor() {
     this.rates = null;
-    this.lastModified = null;
-    this.configPath = path.join(__dirname, '../config/nmw-rates.json');
+    this.rateRegistry = rateRegistry;
   }
 
   /**
    * Get the required hourly rate for a worker
    * @param {number} age - Worker's age during the pay period
-   * @param {Date|string} payPeriodDate - Date within the pay period (usually end date)
+   * @param {Date|string} payPeriodDate - Start date of the pay reference period (see getRateSelection)
    * @param {boolean} isApprentice - Whether the worker is an apprentice
    * @param {Date|string} apprenticeshipStartDate - When apprenticeship started (if applicable)
    * @returns {Promise<Object>} Rate information
@@ -109,27 +107,12 @@ class NMWRateLookupService {
   }
 
   /**
-   * Load NMW rates from configuration file
+   * Load NMW rates from the rate registry
    * @returns {Promise<Object>} Rates configuration
    */
   async loadRates() {
-    try {
-      // Check if file exists and get modification time
-      const stats = await fs.stat(this.configPath);
-      
-      // Only reload if file has been modified or rates not loaded
-      if (!this.rates || !this.lastModified || stats.mtime > this.lastModified) {
-        const configData = await fs.readFile(this.configPath, 'utf8');
-        this.rates = JSON.parse(configData);
-        this.lastModified = stats.mtime;
-        console.log('✅ NMW rates configuration loaded successfully');
-      }
-      
-      return this.rates;
-    } catch (error) {
-      console.error('❌ Failed to load NMW rates configuration:', error);
-      throw new Error(`Failed to load NMW rates: ${error.message}`);
-    }
+    this.rates = await this.rateRegistry.loadRates();
+    return this.rates;
   }
 
   /**
@@ -138,24 +121,7 @@ class NMWRateLookupService {
    * @returns {Object|null} Applicable rate period or null
    */
   findApplicableRatePeriod(payPeriodDate) {
-    const checkDate = new Date(payPeriodDate);
-    
-    // Sort rates by effective date (newest first)
-    const sortedRates = [...this.rates.rates].sort((a, b) => 
-      new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
-    );
-
-    for (const ratePeriod of sortedRates) {
-      const effectiveFrom = new Date(ratePeriod.effectiveFrom);
-      const effectiveTo = ratePeriod.effectiveTo ? new Date(ratePeriod.effectiveTo) : null;
-
-      // Check if the pay period date falls within this rate period
-      if (checkDate >= effectiveFrom && (!effectiveTo || checkDate <= effectiveTo)) {
-        return ratePeriod;
-      }
-    }
-
-    return null;
+    return this.rateRegistry.findRatePeriod(payPeriodDate);
   }
 
   /**
@@ -184,18 +150,15 @@ class NMWRateLookupService {
     }
 
     // Find age-based rate
-    for (const [rateKey, rateData] of Object.entries(ratePeriod.rates)) {
-      if (rateKey === 'apprentice') continue; // Skip apprentice rate
-      
-      if (this.isAgeInRange(age, rateData.minAge, rateData.maxAge)) {
-        return {
-          hourlyRate: rateData.hourlyRate,
-          description: rateData.description,
-          category: rateData.category,
-          rateType: rateKey,
-          reason: `Age ${age} falls within ${rateData.description} band`
-        };
-      }
+    const ageBand = this.rateRegistry.findAgeBand(ratePeriod, age);
+    if (ageBand) {
+      return {
+        hourlyRate: ageBand.rate.hourlyRate,
+        description: ageBand.rate.description,
+        category: ageBand.rate.category,
+        rateType: ageBand.rateKey,
+        reason: `Age ${age} falls within ${ageBand.rate.description} band`
+      };
     }
 
     // Fallback - should not reach here with valid data
@@ -342,6 +305,161 @@ class NMWRateLookupService {
     return age;
   }
 
+  /**
+   * Forecast whether a worker's rate band changes from the next PRP
+   * The band is fixed by age at the start of each PRP, so a birthday during a PRP
+   * only takes effect from the start of the following PRP
+   * @param {Date|string} dateOfBirth - Worker's date of birth
+   * @param {Date|string} periodStart - Start of the current PRP
+   * @param {Date|string} periodEnd - End of the current PRP
+   * @param {boolean} isApprentice - Whether the worker is an apprentice
+   * @param {Date|string} apprenticeshipStartDate - When apprenticeship started (if applicable)
+   * @returns {Promise<Object>} Rate band forecast
+   */
+  async getRateBandForecast(dateOfBirth, periodStart, periodEnd, isApprentice = false, apprenticeshipStartDate = null) {
+    try {
+      if (!dateOfBirth || !periodStart || !periodEnd) {
+        return {
+          success: false,
+          error: 'Date of birth and pay period dates are required'
+        };
+      }
+
+      await this.loadRates();
+
+      const nextPeriodStart = new Date(periodEnd);
+      nextPeriodStart.setDate(nextPeriodStart.getDate() + 1);
+
+      const currentRatePeriod = this.findApplicableRatePeriod(periodStart);
+      const nextRatePeriod = this.findApplicableRatePeriod(nextPeriodStart);
+      if (!currentRatePeriod || !nextRatePeriod) {
+        return {
+          success: false,
+          error: 'No applicable rate period found'
+        };
+      }
+
+      const currentAge = this.calculateAge(dateOfBirth, periodStart);
+      const nextPeriodAge = this.calculateAge(dateOfBirth, nextPeriodStart);
+      const currentRate = this.determineApplicableRate(currentAge, isApprentice, apprenticeshipStartDate, currentRatePeriod, periodStart);
+      const nextRate = this.determineApplicableRate(nextPeriodAge, isApprentice, apprenticeshipStartDate, nextRatePeriod, nextPeriodStart);
+
+      return {
+        success: true,
+        changesNextPeriod: nextRate.rateType !== currentRate.rateType,
+        birthdayInPeriod: nextPeriodAge > currentAge,
+        birthday: nextPeriodAge > currentAge ? this.formatDate(this.getLastBirthday(dateOfBirth, nextPeriodStart)) : null,
+        currentAge,
+        nextPeriodAge,
+        nextPeriodStart: this.formatDate(nextPeriodStart),
+        currentRateType: currentRate.rateType,
+        currentHourlyRate: currentRate.hourlyRate,
+        currentDescription: currentRate.description,
+        nextRateType: nextRate.rateType,
+        nextHourlyRate: nextRate.hourlyRate,
+        nextDescription: nextRate.description
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to forecast rate band:', error);
+      return {
+        success: false,
+        error: 'Rate band forecast failed',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Explain which rate year applies to a PRP
+   * HMRC applies uprated rates from the start of the first PRP that begins on or
+   * after the uprating date, so a PRP spanning 1 April keeps the old rates throughout
+   * @param {Date|string} periodStart - Start of the PRP
+   * @param {Date|string} periodEnd - End of the PRP
+   * @returns {Promise<Object>} Rate selection with the rate year used and why
+   */
+  async getRateSelection(periodStart, periodEnd) {
+    try {
+      if (!periodStart || !periodEnd) {
+        return {
+          success: false,
+          error: 'Pay period start and end dates are required'
+        };
+      }
+
+      await this.loadRates();
+
+      const ratePeriod = this.findApplicableRatePeriod(periodStart);
+      if (!ratePeriod) {
+        return {
+          success: false,
+          error: 'No applicable rate period found',
+          date: periodStart
+        };
+      }
+
+      const upratingPeriod = this.rateRegistry.findUpratingWithin(periodStart, periodEnd);
+
+      const periodStartText = this.formatDate(new Date(periodStart));
+      let explanation = `Rates effective from ${ratePeriod.effectiveFrom} (${ratePeriod.description}) were in force at the start of the PRP on ${periodStartText}`;
+      if (upratingPeriod) {
+        explanation = `The PRP started on ${periodStartText}, before the uprating on ${upratingPeriod.effectiveFrom}, ` +
+          `so rates effective from ${ratePeriod.effectiveFrom} (${ratePeriod.description}) apply for the whole PRP. ` +
+          `The new rates apply from the first PRP starting on or after ${upratingPeriod.effectiveFrom}`;
+      }
+
+      return {
+        success: true,
+        basis: 'rate_in_force_at_prp_start',
+        rateDate: periodStartText,
+        rateYear: ratePeriod.description,
+        effectiveFrom: ratePeriod.effectiveFrom,
+        effectiveTo: ratePeriod.effectiveTo,
+        spansUprating: !!upratingPeriod,
+        upratingDate: upratingPeriod ? upratingPeriod.effectiveFrom : null,
+        upratedRateYear: upratingPeriod ? upratingPeriod.description : null,
+        explanation
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to determine rate selection:', error);
+      return {
+        success: false,
+        error: 'Rate selection failed',
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the most recent birthday on or before a date
+   * @param {Date|string} dateOfBirth - Worker's date of birth
+   * @param {Date|string} referenceDate - Date to look back from
+   * @returns {Date} Most recent birthday
+   */
+  getLastBirthday(dateOfBirth, referenceDate) {
+    const birth = new Date(dateOfBirth);
+    const reference = new Date(referenceDate);
+
+    const birthday = new Date(reference.getFullYear(), birth.getMonth(), birth.getDate());
+    if (birthday > reference) {
+      birthday.setFullYear(birthday.getFullYear() - 1);
+    }
+
+    return birthday;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD using local date parts
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
   /**
    * Bulk rate lookup for multiple workers
    * @param {Array} workers - Array of worker data with age, isApprentice, etc.
@@ -0,0 +1,242 @@
+/**
+ * Output Work Service
+ * Implements NMW rules for output (piece-rate) work.
+ *
+ * Output workers are paid by the units they produce. Where the employer has a
+ * fair piece rate based on a mean hourly output test ("rated output work"), the
+ * worker is treated as having worked 120% of the time an average worker would
+ * take to produce the same output. Otherwise every hour actually worked counts.
+ */
+
+const NMWRateLookupService = require('./nmwRateLookupService');
+const WorkTypeService = require('./workTypeService');
+const { round } = require('../utils/calculation-utils');
+
+class OutputWorkService {
+  constructor() {
+    this.nmwRateService = new NMWRateLookupService();
+    this.workTypeService = new WorkTypeService();
+    this.WORK_TYPE = this.workTypeService.OUTPUT_WORK;
+    this.FAIR_RATE_UPLIFT = 1.2; // Mean hourly output × 120%
+  }
+
+  /**
+   * Check whether a worker is on output work
+   * @param {Object} worker - Worker information
+   * @returns {boolean} True if output work rules apply
+   */
+  isOutputWorker(worker) {
+    return !!worker && this.workTypeService.classifyWorker(worker) === this.WORK_TYPE;
+  }
+
+  /**
+   * Calculate NMW compliance for an output work pay period
+   * @param {Object} worker - Worker information (age or date_of_birth)
+   * @param {Object} payPeriod - Pay period with units_produced, piece_rate, mean_hourly_output and hours
+   * @returns {Promise<Object>} Output work calculation result
+   */
+  async calculateOutputWork(worker, payPeriod) {
+    try {
+      const outputData = this.extractOutputData(payPeriod);
+      const validation = this.validateInputs(outputData);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: 'Input validation failed',
+          details: validation.errors
+        };
+      }
+
+      console.log(`🔄 Calculating output work for worker ${worker.worker_id || worker.id}`);
+
+      const rateResult = await this.getRequiredRate(worker, payPeriod);
+      if (!rateResult.success) {
+        return {
+          success: false,
+          error: 'Failed to determine required rate',
+          details: rateResult.error
+        };
+      }
+
+      const requiredRate = rateResult.hourlyRate;
+      const outputPay = outputData.output_pay !== null
+        ? outputData.output_pay
+        : outputData.units_produced * outputData.piece_rate;
+
+      const isRatedOutputWork = outputData.mean_hourly_output > 0;
+      const hoursResult = this.calculateHoursForNMW(outputData);
+
+      let fairPieceRate = null;
+      let pieceRateIsFair = null;
+      if (isRatedOutputWork) {
+        fairPieceRate = this.calculateFairPieceRate(requiredRate, outputData.mean_hourly_output);
+        pieceRateIsFair = outputData.piece_rate >= fairPieceRate;
+      }
+
+      const hoursForNMW = hoursResult.hours;
+      const effectiveHourlyRate = hoursForNMW > 0 ? outputPay / hoursForNMW : 0;
+      const shortfall = hoursForNMW > 0 ? Math.max(0, (requiredRate - effectiveHourlyRate) * hoursForNMW) : 0;
+
+      console.log(`✅ Output work calculated: ${outputData.units_produced} units, £${effectiveHourlyRate.toFixed(2)}/hour`);
+
+      return {
+        success: true,
+        work_type: this.WORK_TYPE,
+        rated_output_work: isRatedOutputWork,
+        units_produced: outputData.units_produced,
+        piece_rate: outputData.piece_rate,
+        mean_hourly_output: outputData.mean_hourly_output,
+        output_pay: round(outputPay),
+        actual_hours: outputData.hours_worked,
+        hours_for_nmw: round(hoursForNMW),
+        hours_basis: hoursResult.basis,
+        hours_determined: hoursForNMW > 0,
+        fair_piece_rate: fairPieceRate !== null ? this.roundPieceRate(fairPieceRate) : null,
+        piece_rate_is_fair: pieceRateIsFair,
+        required_hourly_rate: requiredRate,
+        effective_hourly_rate: round(effectiveHourlyRate),
+        shortfall: round(shortfall),
+        rate_details: rateResult
+      };
+
+    } catch (error) {
+      console.error('❌ Output work calculation failed:', error);
+      return {
+        success: false,
+        error: 'Output work calculation failed',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Extract output work fields from a pay period
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Object} Normalised output data
+   */
+  extractOutputData(payPeriod) {
+    const hours = payPeriod.actual_hours ?? payPeriod.hours ?? payPeriod.total_hours;
+    const pay = payPeriod.pay ?? payPeriod.total_pay;
+
+    return {
+      units_produced: parseFloat(payPeriod.units_produced) || 0,
+      piece_rate: parseFloat(payPeriod.piece_rate) || 0,
+      mean_hourly_output: parseFloat(payPeriod.mean_hourly_output) || 0,
+      hours_worked: parseFloat(hours) || 0,
+      output_pay: pay !== undefined && pay !== null && pay !== '' ? parseFloat(pay) : null
+    };
+  }
+
+  /**
+   * Validate output work inputs
+   * @param {Object} outputData - Normalised output data
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateInputs(outputData) {
+    const errors = [];
+
+    if (outputData.units_produced < 0) {
+      errors.push('Units produced cannot be negative');
+    }
+
+    if (outputData.piece_rate < 0) {
+      errors.push('Piece rate cannot be negative');
+    }
+
+    if (outputData.mean_hourly_output < 0) {
+      errors.push('Mean hourly output cannot be negative');
+    }
+
+    if (outputData.units_produced > 0 && outputData.piece_rate === 0 && outputData.output_pay === null) {
+      errors.push('Piece rate or output pay is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Determine the hours that count for NMW purposes
+   * Rated output work uses deemed hours; other output work uses actual hours
+   * @param {Object} outputData - Normalised output data
+   * @returns {Object} { hours, basis }
+   */
+  calculateHoursForNMW(outputData) {
+    if (outputData.mean_hourly_output > 0) {
+      return {
+        hours: this.calculateDeemedHours(outputData.units_produced, outputData.mean_hourly_output),
+        basis: 'rated_output'
+      };
+    }
+
+    return {
+      hours: outputData.hours_worked,
+      basis: outputData.hours_worked > 0 ? 'actual_hours' : 'unknown'
+    };
+  }
+
+  /**
+   * Calculate deemed hours for rated output work
+   * @param {number} unitsProduced - Units produced in the pay period
+   * @param {number} meanHourlyOutput - Mean hourly output rate from the fair rate test
+   * @returns {number} Hours treated as worked
+   */
+  calculateDeemedHours(unitsProduced, meanHourlyOutput) {
+    if (!meanHourlyOutput || meanHourlyOutput <= 0) {
+      return 0;
+    }
+
+    return (unitsProduced / meanHourlyOutput) * this.FAIR_RATE_UPLIFT;
+  }
+
+  /**
+   * Calculate the fair piece rate for a unit of output
+   * @param {number} requiredRate - Required NMW/NLW hourly rate
+   * @param {number} meanHourlyOutput - Mean hourly output rate from the fair rate test
+   * @returns {number} Minimum fair piece rate
+   */
+  calculateFairPieceRate(requiredRate, meanHourlyOutput) {
+    return (requiredRate * this.FAIR_RATE_UPLIFT) / meanHourlyOutput;
+  }
+
+  /**
+   * Get required NMW/NLW rate for the worker at the start of the pay period
+   * @param {Object} worker - Worker information
+   * @param {Object} payPeriod - Pay period information
+   * @returns {Promise<Object>} Required rate result
+   */
+  async getRequiredRate(worker, payPeriod) {
+    const payPeriodDate = payPeriod.period_start || payPeriod.start_date;
+    let age = worker.age;
+    if (worker.date_of_birth) {
+      age = this.nmwRateService.calculateAge(worker.date_of_birth, payPeriodDate);
+    }
+
+    if (!age) {
+      return {
+        success: false,
+        error: 'Cannot determine worker age'
+      };
+    }
+
+    return this.nmwRateService.getRequiredRate(
+      age,
+      payPeriodDate,
+      worker.is_apprentice || worker.apprentice || false,
+      worker.apprenticeship_start_date || worker.apprentice_start_date
+    );
+  }
+
+  /**
+   * Round a piece rate to four decimal places (piece rates are often fractions of a penny)
+   * @param {number} rate - Piece rate to round
+   * @returns {number} Rounded piece rate
+   */
+  roundPieceRate(rate) {
+    return Math.round(rate * 10000) / 10000;
+  }
+}
+
+module.exports = OutputWorkService;
@@ -80,6 +80,13 @@ class PdfGenerationService {
       workers,
       complianceRules,
       explanations,
+      arrears,
+      outputWork,
+      rateSelection,
+      travelTime,
+      troncAllocation,
+      tipsCompliance,
+      autoEnrolment,
       generated
     } = evidencePack;
 
@@ -118,6 +125,62 @@ class PdfGenerationService {
         ${this.generateWorkerDetails(workers)}
       </div>
 
+      <!-- Rate Year Selection -->
+      ${rateSelection && rateSelection.length > 0 ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateRateSelection(rateSelection)}
+      </div>
+      ` : ''}
+
+      <!-- Travel Time -->
+      ${travelTime && travelTime.length > 0 ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateTravelTime(travelTime)}
+      </div>
+      ` : ''}
+
+      <!-- Output Work -->
+      ${outputWork && outputWork.length > 0 ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateOutputWork(outputWork)}
+      </div>
+      ` : ''}
+
+      <!-- Tips Allocation -->
+      ${troncAllocation ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateTroncAllocation(troncAllocation)}
+      </div>
+      ` : ''}
+
+      <!-- Tips Compliance -->
+      ${tipsCompliance ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateTipsCompliance(tipsCompliance)}
+      </div>
+      ` : ''}
+
+      <!-- Auto-enrolment -->
+      ${autoEnrolment ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateAutoEnrolment(autoEnrolment)}
+      </div>
+      ` : ''}
+
+      <!-- Arrears Repayments -->
+      ${arrears && arrears.workers.length > 0 ? `
+      <div class="page-break"></div>
+      <div class="page">
+        ${this.generateArrears(arrears)}
+      </div>
+      ` : ''}
+
       <!-- Explanations -->
       ${explanations.length > 0 ? `
       <div class="page-break"></div>
@@ -571,6 +634,468 @@ class PdfGenerationService {
     `;
   }
 
+  /**
+   * Generate rate year selection HTML
+   * @param {Array} rateSelection - Rate selection for each worker PRP
+   * @returns {string} Rate selection HTML
+   */
+  generateRateSelection(rateSelection) {
+    const spanningCount = rateSelection.filter(selection => selection.spans_uprating).length;
+
+    return `
+      <h1>Rate Year Selection</h1>
+      
+      <p>Each pay reference period is checked against the NMW/NLW rates in force on its first day. Uprated rates apply 
+      from the first pay reference period that begins on or after the uprating date, so a period spanning 1 April keeps 
+      the previous year's rates. ${spanningCount} period(s) in this upload span an uprating date.</p>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Period</th>
+            <th>Rate Year</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rateSelection.map(selection => `
+            <tr>
+              <td>${selection.worker_id}</td>
+              <td>${selection.worker_name || 'N/A'}</td>
+              <td>${new Date(selection.period_start).toLocaleDateString()} - ${new Date(selection.period_end).toLocaleDateString()}</td>
+              <td>${selection.rate_year}</td>
+              <td>${selection.explanation}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate travel time HTML
+   * @param {Array} travelTime - Travel time added for each worker PRP
+   * @returns {string} Travel time HTML
+   */
+  generateTravelTime(travelTime) {
+    const totalTravelHours = travelTime.reduce((sum, entry) => sum + entry.travel_hours, 0);
+
+    return `
+      <h1>Travel Time Between Visits</h1>
+      
+      <p>Time spent travelling between consecutive visits on the same day is working time and has been added to the 
+      hours checked for each pay reference period. Where no travel time was recorded the configured default was used. 
+      ${totalTravelHours.toFixed(2)} travel hours were added in total.</p>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Period</th>
+            <th>Visits</th>
+            <th>Rota Hours</th>
+            <th>Travel Hours Added</th>
+            <th>Default Journeys</th>
+            <th>Hours for NMW</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${travelTime.map(entry => `
+            <tr>
+              <td>${entry.worker_id}</td>
+              <td>${entry.worker_name || 'N/A'}</td>
+              <td>${new Date(entry.period_start).toLocaleDateString()} - ${new Date(entry.period_end).toLocaleDateString()}</td>
+              <td>${entry.visits}</td>
+              <td>${entry.rota_hours.toFixed(2)}</td>
+              <td>${entry.travel_hours.toFixed(2)}</td>
+              <td>${entry.default_travel_legs} of ${entry.travel_legs}</td>
+              <td>${entry.qualifying_hours.toFixed(2)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate output work HTML
+   */
+  generateOutputWork(outputWork) {
+    return `
+      <h1>Output Work</h1>
+      
+      <p>Output workers are paid by the piece. Where a fair piece rate applies, each piece must be paid at no less than 
+      120% of the minimum wage divided by the mean hourly output rate, and hours are treated as the time taken at that rate.</p>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Units</th>
+            <th>Piece Rate</th>
+            <th>Mean Hourly Output</th>
+            <th>Fair Piece Rate</th>
+            <th>Hours for NMW</th>
+            <th>Effective Rate</th>
+            <th>Fair Rate Test</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${outputWork.map(result => `
+            <tr>
+              <td>${result.worker_id}</td>
+              <td>${result.worker_name || 'N/A'}</td>
+              <td>${result.units_produced}</td>
+              <td>£${result.piece_rate.toFixed(4)}</td>
+              <td>${result.rated_output_work ? result.mean_hourly_output : 'N/A'}</td>
+              <td>${result.fair_piece_rate !== null ? `£${result.fair_piece_rate.toFixed(4)}` : 'N/A'}</td>
+              <td>${result.hours_for_nmw.toFixed(1)}</td>
+              <td>£${result.effective_hourly_rate.toFixed(2)}</td>
+              <td>
+                ${result.piece_rate_is_fair === null ? 'Not rated (actual hours)' : `
+                <span class="status-badge status-${result.piece_rate_is_fair ? 'green' : 'red'}">
+                  ${result.piece_rate_is_fair ? 'PASS' : 'FAIL'}
+                </span>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate tips allocation fairness HTML
+   * @param {Object} troncAllocation - Tronc governance, reconciliation and fairness report
+   * @returns {string} Tips allocation HTML
+   */
+  generateTroncAllocation(troncAllocation) {
+    const { governance, reconciliation, fairness } = troncAllocation;
+    const schemeTypes = {
+      independent_tronc: 'Independent tronc',
+      employer_controlled: 'Employer controlled',
+      unknown: 'Not recorded'
+    };
+    const reconciliationColour = reconciliation.status === 'balanced' ? 'green' : 'red';
+
+    return `
+      <h1>Tips Allocation</h1>
+      
+      <p>Tips, gratuities and service charges are excluded from NMW pay. Under the Employment (Allocation of Tips) Act the 
+      employer must pass on all tips in full, share them fairly under a written policy and keep records of how they were shared. 
+      ${governance.ni_treatment}.</p>
+      
+      <div class="summary-grid">
+        <div class="summary-card">
+          <h4>Scheme</h4>
+          <div class="value">${schemeTypes[governance.scheme_type]}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Troncmaster</h4>
+          <div class="value">${governance.troncmaster ? governance.troncmaster.name : 'None'}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Collected</h4>
+          <div class="value">£${reconciliation.total_collected.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Paid to Workers</h4>
+          <div class="value">£${reconciliation.total_distributed.toFixed(2)}</div>
+        </div>
+      </div>
+      
+      <p><span class="status-badge status-${reconciliationColour}">${reconciliation.status.replace(/_/g, ' ').toUpperCase()}</span> 
+      ${reconciliation.message}.</p>
+      
+      ${governance.issues.length > 0 ? `
+      <ul>
+        ${governance.issues.map(issue => `<li><strong>${issue.message}.</strong> ${issue.action_required}.</li>`).join('')}
+      </ul>
+      ` : ''}
+      
+      <p><strong>Distribution policy:</strong> ${governance.distribution_policy || 'Not recorded'}. ${fairness.basis}.</p>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Hours</th>
+            <th>Received</th>
+            <th>Expected Share</th>
+            <th>Difference</th>
+            <th>Fair Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${fairness.workers.map(worker => `
+            <tr>
+              <td>${worker.worker_id}</td>
+              <td>${worker.worker_name || 'N/A'}</td>
+              <td>${worker.role || 'N/A'}</td>
+              <td>${worker.hours.toFixed(2)}</td>
+              <td>£${worker.amount.toFixed(2)}</td>
+              <td>${worker.expected_share !== null && worker.expected_share !== undefined ? `£${worker.expected_share.toFixed(2)}` : 'N/A'}</td>
+              <td>${worker.variance !== null && worker.variance !== undefined ? `£${worker.variance.toFixed(2)}` : 'N/A'}</td>
+              <td>
+                ${!fairness.assessed ? 'Manual review' : `
+                <span class="status-badge status-${worker.flagged ? 'red' : 'green'}">
+                  ${worker.flagged ? 'REVIEW' : 'PASS'}
+                </span>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate tips compliance HTML
+   * @param {Object} tipsCompliance - Tips collected against tips paid, by site and month
+   * @returns {string} Tips compliance HTML
+   */
+  generateTipsCompliance(tipsCompliance) {
+    const { summary, months, late_payments: latePayments, unmatched_distributions: unmatched, written_policy: writtenPolicy } = tipsCompliance;
+    const statusColours = { compliant: 'green', pending: 'amber', late: 'amber', shortfall: 'red' };
+
+    return `
+      <h1>Tips Compliance</h1>
+      
+      <p>${tipsCompliance.rule}. Payments are matched to the oldest tips still owed at the same site unless the month 
+      they share out is given. Checked as at ${new Date(tipsCompliance.as_of).toLocaleDateString()}.</p>
+      
+      <div class="summary-grid">
+        <div class="summary-card">
+          <h4>Tips Collected</h4>
+          <div class="value">£${summary.total_collected.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Paid On Time</h4>
+          <div class="value" style="color: #27ae60;">£${summary.total_paid_on_time.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Paid Late</h4>
+          <div class="value" style="color: #f39c12;">£${summary.total_paid_late.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Shortfall</h4>
+          <div class="value" style="color: #e74c3c;">£${summary.total_shortfall.toFixed(2)}</div>
+        </div>
+      </div>
+      
+      <p><strong>Written policy:</strong> ${writtenPolicy.recorded ? writtenPolicy.description : writtenPolicy.message}.</p>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Site</th>
+            <th>Month Received</th>
+            <th>Pay By</th>
+            <th>Collected</th>
+            <th>Paid On Time</th>
+            <th>Paid Late</th>
+            <th>Shortfall</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${months.map(month => `
+            <tr>
+              <td>${month.site || 'All sites'}</td>
+              <td>${month.month}</td>
+              <td>${new Date(month.deadline).toLocaleDateString()}</td>
+              <td>£${month.collected.toFixed(2)}</td>
+              <td>£${month.paid_on_time.toFixed(2)}</td>
+              <td>£${month.paid_late.toFixed(2)}</td>
+              <td>${month.shortfall > 0 ? `<strong>£${month.shortfall.toFixed(2)}</strong>` : '-'}</td>
+              <td>
+                <span class="status-badge status-${statusColours[month.status]}">
+                  ${month.status.toUpperCase()}
+                </span>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      
+      ${latePayments.length > 0 ? `
+      <h2>Late Payments</h2>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Site</th>
+            <th>Month Received</th>
+            <th>Paid On</th>
+            <th>Days Late</th>
+            <th>Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${latePayments.map(payment => `
+            <tr>
+              <td>${payment.worker_id}</td>
+              <td>${payment.worker_name || 'N/A'}</td>
+              <td>${payment.site || 'All sites'}</td>
+              <td>${payment.tips_month}</td>
+              <td>${new Date(payment.paid_on).toLocaleDateString()}</td>
+              <td>${payment.days_late}</td>
+              <td>£${payment.amount.toFixed(2)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : ''}
+      
+      ${unmatched.length > 0 ? `
+      <p>£${summary.total_unmatched.toFixed(2)} paid to workers could not be matched to tips collected; check that every 
+      site's tips collected have been uploaded.</p>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Generate auto-enrolment HTML
+   * @param {Object} autoEnrolment - Auto-enrolment classification and contribution findings
+   * @returns {string} Auto-enrolment HTML
+   */
+  generateAutoEnrolment(autoEnrolment) {
+    const { summary, workers } = autoEnrolment;
+    const categoryLabels = {
+      eligible_jobholder: 'Eligible jobholder',
+      non_eligible_jobholder: 'Non-eligible jobholder',
+      entitled_worker: 'Entitled worker',
+      not_in_scope: 'Not in scope'
+    };
+
+    return `
+      <h1>Pension Auto-enrolment</h1>
+      
+      <p>${autoEnrolment.rule}. Workers are classified on their earnings in each pay reference period against the 
+      earnings thresholds for the tax year, and their age at the end of the period.</p>
+      
+      <div class="summary-grid">
+        <div class="summary-card">
+          <h4>Eligible Jobholders</h4>
+          <div class="value">${summary.eligible_jobholders}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Non-eligible Jobholders</h4>
+          <div class="value">${summary.non_eligible_jobholders}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Entitled Workers</h4>
+          <div class="value">${summary.entitled_workers}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Employer Shortfall</h4>
+          <div class="value" style="color: #e74c3c;">£${summary.total_employer_shortfall.toFixed(2)}</div>
+        </div>
+      </div>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Age</th>
+            <th>Earnings</th>
+            <th>Category</th>
+            <th>Employer</th>
+            <th>Total</th>
+            <th>Minimum (Er / Total)</th>
+            <th>Status</th>
+            <th>Finding</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${workers.map(worker => `
+            <tr>
+              <td>${worker.worker_id}</td>
+              <td>${worker.worker_name || 'N/A'}</td>
+              <td>${worker.age ?? 'N/A'}</td>
+              <td>${worker.earnings !== undefined ? `£${worker.earnings.toFixed(2)}` : 'N/A'}</td>
+              <td>${categoryLabels[worker.category] || 'Not assessed'}</td>
+              <td>${worker.contributions?.employer !== null && worker.contributions?.employer !== undefined ? `£${worker.contributions.employer.toFixed(2)}` : '-'}</td>
+              <td>${worker.contributions?.total !== null && worker.contributions?.total !== undefined ? `£${worker.contributions.total.toFixed(2)}` : '-'}</td>
+              <td>${worker.contributions ? `£${worker.contributions.minimum_employer.toFixed(2)} / £${worker.contributions.minimum_total.toFixed(2)}` : '-'}</td>
+              <td>
+                <span class="status-badge status-${worker.ragStatus.toLowerCase()}">
+                  ${worker.ragStatus}
+                </span>
+              </td>
+              <td style="font-size: 9pt;">${worker.reason}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Generate arrears repayments HTML
+   */
+  generateArrears(arrears) {
+    return `
+      <h1>Arrears Repayments</h1>
+      
+      <p>Arrears must be repaid at the current minimum wage rate using the HMRC formula: <strong>${arrears.formula}</strong>. 
+      Rates were calculated as at ${new Date(arrears.calculation_date).toLocaleDateString()}.</p>
+      
+      <div class="summary-grid">
+        <div class="summary-card">
+          <h4>Arrears at Time</h4>
+          <div class="value">£${arrears.summary.total_arrears.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Current Rate Uplift</h4>
+          <div class="value">£${arrears.summary.total_uplift.toFixed(2)}</div>
+        </div>
+        <div class="summary-card">
+          <h4>Total Repayment Due</h4>
+          <div class="value" style="color: #e74c3c;">£${arrears.summary.total_repayment.toFixed(2)}</div>
+        </div>
+      </div>
+      
+      <table class="compliance-table">
+        <thead>
+          <tr>
+            <th>Worker ID</th>
+            <th>Name</th>
+            <th>Pay Period</th>
+            <th>Hours</th>
+            <th>Rate at Time</th>
+            <th>Current Rate</th>
+            <th>Arrears</th>
+            <th>Repayment Due</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${arrears.workers.map(worker => worker.periods.map(period => `
+            <tr>
+              <td>${worker.worker_id}</td>
+              <td>${worker.worker_name || 'N/A'}</td>
+              <td>${period.period_start} to ${period.period_end || 'N/A'}</td>
+              <td>${period.hours.toFixed(1)}</td>
+              <td>£${period.rate_at_time.toFixed(2)}</td>
+              <td>£${period.current_rate.toFixed(2)}</td>
+              <td>£${period.arrears.toFixed(2)}</td>
+              <td><strong>£${period.repayment_due.toFixed(2)}</strong></td>
+            </tr>
+          `).join('')).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
   /**
    * Generate explanations HTML
    */
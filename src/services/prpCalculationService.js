@@ -1,4 +1,16 @@
 const { getApplicableComplianceRules } = require('../utils/database-utils');
+const SalariedHoursService = require('./salariedHoursService');
+const NMWRateLookupService = require('./nmwRateLookupService');
+const ShiftClassificationService = require('./shiftClassificationService');
+const HoursReconciliationService = require('./hoursReconciliationService');
+const MandatoryActivityService = require('./mandatoryActivityService');
+const TrainingTimeService = require('./trainingTimeService');
+const RAGStatusService = require('./ragStatusService');
+const HolidayPayService = require('./holidayPayService');
+const StatutoryPayService = require('./statutoryPayService');
+const AutoEnrolmentService = require('./autoEnrolmentService');
+const rateRegistry = require('../config/rateRegistry');
+const { round } = require('../utils/calculation-utils');
 
 /**
  * Pay-Reference Period (PRP) Calculation Service for WageGuard
@@ -6,14 +18,17 @@ const { getApplicableComplianceRules } = require('../utils/database-utils');
  */
 class PRPCalculationService {
   constructor() {
-    // UK NMW/NLW rates (2023-24 tax year)
-    this.rates = {
-      'NLW_23_24': { min_age: 23, rate: 10.42, effective_date: '2023-04-01' },
-      'NMW_23_24_21_22': { min_age: 21, rate: 10.18, effective_date: '2023-04-01' },
-      'NMW_23_24_18_20': { min_age: 18, rate: 7.49, effective_date: '2023-04-01' },
-      'NMW_23_24_16_17': { min_age: 16, rate: 5.28, effective_date: '2023-04-01' },
-      'NMW_23_24_APPRENTICE': { min_age: 16, rate: 5.28, effective_date: '2023-04-01' }
-    };
+    this.salariedHoursService = new SalariedHoursService();
+    this.nmwRateService = new NMWRateLookupService();
+    this.shiftClassificationService = new ShiftClassificationService();
+    this.hoursReconciliationService = new HoursReconciliationService();
+    this.mandatoryActivityService = new MandatoryActivityService();
+    this.trainingTimeService = new TrainingTimeService();
+    this.ragStatusService = new RAGStatusService();
+    this.holidayPayService = new HolidayPayService();
+    this.statutoryPayService = new StatutoryPayService();
+    this.autoEnrolmentService = new AutoEnrolmentService();
+    this.rateRegistry = rateRegistry;
 
     // Offset limits
     this.offsetLimits = {
@@ -39,11 +54,33 @@ class PRPCalculationService {
       // Calculate PRP start and end dates
       const prpDates = this.calculatePRPDates(payPeriod.period_start, payPeriod.period_end);
 
-      // Determine applicable NMW/NLW rate
+      // Determine applicable NMW/NLW rate, taken at the PRP start even if an uprating falls within the PRP
       const applicableRate = this.determineApplicableRate(worker, prpDates.start);
+      const rateSelection = this.getRateSelection(prpDates, applicableRate);
 
       // Calculate total hours and pay for PRP
-      const prpCalculation = this.calculatePRPValues(payPeriod, prpDates);
+      const prpCalculation = this.salariedHoursService.isSalariedHoursWorker(worker)
+        ? this.calculateSalariedPRPValues(worker, payPeriod)
+        : this.calculatePRPValues(payPeriod, prpDates);
+
+      // Mandatory unpaid activities before and after shifts are working time
+      const mandatoryActivities = !prpCalculation.salariedHours && this.mandatoryActivityService.hasActivities(payPeriod)
+        ? this.mandatoryActivityService.calculateActivityTime(
+          payPeriod.mandatory_activities,
+          worker,
+          this.mandatoryActivityService.countShifts(payPeriod)
+        )
+        : null;
+
+      if (mandatoryActivities) {
+        prpCalculation.totalHours = Math.round((prpCalculation.totalHours + mandatoryActivities.total_hours) * 100) / 100;
+      }
+
+      // Unpaid training time (induction days, mandatory e-learning) is working time
+      const trainingTime = this.trainingTimeService.calculateTrainingTime(payPeriod, prpCalculation.totalHours);
+      if (trainingTime) {
+        prpCalculation.totalHours = trainingTime.hours_with_training;
+      }
 
       // Process offsets
       const processedOffsets = this.processOffsets(offsets, prpDates);
@@ -59,6 +96,26 @@ class PRPCalculationService {
         processedAllowances.totalValue
       );
 
+      // Show the rate the worker would have without the activity time, to see what the activities change
+      if (mandatoryActivities) {
+        mandatoryActivities.hours_without_activities = Math.round((prpCalculation.totalHours - mandatoryActivities.total_hours) * 100) / 100;
+        mandatoryActivities.effective_hourly_rate_without_activities = this.calculateEffectiveHourlyRate(
+          prpCalculation.totalPay,
+          mandatoryActivities.hours_without_activities,
+          processedOffsets.totalValue,
+          processedAllowances.totalValue
+        );
+      }
+
+      if (trainingTime) {
+        trainingTime.effective_hourly_rate_without_training = this.calculateEffectiveHourlyRate(
+          prpCalculation.totalPay,
+          trainingTime.hours_without_training,
+          processedOffsets.totalValue,
+          processedAllowances.totalValue
+        );
+      }
+
       // Determine RAG status
       const ragStatus = this.determineRAGStatus(effectiveRate, applicableRate.rate);
 
@@ -70,6 +127,28 @@ class PRPCalculationService {
         processedAllowances
       );
 
+      if (prpCalculation.salariedHours) {
+        complianceIssues.push(...this.generateSalariedHoursIssues(prpCalculation.salariedHours));
+      }
+
+      if (prpCalculation.workingTime) {
+        complianceIssues.push(...this.generateWorkingTimeIssues(prpCalculation.workingTime));
+      }
+
+      if (prpCalculation.reconciliation) {
+        complianceIssues.push(...this.generateReconciliationIssues(prpCalculation.reconciliation));
+      }
+
+      if (mandatoryActivities) {
+        complianceIssues.push(...this.generateMandatoryActivityIssues(mandatoryActivities, effectiveRate, applicableRate.rate));
+      }
+
+      if (trainingTime) {
+        complianceIssues.push(this.trainingTimeService.generateTrainingTimeIssue(trainingTime, effectiveRate, applicableRate.rate));
+      }
+
+      complianceIssues.push(...this.generatePayInArrearsIssues(payPeriod.pay_reallocations || []));
+
       // Generate fix suggestions
       const fixSuggestions = this.generateFixSuggestions(
         effectiveRate,
@@ -79,6 +158,15 @@ class PRPCalculationService {
         prpCalculation.totalHours
       );
 
+      // Holiday pay is reported as its own RAG dimension and does not change the NMW status
+      const holidayPay = this.holidayPayService.checkHolidayPay(worker, payPeriod);
+
+      // SSP, SMP and SPP are likewise a separate dimension
+      const statutoryPay = this.statutoryPayService.checkStatutoryPay(worker, payPeriod);
+
+      // Auto-enrolment classifies every worker and checks their minimum pension contributions
+      const pension = this.autoEnrolmentService.checkAutoEnrolment(worker, payPeriod);
+
       return {
         success: true,
         prp: {
@@ -87,11 +175,19 @@ class PRPCalculationService {
           total_hours: prpCalculation.totalHours,
           total_pay: prpCalculation.totalPay,
           effective_hourly_rate: effectiveRate,
-          required_hourly_rate: applicableRate.rate
+          required_hourly_rate: applicableRate.rate,
+          work_type: prpCalculation.salariedHours ? 'salaried_hours' : 'time_work',
+          salaried_hours: prpCalculation.salariedHours || null,
+          working_time: prpCalculation.workingTime || null,
+          hours_reconciliation: prpCalculation.reconciliation || null,
+          mandatory_activities: mandatoryActivities,
+          training_time: trainingTime,
+          pay_reallocations: payPeriod.pay_reallocations || [],
+          rate_selection: rateSelection
         },
         worker: {
           id: worker.id,
-          age: worker.age,
+          age: worker.date_of_birth ? this.nmwRateService.calculateAge(worker.date_of_birth, prpDates.start) : worker.age,
           apprentice_status: worker.apprentice_status,
           first_year_apprentice: worker.first_year_apprentice
         },
@@ -102,12 +198,16 @@ class PRPCalculationService {
           rag_status: ragStatus,
           issues: complianceIssues,
           fix_suggestions: fixSuggestions,
-          compliance_score: this.calculateComplianceScore(effectiveRate, applicableRate.rate)
+          compliance_score: this.calculateComplianceScore(effectiveRate, applicableRate.rate),
+          holiday_pay: holidayPay,
+          statutory_pay: statutoryPay,
+          pension
         },
         calculation_metadata: {
           calculated_at: new Date().toISOString(),
           prp_type: prpDates.type,
-          rules_applied: [applicableRate.rule_name]
+          rules_applied: [applicableRate.rule_name],
+          rate_version: this.rateRegistry.getVersion()
         }
       };
 
@@ -136,7 +236,8 @@ class PRPCalculationService {
       throw new Error('Pay period start and end dates are required');
     }
 
-    if (!payPeriod.total_hours || payPeriod.total_hours <= 0) {
+    // Hours come from rota shifts or timesheets when they are provided
+    if (!this.hasRotaShifts(payPeriod) && !this.hasClockedHours(payPeriod) && (!payPeriod.total_hours || payPeriod.total_hours <= 0)) {
       throw new Error('Total hours must be greater than 0');
     }
 
@@ -209,68 +310,128 @@ class PRPCalculationService {
   }
 
   /**
-   * Determine applicable NMW/NLW rate for a worker
+   * Determine applicable NMW/NLW rate for a worker from the rate registry
    * @param {Object} worker - Worker information
    * @param {Date} checkDate - Date to check compliance for
    * @returns {Object} Applicable rate information
    */
   determineApplicableRate(worker, checkDate) {
-    const age = worker.age || 18;
+    // The rate band is set by age at the start of the PRP
+    const age = worker.date_of_birth
+      ? this.nmwRateService.calculateAge(worker.date_of_birth, checkDate)
+      : worker.age || 18;
     const isApprentice = worker.apprentice_status || false;
     const isFirstYearApprentice = worker.first_year_apprentice || false;
 
-    // First year apprentices get apprentice rate regardless of age
-    if (isApprentice && isFirstYearApprentice) {
-      return {
-        rule_name: 'NMW_23_24_APPRENTICE',
-        rate: this.rates['NMW_23_24_APPRENTICE'].rate,
-        description: 'First year apprentice rate',
-        worker_type: 'first_year_apprentice'
-      };
+    if (age < this.rateRegistry.minimumAge) {
+      throw new Error(`Worker age ${age} is below minimum working age of ${this.rateRegistry.minimumAge}`);
     }
 
-    // Regular apprentices get apprentice rate if under 19, otherwise age-appropriate rate
-    if (isApprentice && age < 19) {
-      return {
-        rule_name: 'NMW_23_24_APPRENTICE',
-        rate: this.rates['NMW_23_24_APPRENTICE'].rate,
-        description: 'Apprentice rate (under 19)',
-        worker_type: 'apprentice'
-      };
+    this.rateRegistry.loadRatesSync();
+    const ratePeriod = this.rateRegistry.findRatePeriod(checkDate);
+    if (!ratePeriod) {
+      throw new Error(`No NMW/NLW rate period found for ${this.formatDate(new Date(checkDate))}`);
     }
 
-    // Age-based rates for non-apprentices
-    if (age >= 23) {
-      return {
-        rule_name: 'NLW_23_24',
-        rate: this.rates['NLW_23_24'].rate,
-        description: 'National Living Wage (23+)',
-        worker_type: 'adult'
-      };
-    } else if (age >= 21) {
-      return {
-        rule_name: 'NMW_23_24_21_22',
-        rate: this.rates['NMW_23_24_21_22'].rate,
-        description: 'National Minimum Wage (21-22)',
-        worker_type: 'young_adult'
-      };
-    } else if (age >= 18) {
-      return {
-        rule_name: 'NMW_23_24_18_20',
-        rate: this.rates['NMW_23_24_18_20'].rate,
-        description: 'National Minimum Wage (18-20)',
-        worker_type: 'young_worker'
-      };
-    } else if (age >= 16) {
-      return {
-        rule_name: 'NMW_23_24_16_17',
-        rate: this.rates['NMW_23_24_16_17'].rate,
-        description: 'National Minimum Wage (16-17)',
-        worker_type: 'school_leaver'
-      };
+    let rateKey;
+    let description;
+    let workerType;
+
+    // First year apprentices get apprentice rate regardless of age;
+    // other apprentices get it if under 19, otherwise the age-appropriate rate
+    if (isApprentice && (isFirstYearApprentice || age < 19)) {
+      rateKey = 'apprentice';
+      description = isFirstYearApprentice ? 'First year apprentice rate' : 'Apprentice rate (under 19)';
+      workerType = isFirstYearApprentice ? 'first_year_apprentice' : 'apprentice';
     } else {
-      throw new Error(`Worker age ${age} is below minimum working age of 16`);
+      const ageBand = this.rateRegistry.findAgeBand(ratePeriod, age);
+      if (!ageBand) {
+        throw new Error(`No applicable rate found for age ${age}`);
+      }
+      rateKey = ageBand.rateKey;
+      description = ageBand.rate.description;
+      workerType = this.getWorkerType(rateKey);
     }
+
+    return {
+      rule_name: this.rateRegistry.getRuleName(ratePeriod, rateKey),
+      rate: ratePeriod.rates[rateKey].hourlyRate,
+      description,
+      worker_type: workerType,
+      rate_key: rateKey,
+      rate_period: {
+        effective_from: ratePeriod.effectiveFrom,
+        effective_to: ratePeriod.effectiveTo,
+        description: ratePeriod.description
+      }
+    };
+  }
+
+  /**
+   * Create a calculation service that uses a fixed rate registry
+   * Used to re-run historical checks against the rate version they first ran with
+   * @param {Object} registry - Rate registry fixed to a version
+   * @returns {PRPCalculationService} Calculation service using that registry
+   */
+  withRateRegistry(registry) {
+    const service = new PRPCalculationService();
+    service.rateRegistry = registry;
+    return service;
+  }
+
+  /**
+   * Map a rate key to the worker type reported in results
+   * @param {string} rateKey - Rate key from the rate registry
+   * @returns {string} Worker type
+   */
+  getWorkerType(rateKey) {
+    const workerTypes = {
+      national_living_wage: 'adult',
+      nmw_21_22: 'young_adult',
+      nmw_18_20: 'young_worker',
+      nmw_16_17: 'school_leaver'
+    };
+
+    return workerTypes[rateKey] || 'adult';
+  }
+
+  /**
+   * Explain which rate year applies to a PRP
+   * Uprated rates apply from the first PRP that begins on or after the uprating date,
+   * so a PRP spanning 1 April keeps the rate in force at its start
+   * @param {Object} prpDates - PRP dates
+   * @param {Object} applicableRate - Rate from determineApplicableRate
+   * @returns {Object} Rate selection with the rate year used and why
+   */
+  getRateSelection(prpDates, applicableRate) {
+    const rateDate = this.formatDate(prpDates.start);
+    const rateYear = applicableRate.rate_period.effective_from;
+    const upratingPeriod = this.rateRegistry.findUpratingWithin(prpDates.start, prpDates.end);
+
+    let explanation = `Rates effective from ${rateYear} were in force at the start of the PRP on ${rateDate}`;
+    if (upratingPeriod) {
+      explanation = `The PRP started on ${rateDate}, before the uprating on ${upratingPeriod.effectiveFrom}, ` +
+        `so rates effective from ${rateYear} apply for the whole PRP. ` +
+        `The new rates apply from the first PRP starting on or after ${upratingPeriod.effectiveFrom}`;
+    }
+
+    return {
+      basis: 'rate_in_force_at_prp_start',
+      rate_date: rateDate,
+      rate_year: rateYear,
+      spans_uprating: !!upratingPeriod,
+      uprating_date: upratingPeriod ? upratingPeriod.effectiveFrom : null,
+      explanation
+    };
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
   }
 
   /**
@@ -280,6 +441,35 @@ class PRPCalculationService {
    * @returns {Object} PRP calculation values
    */
   calculatePRPValues(payPeriod, prpDates) {
+    // Rota shifts only count the hours that are working time for their shift type
+    const workingTime = this.hasRotaShifts(payPeriod)
+      ? this.shiftClassificationService.summarizeShifts(payPeriod.shifts)
+      : null;
+
+    // Paid hours are checked against rostered and clocked hours, and the highest is used
+    if (workingTime || this.hasClockedHours(payPeriod)) {
+      const reconciliation = this.hoursReconciliationService.reconcileHours(
+        payPeriod.total_hours,
+        workingTime ? workingTime.qualifying_hours : null,
+        payPeriod.clocked_hours
+      );
+
+      if (reconciliation.hours_used <= 0) {
+        throw new Error(workingTime
+          ? 'No rota hours in this pay period count as working time'
+          : 'Total hours must be greater than 0');
+      }
+
+      return {
+        totalHours: reconciliation.hours_used,
+        totalPay: payPeriod.total_pay,
+        periodStart: payPeriod.period_start,
+        periodEnd: payPeriod.period_end,
+        workingTime,
+        reconciliation
+      };
+    }
+
     // For now, use the original period values
     // In a more sophisticated implementation, this would recalculate based on PRP dates
     return {
@@ -290,6 +480,358 @@ class PRPCalculationService {
     };
   }
 
+  /**
+   * Check whether classified rota shifts have been attached to a pay period
+   * @param {Object} payPeriod - Pay period data
+   * @returns {boolean} True if the pay period has rota shifts
+   */
+  hasRotaShifts(payPeriod) {
+    return Array.isArray(payPeriod?.shifts) && payPeriod.shifts.length > 0;
+  }
+
+  /**
+   * Check whether timesheet clocked hours have been attached to a pay period
+   * @param {Object} payPeriod - Pay period data
+   * @returns {boolean} True if the pay period has clocked hours
+   */
+  hasClockedHours(payPeriod) {
+    return payPeriod?.clocked_hours !== undefined && payPeriod.clocked_hours !== null;
+  }
+
+  /**
+   * Generate compliance issues for paid hours that fall short of rostered or clocked hours
+   * @param {Object} reconciliation - Hours reconciliation
+   * @returns {Array} Array of compliance issues
+   */
+  generateReconciliationIssues(reconciliation) {
+    const issues = [];
+
+    if (reconciliation.unpaid_hours > 0) {
+      issues.push({
+        type: 'rostered_hours_exceed_paid',
+        code: 'ROSTERED_HOURS_EXCEED_PAID',
+        severity: 'high',
+        message: `${reconciliation.hours_used} ${reconciliation.hours_source} hours exceed the ${reconciliation.paid_hours} hours paid; ` +
+          `NMW is checked on ${reconciliation.hours_used} hours, including ${reconciliation.unpaid_hours} unpaid hours`,
+        paid_hours: reconciliation.paid_hours,
+        rostered_hours: reconciliation.rostered_hours,
+        clocked_hours: reconciliation.clocked_hours,
+        unpaid_hours: reconciliation.unpaid_hours
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Generate compliance issues for rota working time
+   * @param {Object} workingTime - Working time summary from rota shifts
+   * @returns {Array} Array of compliance issues
+   */
+  generateWorkingTimeIssues(workingTime) {
+    const issues = [];
+
+    if (workingTime.excluded_hours > 0) {
+      issues.push({
+        type: 'non_working_time_excluded',
+        severity: 'low',
+        message: `${workingTime.excluded_hours} sleep-in or on-call hours excluded from NMW hours; ${workingTime.shift_qualifying_hours} of ${workingTime.total_shift_hours} rota hours count as working time`,
+        total_shift_hours: workingTime.total_shift_hours,
+        qualifying_hours: workingTime.qualifying_hours,
+        excluded_hours: workingTime.excluded_hours
+      });
+    }
+
+    if (workingTime.travel_hours > 0) {
+      const defaultLegs = workingTime.travel.filter(leg => leg.source === 'default').length;
+      issues.push({
+        type: 'travel_time_added',
+        severity: defaultLegs > 0 ? 'medium' : 'low',
+        message: `${workingTime.travel_hours} hours of travel between ${workingTime.travel.length} consecutive visits added to NMW hours` +
+          (defaultLegs > 0 ? `; ${defaultLegs} journeys used the default travel time because none was recorded` : ''),
+        travel_hours: workingTime.travel_hours,
+        travel_legs: workingTime.travel.length,
+        default_travel_legs: defaultLegs
+      });
+    }
+
+    if (workingTime.shifts_missing_active_hours > 0) {
+      issues.push({
+        type: 'active_hours_not_recorded',
+        severity: 'medium',
+        message: `${workingTime.shifts_missing_active_hours} sleep-in or on-call shifts have no active hours recorded; time spent awake and working must be recorded and paid at NMW`,
+        shifts_missing_active_hours: workingTime.shifts_missing_active_hours
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Generate compliance issues for mandatory unpaid activity time
+   * @param {Object} mandatoryActivities - Activity time breakdown
+   * @param {number} effectiveRate - Effective hourly rate including activity time
+   * @param {number} requiredRate - Required minimum rate
+   * @returns {Array} Array of compliance issues
+   */
+  generateMandatoryActivityIssues(mandatoryActivities, effectiveRate, requiredRate) {
+    const issues = [];
+
+    if (mandatoryActivities.total_hours > 0) {
+      const causesShortfall = this.ragStatusService.isShortfallCausedBy(
+        effectiveRate, mandatoryActivities.effective_hourly_rate_without_activities, requiredRate
+      );
+
+      issues.push({
+        type: 'mandatory_unpaid_activities',
+        severity: causesShortfall ? 'high' : 'medium',
+        message: `${mandatoryActivities.total_hours} hours of mandatory unpaid activities (${mandatoryActivities.activities.map(activity => activity.name).join(', ')}) added to NMW hours; ` +
+          `effective rate £${effectiveRate.toFixed(2)} with them, £${mandatoryActivities.effective_hourly_rate_without_activities.toFixed(2)} without`,
+        activity_hours: mandatoryActivities.total_hours,
+        shifts: mandatoryActivities.shifts,
+        effective_hourly_rate_without_activities: mandatoryActivities.effective_hourly_rate_without_activities
+      });
+    }
+
+    if (mandatoryActivities.shifts_unknown) {
+      issues.push({
+        type: 'mandatory_activity_shifts_unknown',
+        severity: 'medium',
+        message: 'Mandatory unpaid activities apply to this worker but the number of shifts worked is unknown; upload a rota or include shifts worked',
+        activities: mandatoryActivities.activities.map(activity => activity.name)
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Calculate PRP values for a salaried-hours worker
+   * Hours are the annual basic hours spread across the calculation year,
+   * plus any hours worked in this PRP beyond the annual total
+   * @param {Object} worker - Worker information
+   * @param {Object} payPeriod - Pay period data (cumulative_hours_before from earlier PRPs)
+   * @returns {Object} PRP calculation values
+   */
+  calculateSalariedPRPValues(worker, payPeriod) {
+    const salariedHours = this.salariedHoursService.calculateSalariedHours(
+      worker,
+      payPeriod,
+      parseFloat(payPeriod.cumulative_hours_before) || 0
+    );
+
+    return {
+      totalHours: salariedHours.nmw_hours,
+      totalPay: payPeriod.total_pay,
+      periodStart: payPeriod.period_start,
+      periodEnd: payPeriod.period_end,
+      salariedHours
+    };
+  }
+
+  /**
+   * Generate compliance issues for a salaried-hours PRP
+   * @param {Object} salariedHours - Salaried-hours calculation
+   * @returns {Array} Array of compliance issues
+   */
+  generateSalariedHoursIssues(salariedHours) {
+    const issues = [];
+
+    if (salariedHours.threshold_first_exceeded_this_prp) {
+      issues.push({
+        type: 'salaried_hours_threshold',
+        severity: 'medium',
+        message: `Annual basic hours of ${salariedHours.annual_basic_hours} first exceeded in this PRP; ${salariedHours.hours_over_annual} additional hours must be paid at NMW`,
+        annual_basic_hours: salariedHours.annual_basic_hours,
+        cumulative_hours: salariedHours.cumulative_hours,
+        hours_over_annual: salariedHours.hours_over_annual
+      });
+    } else if (salariedHours.hours_over_annual > 0) {
+      issues.push({
+        type: 'salaried_hours_true_up',
+        severity: 'low',
+        message: `${salariedHours.hours_over_annual} hours worked beyond annual basic hours added to this PRP`,
+        annual_basic_hours: salariedHours.annual_basic_hours,
+        cumulative_hours: salariedHours.cumulative_hours,
+        hours_over_annual: salariedHours.hours_over_annual
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Reallocate pay in arrears to the PRP the work relates to
+   * Pay for work in one PRP that is paid in the following PRP counts towards
+   * the earlier PRP. Pay made any later stays in the PRP in which it is paid.
+   * Uploads usually hold one month each, so the worker's pay periods from other
+   * uploads are searched too; only the periods passed in are returned.
+   * @param {Array} payPeriods - A single worker's pay periods
+   * @param {Array} otherPayPeriods - The worker's pay periods from other uploads
+   * @returns {Array} Pay periods sorted by start date with total_pay reallocated
+   */
+  reallocatePayInArrears(payPeriods, otherPayPeriods = []) {
+    const ownPeriods = payPeriods.map(payPeriod => ({ ...payPeriod }));
+    const isOwnPeriod = new Set(ownPeriods);
+
+    // A period uploaded again is taken from the periods passed in
+    const otherPeriods = otherPayPeriods
+      .filter(other => !ownPeriods.some(own => this.isSamePeriod(own, other)))
+      .map(payPeriod => ({ ...payPeriod }));
+
+    const sortedPeriods = [...ownPeriods, ...otherPeriods]
+      .sort((a, b) => new Date(a.period_start) - new Date(b.period_start));
+
+    sortedPeriods.forEach(payingPeriod => {
+      this.getArrearsComponents(payingPeriod).forEach(component => {
+        const relatedPeriod = sortedPeriods.find(pp => this.isDateInPeriod(component.relates_to_period, pp));
+
+        // Only pay for earlier periods is reallocated
+        if (new Date(component.relates_to_period) >= new Date(payingPeriod.period_start)) return;
+
+        const reallocation = {
+          amount: component.amount,
+          description: component.description,
+          relates_to_period: component.relates_to_period,
+          paid_in_period_start: payingPeriod.period_start,
+          related_period_start: relatedPeriod ? relatedPeriod.period_start : null,
+          paid_in_upload_id: payingPeriod.csv_upload_id || null,
+          related_upload_id: relatedPeriod ? relatedPeriod.csv_upload_id || null : null
+        };
+
+        if (!relatedPeriod) {
+          this.addPayReallocation(payingPeriod, { ...reallocation, status: 'related_period_not_found', direction: 'retained' });
+          return;
+        }
+
+        if (!this.isFollowingPeriod(relatedPeriod, payingPeriod)) {
+          this.addPayReallocation(payingPeriod, { ...reallocation, status: 'paid_late', direction: 'retained' });
+          return;
+        }
+
+        // Pay left in the paying PRP must stay above 0 for it to be checked at all
+        const remainingPay = round((parseFloat(payingPeriod.total_pay) || 0) - component.amount);
+        if (remainingPay <= 0) {
+          this.addPayReallocation(payingPeriod, { ...reallocation, status: 'exceeds_period_pay', direction: 'retained' });
+          return;
+        }
+
+        payingPeriod.total_pay = remainingPay;
+        relatedPeriod.total_pay = round((parseFloat(relatedPeriod.total_pay) || 0) + component.amount);
+        this.addPayReallocation(payingPeriod, { ...reallocation, status: 'reallocated', direction: 'out' });
+        this.addPayReallocation(relatedPeriod, { ...reallocation, status: 'reallocated', direction: 'in' });
+      });
+    });
+
+    return sortedPeriods.filter(payPeriod => isOwnPeriod.has(payPeriod));
+  }
+
+  /**
+   * Check whether two pay periods cover the same dates
+   * @param {Object} a - Pay period
+   * @param {Object} b - Pay period
+   * @returns {boolean} True if the start and end dates match
+   */
+  isSamePeriod(a, b) {
+    return new Date(a.period_start).getTime() === new Date(b.period_start).getTime() &&
+      new Date(a.period_end).getTime() === new Date(b.period_end).getTime();
+  }
+
+  /**
+   * Get pay components in a pay period that relate to another PRP
+   * @param {Object} payPeriod - Pay period with pay_components or arrears_pay/relates_to_period
+   * @returns {Array} Components with amount, description and relates_to_period
+   */
+  getArrearsComponents(payPeriod) {
+    const components = (payPeriod.pay_components || [])
+      .filter(component => component.relates_to_period && parseFloat(component.amount) > 0)
+      .map(component => ({
+        amount: parseFloat(component.amount),
+        description: component.description || component.component_type || 'Pay in arrears',
+        relates_to_period: component.relates_to_period
+      }));
+
+    if (payPeriod.relates_to_period && parseFloat(payPeriod.arrears_pay) > 0) {
+      components.push({
+        amount: parseFloat(payPeriod.arrears_pay),
+        description: 'Pay in arrears',
+        relates_to_period: payPeriod.relates_to_period
+      });
+    }
+
+    return components;
+  }
+
+  /**
+   * Check whether a date falls within a pay period
+   * @param {Date|string} date - Date to check
+   * @param {Object} payPeriod - Pay period with period_start and period_end
+   * @returns {boolean} True if the date is within the period
+   */
+  isDateInPeriod(date, payPeriod) {
+    const checkDate = new Date(date);
+    return checkDate >= new Date(payPeriod.period_start) && checkDate <= new Date(payPeriod.period_end);
+  }
+
+  /**
+   * Check whether one pay period immediately follows another
+   * @param {Object} earlierPeriod - Earlier pay period
+   * @param {Object} laterPeriod - Later pay period
+   * @returns {boolean} True if the later period starts the day after the earlier one ends
+   */
+  isFollowingPeriod(earlierPeriod, laterPeriod) {
+    const daysBetween = (new Date(laterPeriod.period_start) - new Date(earlierPeriod.period_end)) / (1000 * 60 * 60 * 24);
+    return daysBetween > 0 && daysBetween <= 1;
+  }
+
+  /**
+   * Record a pay reallocation against a pay period
+   * @param {Object} payPeriod - Pay period
+   * @param {Object} reallocation - Reallocation details
+   */
+  addPayReallocation(payPeriod, reallocation) {
+    payPeriod.pay_reallocations = [...(payPeriod.pay_reallocations || []), reallocation];
+  }
+
+  /**
+   * Generate compliance issues for pay in arrears that could not be reallocated
+   * @param {Array} payReallocations - Pay reallocations recorded against the PRP
+   * @returns {Array} Array of compliance issues
+   */
+  generatePayInArrearsIssues(payReallocations) {
+    const issues = [];
+
+    payReallocations.forEach(reallocation => {
+      if (reallocation.status === 'paid_late') {
+        issues.push({
+          type: 'pay_in_arrears_late',
+          severity: 'medium',
+          message: `£${reallocation.amount.toFixed(2)} relating to an earlier PRP was not paid in the following PRP, so it counts in this PRP only`,
+          amount: reallocation.amount,
+          relates_to_period: reallocation.relates_to_period
+        });
+      } else if (reallocation.status === 'related_period_not_found') {
+        issues.push({
+          type: 'pay_in_arrears_unmatched',
+          severity: 'low',
+          message: `£${reallocation.amount.toFixed(2)} relates to a PRP that has not been uploaded and has been left in this PRP`,
+          amount: reallocation.amount,
+          relates_to_period: reallocation.relates_to_period
+        });
+      } else if (reallocation.status === 'exceeds_period_pay') {
+        issues.push({
+          type: 'pay_in_arrears_exceeds_pay',
+          severity: 'medium',
+          message: `£${reallocation.amount.toFixed(2)} relating to the previous PRP is as much as all pay in this PRP, so it has been left here; check the pay and arrears figures`,
+          amount: reallocation.amount,
+          relates_to_period: reallocation.relates_to_period
+        });
+      }
+    });
+
+    return issues;
+  }
+
   /**
    * Process offsets for PRP
    * @param {Array} offsets - Array of offset objects
@@ -591,9 +1133,10 @@ class PRPCalculationService {
    * @param {Array} payPeriods - Array of pay period data
    * @param {Array} offsets - Array of offset data
    * @param {Array} allowances - Array of allowance data
+   * @param {Array} otherPayPeriods - Workers' pay periods from other uploads, for pay in arrears
    * @returns {Object} Batch calculation results
    */
-  batchCalculatePRP(workers, payPeriods, offsets, allowances) {
+  batchCalculatePRP(workers, payPeriods, offsets, allowances, otherPayPeriods = []) {
     const results = {
       success: true,
       total_workers: workers.length,
@@ -601,6 +1144,9 @@ class PRPCalculationService {
       amber_workers: 0,
       non_compliant_workers: 0,
       calculations: [],
+      holiday_pay_summary: null,
+      statutory_pay_summary: null,
+      pension_summary: null,
       summary: {
         total_hours: 0,
         total_pay: 0,
@@ -613,7 +1159,10 @@ class PRPCalculationService {
     let totalComplianceScore = 0;
 
     workers.forEach(worker => {
-      const workerPayPeriods = payPeriods.filter(pp => pp.worker_id === worker.id);
+      const workerPayPeriods = this.reallocatePayInArrears(
+        payPeriods.filter(pp => pp.worker_id === worker.id),
+        otherPayPeriods.filter(pp => pp.worker_id === worker.id)
+      );
       const workerOffsets = offsets.filter(o => o.worker_id === worker.id);
       const workerAllowances = allowances.filter(a => a.worker_id === worker.id);
 
@@ -652,6 +1201,17 @@ class PRPCalculationService {
       results.summary.average_compliance_score = Math.round(totalComplianceScore / results.calculations.length);
     }
 
+    // Holiday pay RAG counts, kept apart from the NMW counts above
+    results.holiday_pay_summary = this.holidayPayService.summarizeChecks(
+      results.calculations.map(calculation => calculation.compliance.holiday_pay)
+    );
+    results.statutory_pay_summary = this.statutoryPayService.summarizeResults(
+      results.calculations.map(calculation => calculation.compliance.statutory_pay)
+    );
+    results.pension_summary = this.autoEnrolmentService.summarizeResults(
+      results.calculations.map(calculation => calculation.compliance.pension)
+    );
+
     return results;
   }
 }
@@ -0,0 +1,194 @@
+/**
+ * Punch Pairing Service
+ * Turns raw time-clock events (one row per clock-in or clock-out) into shifts
+ * that can go through the usual hours pipeline.
+ *
+ * Each clock-in is paired with the worker's next clock-out. Pairs close
+ * together are joined into one shift, with the gaps between them treated as
+ * paid or unpaid breaks according to working-time-rules.json. Punches that
+ * cannot be paired are reported so they can be flagged as validation errors.
+ */
+
+const workingTimeRules = require('../config/workingTimeRules');
+const { round } = require('../utils/calculation-utils');
+
+class PunchPairingService {
+  constructor() {
+    this.workingTimeRules = workingTimeRules;
+
+    // Punch directions
+    this.IN = 'in';
+    this.OUT = 'out';
+  }
+
+  /**
+   * Normalise a raw punch direction to 'in' or 'out'
+   * @param {string} direction - Raw direction value, e.g. 'Clock In'
+   * @returns {string|null} 'in', 'out' or null if unrecognised
+   */
+  normalizeDirection(direction) {
+    const { directions } = this.workingTimeRules.getPunchRules();
+    const normalizedValue = String(direction || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    if (directions.in.includes(normalizedValue)) return this.IN;
+    if (directions.out.includes(normalizedValue)) return this.OUT;
+    return null;
+  }
+
+  /**
+   * Parse a punch timestamp
+   * Accepts YYYY-MM-DD HH:MM[:SS] (or with a T separator) and DD/MM/YYYY HH:MM[:SS].
+   * Times are treated as local clock times, so the result is only used for ordering and durations
+   * @param {string} timestamp - Raw timestamp
+   * @returns {Date|null} Parsed timestamp or null if invalid
+   */
+  parseTimestamp(timestamp) {
+    const value = String(timestamp || '').trim();
+    let match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(value);
+    let year, month, day;
+
+    if (match) {
+      [year, month, day] = [match[1], match[2], match[3]];
+    } else {
+      match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(value);
+      if (!match) return null;
+      [day, month, year] = [match[1], match[2], match[3]];
+    }
+
+    const [hours, minutes, seconds] = [parseInt(match[4]), parseInt(match[5]), parseInt(match[6] || 0)];
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+    const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), hours, minutes, seconds));
+    return date.getUTCDate() === parseInt(day) ? date : null;
+  }
+
+  /**
+   * Pair each worker's clock-ins with their next clock-out
+   * Rows with an invalid timestamp or direction are skipped; they are reported by row validation
+   * @param {Array} rows - Punch rows (worker_id, worker_name, timestamp, direction)
+   * @returns {Object} Paired segments and unpaired punches
+   */
+  pairPunches(rows) {
+    const { maxShiftHours } = this.workingTimeRules.getPunchRules();
+    const punchesByWorker = new Map();
+
+    rows.forEach((row, index) => {
+      const time = this.parseTimestamp(row.timestamp);
+      const direction = this.normalizeDirection(row.direction);
+      if (!row.worker_id || !time || !direction) return;
+
+      const punches = punchesByWorker.get(row.worker_id) || [];
+      punches.push({ row, rowNumber: index + 2, time, direction });
+      punchesByWorker.set(row.worker_id, punches);
+    });
+
+    const segments = [];
+    const unpaired = [];
+    const unpairedPunch = (punch, reason) => ({
+      worker_id: punch.row.worker_id,
+      worker_name: punch.row.worker_name,
+      row: punch.rowNumber,
+      timestamp: punch.row.timestamp,
+      direction: punch.direction,
+      reason
+    });
+
+    for (const punches of punchesByWorker.values()) {
+      punches.sort((a, b) => a.time - b.time);
+      let openPunch = null;
+
+      punches.forEach(punch => {
+        if (punch.direction === this.IN) {
+          if (openPunch) unpaired.push(unpairedPunch(openPunch, 'missing_clock_out'));
+          openPunch = punch;
+          return;
+        }
+
+        // A clock-out too long after the last clock-in means a punch is missing between them
+        if (!openPunch || (punch.time - openPunch.time) / 3600000 > maxShiftHours) {
+          if (openPunch) unpaired.push(unpairedPunch(openPunch, 'missing_clock_out'));
+          unpaired.push(unpairedPunch(punch, 'missing_clock_in'));
+          openPunch = null;
+          return;
+        }
+
+        segments.push({ clockIn: openPunch, clockOut: punch });
+        openPunch = null;
+      });
+
+      if (openPunch) unpaired.push(unpairedPunch(openPunch, 'missing_clock_out'));
+    }
+
+    unpaired.sort((a, b) => a.row - b.row);
+    return { segments, unpaired };
+  }
+
+  /**
+   * Join paired segments into shifts, applying the paid break rules
+   * @param {Array} segments - Paired clock-in and clock-out punches
+   * @returns {Array} Shifts (date, start_time, end_time, break_minutes, paid_break_minutes, hours)
+   */
+  buildShifts(segments) {
+    const { maxBreakMinutes, paidBreakMaxMinutes } = this.workingTimeRules.getPunchRules();
+    const shifts = [];
+    let shift = null;
+
+    segments.forEach(segment => {
+      const breakMinutes = shift && shift.worker_id === segment.clockIn.row.worker_id
+        ? (segment.clockIn.time - shift.clockOut) / 60000
+        : null;
+
+      if (breakMinutes !== null && breakMinutes <= maxBreakMinutes) {
+        // Short breaks are paid rest breaks and stay in working time
+        if (breakMinutes <= paidBreakMaxMinutes) {
+          shift.paid_break_minutes += breakMinutes;
+        } else {
+          shift.break_minutes += breakMinutes;
+        }
+        shift.clockOut = segment.clockOut.time;
+        shift.source_rows.push(segment.clockIn.rowNumber, segment.clockOut.rowNumber);
+        return;
+      }
+
+      shift = {
+        worker_id: segment.clockIn.row.worker_id,
+        worker_name: segment.clockIn.row.worker_name,
+        clockIn: segment.clockIn.time,
+        clockOut: segment.clockOut.time,
+        break_minutes: 0,
+        paid_break_minutes: 0,
+        source_rows: [segment.clockIn.rowNumber, segment.clockOut.rowNumber]
+      };
+      shifts.push(shift);
+    });
+
+    return shifts.map(({ clockIn, clockOut, ...rest }) => ({
+      ...rest,
+      date: clockIn.toISOString().split('T')[0],
+      start_time: clockIn.toISOString().substring(11, 16),
+      end_time: clockOut.toISOString().substring(11, 16),
+      break_minutes: Math.round(rest.break_minutes),
+      paid_break_minutes: Math.round(rest.paid_break_minutes),
+      hours: round(((clockOut - clockIn) / 60000 - rest.break_minutes) / 60)
+    }));
+  }
+
+  /**
+   * Pair punches and build shifts in one step
+   * @param {Array} rows - Punch rows
+   * @returns {Object} Shifts and unpaired punches
+   */
+  processPunches(rows) {
+    const { segments, unpaired } = this.pairPunches(rows);
+
+    // Build shifts worker by worker, in time order
+    segments.sort((a, b) => String(a.clockIn.row.worker_id).localeCompare(String(b.clockIn.row.worker_id)) || a.clockIn.time - b.clockIn.time);
+
+    return {
+      shifts: this.buildShifts(segments),
+      unpaired
+    };
+  }
+}
+
+module.exports = PunchPairingService;
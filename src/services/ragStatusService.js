@@ -52,6 +52,19 @@ class RAGStatusService {
         };
       }
 
+      // Output work with no fair rate test and no recorded hours cannot be rated
+      const outputWork = calculatedData.outputWork || calculatedData.output_work;
+      if (outputWork && outputWork.success !== false && !outputWork.hours_determined) {
+        return {
+          success: true,
+          ragStatus: 'AMBER',
+          reason: 'Output work without a fair piece rate test or recorded hours prevents definitive rate calculation',
+          requiredHourlyRate: requiredRateResult.hourlyRate,
+          rateDetails: requiredRateResult,
+          amberFlags: ['output_work_hours_unknown']
+        };
+      }
+
       // Extract effective hourly rate from calculated data
       const effectiveHourlyRate = calculatedData.effectiveHourlyRate || calculatedData.effective_hourly_rate;
       if (effectiveHourlyRate === undefined || effectiveHourlyRate === null) {
@@ -65,6 +78,9 @@ class RAGStatusService {
 
       // Check for specific amber conditions
       const amberCheck = this.checkAmberConditions(worker, payPeriod, calculatedData);
+      const rateBandWarnings = await this.getRateBandWarnings(worker, payPeriod);
+      const rateSelection = await this.getRateSelection(payPeriod);
+
       if (amberCheck.isAmber) {
         return {
           success: true,
@@ -79,17 +95,30 @@ class RAGStatusService {
             percentageOfRequired: (effectiveHourlyRate / requiredRateResult.hourlyRate) * 100
           },
           rateDetails: requiredRateResult,
-          amberFlags: amberCheck.flags
+          amberFlags: amberCheck.flags,
+          warnings: rateBandWarnings,
+          rateSelection
         };
       }
 
       // Determine status based on rate comparison
-      const statusResult = this.determineStatusFromRates(
+      let statusResult = this.determineStatusFromRates(
         effectiveHourlyRate,
         requiredRateResult.hourlyRate,
         requiredRateResult
       );
 
+      // Output work is judged against the fair piece rate as well as the hourly rate
+      if (outputWork && outputWork.success !== false) {
+        statusResult = this.applyOutputWorkStatus(statusResult, outputWork);
+      }
+
+      // Salary sacrifice that takes pay below the minimum wage is reported as its own breach
+      const salarySacrifice = calculatedData.salarySacrifice || calculatedData.salary_sacrifice;
+      if (salarySacrifice && salarySacrifice.total_sacrifice > 0) {
+        statusResult = this.applySalarySacrificeStatus(statusResult, salarySacrifice);
+      }
+
       console.log(`✅ RAG status determined: ${statusResult.ragStatus} (£${effectiveHourlyRate.toFixed(2)} vs £${requiredRateResult.hourlyRate.toFixed(2)})`);
 
       return {
@@ -97,7 +126,9 @@ class RAGStatusService {
         ...statusResult,
         effectiveHourlyRate: effectiveHourlyRate,
         requiredHourlyRate: requiredRateResult.hourlyRate,
-        rateDetails: requiredRateResult
+        rateDetails: requiredRateResult,
+        warnings: rateBandWarnings,
+        rateSelection
       };
 
     } catch (error) {
@@ -162,9 +193,9 @@ class RAGStatusService {
    */
   async getRequiredRate(worker, payPeriod) {
     try {
-      // Determine worker age
+      // The rate band is set by age at the start of the PRP, so date of birth takes precedence
       let age = worker.age;
-      if (!age && worker.date_of_birth) {
+      if (worker.date_of_birth) {
         const payPeriodDate = payPeriod.period_start || payPeriod.start_date;
         age = this.nmwRateService.calculateAge(worker.date_of_birth, payPeriodDate);
       }
@@ -201,6 +232,67 @@ class RAGStatusService {
     }
   }
 
+  /**
+   * Build forward-looking warnings for a rate band change from the next PRP
+   * @param {Object} worker - Worker information (date_of_birth)
+   * @param {Object} payPeriod - Pay period information
+   * @returns {Promise<Array>} Rate band warnings
+   */
+  async getRateBandWarnings(worker, payPeriod) {
+    const periodStart = payPeriod.period_start || payPeriod.start_date;
+    const periodEnd = payPeriod.period_end || payPeriod.end_date;
+    if (!worker.date_of_birth || !periodStart || !periodEnd) {
+      return [];
+    }
+
+    const forecast = await this.nmwRateService.getRateBandForecast(
+      worker.date_of_birth,
+      periodStart,
+      periodEnd,
+      worker.is_apprentice || worker.apprentice || false,
+      worker.apprenticeship_start_date || worker.apprentice_start_date
+    );
+
+    if (!forecast || !forecast.success || !forecast.changesNextPeriod) {
+      return [];
+    }
+
+    let trigger = 'Age bands change with the new rate period';
+    if (forecast.birthdayInPeriod) {
+      trigger = `Worker turns ${forecast.nextPeriodAge} on ${forecast.birthday}`;
+    } else if (forecast.currentRateType === 'apprentice') {
+      trigger = 'Apprentice rate eligibility ends';
+    }
+
+    return [{
+      type: 'rate_band_changes_next_period',
+      severity: 'amber',
+      message: `${trigger}; ${forecast.nextDescription} (£${forecast.nextHourlyRate.toFixed(2)}) applies from the PRP starting ${forecast.nextPeriodStart}`,
+      current_rate_type: forecast.currentRateType,
+      current_hourly_rate: forecast.currentHourlyRate,
+      next_rate_type: forecast.nextRateType,
+      next_hourly_rate: forecast.nextHourlyRate,
+      next_period_start: forecast.nextPeriodStart
+    }];
+  }
+
+  /**
+   * Get the rate year used for the PRP and why
+   * The rate in force at the PRP start applies even when an uprating falls within the PRP
+   * @param {Object} payPeriod - Pay period information
+   * @returns {Promise<Object|null>} Rate selection, or null if it cannot be determined
+   */
+  async getRateSelection(payPeriod) {
+    const periodStart = payPeriod.period_start || payPeriod.start_date;
+    const periodEnd = payPeriod.period_end || payPeriod.end_date;
+    if (!periodStart || !periodEnd) {
+      return null;
+    }
+
+    const rateSelection = await this.nmwRateService.getRateSelection(periodStart, periodEnd);
+    return rateSelection && rateSelection.success ? rateSelection : null;
+  }
+
   /**
    * Check for specific conditions that should result in AMBER status
    * @param {Object} worker - Worker information
@@ -255,6 +347,21 @@ class RAGStatusService {
       reason = 'Accommodation offset violations require manual review';
     }
 
+    // Unmeasured work without a written daily average agreement needs every hour worked recorded
+    const unmeasuredWork = calculatedData.unmeasuredWork || calculatedData.unmeasured_work;
+    if (unmeasuredWork && unmeasuredWork.success !== false && !unmeasuredWork.agreement_on_file) {
+      flags.push('no_daily_average_agreement');
+      isAmber = true;
+      reason = 'Unmeasured work with no daily average agreement on file - all hours worked must be counted';
+    }
+
+    // An agreed daily average well below the hours actually worked cannot be relied on
+    if (unmeasuredWork && unmeasuredWork.success !== false && (unmeasuredWork.flags || []).includes('daily_average_unrealistic')) {
+      flags.push('daily_average_unrealistic');
+      isAmber = true;
+      reason = 'Unmeasured work daily average agreement is not a realistic average of hours worked - all hours worked have been counted';
+    }
+
     return {
       isAmber,
       reason,
@@ -262,6 +369,58 @@ class RAGStatusService {
     };
   }
 
+  /**
+   * Add output work fair piece rate findings to a status result
+   * @param {Object} statusResult - Status determined from rate comparison
+   * @param {Object} outputWork - Output work calculation result
+   * @returns {Object} Status result with output work details
+   */
+  applyOutputWorkStatus(statusResult, outputWork) {
+    const result = {
+      ...statusResult,
+      outputWork: {
+        ratedOutputWork: outputWork.rated_output_work,
+        unitsProduced: outputWork.units_produced,
+        pieceRate: outputWork.piece_rate,
+        meanHourlyOutput: outputWork.mean_hourly_output,
+        fairPieceRate: outputWork.fair_piece_rate,
+        pieceRateIsFair: outputWork.piece_rate_is_fair,
+        hoursForNMW: outputWork.hours_for_nmw
+      }
+    };
+
+    if (result.ragStatus === 'RED' && outputWork.rated_output_work && outputWork.piece_rate_is_fair === false) {
+      result.reason = `Piece rate (£${outputWork.piece_rate.toFixed(4)}) is below the fair piece rate (£${outputWork.fair_piece_rate.toFixed(4)}) based on mean hourly output × 120%`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Add salary sacrifice findings to a status result
+   * @param {Object} statusResult - Status determined from rate comparison
+   * @param {Object} salarySacrifice - Salary sacrifice breakdown (schemes, total_sacrifice, exposure)
+   * @returns {Object} Status result with salary sacrifice details
+   */
+  applySalarySacrificeStatus(statusResult, salarySacrifice) {
+    const result = {
+      ...statusResult,
+      salarySacrifice: {
+        totalSacrifice: salarySacrifice.total_sacrifice,
+        schemes: salarySacrifice.schemes,
+        exposure: salarySacrifice.exposure || null
+      }
+    };
+
+    if (result.ragStatus === 'RED' && salarySacrifice.exposure) {
+      result.explanationCode = 'SALARY_SACRIFICE_BELOW_MINIMUM';
+      result.reason = `Salary sacrifice (£${salarySacrifice.total_sacrifice.toFixed(2)}) takes pay below the required rate (£${result.rateComparison.required.toFixed(2)}); ` +
+        `the employer owes arrears of £${salarySacrifice.exposure.arrears_owed.toFixed(2)}`;
+    }
+
+    return result;
+  }
+
   /**
    * Determine status based on rate comparison
    * @param {number} effectiveRate - Worker's effective hourly rate
@@ -285,16 +444,7 @@ class RAGStatusService {
       reason = `Effective rate (£${effectiveRate.toFixed(2)}) is below required rate (£${requiredRate.toFixed(2)})`;
       
       // Calculate severity of underpayment
-      const shortfallPercentage = ((requiredRate - effectiveRate) / requiredRate) * 100;
-      if (shortfallPercentage > 20) {
-        severity = 'CRITICAL';
-      } else if (shortfallPercentage > 10) {
-        severity = 'HIGH';
-      } else if (shortfallPercentage > 5) {
-        severity = 'MEDIUM';
-      } else {
-        severity = 'LOW';
-      }
+      severity = this.getShortfallSeverity(((requiredRate - effectiveRate) / requiredRate) * 100);
     }
 
     return {
@@ -311,6 +461,75 @@ class RAGStatusService {
     };
   }
 
+  /**
+   * Get the severity of an underpayment from how far short it falls
+   * @param {number} shortfallPercentage - Shortfall as a percentage of the amount required
+   * @returns {string} Severity (CRITICAL, HIGH, MEDIUM or LOW)
+   */
+  getShortfallSeverity(shortfallPercentage) {
+    if (shortfallPercentage > 20) {
+      return 'CRITICAL';
+    } else if (shortfallPercentage > 10) {
+      return 'HIGH';
+    } else if (shortfallPercentage > 5) {
+      return 'MEDIUM';
+    }
+    return 'LOW';
+  }
+
+  /**
+   * Check whether an adjustment alone takes pay below the minimum rate
+   * Used to raise the severity of extra working time or pay reductions that cause a shortfall
+   * @param {number} effectiveRate - Effective hourly rate with the adjustment
+   * @param {number} rateWithoutAdjustment - Effective hourly rate without it
+   * @param {number} requiredRate - Required hourly rate
+   * @returns {boolean} True if pay is only below the minimum rate because of the adjustment
+   */
+  isShortfallCausedBy(effectiveRate, rateWithoutAdjustment, requiredRate) {
+    return effectiveRate < requiredRate && rateWithoutAdjustment >= requiredRate;
+  }
+
+  /**
+   * Determine RAG status by comparing an amount paid with the amount due
+   * Used for statutory payments, with the same severity bands as the hourly rate comparison
+   * @param {number} paidAmount - Amount paid
+   * @param {number} dueAmount - Amount due
+   * @param {string} label - Name of the payment for the reason, e.g. 'SSP'
+   * @param {number} tolerance - Shortfall treated as rounding
+   * @returns {Object} Status determination result
+   */
+  determineStatusFromAmounts(paidAmount, dueAmount, label, tolerance = 0) {
+    const shortfall = Math.max(dueAmount - paidAmount, 0);
+
+    if (shortfall <= tolerance) {
+      return {
+        ragStatus: 'GREEN',
+        reason: `${label} paid (£${paidAmount.toFixed(2)}) meets or exceeds the amount due (£${dueAmount.toFixed(2)})`,
+        severity: null,
+        amountComparison: {
+          paid: paidAmount,
+          due: dueAmount,
+          difference: paidAmount - dueAmount,
+          shortfallPercentage: 0
+        }
+      };
+    }
+
+    const shortfallPercentage = (shortfall / dueAmount) * 100;
+
+    return {
+      ragStatus: 'RED',
+      reason: `${label} paid (£${paidAmount.toFixed(2)}) is £${shortfall.toFixed(2)} below the amount due (£${dueAmount.toFixed(2)})`,
+      severity: this.getShortfallSeverity(shortfallPercentage),
+      amountComparison: {
+        paid: paidAmount,
+        due: dueAmount,
+        difference: paidAmount - dueAmount,
+        shortfallPercentage
+      }
+    };
+  }
+
   /**
    * Perform bulk RAG status calculation for multiple workers
    * @param {Array} workers - Array of worker data with calculated compliance data
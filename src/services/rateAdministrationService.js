@@ -0,0 +1,420 @@
+/**
+ * Rate Administration Service
+ * Manages effective-dated changes to the NMW/NLW rate registry.
+ *
+ * A new rate period (for example the April uprating) is proposed, reviewed by a
+ * different administrator and then published. Publishing writes a new version
+ * of nmw-rates.json and stores a snapshot of the whole rate table, so checks can
+ * be re-run later against the version that was in force when they first ran.
+ */
+
+const { pool } = require('../config/database');
+const { logAuditAction, saveComplianceRules } = require('../utils/database-utils');
+const rateRegistry = require('../config/rateRegistry');
+
+class RateAdministrationService {
+  constructor() {
+    this.rateRegistry = rateRegistry;
+    this.STATUS = {
+      PENDING_REVIEW: 'pending_review',
+      APPROVED: 'approved',
+      REJECTED: 'rejected',
+      PUBLISHED: 'published'
+    };
+  }
+
+  /**
+   * Propose a new effective-dated rate period for review
+   * @param {Object} ratePeriod - Rate period (effectiveFrom, description, rates)
+   * @param {string} changeSummary - Why the rates are changing
+   * @param {Object} user - Proposing user { userId, email }
+   * @returns {Promise<Object>} Proposal result
+   */
+  async proposeRatePeriod(ratePeriod, changeSummary, user) {
+    try {
+      const rates = await this.rateRegistry.loadRates();
+      const validation = this.validateRatePeriod(ratePeriod, rates);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          code: 'validation_failed',
+          error: 'Rate period validation failed',
+          details: validation.errors
+        };
+      }
+
+      console.log(`🔄 Proposing rate period from ${ratePeriod.effectiveFrom}`);
+
+      const result = await pool.query(`
+        INSERT INTO rate_versions (status, change_summary, rate_period, base_version, proposed_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [
+        this.STATUS.PENDING_REVIEW,
+        changeSummary || null,
+        JSON.stringify(ratePeriod),
+        this.rateRegistry.getVersion(),
+        user.userId
+      ]);
+
+      const proposal = result.rows[0];
+      await logAuditAction({
+        user_id: user.userId,
+        action: 'rate_period_proposed',
+        table_name: 'rate_versions',
+        record_id: proposal.id,
+        new_values: { effective_from: ratePeriod.effectiveFrom, base_version: proposal.base_version }
+      });
+
+      console.log(`✅ Rate period proposal ${proposal.id} created`);
+      return {
+        success: true,
+        proposal
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to propose rate period:', error);
+      return {
+        success: false,
+        error: 'Failed to propose rate period',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Approve or reject a pending proposal
+   * The reviewer must not be the administrator who proposed the change
+   * @param {number} proposalId - Proposal ID
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} notes - Review notes
+   * @param {Object} user - Reviewing user { userId, email }
+   * @returns {Promise<Object>} Review result
+   */
+  async reviewProposal(proposalId, decision, notes, user) {
+    try {
+      if (!['approve', 'reject'].includes(decision)) {
+        return {
+          success: false,
+          code: 'validation_failed',
+          error: "Decision must be 'approve' or 'reject'"
+        };
+      }
+
+      const proposal = await this.getProposal(proposalId);
+      const check = this.checkProposalStatus(proposal, this.STATUS.PENDING_REVIEW);
+      if (!check.success) {
+        return check;
+      }
+
+      if (proposal.proposed_by === user.userId) {
+        return {
+          success: false,
+          code: 'same_reviewer',
+          error: 'A rate change must be reviewed by a different administrator'
+        };
+      }
+
+      const status = decision === 'approve' ? this.STATUS.APPROVED : this.STATUS.REJECTED;
+      const result = await pool.query(`
+        UPDATE rate_versions
+        SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_notes = $3
+        WHERE id = $4
+        RETURNING *
+      `, [status, user.userId, notes || null, proposalId]);
+
+      await logAuditAction({
+        user_id: user.userId,
+        action: `rate_period_${status}`,
+        table_name: 'rate_versions',
+        record_id: proposalId,
+        old_values: { status: proposal.status },
+        new_values: { status, review_notes: notes || null }
+      });
+
+      console.log(`✅ Rate period proposal ${proposalId} ${status}`);
+      return {
+        success: true,
+        proposal: result.rows[0]
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to review rate period proposal:', error);
+      return {
+        success: false,
+        error: 'Failed to review rate period proposal',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Publish an approved proposal as a new version of the rate registry
+   * @param {number} proposalId - Proposal ID
+   * @param {Object} user - Publishing user { userId, email }
+   * @returns {Promise<Object>} Publish result
+   */
+  async publishProposal(proposalId, user) {
+    try {
+      const proposal = await this.getProposal(proposalId);
+      const check = this.checkProposalStatus(proposal, this.STATUS.APPROVED);
+      if (!check.success) {
+        return check;
+      }
+
+      const currentRates = await this.rateRegistry.loadRates();
+      const ratePeriod = proposal.rate_period;
+
+      // The registry may have moved on since the proposal was made
+      const validation = this.validateRatePeriod(ratePeriod, currentRates);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          code: 'validation_failed',
+          error: 'Rate period is no longer valid against the current rates',
+          details: validation.errors
+        };
+      }
+
+      const previousVersion = this.rateRegistry.getVersion();
+      const version = this.getNextVersion(previousVersion);
+      const newRates = this.rateRegistry.addRatePeriod(currentRates, ratePeriod, version);
+
+      console.log(`🔄 Publishing rate version ${version} (from ${previousVersion})`);
+
+      const publishedProposal = await this.publishVersion(proposalId, user, version, previousVersion, currentRates, newRates);
+
+      await logAuditAction({
+        user_id: user.userId,
+        action: 'rate_version_published',
+        table_name: 'rate_versions',
+        record_id: proposalId,
+        old_values: { version: previousVersion },
+        new_values: { version, effective_from: ratePeriod.effectiveFrom }
+      });
+
+      console.log(`✅ Rate version ${version} published`);
+      return {
+        success: true,
+        version,
+        previousVersion,
+        proposal: publishedProposal
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to publish rate version:', error);
+      return {
+        success: false,
+        error: 'Failed to publish rate version',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Store the version snapshot, mark the proposal published and refresh compliance_rules
+   * in one transaction, then write nmw-rates.json. The file is only written once the
+   * database steps have succeeded, and is put back if the commit fails
+   * @param {number} proposalId - Proposal ID
+   * @param {Object} user - Publishing user { userId, email }
+   * @param {string} version - New rate table version
+   * @param {string} previousVersion - Outgoing rate table version
+   * @param {Object} currentRates - Outgoing rates configuration
+   * @param {Object} newRates - New rates configuration
+   * @returns {Promise<Object>} Published proposal
+   */
+  async publishVersion(proposalId, user, version, previousVersion, currentRates, newRates) {
+    const client = await pool.connect();
+    let ratesSaved = false;
+
+    try {
+      await client.query('BEGIN');
+
+      // Keep the outgoing version so checks that ran under it can be re-run
+      await this.storeVersionSnapshot(previousVersion, currentRates, client);
+
+      const result = await client.query(`
+        UPDATE rate_versions
+        SET status = $1, version = $2, rate_table = $3, published_by = $4, published_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [this.STATUS.PUBLISHED, version, JSON.stringify(newRates), user.userId, proposalId]);
+
+      // Seed the new period's hourly rate rules so the self-test keeps agreeing with the registry
+      await saveComplianceRules(this.rateRegistry.forRates(newRates).getComplianceRuleRows(), client);
+
+      await this.rateRegistry.saveRates(newRates);
+      ratesSaved = true;
+
+      await client.query('COMMIT');
+      return result.rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (ratesSaved) {
+        console.warn(`⚠️ Restoring rate version ${previousVersion} after failed publish`);
+        await this.rateRegistry.saveRates(currentRates);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List rate proposals and published versions
+   * @param {string|null} status - Optional status filter
+   * @returns {Promise<Array>} Rate versions, newest first
+   */
+  async listVersions(status = null) {
+    const result = await pool.query(`
+      SELECT id, version, status, change_summary, rate_period, base_version,
+             proposed_by, proposed_at, reviewed_by, reviewed_at, review_notes,
+             published_by, published_at
+      FROM rate_versions
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY COALESCE(published_at, proposed_at) DESC
+    `, [status]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get a registry for the rate table of a given version
+   * The current version is served from the file; older versions from their stored snapshot
+   * @param {string} version - Rate table version
+   * @returns {Promise<Object|null>} Registry fixed to that version, or null if unknown
+   */
+  async getRegistryForVersion(version) {
+    await this.rateRegistry.loadRates();
+    if (!version || version === this.rateRegistry.getVersion()) {
+      return this.rateRegistry;
+    }
+
+    const result = await pool.query(`
+      SELECT rate_table FROM rate_versions
+      WHERE version = $1 AND status = $2 AND rate_table IS NOT NULL
+    `, [version, this.STATUS.PUBLISHED]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.rateRegistry.forRates(result.rows[0].rate_table);
+  }
+
+  /**
+   * Store a snapshot of a rate table version if one is not already held
+   * @param {string} version - Rate table version
+   * @param {Object} rates - Rates configuration for that version
+   * @param {Object} db - Pool or transaction client to run the query on
+   * @returns {Promise<void>}
+   */
+  async storeVersionSnapshot(version, rates, db = pool) {
+    await db.query(`
+      INSERT INTO rate_versions (version, status, change_summary, rate_table, published_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      ON CONFLICT (version) DO NOTHING
+    `, [version, this.STATUS.PUBLISHED, 'Snapshot of rates in use before the next version was published', JSON.stringify(rates)]);
+  }
+
+  /**
+   * Get a proposal by ID
+   * @param {number} proposalId - Proposal ID
+   * @returns {Promise<Object|null>} Proposal or null
+   */
+  async getProposal(proposalId) {
+    const result = await pool.query('SELECT * FROM rate_versions WHERE id = $1', [proposalId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check that a proposal exists and has the expected status
+   * @param {Object|null} proposal - Proposal
+   * @param {string} expectedStatus - Required status
+   * @returns {Object} { success } or an error result
+   */
+  checkProposalStatus(proposal, expectedStatus) {
+    if (!proposal) {
+      return {
+        success: false,
+        code: 'not_found',
+        error: 'Rate proposal not found'
+      };
+    }
+
+    if (proposal.status !== expectedStatus) {
+      return {
+        success: false,
+        code: 'invalid_status',
+        error: `Rate proposal is ${proposal.status}, expected ${expectedStatus}`
+      };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Validate a proposed rate period against the current rate table
+   * @param {Object} ratePeriod - Proposed rate period
+   * @param {Object} rates - Current rates configuration
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateRatePeriod(ratePeriod, rates) {
+    const errors = [];
+
+    if (!ratePeriod || typeof ratePeriod !== 'object') {
+      return { isValid: false, errors: ['Rate period is required'] };
+    }
+
+    const effectiveFrom = new Date(ratePeriod.effectiveFrom);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(ratePeriod.effectiveFrom || '') || isNaN(effectiveFrom.getTime())) {
+      errors.push('Effective from date must be a valid YYYY-MM-DD date');
+    } else {
+      const latest = rates.rates.reduce((max, period) => Math.max(max, new Date(period.effectiveFrom).getTime()), 0);
+      if (effectiveFrom.getTime() <= latest) {
+        errors.push('Effective from date must be after the latest published rate period');
+      }
+    }
+
+    if (!ratePeriod.description) {
+      errors.push('Description is required');
+    }
+
+    if (!ratePeriod.rates || typeof ratePeriod.rates !== 'object') {
+      errors.push('Rates are required');
+    } else {
+      Object.entries(ratePeriod.rates).forEach(([rateKey, rate]) => {
+        if (typeof rate.hourlyRate !== 'number' || rate.hourlyRate <= 0) {
+          errors.push(`${rateKey} must have a positive hourly rate`);
+        }
+        if (!rate.description) {
+          errors.push(`${rateKey} must have a description`);
+        }
+      });
+    }
+
+    // Check the rate table as it would be once published
+    if (errors.length === 0) {
+      const candidate = this.rateRegistry.addRatePeriod(rates, ratePeriod, 'candidate');
+      errors.push(...this.rateRegistry.forRates(candidate).selfTest().errors);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get the next rate table version (minor version bump)
+   * @param {string|null} version - Current version, e.g. 1.0.0
+   * @returns {string} Next version, e.g. 1.1.0
+   */
+  getNextVersion(version) {
+    const [major = 1, minor = 0] = (version || '1.0.0').split('.').map(part => parseInt(part, 10) || 0);
+    return `${major}.${minor + 1}.0`;
+  }
+}
+
+module.exports = RateAdministrationService;
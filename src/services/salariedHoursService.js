@@ -0,0 +1,269 @@
+/**
+ * Salaried Hours Service
+ * Implements the salaried-hours work model for NMW calculations.
+ *
+ * For salaried-hours workers the hours in each pay reference period are the
+ * annual basic hours spread evenly across the calculation year. Hours worked
+ * beyond the annual basic hours are added to the PRP in which they are worked,
+ * so cumulative hours are tracked across uploads for the whole calculation year.
+ */
+
+const { pool } = require('../config/database');
+const WorkTypeService = require('./workTypeService');
+const { round } = require('../utils/calculation-utils');
+
+class SalariedHoursService {
+  constructor() {
+    this.workTypeService = new WorkTypeService();
+    this.WORK_TYPE = this.workTypeService.SALARIED_HOURS;
+
+    // Number of PRPs in a calculation year by pay frequency
+    this.prpsPerYear = {
+      weekly: 52,
+      fortnightly: 26,
+      four_weekly: 13,
+      monthly: 12,
+      quarterly: 4,
+      bi_annual: 2,
+      annual: 1
+    };
+
+    // Pay frequencies of calendar periods by their length in months
+    this.calendarPeriods = { 1: 'monthly', 3: 'quarterly', 6: 'bi_annual', 12: 'annual' };
+
+    // Calculation year defaults to the tax year when no contract start is known
+    this.defaultYearStart = { month: 3, day: 6 }; // 6 April (months are 0-based)
+  }
+
+  /**
+   * Check whether a worker is on a salaried-hours contract
+   * @param {Object} worker - Worker information
+   * @returns {boolean} True if the salaried-hours model applies
+   */
+  isSalariedHoursWorker(worker) {
+    return !!worker && this.workTypeService.classifyWorker(worker) === this.WORK_TYPE;
+  }
+
+  /**
+   * Validate salaried-hours worker data
+   * @param {Object} worker - Worker information
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateWorker(worker) {
+    const errors = [];
+    const annualHours = parseFloat(worker.annual_basic_hours);
+
+    if (!annualHours || annualHours <= 0) {
+      errors.push('Annual basic hours must be greater than 0 for salaried-hours workers');
+    }
+
+    if (worker.calculation_year_start && isNaN(new Date(worker.calculation_year_start).getTime())) {
+      errors.push('Calculation year start must be a valid date');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Determine the calculation year containing a given date
+   * The year runs from the anniversary of the worker's calculation year start
+   * @param {Object} worker - Worker information
+   * @param {Date|string} date - Date within the calculation year
+   * @returns {Object} Calculation year { start, end }
+   */
+  getCalculationYear(worker, date) {
+    const checkDate = new Date(date);
+    const anchor = worker.calculation_year_start ? new Date(worker.calculation_year_start) : null;
+    const month = anchor ? anchor.getMonth() : this.defaultYearStart.month;
+    const day = anchor ? anchor.getDate() : this.defaultYearStart.day;
+
+    let start = new Date(checkDate.getFullYear(), month, day);
+    if (start > checkDate) {
+      start = new Date(checkDate.getFullYear() - 1, month, day);
+    }
+
+    const end = new Date(start.getFullYear() + 1, month, day);
+    end.setDate(end.getDate() - 1);
+
+    return { start, end };
+  }
+
+  /**
+   * Determine the pay frequency from the pay period dates
+   * Calendar periods are matched first, so a February PRP is monthly rather than four-weekly,
+   * then other periods by their length in days
+   * @param {Date|string} periodStart - Period start date
+   * @param {Date|string} periodEnd - Period end date
+   * @returns {string} Pay frequency key
+   */
+  getPayFrequency(periodStart, periodEnd) {
+    const start = new Date(periodStart);
+    const nextStart = new Date(periodEnd);
+    nextStart.setUTCDate(nextStart.getUTCDate() + 1);
+
+    // A calendar period ends the day before the same day of a later month
+    if (nextStart.getUTCDate() === start.getUTCDate()) {
+      const months = (nextStart.getUTCFullYear() - start.getUTCFullYear()) * 12 + nextStart.getUTCMonth() - start.getUTCMonth();
+      if (this.calendarPeriods[months]) {
+        return this.calendarPeriods[months];
+      }
+    }
+
+    const days = Math.round((nextStart - start) / (1000 * 60 * 60 * 24));
+
+    if (days <= 7) return 'weekly';
+    if (days <= 14) return 'fortnightly';
+    if (days <= 28) return 'four_weekly';
+    if (days <= 31) return 'monthly';
+    if (days <= 92) return 'quarterly';
+    return 'annual';
+  }
+
+  /**
+   * Calculate NMW hours for a salaried-hours PRP
+   * @param {Object} worker - Worker information (annual_basic_hours, calculation_year_start)
+   * @param {Object} payPeriod - Pay period data (total_hours is hours actually worked)
+   * @param {number} cumulativeHoursBefore - Hours worked earlier in the calculation year
+   * @returns {Object} Salaried-hours calculation for the PRP
+   */
+  calculateSalariedHours(worker, payPeriod, cumulativeHoursBefore = 0) {
+    const validation = this.validateWorker(worker);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join('; '));
+    }
+
+    const annualBasicHours = parseFloat(worker.annual_basic_hours);
+    const hoursWorked = parseFloat(payPeriod.total_hours) || 0;
+    const payFrequency = this.getPayFrequency(payPeriod.period_start, payPeriod.period_end);
+    const prpsPerYear = this.prpsPerYear[payFrequency];
+    const calculationYear = this.getCalculationYear(worker, payPeriod.period_start);
+
+    const basicHoursForPRP = annualBasicHours / prpsPerYear;
+    const cumulativeHours = cumulativeHoursBefore + hoursWorked;
+
+    // Only hours beyond the annual total are added to this PRP
+    const hoursOverAnnual = Math.max(0, cumulativeHours - Math.max(cumulativeHoursBefore, annualBasicHours));
+    const thresholdExceeded = cumulativeHours > annualBasicHours;
+    const thresholdFirstExceeded = thresholdExceeded && cumulativeHoursBefore <= annualBasicHours;
+
+    return {
+      work_type: this.WORK_TYPE,
+      annual_basic_hours: annualBasicHours,
+      calculation_year_start: calculationYear.start,
+      calculation_year_end: calculationYear.end,
+      pay_frequency: payFrequency,
+      prps_per_year: prpsPerYear,
+      basic_hours_for_prp: round(basicHoursForPRP),
+      hours_worked: hoursWorked,
+      cumulative_hours_before: round(cumulativeHoursBefore),
+      cumulative_hours: round(cumulativeHours),
+      hours_over_annual: round(hoursOverAnnual),
+      annual_threshold_exceeded: thresholdExceeded,
+      threshold_first_exceeded_this_prp: thresholdFirstExceeded,
+      nmw_hours: round(basicHoursForPRP + hoursOverAnnual)
+    };
+  }
+
+  /**
+   * Record hours for each salaried-hours PRP and attach the cumulative hours
+   * worked earlier in the calculation year, including earlier uploads
+   * @param {Object} worker - Worker information (external_id, organization_id)
+   * @param {Array} payPeriods - Pay periods for the worker
+   * @returns {Promise<Array>} Pay periods with cumulative_hours_before set
+   */
+  async applyCumulativeHours(worker, payPeriods) {
+    try {
+      const sortedPeriods = [...payPeriods].sort((a, b) =>
+        new Date(a.period_start) - new Date(b.period_start)
+      );
+
+      // Record first so periods in the same upload count towards each other
+      for (const payPeriod of sortedPeriods) {
+        await this.recordPeriodHours(worker, payPeriod);
+      }
+
+      const enrichedPeriods = [];
+      for (const payPeriod of sortedPeriods) {
+        const calculationYear = this.getCalculationYear(worker, payPeriod.period_start);
+        const cumulativeHoursBefore = await this.getCumulativeHoursBefore(
+          worker,
+          calculationYear.start,
+          payPeriod.period_start
+        );
+
+        enrichedPeriods.push({
+          ...payPeriod,
+          cumulative_hours_before: cumulativeHoursBefore
+        });
+      }
+
+      return enrichedPeriods;
+
+    } catch (error) {
+      console.error('❌ Failed to apply salaried-hours cumulative hours:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the hours worked in a PRP in the calculation-year ledger
+   * Re-processing the same PRP replaces the previous entry
+   * @param {Object} worker - Worker information
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Promise<void>}
+   */
+  async recordPeriodHours(worker, payPeriod) {
+    const calculationYear = this.getCalculationYear(worker, payPeriod.period_start);
+    const organizationId = worker.organization_id || null;
+
+    await pool.query(`
+      DELETE FROM salaried_hours_ledger
+      WHERE organization_id IS NOT DISTINCT FROM $1
+        AND worker_external_id = $2
+        AND period_start = $3
+    `, [organizationId, worker.external_id, payPeriod.period_start]);
+
+    await pool.query(`
+      INSERT INTO salaried_hours_ledger (
+        organization_id, worker_external_id, calculation_year_start,
+        period_start, period_end, hours_worked, annual_basic_hours,
+        csv_upload_id, pay_period_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      organizationId,
+      worker.external_id,
+      calculationYear.start,
+      payPeriod.period_start,
+      payPeriod.period_end,
+      parseFloat(payPeriod.total_hours) || 0,
+      parseFloat(worker.annual_basic_hours),
+      payPeriod.csv_upload_id || null,
+      payPeriod.id || null
+    ]);
+  }
+
+  /**
+   * Sum the hours worked earlier in the calculation year
+   * @param {Object} worker - Worker information
+   * @param {Date} calculationYearStart - Start of the calculation year
+   * @param {Date|string} periodStart - Start of the current PRP
+   * @returns {Promise<number>} Cumulative hours before the PRP
+   */
+  async getCumulativeHoursBefore(worker, calculationYearStart, periodStart) {
+    const result = await pool.query(`
+      SELECT COALESCE(SUM(hours_worked), 0) as cumulative_hours
+      FROM salaried_hours_ledger
+      WHERE organization_id IS NOT DISTINCT FROM $1
+        AND worker_external_id = $2
+        AND calculation_year_start = $3
+        AND period_start < $4
+    `, [worker.organization_id || null, worker.external_id, calculationYearStart, periodStart]);
+
+    return parseFloat(result.rows[0].cumulative_hours) || 0;
+  }
+}
+
+module.exports = SalariedHoursService;
@@ -0,0 +1,164 @@
+/**
+ * Salary Sacrifice Service
+ * Works out the salary given up under salary sacrifice schemes (pension,
+ * cycle-to-work, childcare vouchers, electric vehicles) in a pay period.
+ *
+ * Sacrificed salary is not paid to the worker, so it reduces pay for NMW
+ * purposes. A sacrifice that takes pay below the minimum wage is a breach,
+ * whatever the worker agreed to, and leaves the employer owing arrears and
+ * open to penalties and public naming.
+ */
+
+const nmwComponentRules = require('../config/nmwComponentRules');
+
+class SalarySacrificeService {
+  constructor() {
+    this.componentRules = nmwComponentRules;
+
+    // Payroll columns holding sacrifice amounts and the scheme each belongs to
+    this.SACRIFICE_COLUMNS = {
+      pension_sacrifice: 'pension',
+      cycle_to_work_sacrifice: 'cycle_to_work',
+      childcare_voucher_sacrifice: 'childcare_vouchers',
+      ev_sacrifice: 'electric_vehicle',
+      salary_sacrifice: 'other'
+    };
+
+    // Penalty for underpaying NMW: 200% of arrears, £100 minimum, £20,000 maximum per worker
+    this.PENALTY_RATE = 2;
+    this.MIN_PENALTY = 100;
+    this.MAX_PENALTY_PER_WORKER = 20000;
+
+    // Employers owing more than this in arrears can be publicly named
+    this.NAMING_THRESHOLD = 500;
+  }
+
+  /**
+   * Check whether a pay period has any salary sacrifice columns
+   * @param {Object} payPeriod - Pay period data
+   * @returns {boolean} True if a sacrifice amount is recorded
+   */
+  hasSacrifice(payPeriod) {
+    return Object.keys(this.SACRIFICE_COLUMNS).some(column => parseFloat(payPeriod?.[column]) > 0);
+  }
+
+  /**
+   * Get the salary given up in the payroll sacrifice columns of a pay period
+   * Uploaded pay is gross pay before sacrifice, so this is taken off it to give pay received
+   * @param {Object} payPeriod - Pay period data
+   * @returns {number} Total sacrifice from the payroll columns
+   */
+  getColumnSacrifice(payPeriod) {
+    const total = Object.keys(this.SACRIFICE_COLUMNS)
+      .reduce((sum, column) => sum + (parseFloat(payPeriod?.[column]) > 0 ? parseFloat(payPeriod[column]) : 0), 0);
+
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Calculate the salary sacrifice in a pay period
+   * Amounts come from the payroll sacrifice columns, plus any raw pay components
+   * classified as salary sacrifice by nmw-components.json
+   * @param {Object} worker - Worker information
+   * @param {Object} payPeriod - Pay period data
+   * @param {Object} rawPayComponents - Raw pay components
+   * @returns {Promise<Object>} Salary sacrifice result
+   */
+  async calculateSalarySacrifice(worker, payPeriod, rawPayComponents = {}) {
+    try {
+      const schemes = [];
+
+      for (const [column, scheme] of Object.entries(this.SACRIFICE_COLUMNS)) {
+        const amount = parseFloat(payPeriod?.[column]) || 0;
+        if (amount > 0) {
+          schemes.push({ scheme, source: column, amount });
+        }
+      }
+
+      for (const [componentName, value] of Object.entries(rawPayComponents || {})) {
+        const amount = Math.abs(parseFloat(value)) || 0;
+        if (amount === 0 || this.SACRIFICE_COLUMNS[componentName]) {
+          continue;
+        }
+
+        if (await this.isSacrificeComponent(componentName)) {
+          schemes.push({ scheme: this.identifyScheme(componentName), source: componentName, amount });
+        }
+      }
+
+      const totalSacrifice = Math.round(schemes.reduce((total, scheme) => total + scheme.amount, 0) * 100) / 100;
+
+      return {
+        success: true,
+        worker_id: worker?.worker_id,
+        pay_period_id: payPeriod?.id,
+        schemes,
+        total_sacrifice: totalSacrifice,
+        rule: 'Salary sacrifice reduces pay for NMW purposes; post-sacrifice pay must still meet the minimum wage'
+      };
+    } catch (error) {
+      console.error('❌ Failed to calculate salary sacrifice:', error);
+      return {
+        success: false,
+        error: 'Salary sacrifice calculation failed',
+        details: error.message,
+        total_sacrifice: 0
+      };
+    }
+  }
+
+  /**
+   * Check whether a raw pay component is a salary sacrifice
+   * @param {string} componentName - Pay component name
+   * @returns {Promise<boolean>} True if the component is a salary sacrifice
+   */
+  async isSacrificeComponent(componentName) {
+    const classification = await this.componentRules.classifyComponent(componentName);
+    return classification?.categoryPath === 'salaryServices.sacrifice' ||
+      componentName.toLowerCase().includes('sacrifice');
+  }
+
+  /**
+   * Identify the sacrifice scheme from a pay component name
+   * @param {string} componentName - Pay component name
+   * @returns {string} Scheme (pension, cycle_to_work, childcare_vouchers, electric_vehicle or other)
+   */
+  identifyScheme(componentName) {
+    const name = componentName.toLowerCase().replace(/[^a-z0-9]/g, '_');
+
+    if (name.includes('pension')) return 'pension';
+    if (name.includes('cycle') || name.includes('bike')) return 'cycle_to_work';
+    if (name.includes('childcare')) return 'childcare_vouchers';
+    if (/(^|_)ev(_|$)/.test(name) || name.includes('electric') || name.includes('car_scheme')) return 'electric_vehicle';
+    return 'other';
+  }
+
+  /**
+   * Work out the employer's exposure when salary sacrifice takes pay below the minimum wage
+   * @param {Object} sacrificeResult - Salary sacrifice result
+   * @param {number} effectiveRate - Effective hourly rate after sacrifice
+   * @param {number} requiredRate - Required hourly rate
+   * @param {number} hours - Hours worked in the pay period
+   * @returns {Object|null} Exposure details, or null if pay meets the minimum wage
+   */
+  calculateExposure(sacrificeResult, effectiveRate, requiredRate, hours) {
+    if (!sacrificeResult || !(sacrificeResult.total_sacrifice > 0) || effectiveRate >= requiredRate || !(hours > 0)) {
+      return null;
+    }
+
+    const arrears = Math.round((requiredRate - effectiveRate) * hours * 100) / 100;
+    const penalty = Math.min(this.MAX_PENALTY_PER_WORKER, Math.max(this.MIN_PENALTY, arrears * this.PENALTY_RATE));
+    const rateWithoutSacrifice = effectiveRate + sacrificeResult.total_sacrifice / hours;
+
+    return {
+      total_sacrifice: sacrificeResult.total_sacrifice,
+      effective_hourly_rate_without_sacrifice: Math.round(rateWithoutSacrifice * 100) / 100,
+      sacrifice_causes_shortfall: rateWithoutSacrifice >= requiredRate,
+      arrears_owed: arrears,
+      maximum_penalty: Math.round(penalty * 100) / 100,
+      naming_risk: arrears > this.NAMING_THRESHOLD
+    };
+  }
+}
+
+module.exports = SalarySacrificeService;
@@ -0,0 +1,231 @@
+/**
+ * Shift Classification Service
+ * Classifies rota shifts as standard, awake night, sleep-in, on-call at home or
+ * on-call at the workplace, and works out how many of each shift's hours count
+ * as working time for NMW.
+ *
+ * Which shift types count in full and which count only the hours the worker is
+ * awake and working is configured in working-time-rules.json. Travel between
+ * consecutive visits on the same day is added as working time.
+ */
+
+const { pool } = require('../config/database');
+const workingTimeRules = require('../config/workingTimeRules');
+const { round, toDateKey } = require('../utils/calculation-utils');
+
+class ShiftClassificationService {
+  constructor() {
+    this.workingTimeRules = workingTimeRules;
+
+    // Treatments a shift type can have
+    this.ALL_HOURS = 'all_hours';
+    this.ACTIVE_HOURS_ONLY = 'active_hours_only';
+  }
+
+  /**
+   * Normalise a raw shift type value to a configured shift type
+   * @param {string} shiftType - Raw shift type value
+   * @returns {string|null} Shift type key or null if unrecognised
+   */
+  normalizeShiftType(shiftType) {
+    return this.workingTimeRules.findShiftType(shiftType);
+  }
+
+  /**
+   * Calculate the rostered length of a shift in hours, less unpaid breaks
+   * Shifts whose end time is before the start time run past midnight
+   * @param {Object} shift - Shift (start_time, end_time, break_minutes, or hours)
+   * @returns {number} Shift hours
+   */
+  calculateShiftHours(shift) {
+    const start = this.parseTime(shift.start_time);
+    const end = this.parseTime(shift.end_time);
+
+    if (start === null || end === null) {
+      return round(parseFloat(shift.hours) || 0);
+    }
+
+    let minutes = end - start;
+    if (minutes <= 0) {
+      minutes += 24 * 60;
+    }
+
+    minutes -= parseInt(shift.break_minutes) || 0;
+    return round(Math.max(minutes, 0) / 60);
+  }
+
+  /**
+   * Classify a shift and work out its qualifying (working time) hours
+   * @param {Object} shift - Shift (shift_type, start_time, end_time, break_minutes, active_hours)
+   * @returns {Object} Shift classification
+   */
+  classifyShift(shift) {
+    const shiftType = this.normalizeShiftType(shift.shift_type);
+    if (!shiftType) {
+      throw new Error(`Unrecognised shift type "${shift.shift_type}"`);
+    }
+
+    const rule = this.workingTimeRules.getShiftType(shiftType);
+    const shiftHours = this.calculateShiftHours(shift);
+    const activeHoursRecorded = shift.active_hours !== undefined && shift.active_hours !== null && shift.active_hours !== '';
+    const activeHours = activeHoursRecorded ? parseFloat(shift.active_hours) || 0 : 0;
+
+    // Only time awake and working counts for sleep-ins and on-call at home
+    const qualifyingHours = rule.treatment === this.ACTIVE_HOURS_ONLY
+      ? Math.min(activeHours, shiftHours)
+      : shiftHours;
+
+    return {
+      date: shift.date || shift.shift_date || null,
+      shift_type: shiftType,
+      label: rule.label,
+      treatment: rule.treatment,
+      shift_hours: shiftHours,
+      active_hours: activeHoursRecorded ? round(activeHours) : null,
+      qualifying_hours: round(qualifyingHours),
+      excluded_hours: round(shiftHours - qualifyingHours),
+      active_hours_missing: rule.treatment === this.ACTIVE_HOURS_ONLY && !activeHoursRecorded,
+      rule: rule.rule
+    };
+  }
+
+  /**
+   * Find travel between consecutive visits on the same day
+   * Travel uses the visit's supplied travel_minutes, or the configured default
+   * where the gap between visits is no longer than the maximum gap
+   * @param {Array} shifts - A single worker's shifts
+   * @returns {Array} Travel legs, each with the index of the visit travelled to
+   */
+  calculateTravelTime(shifts) {
+    const travelRules = this.workingTimeRules.getTravelTimeRules();
+    const visitsByDate = new Map();
+
+    shifts.forEach((shift, index) => {
+      const start = this.parseTime(shift.start_time);
+      const end = this.parseTime(shift.end_time);
+      const shiftType = this.normalizeShiftType(shift.shift_type);
+      const dateKey = toDateKey(shift.date || shift.shift_date);
+
+      // Only same-day working visits; overnight and sleep-in or on-call shifts are skipped
+      if (start === null || end === null || end <= start || !shiftType || !dateKey ||
+          this.workingTimeRules.getShiftType(shiftType).treatment !== this.ALL_HOURS) {
+        return;
+      }
+
+      const visits = visitsByDate.get(dateKey) || [];
+      visits.push({ index, start, end, shift });
+      visitsByDate.set(dateKey, visits);
+    });
+
+    const travel = [];
+    for (const [date, visits] of visitsByDate) {
+      visits.sort((a, b) => a.start - b.start);
+
+      for (let i = 1; i < visits.length; i++) {
+        const previous = visits[i - 1];
+        const visit = visits[i];
+        const gapMinutes = visit.start - previous.end;
+        const suppliedMinutes = parseFloat(visit.shift.travel_minutes);
+        const supplied = !isNaN(suppliedMinutes) && suppliedMinutes >= 0;
+
+        // Overlapping visits and long split-shift gaps are not credited with default travel
+        if (gapMinutes < 0 || (!supplied && gapMinutes > travelRules.maxGapMinutes)) {
+          continue;
+        }
+
+        // Travel cannot be longer than the gap it fills, or it would double count visit time
+        const travelMinutes = Math.min(supplied ? suppliedMinutes : travelRules.defaultMinutes, gapMinutes);
+        if (travelMinutes > 0) {
+          travel.push({
+            date,
+            to_shift_index: visit.index,
+            from_end_time: previous.shift.end_time,
+            to_start_time: visit.shift.start_time,
+            gap_minutes: gapMinutes,
+            travel_minutes: travelMinutes,
+            source: supplied ? 'supplied' : 'default',
+            ...(supplied && suppliedMinutes > gapMinutes && { supplied_minutes: suppliedMinutes })
+          });
+        }
+      }
+    }
+
+    return travel;
+  }
+
+  /**
+   * Summarise the working time across a set of shifts
+   * @param {Array} shifts - Shifts in a pay reference period
+   * @returns {Object} Working time summary
+   */
+  summarizeShifts(shifts) {
+    const classifiedShifts = shifts.map(shift => this.classifyShift(shift));
+    const byShiftType = {};
+
+    classifiedShifts.forEach(shift => {
+      const totals = byShiftType[shift.shift_type] || { shifts: 0, shift_hours: 0, qualifying_hours: 0 };
+      totals.shifts++;
+      totals.shift_hours = round(totals.shift_hours + shift.shift_hours);
+      totals.qualifying_hours = round(totals.qualifying_hours + shift.qualifying_hours);
+      byShiftType[shift.shift_type] = totals;
+    });
+
+    const sum = field => round(classifiedShifts.reduce((total, shift) => total + shift[field], 0));
+    const travel = this.calculateTravelTime(shifts);
+    const travelHours = round(travel.reduce((total, leg) => total + leg.travel_minutes, 0) / 60);
+
+    return {
+      total_shift_hours: sum('shift_hours'),
+      shift_qualifying_hours: sum('qualifying_hours'),
+      travel_hours: travelHours,
+      qualifying_hours: round(sum('qualifying_hours') + travelHours),
+      excluded_hours: sum('excluded_hours'),
+      shifts_missing_active_hours: classifiedShifts.filter(shift => shift.active_hours_missing).length,
+      by_shift_type: byShiftType,
+      travel,
+      shifts: classifiedShifts
+    };
+  }
+
+  /**
+   * Get rota shifts for a worker within a pay period, from any rota upload
+   * Rota shifts are matched to the worker by external ID within their organisation
+   * @param {number} workerId - Worker ID (from any upload)
+   * @param {string|Date} periodStart - Pay period start date
+   * @param {string|Date} periodEnd - Pay period end date
+   * @returns {Promise<Array>} Array of rota shifts
+   */
+  async getRotaShifts(workerId, periodStart, periodEnd) {
+    const query = `
+      SELECT rs.shift_date AS date, rs.start_time, rs.end_time, rs.break_minutes,
+             rs.shift_type, rs.active_hours, rs.travel_minutes
+      FROM rota_shifts rs
+      JOIN workers w ON w.external_id = rs.worker_external_id
+        AND w.organization_id IS NOT DISTINCT FROM rs.organization_id
+      WHERE w.id = $1
+        AND rs.shift_date BETWEEN $2 AND $3
+      ORDER BY rs.shift_date, rs.start_time
+    `;
+
+    const result = await pool.query(query, [workerId, periodStart, periodEnd]);
+    return result.rows;
+  }
+
+  /**
+   * Parse a HH:MM or HH:MM:SS time into minutes after midnight
+   * @param {string} time - Time string
+   * @returns {number|null} Minutes after midnight or null if invalid
+   */
+  parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(time || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 24 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+  }
+}
+
+module.exports = ShiftClassificationService;
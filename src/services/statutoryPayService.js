@@ -0,0 +1,374 @@
+/**
+ * Statutory Pay Service
+ * Checks Statutory Sick Pay, Statutory Maternity Pay and Statutory Paternity
+ * Pay in a payroll export against the rates for the tax year, as a separate
+ * RAG dimension alongside the NMW check.
+ *
+ * SSP is due at the weekly rate, split across the worker's qualifying days,
+ * after three waiting days at the start of a period of incapacity for work.
+ * SMP is 90% of average weekly earnings for the first six weeks, then the
+ * lower of the standard rate or 90% for the remaining weeks. SPP is the lower
+ * of the standard rate or 90% for up to two weeks. Workers whose average
+ * weekly earnings are below the lower earnings limit are not entitled.
+ * Shortfalls are rated with the same RAG statuses and severity bands as the
+ * NMW hourly rate check.
+ */
+
+const RAGStatusService = require('./ragStatusService');
+const statutoryPayRates = require('../config/statutoryPayRates');
+const { toAmount, round, toDateKey } = require('../utils/calculation-utils');
+
+class StatutoryPayService {
+  constructor() {
+    this.ragStatusService = new RAGStatusService();
+    this.statutoryPayRates = statutoryPayRates;
+
+    // Qualifying days per week when none is uploaded (Monday to Friday)
+    this.DEFAULT_QUALIFYING_DAYS = 5;
+
+    // Payroll software rounds daily rates, so shortfalls of a few pence are not flagged
+    this.AMOUNT_TOLERANCE = 0.10;
+
+    // RAG statuses from least to most serious
+    this.STATUS_ORDER = ['GREEN', 'AMBER', 'RED'];
+  }
+
+  /**
+   * Add days to a date key
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  addDays(dateKey, days) {
+    const date = new Date(dateKey);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Count the days from one date to another
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @returns {number} Days between the dates
+   */
+  daysBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+  }
+
+  /**
+   * Check statutory payments in a pay period
+   * @param {Object} worker - Worker data
+   * @param {Object} payPeriod - Pay period data (sick_days, ssp_paid, smp_paid, spp_paid, average_weekly_earnings, ...)
+   * @returns {Object|null} Statutory pay result, or null if the period has no statutory payments to check
+   */
+  checkStatutoryPay(worker, payPeriod) {
+    const checks = {};
+
+    if (toAmount(payPeriod.sick_days) > 0 || toAmount(payPeriod.ssp_paid) > 0) {
+      checks.ssp = this.checkSSP(payPeriod);
+    }
+
+    if (payPeriod.maternity_pay_start || toAmount(payPeriod.smp_paid) > 0) {
+      checks.smp = this.checkSMP(payPeriod);
+    }
+
+    if (payPeriod.paternity_leave_start || toAmount(payPeriod.spp_paid) > 0) {
+      checks.spp = this.checkSPP(payPeriod);
+    }
+
+    const results = Object.values(checks);
+    if (results.length === 0) {
+      return null;
+    }
+
+    // The worker's status is the most serious of their statutory payments
+    const worst = results.reduce((current, check) =>
+      this.STATUS_ORDER.indexOf(check.ragStatus) > this.STATUS_ORDER.indexOf(current.ragStatus) ? check : current
+    );
+
+    return {
+      success: true,
+      worker_id: worker?.id,
+      pay_period_id: payPeriod.id,
+      ragStatus: worst.ragStatus,
+      reason: worst.reason,
+      severity: worst.severity || null,
+      total_due: round(results.reduce((sum, check) => sum + (check.due || 0), 0)),
+      total_paid: round(results.reduce((sum, check) => sum + (check.paid || 0), 0)),
+      total_shortfall: round(results.reduce((sum, check) => sum + (check.shortfall || 0), 0)),
+      checks
+    };
+  }
+
+  /**
+   * Build a result for a statutory payment that cannot be checked
+   * @param {string} type - Payment type ('ssp', 'smp' or 'spp')
+   * @param {number} paid - Amount paid
+   * @param {string} issue - Issue code
+   * @param {string} reason - Why the payment cannot be checked
+   * @returns {Object} Statutory payment check
+   */
+  buildAmberResult(type, paid, issue, reason) {
+    return {
+      type,
+      ragStatus: 'AMBER',
+      reason,
+      severity: null,
+      issue,
+      paid: round(paid),
+      due: null,
+      shortfall: 0
+    };
+  }
+
+  /**
+   * Rate an eligible payment against the amount due
+   * @param {string} type - Payment type ('ssp', 'smp' or 'spp')
+   * @param {string} label - Payment name for the reason
+   * @param {number} paid - Amount paid
+   * @param {number} due - Amount due
+   * @param {Object} details - Calculation details to include
+   * @returns {Object} Statutory payment check
+   */
+  ratePayment(type, label, paid, due, details) {
+    const status = this.ragStatusService.determineStatusFromAmounts(paid, due, label, this.AMOUNT_TOLERANCE);
+    const shortfall = round(Math.max(due - paid, 0));
+
+    return {
+      type,
+      ragStatus: status.ragStatus,
+      reason: status.reason,
+      severity: status.severity,
+      issue: status.ragStatus === 'RED' ? `${type}_underpaid` : null,
+      eligible: true,
+      paid: round(paid),
+      due: round(due),
+      shortfall: status.ragStatus === 'RED' ? shortfall : 0,
+      ...details
+    };
+  }
+
+  /**
+   * Build a result for a worker earning below the lower earnings limit
+   * @param {string} type - Payment type ('ssp', 'smp' or 'spp')
+   * @param {string} label - Payment name for the reason
+   * @param {number} paid - Amount paid
+   * @param {number} averageWeeklyEarnings - Average weekly earnings
+   * @param {Object} rates - Rates for the payment
+   * @returns {Object} Statutory payment check
+   */
+  buildIneligibleResult(type, label, paid, averageWeeklyEarnings, rates) {
+    return {
+      type,
+      ragStatus: 'GREEN',
+      reason: `No ${label} is due: average weekly earnings (£${averageWeeklyEarnings.toFixed(2)}) are below the lower earnings limit (£${rates.lowerEarningsLimit.toFixed(2)})`,
+      severity: null,
+      issue: null,
+      eligible: false,
+      paid: round(paid),
+      due: 0,
+      shortfall: 0,
+      average_weekly_earnings: averageWeeklyEarnings,
+      lower_earnings_limit: rates.lowerEarningsLimit
+    };
+  }
+
+  /**
+   * Check Statutory Sick Pay for a pay period
+   * Waiting days apply when the period of incapacity starts in this pay period and does not link to an earlier one
+   * @param {Object} payPeriod - Pay period data (sick_days, sickness_start, linked_sickness, qualifying_days_per_week, ssp_paid)
+   * @returns {Object} SSP check
+   */
+  checkSSP(payPeriod) {
+    const paid = toAmount(payPeriod.ssp_paid) || 0;
+    const sickDays = toAmount(payPeriod.sick_days) || 0;
+    const periodStart = toDateKey(payPeriod.period_start);
+    const periodEnd = toDateKey(payPeriod.period_end);
+    const sicknessStart = toDateKey(payPeriod.sickness_start);
+
+    // SSP is paid at the rate in force when the sickness falls
+    const rateDate = sicknessStart && sicknessStart > periodStart ? sicknessStart : periodStart;
+    const ratePeriod = this.statutoryPayRates.getRatesForDate(rateDate);
+    if (!ratePeriod) {
+      return this.buildAmberResult('ssp', paid, 'statutory_rates_missing', `No SSP rates are configured for ${rateDate}`);
+    }
+
+    if (sickDays <= 0) {
+      return this.buildAmberResult('ssp', paid, 'sick_days_missing',
+        `SSP of £${paid.toFixed(2)} was paid without the sick days it covers, so it cannot be checked`);
+    }
+
+    const rates = ratePeriod.rates.ssp;
+    const averageWeeklyEarnings = toAmount(payPeriod.average_weekly_earnings);
+    if (averageWeeklyEarnings !== null && averageWeeklyEarnings < rates.lowerEarningsLimit) {
+      return this.buildIneligibleResult('ssp', 'SSP', paid, averageWeeklyEarnings, rates);
+    }
+
+    const qualifyingDays = toAmount(payPeriod.qualifying_days_per_week) || this.DEFAULT_QUALIFYING_DAYS;
+    const linked = ['true', 'yes', 'y', '1'].includes(String(payPeriod.linked_sickness ?? '').trim().toLowerCase());
+    const startsInPeriod = Boolean(sicknessStart) && sicknessStart >= periodStart && (!periodEnd || sicknessStart <= periodEnd);
+    const waitingDays = startsInPeriod && !linked ? Math.min(rates.waitingDays, sickDays) : 0;
+    const payableDays = sickDays - waitingDays;
+    const dailyRate = Math.round((rates.weeklyRate / qualifyingDays) * 10000) / 10000;
+    const due = payableDays * dailyRate;
+
+    const details = {
+      sick_days: sickDays,
+      waiting_days: waitingDays,
+      payable_days: payableDays,
+      qualifying_days_per_week: qualifyingDays,
+      weekly_rate: rates.weeklyRate,
+      daily_rate: dailyRate,
+      tax_year: ratePeriod.description
+    };
+
+    // Without average weekly earnings, a shortfall may be because the worker is not entitled
+    if (averageWeeklyEarnings === null && paid + this.AMOUNT_TOLERANCE < due) {
+      return {
+        ...this.buildAmberResult('ssp', paid, 'average_weekly_earnings_missing',
+          `SSP of £${paid.toFixed(2)} is below the £${due.toFixed(2)} due if the worker earns at least the lower earnings limit; upload average weekly earnings to confirm`),
+        ...details
+      };
+    }
+
+    return this.ratePayment('ssp', 'SSP', paid, due, details);
+  }
+
+  /**
+   * Check Statutory Maternity Pay for a pay period
+   * Each day of the maternity pay period in the pay period is paid at a seventh of the weekly rate for its week
+   * @param {Object} payPeriod - Pay period data (maternity_pay_start, average_weekly_earnings, smp_paid)
+   * @returns {Object} SMP check
+   */
+  checkSMP(payPeriod) {
+    const paid = toAmount(payPeriod.smp_paid) || 0;
+    const maternityPayStart = toDateKey(payPeriod.maternity_pay_start);
+    const averageWeeklyEarnings = toAmount(payPeriod.average_weekly_earnings);
+
+    if (!maternityPayStart) {
+      return this.buildAmberResult('smp', paid, 'maternity_pay_start_missing',
+        `SMP of £${paid.toFixed(2)} was paid without the date maternity pay started, so it cannot be checked`);
+    }
+
+    if (averageWeeklyEarnings === null) {
+      return this.buildAmberResult('smp', paid, 'average_weekly_earnings_missing',
+        'SMP depends on average weekly earnings, which were not uploaded');
+    }
+
+    const ratePeriod = this.statutoryPayRates.getRatesForDate(maternityPayStart);
+    if (!ratePeriod) {
+      return this.buildAmberResult('smp', paid, 'statutory_rates_missing', `No SMP rates are configured for ${maternityPayStart}`);
+    }
+
+    const rates = ratePeriod.rates.smp;
+    if (averageWeeklyEarnings < rates.lowerEarningsLimit) {
+      return this.buildIneligibleResult('smp', 'SMP', paid, averageWeeklyEarnings, rates);
+    }
+
+    const higherWeeklyRate = round(averageWeeklyEarnings * rates.higherRatePercentage / 100);
+    const maternityPayEnd = this.addDays(maternityPayStart, rates.totalWeeks * 7 - 1);
+    const from = toDateKey(payPeriod.period_start) > maternityPayStart ? toDateKey(payPeriod.period_start) : maternityPayStart;
+    const to = toDateKey(payPeriod.period_end) < maternityPayEnd ? toDateKey(payPeriod.period_end) : maternityPayEnd;
+
+    let due = 0;
+    let higherRateDays = 0;
+    let standardRateDays = 0;
+
+    for (let day = from; day <= to; day = this.addDays(day, 1)) {
+      const week = Math.floor(this.daysBetween(maternityPayStart, day) / 7);
+
+      if (week < rates.higherRateWeeks) {
+        due += higherWeeklyRate / 7;
+        higherRateDays++;
+      } else {
+        // The standard rate changes each April, so each week uses the rate in force on the day
+        const standardRate = (this.statutoryPayRates.getRatesForDate(day) || ratePeriod).rates.smp.standardWeeklyRate;
+        due += Math.min(standardRate, higherWeeklyRate) / 7;
+        standardRateDays++;
+      }
+    }
+
+    return this.ratePayment('smp', 'SMP', paid, due, {
+      maternity_pay_start: maternityPayStart,
+      maternity_pay_end: maternityPayEnd,
+      higher_rate_days: higherRateDays,
+      standard_rate_days: standardRateDays,
+      higher_weekly_rate: higherWeeklyRate,
+      average_weekly_earnings: averageWeeklyEarnings,
+      tax_year: ratePeriod.description
+    });
+  }
+
+  /**
+   * Check Statutory Paternity Pay for a pay period
+   * Paternity leave is paid for at most two weeks, at a seventh of the weekly rate per day
+   * @param {Object} payPeriod - Pay period data (paternity_leave_start, paternity_leave_end, average_weekly_earnings, spp_paid)
+   * @returns {Object} SPP check
+   */
+  checkSPP(payPeriod) {
+    const paid = toAmount(payPeriod.spp_paid) || 0;
+    const leaveStart = toDateKey(payPeriod.paternity_leave_start);
+    const averageWeeklyEarnings = toAmount(payPeriod.average_weekly_earnings);
+
+    if (!leaveStart) {
+      return this.buildAmberResult('spp', paid, 'paternity_leave_start_missing',
+        `SPP of £${paid.toFixed(2)} was paid without the date paternity leave started, so it cannot be checked`);
+    }
+
+    if (averageWeeklyEarnings === null) {
+      return this.buildAmberResult('spp', paid, 'average_weekly_earnings_missing',
+        'SPP depends on average weekly earnings, which were not uploaded');
+    }
+
+    const ratePeriod = this.statutoryPayRates.getRatesForDate(leaveStart);
+    if (!ratePeriod) {
+      return this.buildAmberResult('spp', paid, 'statutory_rates_missing', `No SPP rates are configured for ${leaveStart}`);
+    }
+
+    const rates = ratePeriod.rates.spp;
+    if (averageWeeklyEarnings < rates.lowerEarningsLimit) {
+      return this.buildIneligibleResult('spp', 'SPP', paid, averageWeeklyEarnings, rates);
+    }
+
+    // Leave without an end date is taken as the full two weeks
+    const maxEnd = this.addDays(leaveStart, rates.maxWeeks * 7 - 1);
+    const leaveEnd = toDateKey(payPeriod.paternity_leave_end);
+    const end = leaveEnd && leaveEnd < maxEnd ? leaveEnd : maxEnd;
+    const from = toDateKey(payPeriod.period_start) > leaveStart ? toDateKey(payPeriod.period_start) : leaveStart;
+    const to = toDateKey(payPeriod.period_end) < end ? toDateKey(payPeriod.period_end) : end;
+    const leaveDays = to >= from ? this.daysBetween(from, to) + 1 : 0;
+
+    const weeklyRate = Math.min(rates.standardWeeklyRate, round(averageWeeklyEarnings * rates.percentage / 100));
+    const due = leaveDays * weeklyRate / 7;
+
+    return this.ratePayment('spp', 'SPP', paid, due, {
+      paternity_leave_start: leaveStart,
+      paternity_leave_end: end,
+      leave_days: leaveDays,
+      weekly_rate: weeklyRate,
+      average_weekly_earnings: averageWeeklyEarnings,
+      tax_year: ratePeriod.description
+    });
+  }
+
+  /**
+   * Summarise statutory pay results by RAG status
+   * @param {Array} results - Statutory pay results (null entries are periods with nothing to check)
+   * @returns {Object} Statutory pay summary
+   */
+  summarizeResults(results) {
+    const checked = results.filter(Boolean);
+    const summary = this.ragStatusService.getRAGStatusSummary(checked);
+
+    return {
+      checked: checked.length,
+      green: summary.green,
+      amber: summary.amber,
+      red: summary.red,
+      critical_underpayments: summary.criticalUnderpayments,
+      total_shortfall: round(checked.reduce((sum, result) => sum + (result.total_shortfall || 0), 0))
+    };
+  }
+}
+
+module.exports = StatutoryPayService;
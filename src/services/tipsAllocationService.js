@@ -0,0 +1,353 @@
+/**
+ * Tips Allocation Service
+ * Checks tips collected against tips paid out under the Employment (Allocation
+ * of Tips) Act 2023.
+ *
+ * Employers must pass on 100% of qualifying tips to workers, no later than the
+ * end of the month after the month the tips were paid by customers, and must
+ * have a written policy on how tips are dealt with. Tips collected come from a
+ * `tips_collected` upload (by site and date), and for clients also from the
+ * collections recorded for their tronc, read through the tronc scheme service
+ * so both reports use the same figures. Tips paid out come from a
+ * `tips_distributed` upload (by worker). Payments are matched to the oldest
+ * tips still owed at the same site, so a shortfall or late payment can be
+ * traced to the month the tips were received.
+ */
+
+const { pool } = require('../config/database');
+const TroncSchemeService = require('./troncSchemeService');
+
+class TipsAllocationService {
+  constructor() {
+    this.troncSchemeService = new TroncSchemeService();
+
+    // Amounts below a penny are treated as rounding
+    this.ROUNDING_TOLERANCE = 0.01;
+  }
+
+  /**
+   * Get the month a date falls in
+   * @param {string|Date} date - Date
+   * @returns {string|null} Month as YYYY-MM
+   */
+  getMonthKey(date) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    return parsed.toISOString().substring(0, 7);
+  }
+
+  /**
+   * Get the last day tips received in a month may be paid to workers
+   * This is the last day of the following month
+   * @param {string} month - Month the tips were received (YYYY-MM)
+   * @returns {string} Deadline as YYYY-MM-DD
+   */
+  getPaymentDeadline(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    // Day 0 of the month after next is the last day of the following month
+    return new Date(Date.UTC(year, monthNumber + 1, 0)).toISOString().split('T')[0];
+  }
+
+  /**
+   * Normalise a site name so the same site matches across uploads
+   * @param {string} site - Site name
+   * @returns {string} Normalised site name
+   */
+  normalizeSite(site) {
+    return String(site || '').trim().toLowerCase();
+  }
+
+  /**
+   * Compare tips collected with tips paid to workers
+   * @param {Array} collections - Tips collected ({ site, date, amount })
+   * @param {Array} distributions - Tips paid ({ worker_id, worker_name, site, date, amount, tips_month })
+   * @param {Object} options - Check options
+   * @param {string|Date} options.asOf - Date the check is made; deadlines after it are still open
+   * @returns {Object} Allocation check result
+   */
+  checkAllocation(collections, distributions, options = {}) {
+    const asOf = new Date(options.asOf || new Date()).toISOString().split('T')[0];
+
+    // One bucket per site and month of collection
+    const buckets = new Map();
+    for (const collection of collections) {
+      const month = this.getMonthKey(collection.date);
+      const amount = parseFloat(collection.amount) || 0;
+      if (!month || amount <= 0) {
+        continue;
+      }
+
+      const key = `${this.normalizeSite(collection.site)}|${month}`;
+      const bucket = buckets.get(key) || {
+        site: collection.site,
+        month,
+        deadline: this.getPaymentDeadline(month),
+        collected: 0,
+        paid_on_time: 0,
+        paid_late: 0
+      };
+      bucket.collected += amount;
+      buckets.set(key, bucket);
+    }
+
+    const ordered = Array.from(buckets.values())
+      .sort((a, b) => a.month.localeCompare(b.month) || this.normalizeSite(a.site).localeCompare(this.normalizeSite(b.site)));
+
+    const latePayments = [];
+    const unmatched = [];
+
+    const sortedDistributions = [...distributions]
+      .filter(distribution => (parseFloat(distribution.amount) || 0) > 0 && this.getMonthKey(distribution.date))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    for (const distribution of sortedDistributions) {
+      const paidOn = new Date(distribution.date).toISOString().split('T')[0];
+      const paidMonth = this.getMonthKey(distribution.date);
+      const tipsMonth = distribution.tips_month ? this.getMonthKey(distribution.tips_month) : null;
+      const site = distribution.site ? this.normalizeSite(distribution.site) : null;
+      let remaining = parseFloat(distribution.amount) || 0;
+
+      // Tips owed at the same site, oldest first; tips cannot be paid out before they were received.
+      // Collections recorded for the whole tronc have no site and can be paid out at any site
+      const candidates = ordered.filter(bucket =>
+        (!site || !bucket.site || this.normalizeSite(bucket.site) === site) &&
+        (tipsMonth ? bucket.month === tipsMonth : bucket.month <= paidMonth)
+      );
+
+      for (const bucket of candidates) {
+        const owed = bucket.collected - bucket.paid_on_time - bucket.paid_late;
+        if (owed <= this.ROUNDING_TOLERANCE || remaining <= 0) {
+          continue;
+        }
+
+        const allocated = Math.min(owed, remaining);
+        remaining -= allocated;
+
+        if (paidOn > bucket.deadline) {
+          bucket.paid_late += allocated;
+          latePayments.push({
+            worker_id: distribution.worker_id,
+            worker_name: distribution.worker_name,
+            site: bucket.site,
+            tips_month: bucket.month,
+            paid_on: paidOn,
+            deadline: bucket.deadline,
+            days_late: Math.round((new Date(paidOn) - new Date(bucket.deadline)) / (1000 * 60 * 60 * 24)),
+            amount: Math.round(allocated * 100) / 100
+          });
+        } else {
+          bucket.paid_on_time += allocated;
+        }
+      }
+
+      if (remaining > this.ROUNDING_TOLERANCE) {
+        unmatched.push({
+          worker_id: distribution.worker_id,
+          worker_name: distribution.worker_name,
+          site: distribution.site || null,
+          paid_on: paidOn,
+          amount: Math.round(remaining * 100) / 100,
+          reason: 'No tips collected at this site that were still owed when this payment was made'
+        });
+      }
+    }
+
+    const months = ordered.map(bucket => {
+      const paid = bucket.paid_on_time + bucket.paid_late;
+      const outstanding = Math.max(bucket.collected - paid, 0);
+      const deadlinePassed = asOf > bucket.deadline;
+      const shortfall = deadlinePassed && outstanding > this.ROUNDING_TOLERANCE ? outstanding : 0;
+      const pending = !deadlinePassed && outstanding > this.ROUNDING_TOLERANCE ? outstanding : 0;
+
+      let status = 'compliant';
+      if (shortfall > 0) {
+        status = 'shortfall';
+      } else if (bucket.paid_late > this.ROUNDING_TOLERANCE) {
+        status = 'late';
+      } else if (pending > 0) {
+        status = 'pending';
+      }
+
+      return {
+        site: bucket.site,
+        month: bucket.month,
+        deadline: bucket.deadline,
+        collected: Math.round(bucket.collected * 100) / 100,
+        paid_on_time: Math.round(bucket.paid_on_time * 100) / 100,
+        paid_late: Math.round(bucket.paid_late * 100) / 100,
+        shortfall: Math.round(shortfall * 100) / 100,
+        pending: Math.round(pending * 100) / 100,
+        paid_percentage: bucket.collected > 0 ? Math.round((paid / bucket.collected) * 10000) / 100 : 0,
+        status
+      };
+    });
+
+    const sum = (items, field) => Math.round(items.reduce((total, item) => total + item[field], 0) * 100) / 100;
+    const totalShortfall = sum(months, 'shortfall');
+    const totalLate = sum(months, 'paid_late');
+
+    let status = 'compliant';
+    if (totalShortfall > 0 || totalLate > 0) {
+      status = 'non_compliant';
+    } else if (sum(months, 'pending') > 0) {
+      status = 'pending';
+    }
+
+    return {
+      as_of: asOf,
+      months,
+      shortfalls: months.filter(month => month.shortfall > 0),
+      late_payments: latePayments,
+      unmatched_distributions: unmatched,
+      summary: {
+        total_collected: sum(months, 'collected'),
+        total_paid_on_time: sum(months, 'paid_on_time'),
+        total_paid_late: totalLate,
+        total_shortfall: totalShortfall,
+        total_pending: sum(months, 'pending'),
+        total_unmatched: sum(unmatched, 'amount'),
+        late_payment_count: latePayments.length,
+        status
+      },
+      rule: 'All qualifying tips must be paid to workers in full by the end of the month after the month they were received'
+    };
+  }
+
+  /**
+   * Check whether a written tipping policy is recorded
+   * The policy is the description of the client's tronc scheme distribution policy
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type ('client' or 'employer')
+   * @returns {Promise<Object>} Written policy check
+   */
+  async checkWrittenPolicy(organizationId, organizationType) {
+    const scheme = await this.troncSchemeService.getClientScheme(organizationId, organizationType);
+    const description = scheme?.distributionPolicy?.description;
+    const recorded = Boolean(description && String(description).trim() !== '');
+
+    return {
+      recorded,
+      description: recorded ? description : null,
+      message: recorded
+        ? 'A written tipping policy is recorded'
+        : 'No written tipping policy is recorded; employers must have one and make it available to workers'
+    };
+  }
+
+  /**
+   * Get an organisation's tips records of one type within a date range
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type
+   * @param {string} recordType - 'collected' or 'distributed'
+   * @param {string} from - Earliest date (YYYY-MM-DD)
+   * @param {string} to - Latest date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Tips records
+   */
+  async getRecords(organizationId, organizationType, recordType, from, to) {
+    const result = await pool.query(
+      `SELECT site, record_date AS date, amount, tips_month, worker_external_id AS worker_id, worker_name
+       FROM tips_records
+       WHERE organization_id = $1 AND organization_type = $2 AND record_type = $3
+         AND record_date >= $4 AND record_date <= $5
+       ORDER BY record_date`,
+      [organizationId, organizationType, recordType, from, to]
+    );
+
+    return result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) || 0 }));
+  }
+
+  /**
+   * Get the tips collected by an organisation within a date range
+   * A client's collections are read with the tronc reconciliation's, so both reports count the same
+   * money; a recorded collection spanning several days is dated by the end of its period
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type
+   * @param {string} from - Earliest date (YYYY-MM-DD)
+   * @param {string} to - Latest date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Tips collected ({ site, date, amount, source })
+   */
+  async getCollections(organizationId, organizationType, from, to) {
+    if (organizationType !== 'client') {
+      return this.getRecords(organizationId, organizationType, 'collected', from, to);
+    }
+
+    const collections = await this.troncSchemeService.getCollections(organizationId, from, to);
+    return collections.map(collection => ({
+      site: collection.site,
+      date: collection.period_end,
+      amount: collection.amount,
+      source: collection.source
+    }));
+  }
+
+  /**
+   * Work out which months an evidence pack covers
+   * Payroll uploads cover their pay periods; tips uploads cover their own records
+   * @param {number} uploadId - Upload ID
+   * @param {Array} workers - Worker details from the evidence pack
+   * @returns {Promise<Object|null>} First and last month ({ start, end })
+   */
+  async getReportMonths(uploadId, workers) {
+    const dated = workers.filter(worker => worker.period_start && worker.period_end);
+
+    if (dated.length > 0) {
+      return {
+        start: this.getMonthKey(new Date(Math.min(...dated.map(worker => new Date(worker.period_start).getTime())))),
+        end: this.getMonthKey(new Date(Math.max(...dated.map(worker => new Date(worker.period_end).getTime()))))
+      };
+    }
+
+    const result = await pool.query(
+      'SELECT MIN(record_date) AS first_date, MAX(record_date) AS last_date FROM tips_records WHERE csv_upload_id = $1',
+      [uploadId]
+    );
+    const range = result.rows[0];
+
+    return range?.first_date
+      ? { start: this.getMonthKey(range.first_date), end: this.getMonthKey(range.last_date) }
+      : null;
+  }
+
+  /**
+   * Generate the tips compliance report for an evidence pack
+   * Tips received in the pack's months are checked against payments made up to the last deadline
+   * @param {Object} uploadInfo - Upload information (id, organizationId, organizationType)
+   * @param {Array} workers - Worker details from the evidence pack
+   * @param {Object} options - Check options (asOf)
+   * @returns {Promise<Object|null>} Tips compliance report, or null if there are no tips records
+   */
+  async generateComplianceReport(uploadInfo, workers, options = {}) {
+    if (!uploadInfo?.organizationId) {
+      return null;
+    }
+
+    const months = await this.getReportMonths(uploadInfo.id, workers);
+    if (!months) {
+      return null;
+    }
+
+    const from = `${months.start}-01`;
+    const collectedTo = new Date(Date.UTC(Number(months.end.split('-')[0]), Number(months.end.split('-')[1]), 0)).toISOString().split('T')[0];
+    const paidTo = this.getPaymentDeadline(months.end);
+
+    const collections = await this.getCollections(uploadInfo.organizationId, uploadInfo.organizationType, from, collectedTo);
+    const distributions = await this.getRecords(uploadInfo.organizationId, uploadInfo.organizationType, 'distributed', from, paidTo);
+
+    if (collections.length === 0 && distributions.length === 0) {
+      return null;
+    }
+
+    const policy = await this.checkWrittenPolicy(uploadInfo.organizationId, uploadInfo.organizationType);
+
+    return {
+      period: { from, to: collectedTo },
+      written_policy: policy,
+      ...this.checkAllocation(collections, distributions, options)
+    };
+  }
+}
+
+module.exports = TipsAllocationService;
@@ -0,0 +1,76 @@
+/**
+ * Training Time Service
+ * Works out the unpaid training time added to the hours worked in a pay
+ * reference period, such as induction days and mandatory e-learning.
+ *
+ * Time spent training at the employer's request is working time for NMW even
+ * when it is left out of the rota and payroll. Training hours are uploaded per
+ * pay period as `training_hours`, with an optional `training_description`.
+ */
+
+const RAGStatusService = require('./ragStatusService');
+
+class TrainingTimeService {
+  constructor() {
+    this.ragStatusService = new RAGStatusService();
+
+    this.RULE = 'Time spent training at the employer\'s request, including induction and mandatory e-learning, is working time for NMW';
+  }
+
+  /**
+   * Check whether a pay period records unpaid training hours
+   * @param {Object} payPeriod - Pay period data
+   * @returns {boolean} True if training hours are recorded
+   */
+  hasTrainingHours(payPeriod) {
+    return parseFloat(payPeriod?.training_hours) > 0;
+  }
+
+  /**
+   * Calculate the unpaid training time added to hours worked
+   * @param {Object} payPeriod - Pay period data (training_hours, training_description)
+   * @param {number} hoursWithoutTraining - Hours worked before training time
+   * @returns {Object|null} Training time, or null if the pay period records none
+   */
+  calculateTrainingTime(payPeriod, hoursWithoutTraining) {
+    if (!this.hasTrainingHours(payPeriod)) {
+      return null;
+    }
+
+    const trainingHours = parseFloat(payPeriod.training_hours);
+
+    return {
+      training_hours: trainingHours,
+      training_description: payPeriod.training_description || null,
+      hours_without_training: hoursWithoutTraining,
+      hours_with_training: Math.round((hoursWithoutTraining + trainingHours) * 100) / 100,
+      rule: this.RULE
+    };
+  }
+
+  /**
+   * Build the issue raised for unpaid training time added to hours worked
+   * The issue is high severity when the training time alone takes the worker below the minimum rate
+   * @param {Object} trainingTime - Training time with effective_hourly_rate_without_training
+   * @param {number} effectiveRate - Effective hourly rate including training time
+   * @param {number} requiredRate - Required hourly rate
+   * @returns {Object} Training time issue
+   */
+  generateTrainingTimeIssue(trainingTime, effectiveRate, requiredRate) {
+    const causesShortfall = this.ragStatusService.isShortfallCausedBy(
+      effectiveRate, trainingTime.effective_hourly_rate_without_training, requiredRate
+    );
+    const description = trainingTime.training_description ? ` (${trainingTime.training_description})` : '';
+
+    return {
+      type: 'unpaid_training_time',
+      severity: causesShortfall ? 'high' : 'medium',
+      message: `${trainingTime.training_hours} hours of unpaid training${description} added to NMW hours; ` +
+        `effective rate £${effectiveRate.toFixed(2)} with them, £${trainingTime.effective_hourly_rate_without_training.toFixed(2)} without`,
+      training_hours: trainingTime.training_hours,
+      effective_hourly_rate_without_training: trainingTime.effective_hourly_rate_without_training
+    };
+  }
+}
+
+module.exports = TrainingTimeService;
@@ -6,10 +6,12 @@
  */
 
 const nmwComponentRules = require('../config/nmwComponentRules');
+const TroncSchemeService = require('./troncSchemeService');
 
 class TroncExclusionService {
   constructor() {
     this.componentRules = nmwComponentRules;
+    this.troncSchemeService = new TroncSchemeService();
   }
 
   /**
@@ -17,7 +19,7 @@ class TroncExclusionService {
    * @param {Object} worker - Worker information
    * @param {Object} payPeriod - Pay period data
    * @param {Object} payComponents - Raw pay components data
-   * @param {Object} options - Processing options
+   * @param {Object} options - Processing options (troncScheme overrides the client's recorded scheme)
    * @returns {Promise<Object>} Processing result
    */
   async processTroncExclusions(worker, payPeriod, payComponents, options = {}) {
@@ -54,6 +56,15 @@ class TroncExclusionService {
       // Calculate adjusted pay for NMW purposes
       const adjustedPayCalculation = this.calculateAdjustedPay(payComponents, processed);
 
+      // How the tronc is run decides NI treatment and whether the allocation can be evidenced as fair
+      let schemeGovernance = null;
+      if (processed.excluded.length > 0 || processed.flagged.length > 0) {
+        const scheme = options.troncScheme !== undefined
+          ? options.troncScheme
+          : await this.troncSchemeService.getClientScheme(worker.organization_id, worker.organization_type);
+        schemeGovernance = this.troncSchemeService.describeGovernance(scheme);
+      }
+
       console.log(`✅ Tronc exclusions processing completed for worker ${worker.id || worker.external_id}`);
 
       return {
@@ -63,6 +74,7 @@ class TroncExclusionService {
         tronc_components: processed,
         exclusion_summary: exclusionSummary,
         adjusted_pay_calculation: adjustedPayCalculation,
+        scheme_governance: schemeGovernance,
         warnings: warnings,
         metadata: {
           total_components_checked: Object.keys(payComponents).length,
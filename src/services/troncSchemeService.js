@@ -0,0 +1,550 @@
+/**
+ * Tronc Scheme Service
+ * Records how a client's tips and service charges are pooled and shared out,
+ * and checks that the money collected was allocated fairly.
+ *
+ * Tips never count towards NMW, but how they are run still matters. Under an
+ * independent tronc the troncmaster, not the employer, decides who gets what,
+ * so no National Insurance is due on the payments. Where the employer controls
+ * the pot, NICs are due. Since the Employment (Allocation of Tips) Act 2023 the
+ * employer must pass on all tips in full, share them fairly under a written
+ * policy and keep records. The scheme is held in the client's settings as
+ * `troncScheme`; service charges collected are recorded per period, and tips
+ * collected can also be uploaded by site and date.
+ */
+
+const { pool } = require('../config/database');
+const ClientSettingsService = require('./clientSettingsService');
+
+class TroncSchemeService {
+  constructor() {
+    this.clientSettingsService = new ClientSettingsService();
+
+    // Recognised ways of sharing out the pot
+    this.DISTRIBUTION_METHODS = ['hours', 'equal', 'points', 'other'];
+
+    // Where the money in the pot came from
+    this.COLLECTION_SOURCES = ['service_charge', 'card_tips', 'cash_tips', 'other'];
+
+    // Recorded sources that are also uploaded as tips_collected; a day must come from one or the other
+    this.TIPS_COLLECTION_SOURCES = ['card_tips', 'cash_tips'];
+
+    // Source of tips collected that come from a tips_collected upload rather than a recorded collection
+    this.UPLOADED_TIPS_SOURCE = 'uploaded_tips';
+
+    // Differences between collected and distributed totals within this amount are rounding
+    this.RECONCILIATION_TOLERANCE = 1.00;
+
+    // A worker's share may differ from the policy's expected share by this much before it is flagged
+    this.FAIRNESS_TOLERANCE_PERCENTAGE = 10;
+    this.FAIRNESS_TOLERANCE_MINIMUM = 1.00;
+  }
+
+  /**
+   * Get the tronc scheme from a client's settings
+   * @param {Object} settings - Client settings
+   * @returns {Object|null} Tronc scheme
+   */
+  getScheme(settings) {
+    const scheme = settings?.troncScheme;
+    return scheme && typeof scheme === 'object' && !Array.isArray(scheme) ? scheme : null;
+  }
+
+  /**
+   * Validate a client's tronc scheme
+   * @param {Object} scheme - Tronc scheme ({ troncmaster, independent, distributionPolicy })
+   * @returns {Object} Validation result
+   */
+  validateScheme(scheme) {
+    const errors = [];
+
+    if (!scheme || typeof scheme !== 'object' || Array.isArray(scheme)) {
+      return { isValid: false, errors: ['Tronc scheme must be an object'] };
+    }
+
+    if (typeof scheme.independent !== 'boolean') {
+      errors.push('Tronc scheme must say whether it is independent (true or false)');
+    }
+
+    if (scheme.troncmaster !== undefined && scheme.troncmaster !== null) {
+      if (typeof scheme.troncmaster !== 'object' || !scheme.troncmaster.name || String(scheme.troncmaster.name).trim() === '') {
+        errors.push('Troncmaster requires a name');
+      }
+    }
+
+    const policy = scheme.distributionPolicy;
+    if (!policy || typeof policy !== 'object') {
+      errors.push('Tronc scheme requires a distribution policy');
+    } else {
+      if (!this.DISTRIBUTION_METHODS.includes(policy.method)) {
+        errors.push(`Distribution policy method must be one of: ${this.DISTRIBUTION_METHODS.join(', ')}`);
+      }
+
+      if (policy.method === 'points') {
+        const points = policy.rolePoints;
+        if (!points || typeof points !== 'object' || Object.keys(points).length === 0) {
+          errors.push('A points-based distribution policy requires points for each role');
+        } else if (Object.values(points).some(value => isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+          errors.push('Role points must be numbers of 0 or more');
+        }
+      }
+
+      if (policy.method === 'other' && (!policy.description || String(policy.description).trim() === '')) {
+        errors.push('A distribution policy using another method requires a description');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get a client's tronc scheme
+   * Only client organisations have tronc settings
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type ('client' or 'employer')
+   * @returns {Promise<Object|null>} Tronc scheme
+   */
+  async getClientScheme(organizationId, organizationType) {
+    return this.getScheme(await this.clientSettingsService.getSettings(organizationId, organizationType));
+  }
+
+  /**
+   * Describe how a tronc scheme is governed and any gaps in its records
+   * @param {Object|null} scheme - Tronc scheme
+   * @returns {Object} Governance summary
+   */
+  describeGovernance(scheme) {
+    if (!scheme) {
+      return {
+        scheme_recorded: false,
+        scheme_type: 'unknown',
+        troncmaster: null,
+        distribution_method: null,
+        ni_treatment: 'Cannot be determined until the tronc scheme is recorded',
+        nmw_treatment: 'Tips, gratuities and service charges are excluded from NMW pay',
+        issues: [{
+          type: 'tronc_scheme_not_recorded',
+          severity: 'amber',
+          message: 'No tronc scheme is recorded for this client',
+          action_required: 'Record the troncmaster, distribution policy and whether the tronc is independent'
+        }]
+      };
+    }
+
+    const independent = scheme.independent === true;
+    const troncmaster = scheme.troncmaster?.name ? scheme.troncmaster : null;
+    const policy = scheme.distributionPolicy || {};
+    const issues = [];
+
+    if (independent && !troncmaster) {
+      issues.push({
+        type: 'independent_tronc_without_troncmaster',
+        severity: 'red',
+        message: 'The tronc is recorded as independent but no troncmaster is named',
+        action_required: 'Name the troncmaster; without one the employer is treated as allocating the tips and NICs are due'
+      });
+    }
+
+    if (!policy.description || String(policy.description).trim() === '') {
+      issues.push({
+        type: 'no_written_policy',
+        severity: 'amber',
+        message: 'No written tipping policy is recorded',
+        action_required: 'Record the written policy that tells workers how tips are shared'
+      });
+    }
+
+    return {
+      scheme_recorded: true,
+      scheme_type: independent ? 'independent_tronc' : 'employer_controlled',
+      troncmaster,
+      distribution_method: policy.method || null,
+      distribution_policy: policy.description || null,
+      ni_treatment: independent
+        ? 'No employer or employee NICs where the troncmaster allocates independently of the employer'
+        : 'Employer and employee NICs are due because the employer controls the allocation',
+      nmw_treatment: 'Tips, gratuities and service charges are excluded from NMW pay',
+      issues
+    };
+  }
+
+  /**
+   * Reconcile the service charges and tips collected against what was paid out
+   * @param {Array} collections - Amounts collected ({ amount, source })
+   * @param {Array} distributions - Amounts paid to workers ({ amount })
+   * @returns {Object} Reconciliation result
+   */
+  reconcileDistributions(collections, distributions) {
+    const totalCollected = Math.round((collections || []).reduce((total, item) => total + (parseFloat(item.amount) || 0), 0) * 100) / 100;
+    const totalDistributed = Math.round((distributions || []).reduce((total, item) => total + (parseFloat(item.amount) || 0), 0) * 100) / 100;
+    const difference = Math.round((totalCollected - totalDistributed) * 100) / 100;
+
+    let status = 'balanced';
+    if (difference > this.RECONCILIATION_TOLERANCE) {
+      status = 'under_distributed';
+    } else if (difference < -this.RECONCILIATION_TOLERANCE) {
+      status = 'over_distributed';
+    }
+
+    const bySource = {};
+    for (const item of collections || []) {
+      const source = item.source || 'other';
+      bySource[source] = Math.round(((bySource[source] || 0) + (parseFloat(item.amount) || 0)) * 100) / 100;
+    }
+
+    const messages = {
+      balanced: 'Everything collected was paid out to workers',
+      under_distributed: `£${difference.toFixed(2)} collected was not paid out to workers; all tips must be passed on in full`,
+      over_distributed: `£${Math.abs(difference).toFixed(2)} more was paid out than was recorded as collected; check the collection records`
+    };
+
+    return {
+      status,
+      total_collected: totalCollected,
+      total_distributed: totalDistributed,
+      difference,
+      retained_percentage: totalCollected > 0 && difference > 0 ? Math.round((difference / totalCollected) * 10000) / 100 : 0,
+      collected_by_source: bySource,
+      message: messages[status]
+    };
+  }
+
+  /**
+   * Work out a worker's weight under the distribution policy
+   * @param {Object} policy - Distribution policy
+   * @param {Object} distribution - Worker's distribution ({ role, hours })
+   * @returns {number|null} Weight, or null if the worker's role has no points
+   */
+  getPolicyWeight(policy, distribution) {
+    const hours = parseFloat(distribution.hours) || 0;
+
+    switch (policy.method) {
+      case 'hours':
+        return hours;
+      case 'equal':
+        return 1;
+      case 'points': {
+        const role = String(distribution.role || '').trim().toLowerCase();
+        const entry = Object.entries(policy.rolePoints || {}).find(([name]) => name.trim().toLowerCase() === role);
+        return entry ? (parseFloat(entry[1]) || 0) * hours : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Compare what each worker received with their share under the distribution policy
+   * @param {Object|null} scheme - Tronc scheme
+   * @param {Array} distributions - Per-worker distributions ({ worker_id, worker_name, role, hours, amount })
+   * @returns {Object} Fairness assessment
+   */
+  assessFairness(scheme, distributions) {
+    const policy = scheme?.distributionPolicy || {};
+    const totalDistributed = Math.round(distributions.reduce((total, item) => total + (parseFloat(item.amount) || 0), 0) * 100) / 100;
+
+    if (!['hours', 'equal', 'points'].includes(policy.method)) {
+      return {
+        method: policy.method || null,
+        assessed: false,
+        fair: null,
+        total_distributed: totalDistributed,
+        workers: distributions.map(item => ({ ...item, amount: parseFloat(item.amount) || 0 })),
+        flagged_workers: [],
+        basis: 'The distribution policy cannot be checked automatically; review the allocation against the written policy'
+      };
+    }
+
+    const weights = distributions.map(item => this.getPolicyWeight(policy, item));
+    const totalWeight = weights.reduce((total, weight) => total + (weight || 0), 0);
+
+    const workers = distributions.map((item, index) => {
+      const amount = parseFloat(item.amount) || 0;
+      const weight = weights[index];
+
+      if (weight === null) {
+        return {
+          ...item,
+          amount,
+          expected_share: null,
+          variance: null,
+          flagged: true,
+          reason: `No points are set for role "${item.role || 'unknown'}"`
+        };
+      }
+
+      const expected = totalWeight > 0 ? Math.round((totalDistributed * weight / totalWeight) * 100) / 100 : 0;
+      const variance = Math.round((amount - expected) * 100) / 100;
+      const tolerance = Math.max(expected * this.FAIRNESS_TOLERANCE_PERCENTAGE / 100, this.FAIRNESS_TOLERANCE_MINIMUM);
+      const flagged = Math.abs(variance) > tolerance;
+
+      return {
+        ...item,
+        amount,
+        expected_share: expected,
+        variance,
+        flagged,
+        reason: flagged
+          ? `Received £${amount.toFixed(2)} against an expected share of £${expected.toFixed(2)}`
+          : null
+      };
+    });
+
+    const flaggedWorkers = workers.filter(worker => worker.flagged);
+    const bases = {
+      hours: 'Shared in proportion to hours worked',
+      equal: 'Shared equally between workers',
+      points: 'Shared by role points multiplied by hours worked'
+    };
+
+    return {
+      method: policy.method,
+      assessed: true,
+      fair: flaggedWorkers.length === 0,
+      total_distributed: totalDistributed,
+      workers,
+      flagged_workers: flaggedWorkers.map(worker => worker.worker_id),
+      basis: `${bases[policy.method]}; shares more than ${this.FAIRNESS_TOLERANCE_PERCENTAGE}% away from the policy are flagged`
+    };
+  }
+
+  /**
+   * Validate a service charge or tips collection record
+   * @param {Object} collection - Collection ({ period_start, period_end, amount, source })
+   * @returns {Object} Validation result
+   */
+  validateCollection(collection) {
+    const errors = [];
+
+    const start = new Date(collection?.period_start);
+    const end = new Date(collection?.period_end);
+    if (!collection?.period_start || isNaN(start.getTime())) {
+      errors.push('Collection period start must be a valid date');
+    }
+    if (!collection?.period_end || isNaN(end.getTime())) {
+      errors.push('Collection period end must be a valid date');
+    }
+    if (!isNaN(start.getTime()) && !isNaN(end.getTime()) && end < start) {
+      errors.push('Collection period end must not be before its start');
+    }
+
+    const amount = parseFloat(collection?.amount);
+    if (isNaN(amount) || amount < 0) {
+      errors.push('Collection amount must be 0 or more');
+    }
+
+    if (collection?.source !== undefined && !this.COLLECTION_SOURCES.includes(collection.source)) {
+      errors.push(`Collection source must be one of: ${this.COLLECTION_SOURCES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check that a card or cash tips collection does not cover days already uploaded as tips_collected
+   * @param {number} clientId - Client ID
+   * @param {Object} collection - Collection ({ period_start, period_end, source })
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateCollectionOverlap(clientId, collection) {
+    if (!this.TIPS_COLLECTION_SOURCES.includes(collection.source)) {
+      return { isValid: true, errors: [] };
+    }
+
+    const result = await pool.query(
+      `SELECT COUNT(DISTINCT record_date) AS days
+       FROM tips_records
+       WHERE organization_id = $1 AND organization_type = 'client' AND record_type = 'collected'
+         AND record_date >= $2 AND record_date <= $3`,
+      [clientId, collection.period_start, collection.period_end]
+    );
+
+    const days = parseInt(result.rows[0]?.days, 10) || 0;
+    const errors = days > 0
+      ? [`Tips collected have already been uploaded for ${days} day(s) in this period; record card and cash tips either by upload or as a collection, not both`]
+      : [];
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Record service charges or tips collected by a client for a period
+   * @param {number} clientId - Client ID
+   * @param {Object} collection - Collection ({ period_start, period_end, amount, source, notes })
+   * @returns {Promise<Object>} Stored collection
+   */
+  async recordCollection(clientId, collection) {
+    const result = await pool.query(
+      `INSERT INTO tronc_collections (client_id, period_start, period_end, amount, source, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, client_id, period_start, period_end, amount, source, notes, created_at`,
+      [
+        clientId,
+        collection.period_start,
+        collection.period_end,
+        parseFloat(collection.amount),
+        collection.source || 'service_charge',
+        collection.notes || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get the collections for a client within a date range
+   * Collections recorded for the tronc and tips uploaded as tips_collected are both returned, so the
+   * tronc reconciliation and the Tips Act check work from the same money collected. Uploaded tips are
+   * one-day collections with their site. Card and cash tips must not be both recorded and uploaded for
+   * the same day; if they are, the recorded collection is counted and the uploaded days it covers are not
+   * @param {number} clientId - Client ID
+   * @param {string|Date} from - Earliest period start
+   * @param {string|Date} to - Latest period end
+   * @returns {Promise<Array>} Collections
+   */
+  async getCollections(clientId, from, to) {
+    const result = await pool.query(
+      `SELECT id, period_start, period_end, amount, source, notes, NULL AS site
+       FROM tronc_collections
+       WHERE client_id = $1 AND period_start >= $2 AND period_end <= $3
+       UNION ALL
+       SELECT id, record_date AS period_start, record_date AS period_end, amount, $4::VARCHAR AS source, NULL AS notes, site
+       FROM tips_records
+       WHERE organization_id = $1 AND organization_type = 'client' AND record_type = 'collected'
+         AND record_date >= $2 AND record_date <= $3
+         AND NOT EXISTS (
+           SELECT 1 FROM tronc_collections tc
+           WHERE tc.client_id = $1 AND tc.source = ANY($5)
+             AND tc.period_start >= $2 AND tc.period_end <= $3
+             AND tips_records.record_date BETWEEN tc.period_start AND tc.period_end
+         )
+       ORDER BY period_start`,
+      [clientId, from, to, this.UPLOADED_TIPS_SOURCE, this.TIPS_COLLECTION_SOURCES]
+    );
+
+    return result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) || 0 }));
+  }
+
+  /**
+   * Total the tips and tronc paid to each worker
+   * @param {Array} workers - Worker pay period rows ({ worker_id, worker_name, role, total_hours, tips, tronc })
+   * @returns {Array} Per-worker distributions
+   */
+  collectDistributions(workers) {
+    const byWorker = new Map();
+
+    for (const worker of workers) {
+      const amount = (parseFloat(worker.tips) || 0) + (parseFloat(worker.tronc) || 0);
+      const existing = byWorker.get(worker.worker_id) || {
+        worker_id: worker.worker_id,
+        worker_name: worker.worker_name,
+        role: worker.role || null,
+        hours: 0,
+        amount: 0
+      };
+
+      existing.hours = Math.round((existing.hours + (parseFloat(worker.total_hours) || 0)) * 100) / 100;
+      existing.amount = Math.round((existing.amount + amount) * 100) / 100;
+      byWorker.set(worker.worker_id, existing);
+    }
+
+    return Array.from(byWorker.values());
+  }
+
+  /**
+   * Build a client's tips allocation report for a set of pay periods
+   * @param {number} clientId - Client ID
+   * @param {Object|null} scheme - Tronc scheme
+   * @param {Array} workers - Worker pay period rows
+   * @param {Object|null} period - Reporting period ({ start, end }); defaults to the span of the pay periods
+   * @returns {Promise<Object|null>} Allocation report, or null if there is nothing to report
+   */
+  async buildAllocationReport(clientId, scheme, workers, period = null) {
+    const dated = workers.filter(worker => worker.period_start && worker.period_end);
+    const distributions = this.collectDistributions(workers).filter(item => item.amount > 0);
+
+    if (!period && dated.length > 0) {
+      period = {
+        start: new Date(Math.min(...dated.map(worker => new Date(worker.period_start).getTime()))).toISOString().split('T')[0],
+        end: new Date(Math.max(...dated.map(worker => new Date(worker.period_end).getTime()))).toISOString().split('T')[0]
+      };
+    }
+
+    const collections = period ? await this.getCollections(clientId, period.start, period.end) : [];
+
+    if (!scheme && distributions.length === 0 && collections.length === 0) {
+      return null;
+    }
+
+    return {
+      client_id: clientId,
+      period,
+      governance: this.describeGovernance(scheme),
+      reconciliation: this.reconcileDistributions(collections, distributions),
+      fairness: this.assessFairness(scheme, distributions),
+      collections
+    };
+  }
+
+  /**
+   * Get the tips and tronc paid to a client's workers within a date range
+   * @param {number} clientId - Client ID
+   * @param {string|Date} from - Earliest period start
+   * @param {string|Date} to - Latest period end
+   * @returns {Promise<Array>} Worker pay period rows
+   */
+  async getClientPayPeriods(clientId, from, to) {
+    const result = await pool.query(
+      `SELECT w.external_id AS worker_id, w.name AS worker_name, w.role,
+              pp.period_start, pp.period_end, pp.total_hours, pp.tips, pp.tronc
+       FROM pay_periods pp
+       JOIN workers w ON w.id = pp.worker_id
+       WHERE pp.organization_id = $1 AND pp.organization_type = 'client'
+         AND pp.period_start >= $2 AND pp.period_end <= $3
+       ORDER BY w.external_id, pp.period_start`,
+      [clientId, from, to]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Generate a client's tips allocation fairness report for a date range
+   * @param {number} clientId - Client ID
+   * @param {string|Date} from - Earliest period start
+   * @param {string|Date} to - Latest period end
+   * @returns {Promise<Object|null>} Allocation report
+   */
+  async generateClientReport(clientId, from, to) {
+    const scheme = await this.getClientScheme(clientId, 'client');
+    const workers = await this.getClientPayPeriods(clientId, from, to);
+    return this.buildAllocationReport(clientId, scheme, workers, { start: from, end: to });
+  }
+
+  /**
+   * Generate the tips allocation fairness report for an evidence pack
+   * Only client uploads have a tronc scheme and collection records
+   * @param {Object} uploadInfo - Upload information (organizationId, organizationType)
+   * @param {Array} workers - Worker details from the evidence pack
+   * @returns {Promise<Object|null>} Allocation report
+   */
+  async generateAllocationReport(uploadInfo, workers) {
+    if (!uploadInfo?.organizationId || uploadInfo.organizationType !== 'client') {
+      return null;
+    }
+
+    const scheme = await this.getClientScheme(uploadInfo.organizationId, uploadInfo.organizationType);
+    return this.buildAllocationReport(uploadInfo.organizationId, scheme, workers);
+  }
+}
+
+module.exports = TroncSchemeService;
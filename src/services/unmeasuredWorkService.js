@@ -0,0 +1,195 @@
+/**
+ * Unmeasured Work Service
+ * Implements NMW rules for unmeasured work.
+ *
+ * Unmeasured workers have no set hours. Either every hour worked counts, or the
+ * employer and worker have a written daily average agreement, in which case the
+ * agreed daily average hours are counted for each day the worker is available.
+ * The agreed average must be realistic, so it is checked against actual hours.
+ */
+
+const WorkTypeService = require('./workTypeService');
+const { round } = require('../utils/calculation-utils');
+
+class UnmeasuredWorkService {
+  constructor() {
+    this.workTypeService = new WorkTypeService();
+    this.WORK_TYPE = this.workTypeService.UNMEASURED_WORK;
+    this.REALISTIC_TOLERANCE = 0.1; // Actual hours may exceed the agreed average by 10%
+  }
+
+  /**
+   * Check whether a worker is on unmeasured work
+   * @param {Object} worker - Worker information
+   * @returns {boolean} True if unmeasured work rules apply
+   */
+  isUnmeasuredWorker(worker) {
+    return !!worker && this.workTypeService.classifyWorker(worker) === this.WORK_TYPE;
+  }
+
+  /**
+   * Calculate the hours that count for NMW for an unmeasured work pay period
+   * @param {Object} worker - Worker information (agreed_daily_hours, daily_average_agreement_date)
+   * @param {Object} payPeriod - Pay period with hours and days_worked
+   * @returns {Object} Unmeasured work calculation result
+   */
+  calculateUnmeasuredWork(worker, payPeriod) {
+    try {
+      const unmeasuredData = this.extractUnmeasuredData(worker, payPeriod);
+      const validation = this.validateInputs(unmeasuredData);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: 'Input validation failed',
+          details: validation.errors
+        };
+      }
+
+      console.log(`🔄 Calculating unmeasured work for worker ${worker.worker_id || worker.id}`);
+
+      const agreement = this.checkAgreement(unmeasuredData, payPeriod.period_start);
+      const flags = [...agreement.flags];
+
+      let agreedHours = null;
+      let actualDailyAverage = null;
+      let agreementRealistic = null;
+      let hoursForNMW = unmeasuredData.actual_hours;
+      let hoursBasis = 'actual_hours';
+
+      if (agreement.inEffect) {
+        if (unmeasuredData.days_worked > 0) {
+          agreedHours = unmeasuredData.agreed_daily_hours * unmeasuredData.days_worked;
+
+          if (unmeasuredData.actual_hours > 0) {
+            actualDailyAverage = unmeasuredData.actual_hours / unmeasuredData.days_worked;
+            agreementRealistic = this.isRealisticAverage(unmeasuredData.agreed_daily_hours, actualDailyAverage);
+          }
+
+          if (agreementRealistic === false) {
+            // An unrealistic average cannot be relied on, so every hour worked counts
+            flags.push('daily_average_unrealistic');
+          } else {
+            hoursForNMW = agreedHours;
+            hoursBasis = 'daily_average_agreement';
+          }
+        } else {
+          flags.push('days_worked_missing');
+        }
+      }
+
+      const totalPay = unmeasuredData.total_pay;
+      const effectiveHourlyRate = hoursForNMW > 0 ? totalPay / hoursForNMW : 0;
+
+      console.log(`✅ Unmeasured work calculated: ${round(hoursForNMW)} hours (${hoursBasis})`);
+
+      return {
+        success: true,
+        work_type: this.WORK_TYPE,
+        agreement_on_file: agreement.onFile,
+        agreement_in_effect: agreement.inEffect,
+        agreement_date: unmeasuredData.agreement_date,
+        agreed_daily_hours: unmeasuredData.agreed_daily_hours,
+        days_worked: unmeasuredData.days_worked,
+        agreed_hours: agreedHours !== null ? round(agreedHours) : null,
+        actual_hours: unmeasuredData.actual_hours,
+        actual_daily_average: actualDailyAverage !== null ? round(actualDailyAverage) : null,
+        agreement_realistic: agreementRealistic,
+        hours_for_nmw: round(hoursForNMW),
+        hours_basis: hoursBasis,
+        total_pay: totalPay,
+        effective_hourly_rate: round(effectiveHourlyRate),
+        flags
+      };
+
+    } catch (error) {
+      console.error('❌ Unmeasured work calculation failed:', error);
+      return {
+        success: false,
+        error: 'Unmeasured work calculation failed',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Extract unmeasured work fields from worker and pay period
+   * @param {Object} worker - Worker information
+   * @param {Object} payPeriod - Pay period data
+   * @returns {Object} Normalised unmeasured work data
+   */
+  extractUnmeasuredData(worker, payPeriod) {
+    const hours = payPeriod.hours ?? payPeriod.total_hours ?? payPeriod.actual_hours;
+    const pay = payPeriod.pay ?? payPeriod.total_pay;
+
+    return {
+      agreed_daily_hours: parseFloat(worker.agreed_daily_hours) || 0,
+      agreement_date: worker.daily_average_agreement_date || null,
+      days_worked: parseFloat(payPeriod.days_worked) || 0,
+      actual_hours: parseFloat(hours) || 0,
+      total_pay: parseFloat(pay) || 0
+    };
+  }
+
+  /**
+   * Validate unmeasured work inputs
+   * @param {Object} unmeasuredData - Normalised unmeasured work data
+   * @returns {Object} Validation result { isValid, errors }
+   */
+  validateInputs(unmeasuredData) {
+    const errors = [];
+
+    if (unmeasuredData.agreed_daily_hours < 0 || unmeasuredData.agreed_daily_hours > 24) {
+      errors.push('Agreed daily hours must be between 0 and 24');
+    }
+
+    if (unmeasuredData.days_worked < 0) {
+      errors.push('Days worked cannot be negative');
+    }
+
+    if (unmeasuredData.actual_hours < 0) {
+      errors.push('Hours worked cannot be negative');
+    }
+
+    if (unmeasuredData.agreement_date && isNaN(new Date(unmeasuredData.agreement_date).getTime())) {
+      errors.push('Daily average agreement date must be a valid date');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check whether a daily average agreement is on file and in effect for the PRP
+   * The agreement must be in writing before the start of the pay reference period
+   * @param {Object} unmeasuredData - Normalised unmeasured work data
+   * @param {Date|string} periodStart - Start of the pay reference period
+   * @returns {Object} { onFile, inEffect, flags }
+   */
+  checkAgreement(unmeasuredData, periodStart) {
+    const onFile = unmeasuredData.agreed_daily_hours > 0 && !!unmeasuredData.agreement_date;
+
+    if (!onFile) {
+      return { onFile: false, inEffect: false, flags: ['no_daily_average_agreement'] };
+    }
+
+    if (periodStart && new Date(unmeasuredData.agreement_date) > new Date(periodStart)) {
+      return { onFile: true, inEffect: false, flags: ['daily_average_agreement_after_period_start'] };
+    }
+
+    return { onFile: true, inEffect: true, flags: [] };
+  }
+
+  /**
+   * Check whether the agreed daily average is realistic against actual hours
+   * @param {number} agreedDailyHours - Agreed daily average hours
+   * @param {number} actualDailyAverage - Actual average hours per day worked
+   * @returns {boolean} True if the agreed average is realistic
+   */
+  isRealisticAverage(agreedDailyHours, actualDailyAverage) {
+    return actualDailyAverage <= agreedDailyHours * (1 + this.REALISTIC_TOLERANCE);
+  }
+}
+
+module.exports = UnmeasuredWorkService;
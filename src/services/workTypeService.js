@@ -0,0 +1,77 @@
+/**
+ * Work Type Service
+ * Classifies workers into the four NMW work types, which determine how hours
+ * for a pay reference period are counted.
+ */
+
+class WorkTypeService {
+  constructor() {
+    this.TIME_WORK = 'time_work';
+    this.SALARIED_HOURS = 'salaried_hours';
+    this.OUTPUT_WORK = 'output_work';
+    this.UNMEASURED_WORK = 'unmeasured_work';
+
+    // Work type definitions and common variations found in payroll exports
+    this.workTypes = {
+      time_work: {
+        label: 'Time work',
+        description: 'Paid by reference to the time worked',
+        variations: ['time_work', 'time', 'hourly', 'time work']
+      },
+      salaried_hours: {
+        label: 'Salaried hours work',
+        description: 'Paid an annual salary for a set number of annual basic hours',
+        variations: ['salaried_hours', 'salaried', 'salary', 'salaried hours', 'salaried-hours']
+      },
+      output_work: {
+        label: 'Output work',
+        description: 'Paid by the number of pieces made or tasks performed',
+        variations: ['output_work', 'output', 'piece_rate', 'piece rate', 'piecework', 'piece work', 'output work']
+      },
+      unmeasured_work: {
+        label: 'Unmeasured work',
+        description: 'No set hours; paid for every hour worked or under a daily average agreement',
+        variations: ['unmeasured_work', 'unmeasured', 'unmeasured work', 'daily_average', 'daily average']
+      }
+    };
+  }
+
+  /**
+   * Normalise a raw work type value to a recognised work type
+   * @param {string} workType - Raw work type value
+   * @returns {string|null} Normalised work type or null if unrecognised
+   */
+  normalizeWorkType(workType) {
+    if (!workType) return null;
+
+    const normalized = String(workType).trim().toLowerCase();
+    for (const [type, definition] of Object.entries(this.workTypes)) {
+      if (definition.variations.includes(normalized)) {
+        return type;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify a worker's work type, defaulting to time work
+   * @param {Object} worker - Worker information
+   * @returns {string} Work type
+   */
+  classifyWorker(worker) {
+    return this.normalizeWorkType(worker?.work_type) || this.TIME_WORK;
+  }
+
+  /**
+   * Get the definition of a work type
+   * @param {string} workType - Work type
+   * @returns {Object|null} Work type definition
+   */
+  getWorkTypeInfo(workType) {
+    const definition = this.workTypes[workType];
+    return definition ? { type: workType, label: definition.label, description: definition.description } : null;
+  }
+}
+
+module.exports = WorkTypeService;
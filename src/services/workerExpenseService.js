@@ -0,0 +1,207 @@
+/**
+ * Worker Expense Service
+ * Works out the work-related expenses workers pay for themselves, such as a
+ * DBS check, a mandatory uniform bought from a supplier or using their own
+ * car without mileage.
+ *
+ * No payroll deduction appears for these costs, but they reduce pay for NMW
+ * purposes in the same way as a deduction. Amounts uploaded for each worker
+ * and period are added to client-wide defaults configured in the client's
+ * settings as `workerExpenses`. Recurring defaults are scaled to the length of
+ * the pay reference period; one-off and dated defaults are charged once, in
+ * the PRP containing the worker's start date or the given date.
+ */
+
+const SalariedHoursService = require('./salariedHoursService');
+const ClientSettingsService = require('./clientSettingsService');
+const { toDateKey } = require('../utils/calculation-utils');
+
+class WorkerExpenseService {
+  constructor() {
+    this.salariedHoursService = new SalariedHoursService();
+    this.clientSettingsService = new ClientSettingsService();
+
+    // Recognised expense categories
+    this.CATEGORIES = ['dbs_check', 'uniform', 'vehicle', 'tools', 'training', 'other'];
+
+    // Recurring defaults are amounts per month unless another period is given
+    this.DEFAULT_PERIOD = 'monthly';
+  }
+
+  /**
+   * Get the worker expense defaults from a client's settings
+   * @param {Object} settings - Client settings
+   * @returns {Array} Configured expenses
+   */
+  getDefaults(settings) {
+    return Array.isArray(settings?.workerExpenses) ? settings.workerExpenses : [];
+  }
+
+  /**
+   * Check whether an expense is charged once rather than every period
+   * @param {Object} expense - Expense configuration
+   * @returns {boolean} True for one-off and dated expenses
+   */
+  isSingleCharge(expense) {
+    return expense?.oneOff === true || expense?.date !== undefined;
+  }
+
+  /**
+   * Validate a client's worker expense defaults
+   * Recurring expenses have an amountPerPeriod and optional period; one-off expenses (charged in the
+   * worker's first PRP) and dated expenses (charged in the PRP containing the date) have an amount
+   * @param {Array} expenses - Expenses ({ name, category, amountPerPeriod, period, amount, oneOff, date, roles })
+   * @returns {Object} Validation result
+   */
+  validateDefaults(expenses) {
+    const errors = [];
+
+    if (!Array.isArray(expenses)) {
+      return { isValid: false, errors: ['Worker expenses must be an array'] };
+    }
+
+    expenses.forEach((expense, index) => {
+      const label = expense?.name ? `"${expense.name}"` : `at index ${index}`;
+
+      if (!expense?.name || String(expense.name).trim() === '') {
+        errors.push(`Expense at index ${index} requires a name`);
+      }
+
+      if (this.isSingleCharge(expense)) {
+        const amount = parseFloat(expense?.amount);
+        if (isNaN(amount) || amount <= 0) {
+          errors.push(`Expense ${label} amount must be more than 0`);
+        }
+
+        if (expense.date !== undefined && !toDateKey(expense.date)) {
+          errors.push(`Expense ${label} date must be a valid date`);
+        }
+      } else {
+        const amount = parseFloat(expense?.amountPerPeriod);
+        if (isNaN(amount) || amount <= 0) {
+          errors.push(`Expense ${label} amount per period must be more than 0`);
+        }
+
+        if (expense?.period !== undefined && !this.salariedHoursService.prpsPerYear[expense.period]) {
+          errors.push(`Expense ${label} period must be one of: ${Object.keys(this.salariedHoursService.prpsPerYear).join(', ')}`);
+        }
+      }
+
+      if (expense?.category !== undefined && !this.CATEGORIES.includes(expense.category)) {
+        errors.push(`Expense ${label} category must be one of: ${this.CATEGORIES.join(', ')}`);
+      }
+
+      if (expense?.roles !== undefined && (!Array.isArray(expense.roles) || expense.roles.some(role => typeof role !== 'string'))) {
+        errors.push(`Expense ${label} roles must be a list of role names`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get the amount of a default expense charged in a pay period
+   * Recurring amounts are scaled from their own period to the PRP's, so £52 a month is £12 a week.
+   * One-off expenses are charged in the PRP containing the worker's employment start date and dated
+   * expenses in the PRP containing their date; neither is charged when the dates are not known
+   * @param {Object} expense - Expense configuration
+   * @param {Object} worker - Worker information (employment_start_date)
+   * @param {Object} payPeriod - Pay period data (period_start, period_end)
+   * @returns {number} Amount charged in the period
+   */
+  getAmountForPeriod(expense, worker, payPeriod) {
+    const periodStart = toDateKey(payPeriod?.period_start);
+    const periodEnd = toDateKey(payPeriod?.period_end);
+
+    if (this.isSingleCharge(expense)) {
+      const chargeDate = toDateKey(expense.oneOff === true ? worker?.employment_start_date : expense.date);
+      const inPeriod = chargeDate && periodStart && periodEnd && chargeDate >= periodStart && chargeDate <= periodEnd;
+      return inPeriod ? parseFloat(expense.amount) || 0 : 0;
+    }
+
+    const amount = parseFloat(expense.amountPerPeriod) || 0;
+    if (!periodStart || !periodEnd) {
+      return amount;
+    }
+
+    const prpsPerYear = this.salariedHoursService.prpsPerYear;
+    const payFrequency = this.salariedHoursService.getPayFrequency(periodStart, periodEnd);
+    const expensePeriods = prpsPerYear[expense.period || this.DEFAULT_PERIOD];
+
+    return Math.round(amount * expensePeriods / prpsPerYear[payFrequency] * 100) / 100;
+  }
+
+  /**
+   * Calculate the expenses borne by a worker in a pay period
+   * A figure uploaded for the worker and period is added to the client defaults, so it should only
+   * cover costs the defaults do not
+   * @param {Object} worker - Worker information (role, employment_start_date, organization_id, organization_type)
+   * @param {Object} payPeriod - Pay period data (period_start, period_end, worker_expenses, worker_expense_description)
+   * @returns {Promise<Object>} Worker expense result
+   */
+  async calculateWorkerExpenses(worker, payPeriod) {
+    try {
+      const uploadedAmount = parseFloat(payPeriod?.worker_expenses) || 0;
+      const defaults = Array.isArray(payPeriod?.worker_expense_defaults)
+        ? payPeriod.worker_expense_defaults
+        : await this.getClientDefaults(worker?.organization_id, worker?.organization_type);
+
+      const expenses = defaults
+        .filter(expense => this.clientSettingsService.appliesToRole(expense, worker))
+        .map(expense => ({
+          name: expense.name,
+          category: expense.category || 'other',
+          amount: this.getAmountForPeriod(expense, worker, payPeriod),
+          source: 'client_default'
+        }))
+        .filter(expense => expense.amount > 0);
+
+      if (uploadedAmount > 0) {
+        expenses.unshift({
+          name: payPeriod.worker_expense_description || 'Expenses borne by worker',
+          category: 'other',
+          amount: uploadedAmount,
+          source: 'pay_period'
+        });
+      }
+
+      const sources = [...new Set(expenses.map(expense => expense.source))];
+      const source = sources.length === 0 ? null : sources.join('_and_');
+      const totalExpenses = Math.round(expenses.reduce((total, expense) => total + expense.amount, 0) * 100) / 100;
+
+      return {
+        success: true,
+        worker_id: worker?.worker_id,
+        pay_period_id: payPeriod?.id,
+        source,
+        expenses,
+        total_expenses: totalExpenses,
+        rule: 'Work expenses the worker pays for themselves reduce pay for NMW purposes, like a deduction'
+      };
+    } catch (error) {
+      console.error('❌ Failed to calculate worker expenses:', error);
+      return {
+        success: false,
+        error: 'Worker expense calculation failed',
+        details: error.message,
+        total_expenses: 0
+      };
+    }
+  }
+
+  /**
+   * Get a client's worker expense defaults
+   * Only client organisations have expense settings
+   * @param {number} organizationId - Organization ID
+   * @param {string} organizationType - Organization type ('client' or 'employer')
+   * @returns {Promise<Array>} Configured expenses
+   */
+  async getClientDefaults(organizationId, organizationType) {
+    return this.getDefaults(await this.clientSettingsService.getSettings(organizationId, organizationType));
+  }
+}
+
+module.exports = WorkerExpenseService;
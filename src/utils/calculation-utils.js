@@ -0,0 +1,43 @@
+/**
+ * Rounding and conversion helpers shared by the WageGuard pay calculations
+ */
+
+/**
+ * Convert an uploaded amount to a number, treating blanks as not supplied
+ * @param {number|string|null} amount - Amount
+ * @param {number|null} fallback - Value for blank or invalid amounts
+ * @returns {number|null} Amount, or the fallback if not supplied
+ */
+const toAmount = (amount, fallback = null) => {
+  if (amount === undefined || amount === null || amount === '') return fallback;
+
+  const parsed = parseFloat(amount);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Round an amount of money or hours to 2 decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Convert a date to a YYYY-MM-DD key
+ * @param {string|Date} date - Date
+ * @returns {string|null} Date key or null if invalid
+ */
+const toDateKey = (date) => {
+  if (!date) return null;
+
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+};
+
+module.exports = {
+  toAmount,
+  round,
+  toDateKey
+};
@@ -33,6 +33,58 @@ const getApplicableComplianceRules = async (checkDate, workerAge, isApprentice,
   }
 };
 
+/**
+ * Get the active hourly rate rules from the compliance_rules table
+ * @returns {Promise<Array>} Array of hourly rate rules
+ */
+const getHourlyRateRules = async () => {
+  try {
+    const result = await pool.query(`
+      SELECT rule_name, rule_logic, min_age, max_age, effective_date, expiry_date
+      FROM compliance_rules
+      WHERE is_active = true AND rule_type = 'hourly_rate'
+      ORDER BY effective_date, rule_name
+    `);
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting hourly rate rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Insert or update hourly rate rules in the compliance_rules table
+ * @param {Array} rules - Compliance rule rows from the rate registry
+ * @param {Object} db - Pool or transaction client to run the queries on
+ * @returns {Promise<number>} Number of rules saved
+ */
+const saveComplianceRules = async (rules, db = pool) => {
+  for (const rule of rules) {
+    await db.query(`
+      INSERT INTO compliance_rules (rule_name, rule_description, rule_type, rule_logic, min_age, max_age, effective_date, expiry_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (rule_name) DO UPDATE SET
+        rule_description = EXCLUDED.rule_description,
+        rule_logic = EXCLUDED.rule_logic,
+        min_age = EXCLUDED.min_age,
+        max_age = EXCLUDED.max_age,
+        effective_date = EXCLUDED.effective_date,
+        expiry_date = EXCLUDED.expiry_date;
+    `, [
+      rule.rule_name,
+      rule.rule_description,
+      rule.rule_type,
+      JSON.stringify(rule.rule_logic),
+      rule.min_age,
+      rule.max_age,
+      rule.effective_date,
+      rule.expiry_date
+    ]);
+  }
+
+  return rules.length;
+};
+
 /**
  * Calculate effective hourly rate after offsets
  * @param {number} totalPay - Total pay for the period
@@ -228,6 +280,8 @@ const logAuditAction = async (auditData) => {
 
 module.exports = {
   getApplicableComplianceRules,
+  getHourlyRateRules,
+  saveComplianceRules,
   calculateEffectiveHourlyRate,
   determineRAGStatus,
   getComplianceIssues,
@@ -261,6 +261,154 @@ describe('Accommodation Offset Service Tests', () => {
     });
   });
 
+  describe('Occupancy Dates', () => {
+    beforeEach(() => {
+      mockRatesConfig.getCategoryRates.mockResolvedValue({
+        dailyLimit: 9.99,
+        source: 'GOV.UK NMW accommodation offset rules',
+        lastUpdated: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    test('should offset against calendar days occupied by a worker who moves in mid-period', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-31', occupancy_start: '2024-01-22' },
+        { total_charge: 90 } // 10 days occupied at £9.00 per day
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.occupied_days).toBe(10);
+      expect(result.total_offset).toBe(90);
+      expect(result.total_excess).toBe(0);
+      expect(result.breakdown.period.totalDays).toBe(31);
+      expect(result.breakdown.occupancy).toMatchObject({
+        start: '2024-01-22',
+        end: '2024-01-31',
+        occupiedDays: 10,
+        movedInDuringPeriod: true,
+        movedOutDuringPeriod: false
+      });
+    });
+
+    test('should apply the weekly limit pro rata to part weeks', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-14' },
+        { total_charge: 120, occupancy_end: '2024-01-10' } // 10 days occupied at £12.00 per day
+      );
+
+      expect(result.weekly_limit).toBeCloseTo(69.93, 2);
+      expect(result.breakdown.occupancy.weeks.map(week => [week.occupiedDays, Math.round(week.limit * 100) / 100])).toEqual([
+        [7, 69.93],
+        [3, 29.97]
+      ]);
+      expect(result.total_offset).toBeCloseTo(99.9, 2);
+      expect(result.total_excess).toBeCloseTo(20.1, 2);
+    });
+
+    test('should report a charge for the whole period when the worker moved out part way through', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith', occupancy_end: '2024-01-15' },
+        { period_start: '2024-01-01', period_end: '2024-01-31' },
+        { total_charge: 300, charged_days: 31 }
+      );
+
+      expect(result.occupied_days).toBe(15);
+      expect(result.occupancy_mismatches.map(mismatch => mismatch.type)).toEqual([
+        'charged_days_mismatch',
+        'charge_covers_unoccupied_days'
+      ]);
+      expect(result.breakdown.occupancy.mismatches).toHaveLength(2);
+    });
+
+    test('should treat a charge with no occupied days as all excess', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-31' },
+        { total_charge: 50, occupancy_start: '2024-02-03' }
+      );
+
+      expect(result.total_offset).toBe(0);
+      expect(result.total_excess).toBe(50);
+      expect(result.compliance_status).toBe('red');
+      expect(result.occupancy_mismatches[0].type).toBe('charge_without_occupancy');
+    });
+
+    test('should reject an occupancy end date before the start date', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-31' },
+        { total_charge: 50, occupancy_start: '2024-01-20', occupancy_end: '2024-01-10' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Occupancy end date must not be before occupancy start date');
+    });
+  });
+
+  describe('Accommodation-Related Charges', () => {
+    beforeEach(() => {
+      mockRatesConfig.getCategoryRates.mockResolvedValue({
+        dailyLimit: 9.99,
+        source: 'GOV.UK NMW accommodation offset rules',
+        lastUpdated: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    test('should add related charges to the accommodation charge before applying the limit', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-07' },
+        {
+          total_charge: 49,
+          related_charges: [
+            { name: 'Gas and Electricity', amount: 14 },
+            { name: 'Deposit retained', amount: 20 }
+          ]
+        }
+      );
+
+      expect(result.accommodation_charge).toBe(49);
+      expect(result.total_related_charges).toBe(34);
+      expect(result.total_charge).toBe(83);
+      expect(result.total_offset).toBeCloseTo(69.93, 2);
+      expect(result.total_excess).toBeCloseTo(13.07, 2);
+      expect(result.breakdown.charges.components.map(charge => [charge.name, charge.amount, charge.category_path])).toEqual([
+        ['accommodation_charge', 49, undefined],
+        ['Gas and Electricity', 14, 'benefitsInKind.accommodation_related'],
+        ['Deposit retained', 20, 'benefitsInKind.accommodation_related']
+      ]);
+    });
+
+    test('should pick up pay components classified as accommodation-related', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-07' },
+        { total_charge: 35 },
+        { basic_pay: 450, laundry: -5, cleaning_fee: -7.5, tips: 20 }
+      );
+
+      expect(result.related_charges.map(charge => [charge.name, charge.amount, charge.source])).toEqual([
+        ['laundry', 5, 'pay_component'],
+        ['cleaning_fee', 7.5, 'pay_component']
+      ]);
+      expect(result.total_charge).toBe(47.5);
+      expect(result.total_excess).toBe(0);
+    });
+
+    test('should reject related charges without a name or amount', async () => {
+      const result = await accommodationService.calculateAccommodationOffset(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { period_start: '2024-01-01', period_end: '2024-01-07' },
+        { total_charge: 35, related_charges: [{ name: 'Furniture' }] }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Each accommodation related charge requires a name and a non-negative amount');
+    });
+  });
+
   describe('Compliance Status Determination', () => {
     beforeEach(() => {
       mockRatesConfig.getCategoryRates.mockResolvedValue({
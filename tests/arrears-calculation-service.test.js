@@ -0,0 +1,174 @@
+/**
+ * Arrears Calculation Service Tests
+ *
+ * Tests the HMRC "current rate" arrears repayment formula
+ */
+
+const ArrearsCalculationService = require('../src/services/arrearsCalculationService');
+
+describe('ArrearsCalculationService', () => {
+  let arrearsService;
+
+  beforeEach(() => {
+    arrearsService = new ArrearsCalculationService();
+  });
+
+  describe('calculateRepayment', () => {
+    test('should uplift arrears to the current rate', () => {
+      // (£42.00 ÷ £10.42) × £11.44 = £46.11
+      expect(arrearsService.calculateRepayment(42, 10.42, 11.44)).toBe(46.11);
+    });
+
+    test('should not reduce arrears when the current rate is lower', () => {
+      expect(arrearsService.calculateRepayment(42, 10.42, 10.00)).toBe(42);
+    });
+
+    test('should return arrears unchanged when rates are equal', () => {
+      expect(arrearsService.calculateRepayment(42, 11.44, 11.44)).toBe(42);
+    });
+  });
+
+  describe('calculateArrears', () => {
+    const calculationDate = '2024-06-01';
+
+    test('should calculate per-PRP repayments using the rate at the time', async () => {
+      const results = [
+        {
+          success: true,
+          worker_id: 'W001',
+          worker_name: 'John Smith',
+          age: 25,
+          period_start: '2023-06-01',
+          period_end: '2023-06-30',
+          total_hours: 100,
+          effective_hourly_rate: 10.00
+        }
+      ];
+
+      const result = await arrearsService.calculateArrears(results, { calculationDate });
+
+      expect(result.success).toBe(true);
+      expect(result.workers).toHaveLength(1);
+
+      const period = result.workers[0].periods[0];
+      expect(period.rate_at_time).toBe(10.42);
+      expect(period.current_rate).toBe(11.44);
+      expect(period.arrears).toBe(42);
+      expect(period.repayment_due).toBe(46.11);
+      expect(period.uplift).toBe(4.11);
+      expect(period.period_start).toBe('2023-06-01');
+    });
+
+    test('should aggregate multiple periods per worker', async () => {
+      const results = [
+        {
+          worker_id: 'W001',
+          worker_name: 'John Smith',
+          age: 25,
+          period_start: '2023-06-01',
+          period_end: '2023-06-30',
+          total_hours: 100,
+          effective_hourly_rate: 10.00
+        },
+        {
+          worker_id: 'W001',
+          worker_name: 'John Smith',
+          age: 25,
+          period_start: '2024-05-01',
+          period_end: '2024-05-31',
+          total_hours: 100,
+          effective_hourly_rate: 11.00
+        }
+      ];
+
+      const result = await arrearsService.calculateArrears(results, { calculationDate });
+
+      expect(result.workers).toHaveLength(1);
+      expect(result.workers[0].periods).toHaveLength(2);
+      // Second period is already at the current rate so no uplift applies
+      expect(result.workers[0].periods[1].repayment_due).toBe(44);
+      expect(result.workers[0].total_repayment).toBe(90.11);
+      expect(result.summary.total_periods).toBe(2);
+      expect(result.summary.total_arrears).toBe(86);
+    });
+
+    test('should move to the age-based band when the old band no longer exists', async () => {
+      const results = [
+        {
+          worker_id: 'W002',
+          age: 22,
+          period_start: '2023-06-01',
+          period_end: '2023-06-30',
+          total_hours: 10,
+          effective_hourly_rate: 10.00
+        }
+      ];
+
+      const result = await arrearsService.calculateArrears(results, { calculationDate });
+      const period = result.workers[0].periods[0];
+
+      expect(period.rate_at_time).toBe(10.18);
+      expect(period.current_rate).toBe(11.44);
+      expect(period.arrears).toBe(1.8);
+    });
+
+    test('should derive age from date of birth at the start of the PRP', async () => {
+      const results = [
+        {
+          worker_id: 'W003',
+          date_of_birth: '1990-01-01',
+          period_start: '2023-06-01',
+          period_end: '2023-06-30',
+          hours: 100,
+          effective_hourly_rate: 10.00
+        }
+      ];
+
+      const result = await arrearsService.calculateArrears(results, { calculationDate });
+
+      expect(result.workers[0].periods[0].rate_at_time).toBe(10.42);
+      expect(result.workers[0].periods[0].hours).toBe(100);
+    });
+
+    test('should skip compliant periods and failed results', async () => {
+      const results = [
+        {
+          worker_id: 'W004',
+          age: 30,
+          period_start: '2023-06-01',
+          period_end: '2023-06-30',
+          total_hours: 100,
+          effective_hourly_rate: 12.00
+        },
+        { success: false, worker_id: 'W005', error: 'Calculation failed' }
+      ];
+
+      const result = await arrearsService.calculateArrears(results, { calculationDate });
+
+      expect(result.success).toBe(true);
+      expect(result.workers).toHaveLength(0);
+      expect(result.summary.total_repayment).toBe(0);
+    });
+
+    test('should warn about records without worker or period', async () => {
+      const result = await arrearsService.calculateArrears([{ effective_hourly_rate: 5 }], { calculationDate });
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].type).toBe('incomplete_record');
+    });
+
+    test('should reject invalid input', async () => {
+      const result = await arrearsService.calculateArrears(null);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('must be an array');
+    });
+
+    test('should reject an invalid calculation date', async () => {
+      const result = await arrearsService.calculateArrears([], { calculationDate: 'not-a-date' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('valid date');
+    });
+  });
+});
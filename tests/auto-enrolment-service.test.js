@@ -0,0 +1,206 @@
+const AutoEnrolmentService = require('../src/services/autoEnrolmentService');
+const SalarySacrificeService = require('../src/services/salarySacrificeService');
+const { pool } = require('../src/config/database');
+
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('Auto-enrolment Service', () => {
+  let service;
+  const worker = { id: 1, age: 30 };
+  const may = { id: 5, period_start: '2025-05-01', period_end: '2025-05-31' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new AutoEnrolmentService();
+  });
+
+  describe('getPayReferencePeriod', () => {
+    test('should recognise calendar and weekly pay reference periods from the dates', () => {
+      expect(service.getPayReferencePeriod({ period_start: '2025-02-01', period_end: '2025-02-28' })).toBe('monthly');
+      expect(service.getPayReferencePeriod({ period_start: '2025-04-01', period_end: '2025-06-30' })).toBe('quarterly');
+      expect(service.getPayReferencePeriod({ period_start: '2025-05-05', period_end: '2025-06-01' })).toBe('four_weekly');
+      expect(service.getPayReferencePeriod({ period_start: '2025-05-05', period_end: '2025-05-11' })).toBe('weekly');
+    });
+
+    test('should not treat non-calendar periods longer than a month as monthly', () => {
+      expect(service.getPayReferencePeriod({ period_start: '2025-05-05', period_end: '2025-07-20' })).toBe('quarterly');
+      expect(service.getPayReferencePeriod({ period_start: '2025-05-05', period_end: '2026-03-01' })).toBe('annual');
+      expect(service.getPayReferencePeriod({ period_type: 'fortnightly' })).toBe('fortnightly');
+    });
+  });
+
+  describe('classification', () => {
+    test('should classify workers by age and earnings against the thresholds', () => {
+      expect(service.checkAutoEnrolment(worker, { ...may, total_pay: 2000 }).category).toBe('eligible_jobholder');
+      expect(service.checkAutoEnrolment({ id: 2, age: 20 }, { ...may, total_pay: 2000 }).category).toBe('non_eligible_jobholder');
+      expect(service.checkAutoEnrolment(worker, { ...may, total_pay: 700 }).category).toBe('non_eligible_jobholder');
+      expect(service.checkAutoEnrolment(worker, { ...may, total_pay: 500 }).category).toBe('entitled_worker');
+      expect(service.checkAutoEnrolment({ id: 3, age: 75 }, { ...may, total_pay: 2000 }).category).toBe('not_in_scope');
+    });
+
+    test('should use age at the end of the period from the date of birth', () => {
+      const check = service.checkAutoEnrolment({ id: 4, date_of_birth: '2003-06-15' }, { ...may, total_pay: 2000 });
+
+      expect(check).toMatchObject({ age: 21, category: 'non_eligible_jobholder', ragStatus: 'GREEN' });
+    });
+
+    test('should count holiday pay and statutory pay towards the earnings trigger', () => {
+      const check = service.checkAutoEnrolment(worker, { ...may, total_pay: 700, holiday_pay: 150 });
+
+      expect(check).toMatchObject({ earnings: 850, category: 'eligible_jobholder' });
+    });
+
+    test('should take salary sacrifice off pay before sacrifice, as the NMW calculation does', async () => {
+      const payPeriod = { ...may, total_pay: 2000, pension_sacrifice: 100, cycle_to_work_sacrifice: 50, employer_pension_contribution: 0 };
+      const sacrifice = await new SalarySacrificeService().calculateSalarySacrifice(worker, payPeriod);
+      const check = service.checkAutoEnrolment(worker, payPeriod);
+
+      expect(check).toMatchObject({ earnings: 2000 - sacrifice.total_sacrifice, qualifying_earnings: 1330 });
+    });
+
+    test('should not count sacrificed salary towards the earnings trigger', () => {
+      const check = service.checkAutoEnrolment(worker, { ...may, total_pay: 900, pension_sacrifice: 100 });
+
+      expect(check).toMatchObject({ earnings: 800, category: 'non_eligible_jobholder' });
+    });
+
+    test('should use the weekly thresholds for a weekly pay period', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        period_start: '2025-05-05', period_end: '2025-05-11', total_pay: 200,
+        employer_pension_contribution: 2.40, employee_pension_contribution: 4.00
+      });
+
+      expect(check).toMatchObject({ pay_reference_period: 'weekly', category: 'eligible_jobholder', qualifying_earnings: 80, ragStatus: 'GREEN' });
+    });
+
+    test('should ask for the age when it is not uploaded', () => {
+      expect(service.checkAutoEnrolment({ id: 6 }, { ...may, total_pay: 2000 })).toMatchObject({ ragStatus: 'AMBER', issue: 'age_missing' });
+    });
+  });
+
+  describe('contributions', () => {
+    test('should pass 3% employer and 8% total contributions on qualifying earnings', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        ...may, total_pay: 2000, employer_pension_contribution: 44.40, employee_pension_contribution: 74.00
+      });
+
+      expect(check.ragStatus).toBe('GREEN');
+      expect(check.contributions).toEqual({ employer: 44.40, employee: 74.00, total: 118.40, minimum_employer: 44.40, minimum_total: 118.40 });
+    });
+
+    test('should flag employer contributions below 3% even when the total reaches 8%', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        ...may, total_pay: 2000, employer_pension_contribution: 30.00, employee_pension_contribution: 88.40
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'employer_contribution_below_minimum', severity: 'CRITICAL', employer_shortfall: 14.40, total_shortfall: 0 });
+    });
+
+    test('should cap qualifying earnings at the upper limit', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        ...may, total_pay: 5000, employer_pension_contribution: 110.07, employee_pension_contribution: 183.45
+      });
+
+      expect(check).toMatchObject({ qualifying_earnings: 3669, ragStatus: 'GREEN' });
+    });
+
+    test('should count pension salary sacrifice as an employer contribution', () => {
+      const check = service.checkAutoEnrolment(worker, { ...may, total_pay: 2000, pension_sacrifice: 118.40 });
+
+      expect(check.ragStatus).toBe('GREEN');
+      expect(check.contributions.employer).toBe(118.40);
+    });
+
+    test('should flag an eligible jobholder with no contributions as not enrolled', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'not_enrolled', employer_shortfall: 44.40, total_shortfall: 118.40 });
+    });
+
+    test('should only warn about an eligible jobholder with no contributions inside the postponement window', () => {
+      const check = service.checkAutoEnrolment({ ...worker, employment_start_date: '2025-04-14' }, {
+        ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'enrolment_postponed', postponement_end: '2025-07-14', employer_shortfall: 0 });
+    });
+
+    test('should flag an eligible jobholder as not enrolled once the postponement date has passed', () => {
+      const check = service.checkAutoEnrolment({ ...worker, employment_start_date: '2025-03-01', pension_postponement_date: '2025-04-30' }, {
+        ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'not_enrolled', employer_shortfall: 44.40 });
+    });
+
+    test('should not allow a postponement date more than 3 months after the start date', () => {
+      expect(service.getPostponementEnd({ employment_start_date: '2025-01-10', pension_postponement_date: '2025-06-30' })).toBe('2025-04-10');
+      expect(service.getPostponementEnd({ employment_start_date: '2024-11-30' })).toBe('2025-02-28');
+      expect(service.getPostponementEnd({ pension_postponement_date: '2025-06-30' })).toBe('2025-06-30');
+      expect(service.getPostponementEnd({})).toBeNull();
+    });
+
+    test('should accept an eligible jobholder who has opted out', () => {
+      const check = service.checkAutoEnrolment(worker, {
+        ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0, pension_opt_out: true
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', opted_out: true });
+    });
+
+    test('should only warn when contributions for an eligible jobholder are not uploaded', () => {
+      expect(service.checkAutoEnrolment(worker, { ...may, total_pay: 2000 }))
+        .toMatchObject({ ragStatus: 'AMBER', issue: 'contributions_missing' });
+    });
+
+    test('should require employer contributions once a non-eligible jobholder opts in', () => {
+      const check = service.checkAutoEnrolment({ id: 2, age: 20 }, { ...may, total_pay: 2000, employee_pension_contribution: 50 });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'employer_contribution_below_minimum', employer_shortfall: 44.40 });
+    });
+  });
+
+  describe('summarizeResults', () => {
+    test('should count workers by RAG status and category', () => {
+      const results = [
+        service.checkAutoEnrolment(worker, { ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0 }),
+        service.checkAutoEnrolment(worker, { ...may, total_pay: 2000 }),
+        service.checkAutoEnrolment(worker, { ...may, total_pay: 500 }),
+        service.checkAutoEnrolment({ id: 2, age: 20 }, { ...may, total_pay: 2000 })
+      ];
+
+      expect(service.summarizeResults(results)).toEqual({
+        checked: 4, green: 2, amber: 1, red: 1,
+        eligible_jobholders: 2, non_eligible_jobholders: 1, entitled_workers: 1,
+        total_employer_shortfall: 44.40, total_contribution_shortfall: 118.40
+      });
+    });
+  });
+
+  describe('generateEvidenceReport', () => {
+    test('should build findings from the latest stored pension check for each pay period', async () => {
+      const check = service.checkAutoEnrolment(worker, { ...may, total_pay: 2000, employer_pension_contribution: 0, employee_pension_contribution: 0 });
+      pool.query.mockResolvedValue({
+        rows: [{ pension_check: check, external_id: 'W001', name: 'Sam', period_start: '2025-05-01', period_end: '2025-05-31' }]
+      });
+
+      const report = await service.generateEvidenceReport({ id: 9 });
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('DISTINCT ON (cc.pay_period_id)'), [9]);
+      expect(report.summary).toMatchObject({ checked: 1, red: 1, eligible_jobholders: 1 });
+      expect(report.workers[0]).toMatchObject({ worker_id: 'W001', worker_name: 'Sam', issue: 'not_enrolled' });
+    });
+
+    test('should leave the section out when the upload has no pension checks', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      expect(await service.generateEvidenceReport({ id: 9 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Calculation Utils Tests
+ *
+ * Tests the rounding and conversion helpers shared by the pay calculations
+ */
+
+const { toAmount, round, toDateKey } = require('../src/utils/calculation-utils');
+
+describe('Calculation Utils', () => {
+  describe('toAmount', () => {
+    test('should parse uploaded amounts and treat blanks as not supplied', () => {
+      expect(toAmount('12.50')).toBe(12.5);
+      expect(toAmount(0)).toBe(0);
+      expect(toAmount('')).toBeNull();
+      expect(toAmount(undefined)).toBeNull();
+      expect(toAmount('n/a')).toBeNull();
+    });
+
+    test('should use the fallback for blank or invalid amounts', () => {
+      expect(toAmount(null, 0)).toBe(0);
+      expect(toAmount('n/a', 0)).toBe(0);
+    });
+  });
+
+  describe('round', () => {
+    test('should round to 2 decimal places', () => {
+      expect(round(2.3456)).toBe(2.35);
+      expect(round(7 / 3)).toBe(2.33);
+    });
+  });
+
+  describe('toDateKey', () => {
+    test('should convert dates to YYYY-MM-DD keys', () => {
+      expect(toDateKey('2024-05-01')).toBe('2024-05-01');
+      expect(toDateKey(new Date('2024-05-01T00:00:00Z'))).toBe('2024-05-01');
+      expect(toDateKey('not a date')).toBeNull();
+      expect(toDateKey(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Client Settings Service Tests
+ *
+ * Tests loading client settings and matching role-limited entries to workers
+ */
+
+const ClientSettingsService = require('../src/services/clientSettingsService');
+const { pool } = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('ClientSettingsService', () => {
+  let settingsService;
+
+  beforeEach(() => {
+    settingsService = new ClientSettingsService();
+    pool.query.mockReset();
+  });
+
+  describe('getSettings', () => {
+    test('should read the settings of a client', async () => {
+      const settings = { troncScheme: { name: 'House tronc' } };
+      pool.query.mockResolvedValueOnce({ rows: [{ settings }] });
+
+      const result = await settingsService.getSettings(3, 'client');
+
+      expect(result).toEqual(settings);
+      expect(pool.query.mock.calls[0][1]).toEqual([3]);
+    });
+
+    test('should return null for unknown clients', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await settingsService.getSettings(99, 'client')).toBeNull();
+    });
+
+    test('should not look up settings for employers', async () => {
+      const result = await settingsService.getSettings(3, 'employer');
+
+      expect(result).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appliesToRole', () => {
+    test('should apply entries without roles to every worker', () => {
+      expect(settingsService.appliesToRole({ name: 'PPE' }, { role: 'Chef' })).toBe(true);
+      expect(settingsService.appliesToRole({ name: 'PPE', roles: [] }, {})).toBe(true);
+    });
+
+    test('should match roles ignoring case and spacing', () => {
+      const entry = { name: 'DBS check', roles: ['Care Assistant'] };
+
+      expect(settingsService.appliesToRole(entry, { role: ' care assistant ' })).toBe(true);
+      expect(settingsService.appliesToRole(entry, { role: 'Nurse' })).toBe(false);
+      expect(settingsService.appliesToRole(entry, {})).toBe(false);
+    });
+  });
+});
@@ -239,6 +239,36 @@ describe('ColumnMappingService', () => {
       expect(result.warnings).toContain('Field "worker_name" is mapped to multiple headers');
     });
 
+    test('should allow several deduction lines with treatment overrides', () => {
+      const userMappings = [
+        { csvHeader: 'Gym', suggestedField: 'deduction_line', deductionTreatment: 'employer_benefit' },
+        { csvHeader: 'Canteen', suggestedField: 'deduction_line' }
+      ];
+      const originalHeaders = ['Gym', 'Canteen'];
+
+      const result = mappingService.validateUserMappings(userMappings, originalHeaders);
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+      expect(mappingService.getDeductionTreatments(result.mappings)).toEqual({ gym: 'employer_benefit' });
+    });
+
+    test('should reject unknown deduction treatments and treatments on other fields', () => {
+      const userMappings = [
+        { csvHeader: 'Gym', suggestedField: 'deduction_line', deductionTreatment: 'optional' },
+        { csvHeader: 'Hours', suggestedField: 'hours', deductionTreatment: 'statutory' }
+      ];
+      const originalHeaders = ['Gym', 'Hours'];
+
+      const result = mappingService.validateUserMappings(userMappings, originalHeaders);
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'Deduction treatment for "Gym" must be one of: employer_benefit, worker_benefit, statutory',
+        'Header "Hours" can only have a deduction treatment when mapped to deduction_line'
+      ]);
+    });
+
     test('should handle malformed mapping objects', () => {
       const userMappings = [
         { csvHeader: 'employee_name' }, // Missing suggestedField
@@ -40,6 +40,10 @@ describe('ComplianceExplanationService', () => {
       expect(errorCodes).toHaveProperty('RATE_BELOW_MINIMUM');
       expect(errorCodes).toHaveProperty('ACCOMMODATION_OFFSET_EXCEEDED');
       expect(errorCodes).toHaveProperty('EXCESSIVE_DEDUCTIONS');
+      expect(errorCodes).toHaveProperty('ROSTERED_HOURS_EXCEED_PAID');
+      expect(errorCodes).toHaveProperty('UNPAID_TRAINING_TIME');
+      expect(errorCodes).toHaveProperty('SALARY_SACRIFICE_BELOW_MINIMUM');
+      expect(errorCodes).toHaveProperty('WORKER_INCURRED_EXPENSES');
     });
 
     test('should have proper error code structure', () => {
@@ -277,6 +281,36 @@ describe('ComplianceExplanationService', () => {
       expect(context.rateComparison.shortfall).toBeCloseTo(1.92, 2);
       expect(context.deductionInfo.total).toBe(100);
     });
+
+    test('should compare paid hours with rostered and clocked hours', () => {
+      const errorInfo = explanationService.getErrorCodes()['ROSTERED_HOURS_EXCEED_PAID'];
+      const issueDetails = { paid_hours: 30, rostered_hours: 36, clocked_hours: null, unpaid_hours: 6 };
+
+      const context = explanationService.prepareStructuredContext(errorInfo, issueDetails, {});
+
+      expect(context.issue.category).toBe('critical');
+      expect(context.hoursComparison).toEqual({ paid: 30, rostered: 36, clocked: null, unpaid: 6 });
+    });
+
+    test('should describe unpaid training time', () => {
+      const errorInfo = explanationService.getErrorCodes()['UNPAID_TRAINING_TIME'];
+      const issueDetails = { training_hours: 7.5, training_description: 'Induction', effective_hourly_rate_without_training: 12 };
+
+      const context = explanationService.prepareStructuredContext(errorInfo, issueDetails, {});
+
+      expect(context.issue.title).toBe('Unpaid Training Time');
+      expect(context.trainingTime).toEqual({ hours: 7.5, description: 'Induction', rateWithoutTraining: 12 });
+    });
+
+    test('should set out the employer exposure for salary sacrifice below the minimum wage', () => {
+      const errorInfo = explanationService.getErrorCodes()['SALARY_SACRIFICE_BELOW_MINIMUM'];
+      const issueDetails = { total_sacrifice: 160, arrears_owed: 160, maximum_penalty: 320, naming_risk: false };
+
+      const context = explanationService.prepareStructuredContext(errorInfo, issueDetails, {});
+
+      expect(context.issue.category).toBe('critical');
+      expect(context.employerExposure).toEqual({ sacrifice: 160, arrears: 160, maximumPenalty: 320, namingRisk: false });
+    });
   });
 
   describe('Response Parsing', () => {
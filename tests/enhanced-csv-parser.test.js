@@ -82,6 +82,90 @@ describe('Enhanced CSV Parser Service Tests', () => {
       expect(variations).toContain('weekend_premium');
       expect(variations).toContain('unsocial_hours');
     });
+
+    test('should map unpaid training hours separately from training costs', () => {
+      const mapping = csvParser.mapColumns(['employee_id', 'induction_hours', 'training_cost', 'course_name'], 'payroll');
+
+      expect(mapping.induction_hours).toBe('training_hours');
+      expect(mapping.training_cost).toBe('training_deduction');
+      expect(mapping.course_name).toBe('training_description');
+    });
+
+    test('should map salary sacrifice scheme columns', () => {
+      const mapping = csvParser.mapColumns(['pension_salary_sacrifice', 'cycle_to_work', 'childcare_vouchers', 'ev_scheme'], 'payroll');
+
+      expect(Object.values(mapping)).toEqual(['pension_sacrifice', 'cycle_to_work_sacrifice', 'childcare_voucher_sacrifice', 'ev_sacrifice']);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', pension_sacrifice: '-45' }, 'payroll', 2)[0].type).toBe('invalid_salary_sacrifice');
+    });
+
+    test('should reject negative or non-numeric training hours', () => {
+      const row = { worker_id: 'W001', hours: '150', pay: '1800', training_hours: 'two days' };
+
+      const errors = csvParser.validateRow(row, 'payroll', 2);
+
+      expect(errors.map(error => error.type)).toEqual(['invalid_training_hours']);
+    });
+
+    test('should map accommodation occupancy dates and reject an end before the start', () => {
+      const mapping = csvParser.mapColumns(['move_in_date', 'move_out_date'], 'payroll');
+
+      expect(Object.values(mapping)).toEqual(['occupancy_start', 'occupancy_end']);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', occupancy_start: '2024-04-20', occupancy_end: '2024-04-10' }, 'payroll', 2)[0].type).toBe('invalid_occupancy_dates');
+    });
+
+    test('should map holiday pay columns and reject negative holiday pay or hours', () => {
+      const mapping = csvParser.mapColumns(['rolled_up_holiday_pay', 'leave_hours', 'ot_pay', 'working_pattern', 'holiday_year_start'], 'payroll');
+
+      expect(Object.values(mapping)).toEqual(['holiday_pay', 'holiday_hours', 'overtime_pay', 'hours_pattern', 'leave_year_start']);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', holiday_pay: '-20', holiday_hours: 'some' }, 'payroll', 2).map(error => error.type))
+        .toEqual(['invalid_holiday_pay', 'invalid_holiday_hours']);
+    });
+
+    test('should map statutory pay columns and reject negative payments or invalid dates', () => {
+      const mapping = csvParser.mapColumns(['awe', 'days_sick', 'piw_start', 'linked_piw', 'statutory_sick_pay', 'smp_start', 'smp', 'spp_start', 'spp'], 'payroll');
+
+      expect(Object.values(mapping)).toEqual([
+        'average_weekly_earnings', 'sick_days', 'sickness_start', 'linked_sickness', 'ssp_paid',
+        'maternity_pay_start', 'smp_paid', 'paternity_leave_start', 'spp_paid'
+      ]);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', ssp_paid: '-47.50', sickness_start: 'last week' }, 'payroll', 2).map(error => error.type))
+        .toEqual(['invalid_ssp_paid', 'invalid_sickness_start']);
+    });
+
+    test('should map pension contribution columns and reject negative contributions', () => {
+      const mapping = csvParser.mapColumns(['er_pension', 'ee_pension', 'opted_out'], 'payroll');
+
+      expect(Object.values(mapping)).toEqual(['employer_pension_contribution', 'employee_pension_contribution', 'pension_opt_out']);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', employer_pension_contribution: '-10' }, 'payroll', 2).map(error => error.type))
+        .toEqual(['invalid_employer_pension_contribution']);
+    });
+
+    test('should map tips uploads and require a site for tips collected and a worker for tips distributed', () => {
+      const mapping = csvParser.mapColumns(['venue', 'date', 'tips_collected', 'collection_month'], 'tips_collected');
+
+      expect(Object.values(mapping)).toEqual(['site', 'date', 'tips_amount', 'tips_month']);
+      expect(csvParser.validateRow({ date: '2024-03-02', tips_amount: '120.50' }, 'tips_collected', 2).map(error => error.type)).toEqual(['missing_site']);
+      expect(csvParser.validateRow({ worker_name: 'Alex', date: 'soon', tips_amount: '-5' }, 'tips_distributed', 3).map(error => error.type))
+        .toEqual(['missing_worker_id', 'invalid_tips_date', 'invalid_tips_amount']);
+    });
+
+    test('should collect named deduction columns as deduction lines with mapped treatments', () => {
+      const rows = csvParser.processData([{
+        worker_id: 'W001',
+        uniform_deduction: '15',
+        deduction_gym_membership: '25',
+        staff_loan_deduction: '40',
+        canteen: '8.50',
+        pay: '1800'
+      }], 'payroll', { deductionTreatments: { canteen: 'worker_benefit' } });
+
+      expect(rows[0].deduction_lines).toEqual([
+        { name: 'gym membership', column: 'deduction_gym_membership', amount: 25 },
+        { name: 'staff loan', column: 'staff_loan_deduction', amount: 40 },
+        { name: 'canteen', column: 'canteen', amount: 8.5, treatment: 'worker_benefit' }
+      ]);
+      expect(csvParser.validateRow({ worker_id: 'W001', hours: '160', pay: '1830', deduction_gym: 'n/a' }, 'payroll', 2)[0].type).toBe('invalid_deduction_line');
+    });
   });
 
   describe('Component Categorization', () => {
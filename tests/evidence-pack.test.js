@@ -107,6 +107,36 @@ describe('Evidence Pack Services', () => {
       expect(nmwRule.source).toBe('GOV.UK');
     });
 
+    test('should rate workers against the registry rate for their age at the start of the PRP', async () => {
+      const { pool } = require('../src/config/database');
+      pool.query.mockResolvedValue({
+        rows: [
+          { id: 1, external_id: 'W001', name: 'Adult', age: 30, period_start: '2024-05-01', period_end: '2024-05-31', total_hours: 160, total_pay: 1760, effective_hourly_rate: 11.00 },
+          { id: 2, external_id: 'W002', name: 'Young', date_of_birth: '2001-06-15', period_start: '2023-05-01', period_end: '2023-05-31', total_hours: 100, total_pay: 1030, effective_hourly_rate: 10.30 },
+          { id: 3, external_id: 'W003', name: 'Unknown', period_start: '2024-05-01', period_end: '2024-05-31', total_hours: 100, total_pay: 1200, effective_hourly_rate: 12.00 }
+        ]
+      });
+
+      const workers = await evidencePackService.getWorkerDetails(9);
+
+      expect(workers[0]).toMatchObject({ required_hourly_rate: 11.44, rag_status: 'RED', shortfall_amount: 70.40 });
+      expect(workers[1]).toMatchObject({ required_hourly_rate: 10.18, rag_status: 'AMBER', shortfall_amount: 0 });
+      expect(workers[2]).toMatchObject({ required_hourly_rate: null, rag_status: 'AMBER' });
+    });
+
+    test('should calculate arrears for a worker aged 21 or over paid between the old and new adult rates', async () => {
+      const workers = [{
+        worker_id: 'W001', worker_name: 'Adult', age: 30, period_start: '2024-05-01', period_end: '2024-05-31',
+        total_hours: 160, total_pay: 1760, effective_hourly_rate: 11.00
+      }].map(worker => ({ ...worker, ...evidencePackService.assessWorkerRate(worker) }));
+
+      const arrears = await evidencePackService.calculateArrears(workers, { arrearsCalculationDate: '2024-06-30' });
+
+      expect(arrears).not.toBeNull();
+      expect(arrears.workers[0].worker_id).toBe('W001');
+      expect(arrears.workers[0].total_arrears).toBeCloseTo(70.40, 2);
+    });
+
     test('should get package statistics correctly', () => {
       const mockEvidencePack = {
         workers: [{}, {}, {}], // 3 workers
@@ -245,9 +275,150 @@ describe('Evidence Pack Services', () => {
       expect(html).toContain('status-red');
       expect(html).toContain('£87.00');
     });
+
+    test('should generate rate year selection section', () => {
+      const rateSelection = [
+        {
+          worker_id: 'W001',
+          worker_name: 'Test Worker 1',
+          period_start: '2024-03-15',
+          period_end: '2024-04-14',
+          rate_year: 'April 2023 - March 2024 rates',
+          spans_uprating: true,
+          uprating_date: '2024-04-01',
+          explanation: 'The PRP started on 2024-03-15, before the uprating on 2024-04-01'
+        }
+      ];
+
+      const html = pdfService.generateRateSelection(rateSelection);
+
+      expect(html).toContain('Rate Year Selection');
+      expect(html).toContain('1 period(s) in this upload span an uprating date');
+      expect(html).toContain('April 2023 - March 2024 rates');
+      expect(html).toContain('before the uprating on 2024-04-01');
+    });
+
+    test('should generate travel time section', () => {
+      const travelTime = [
+        {
+          worker_id: 'C001',
+          worker_name: 'Care Worker',
+          period_start: '2024-05-01',
+          period_end: '2024-05-31',
+          visits: 40,
+          rota_hours: 30,
+          travel_legs: 32,
+          default_travel_legs: 4,
+          travel_hours: 8.5,
+          qualifying_hours: 38.5
+        }
+      ];
+
+      const html = pdfService.generateTravelTime(travelTime);
+
+      expect(html).toContain('Travel Time Between Visits');
+      expect(html).toContain('8.50 travel hours were added in total');
+      expect(html).toContain('4 of 32');
+      expect(html).toContain('38.50');
+    });
+
+    test('should generate tips allocation section', () => {
+      const troncAllocation = {
+        governance: {
+          scheme_type: 'employer_controlled',
+          troncmaster: null,
+          distribution_policy: 'Shared by hours worked',
+          ni_treatment: 'Employer and employee NICs are due because the employer controls the allocation',
+          issues: []
+        },
+        reconciliation: {
+          status: 'under_distributed',
+          total_collected: 1000,
+          total_distributed: 850,
+          message: '£150.00 collected was not paid out to workers; all tips must be passed on in full'
+        },
+        fairness: {
+          assessed: true,
+          basis: 'Shared in proportion to hours worked',
+          workers: [
+            { worker_id: 'H001', worker_name: 'Alex', role: 'Waiter', hours: 100, amount: 500, expected_share: 425, variance: 75, flagged: true }
+          ]
+        }
+      };
+
+      const html = pdfService.generateTroncAllocation(troncAllocation);
+
+      expect(html).toContain('Tips Allocation');
+      expect(html).toContain('Employer controlled');
+      expect(html).toContain('UNDER DISTRIBUTED');
+      expect(html).toContain('£150.00 collected was not paid out');
+      expect(html).toContain('£425.00');
+      expect(html).toContain('REVIEW');
+    });
+
+    test('should generate tips compliance section', () => {
+      const tipsCompliance = {
+        as_of: '2024-05-10',
+        rule: 'All qualifying tips must be paid to workers in full by the end of the month after the month they were received',
+        written_policy: { recorded: false, description: null, message: 'No written tipping policy is recorded; employers must have one and make it available to workers' },
+        summary: { total_collected: 800, total_paid_on_time: 400, total_paid_late: 50, total_shortfall: 350, total_unmatched: 0 },
+        months: [
+          { site: 'Soho', month: '2024-01', deadline: '2024-02-29', collected: 500, paid_on_time: 400, paid_late: 50, shortfall: 50, status: 'shortfall' }
+        ],
+        late_payments: [
+          { worker_id: 'H002', worker_name: 'Jo', site: 'Soho', tips_month: '2024-01', paid_on: '2024-03-05', days_late: 5, amount: 50 }
+        ],
+        unmatched_distributions: []
+      };
+
+      const html = pdfService.generateTipsCompliance(tipsCompliance);
+
+      expect(html).toContain('Tips Compliance');
+      expect(html).toContain('No written tipping policy is recorded');
+      expect(html).toContain('£350.00');
+      expect(html).toContain('SHORTFALL');
+      expect(html).toContain('Late Payments');
+      expect(html).toContain('H002');
+    });
+
+    test('should generate pension auto-enrolment section', () => {
+      const autoEnrolment = {
+        rule: 'Eligible jobholders must be enrolled with employer contributions of at least 3% and total contributions of at least 8% of qualifying earnings',
+        summary: { checked: 1, green: 0, amber: 0, red: 1, eligible_jobholders: 1, non_eligible_jobholders: 0, entitled_workers: 0, total_employer_shortfall: 44.40, total_contribution_shortfall: 118.40 },
+        workers: [{
+          worker_id: 'W001', worker_name: 'Sam', age: 30, pay_reference_period: 'monthly', earnings: 2000,
+          category: 'eligible_jobholder', ragStatus: 'RED', issue: 'not_enrolled',
+          reason: 'Eligible jobholder: Employer pension contribution paid (£0.00) is £44.40 below the amount due (£44.40)',
+          contributions: { employer: 0, employee: 0, total: 0, minimum_employer: 44.40, minimum_total: 118.40 }
+        }]
+      };
+
+      const html = pdfService.generateAutoEnrolment(autoEnrolment);
+
+      expect(html).toContain('Pension Auto-enrolment');
+      expect(html).toContain('Eligible jobholder');
+      expect(html).toContain('£44.40 / £118.40');
+      expect(html).toContain('status-red');
+    });
   });
 
   describe('CsvGenerationService', () => {
+    test('should generate pension auto-enrolment CSV', async () => {
+      const csv = await csvService.generateAutoEnrolmentCSV({
+        rule: 'Eligible jobholders must be enrolled',
+        summary: { checked: 1, green: 0, amber: 0, red: 1, eligible_jobholders: 1, non_eligible_jobholders: 0, entitled_workers: 0, total_employer_shortfall: 44.40, total_contribution_shortfall: 118.40 },
+        workers: [{
+          worker_id: 'W001', worker_name: 'Sam', age: 30, pay_reference_period: 'monthly', earnings: 2000,
+          category: 'eligible_jobholder', ragStatus: 'RED', issue: 'not_enrolled',
+          reason: 'Eligible jobholder: Employer pension contribution paid (£0.00) is £44.40 below the amount due (£44.40)',
+          contributions: { employer: 0, employee: 0, total: 0, minimum_employer: 44.40, minimum_total: 118.40 }
+        }]
+      });
+
+      expect(csv).toContain('PENSION AUTO-ENROLMENT');
+      expect(csv).toContain('W001,Sam,30,monthly,2000.00,eligible_jobholder,0.00,0.00,44.40,118.40,RED');
+    });
+
     test('should generate summary CSV', async () => {
       const evidencePack = {
         metadata: {
@@ -233,6 +233,19 @@ describe('Fix Suggestion Service Tests', () => {
       expect(suggestions[0].message).toContain('Accommodation charges exceed legal limits');
     });
 
+    test('should generate suggestions for unrealistic daily average agreements', () => {
+      const ragResult = {
+        ragStatus: 'AMBER',
+        amberFlags: ['daily_average_unrealistic']
+      };
+
+      const suggestions = fixSuggestionService.generateAmberStatusSuggestions(ragResult, {});
+
+      expect(suggestions).toHaveLength(1);
+      expect(suggestions[0].type).toBe('AGREEMENT_REVIEW');
+      expect(suggestions[0].message).toContain('agreed daily average');
+    });
+
     test('should handle multiple amber flags', () => {
       const ragResult = {
         ragStatus: 'AMBER',
@@ -0,0 +1,154 @@
+const HolidayPayService = require('../src/services/holidayPayService');
+const { pool } = require('../src/config/database');
+
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('Holiday Pay Service', () => {
+  let service;
+
+  // Twelve four-weekly periods of £1,000 for 100 hours: 48 weeks at £10 an hour
+  const fourWeeklyHistory = Array.from({ length: 12 }, (_, index) => {
+    const start = new Date(Date.UTC(2024, 0, 1 + index * 28));
+    const end = new Date(Date.UTC(2024, 0, 28 + index * 28));
+    return {
+      period_start: start.toISOString().split('T')[0],
+      period_end: end.toISOString().split('T')[0],
+      total_hours: 100,
+      total_pay: 1000
+    };
+  });
+
+  // Twelve monthly periods over 2024 with overtime and commission included in pay
+  const monthlyHistory = Array.from({ length: 12 }, (_, index) => ({
+    period_start: new Date(Date.UTC(2024, index, 1)).toISOString().split('T')[0],
+    period_end: new Date(Date.UTC(2024, index + 1, 0)).toISOString().split('T')[0],
+    total_hours: 150,
+    total_pay: index % 2 === 0 ? 1800 : 1950
+  }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new HolidayPayService();
+  });
+
+  describe('getHoursPattern', () => {
+    test('should recognise irregular-hours and part-year workers', () => {
+      expect(service.getHoursPattern({ hours_pattern: 'Zero Hours' })).toBe('irregular_hours');
+      expect(service.getHoursPattern({ hours_pattern: 'term-time' })).toBe('part_year');
+      expect(service.getHoursPattern({})).toBe('regular');
+    });
+  });
+
+  describe('checkHolidayPay for irregular-hours workers', () => {
+    const worker = { id: 1, hours_pattern: 'irregular', leave_year_start: '2024-04-01' };
+
+    test('should pass rolled-up holiday pay of 12.07% of pay including overtime and commission', () => {
+      const check = service.checkHolidayPay(worker, {
+        period_start: '2024-06-01', period_end: '2024-06-30', total_hours: 80, total_pay: 1000,
+        overtime_pay: 150, commission: 50, holiday_pay: 120.70
+      });
+
+      expect(check).toMatchObject({ method: 'rolled_up', ragStatus: 'GREEN', expected_holiday_pay: 120.70, shortfall: 0 });
+      expect(check.earnings).toEqual({ total_pay: 1000, overtime_pay: 150, commission: 50 });
+    });
+
+    test('should flag rolled-up holiday pay below 12.07%', () => {
+      const check = service.checkHolidayPay(worker, {
+        period_start: '2024-06-01', period_end: '2024-06-30', total_hours: 80, total_pay: 1000, holiday_pay: 100
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'rolled_up_holiday_pay_shortfall', shortfall: 20.70 });
+    });
+
+    test('should ask for the accrual to be confirmed when no rolled-up pay is paid', () => {
+      const check = service.checkHolidayPay(worker, {
+        period_start: '2024-06-01', period_end: '2024-06-30', total_hours: 80, total_pay: 1000
+      });
+
+      expect(check).toMatchObject({ method: 'accrual', ragStatus: 'AMBER', accrued_hours: 9.66 });
+    });
+
+    test('should not accept rolled-up pay in a leave year starting before April 2024', () => {
+      const check = service.checkHolidayPay({ id: 1, hours_pattern: 'irregular', leave_year_start: '2024-01-01' }, {
+        period_start: '2024-06-01', period_end: '2024-06-30', total_hours: 80, total_pay: 1000, holiday_pay: 120.70
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'rolled_up_before_reform' });
+    });
+  });
+
+  describe('calculateReferenceAverage', () => {
+    test('should average pay over the 52 weeks before the leave, skipping weeks with no pay', () => {
+      const history = [
+        ...monthlyHistory,
+        { period_start: '2025-01-01', period_end: '2025-01-31', total_hours: 0, total_pay: 0 }
+      ];
+
+      const reference = service.calculateReferenceAverage(history, '2025-02-01');
+
+      expect(reference.periods_used).toBe(12);
+      expect(reference.complete).toBe(true);
+      expect(reference.average_hourly_pay).toBe(12.5);
+    });
+  });
+
+  describe('checkHolidayPay for other workers', () => {
+    const worker = { id: 2 };
+
+    test('should return nothing when no holiday was paid or taken', () => {
+      expect(service.checkHolidayPay(worker, { period_start: '2025-01-01', total_pay: 1000 })).toBeNull();
+    });
+
+    test('should flag holiday pay that leaves out overtime and commission', () => {
+      const check = service.checkHolidayPay(worker, {
+        period_start: '2025-01-01', period_end: '2025-01-31', total_hours: 120, total_pay: 1500,
+        holiday_hours: 30, holiday_pay: 330, holiday_pay_history: monthlyHistory
+      });
+
+      // Average of £12.50 an hour over the last 52 weeks, not the £11 basic rate
+      expect(check).toMatchObject({ method: 'reference_average', ragStatus: 'RED', expected_holiday_pay: 375, shortfall: 45 });
+    });
+
+    test('should only warn about a shortfall when fewer than 52 weeks of pay were uploaded', () => {
+      const check = service.checkHolidayPay(worker, {
+        period_start: '2024-12-02', period_end: '2024-12-29', total_hours: 80, total_pay: 800,
+        holiday_hours: 20, holiday_pay: 150, holiday_pay_history: fourWeeklyHistory.slice(0, 6)
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'reference_period_incomplete', shortfall: 50 });
+      expect(check.reference_period.weeks).toBe(24);
+    });
+
+    test('should flag holiday pay paid without the hours it covers', () => {
+      const check = service.checkHolidayPay(worker, { period_start: '2025-01-01', total_pay: 1000, holiday_pay: 200 });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'holiday_hours_missing' });
+    });
+  });
+
+  describe('summarizeChecks', () => {
+    test('should count checks by RAG status and total the shortfalls', () => {
+      expect(service.summarizeChecks([
+        null,
+        { ragStatus: 'GREEN', shortfall: 0 },
+        { ragStatus: 'RED', shortfall: 45 },
+        { ragStatus: 'AMBER', shortfall: 20.7 }
+      ])).toEqual({ checked: 3, green: 1, amber: 1, red: 1, total_shortfall: 65.7 });
+    });
+  });
+
+  describe('getReferenceHistory', () => {
+    test('should look back up to 104 weeks across uploads for the same worker', async () => {
+      pool.query.mockResolvedValue({ rows: monthlyHistory });
+
+      const history = await service.getReferenceHistory(7, '2025-01-01');
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM pay_periods'), [7, '2025-01-01', '2023-01-04']);
+      expect(history).toHaveLength(12);
+    });
+  });
+});
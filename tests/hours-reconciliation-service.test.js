@@ -0,0 +1,70 @@
+/**
+ * Hours Reconciliation Service Tests
+ *
+ * Tests comparing paid hours with rostered and clocked hours for the same pay period
+ */
+
+const HoursReconciliationService = require('../src/services/hoursReconciliationService');
+const { pool } = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('HoursReconciliationService', () => {
+  let reconciliationService;
+
+  beforeEach(() => {
+    reconciliationService = new HoursReconciliationService();
+    pool.query.mockReset();
+  });
+
+  describe('reconcileHours', () => {
+    test('should use the highest of paid, rostered and clocked hours', () => {
+      const result = reconciliationService.reconcileHours(30, 36, 34);
+
+      expect(result.hours_used).toBe(36);
+      expect(result.hours_source).toBe('rostered');
+      expect(result.unpaid_hours).toBe(6);
+    });
+
+    test('should prefer paid hours when figures are equal', () => {
+      const result = reconciliationService.reconcileHours('36', 36, null);
+
+      expect(result.hours_used).toBe(36);
+      expect(result.hours_source).toBe('paid');
+      expect(result.unpaid_hours).toBe(0);
+    });
+
+    test('should not report unpaid hours when payroll has no hours', () => {
+      const result = reconciliationService.reconcileHours(undefined, 25, null);
+
+      expect(result.paid_hours).toBeNull();
+      expect(result.hours_used).toBe(25);
+      expect(result.unpaid_hours).toBe(0);
+    });
+  });
+
+  describe('getClockedHours', () => {
+    test('should total timesheet hours matched by worker external ID', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ entries: '3', clocked_hours: '22.50' }] });
+
+      const hours = await reconciliationService.getClockedHours(7, '2024-05-01', '2024-05-31');
+
+      expect(hours).toBe(22.5);
+      expect(pool.query.mock.calls[0][0]).toContain('w.external_id = te.worker_external_id');
+      expect(pool.query.mock.calls[0][1]).toEqual([7, '2024-05-01', '2024-05-31']);
+    });
+
+    test('should return null when no timesheet covers the pay period', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ entries: '0', clocked_hours: '0' }] });
+
+      const hours = await reconciliationService.getClockedHours(7, '2024-05-01', '2024-05-31');
+
+      expect(hours).toBeNull();
+    });
+  });
+});
@@ -179,13 +179,17 @@ describe('Integrated NMW Service Tests', () => {
   describe('Core PRP Calculation', () => {
     test('should calculate core PRP correctly', async () => {
       const mockPRPResult = {
-        effectiveHourlyRate: 10.50,
-        requiredRate: 10.42,
-        ragStatus: 'green',
-        complianceScore: 100,
-        totalHours: 40,
-        totalPay: 420.00,
-        breakdown: { prpDates: ['2024-01-01', '2024-01-31'] }
+        success: true,
+        prp: {
+          start_date: '2024-01-01',
+          end_date: '2024-01-31',
+          total_hours: 40,
+          total_pay: 420.00,
+          effective_hourly_rate: 10.50,
+          required_hourly_rate: 10.42,
+          mandatory_activities: null
+        },
+        compliance: { rag_status: 'GREEN', compliance_score: 100 }
       };
 
       mockPRPService.calculatePRP.mockReturnValue(mockPRPResult);
@@ -199,24 +203,14 @@ describe('Integrated NMW Service Tests', () => {
       expect(result.success).toBe(true);
       expect(result.effective_hourly_rate).toBe(10.50);
       expect(result.required_hourly_rate).toBe(10.42);
-      expect(result.compliance_status).toBe('green');
+      expect(result.compliance_status).toBe('GREEN');
       expect(result.compliance_score).toBe(100);
       expect(result.total_hours).toBe(40);
       expect(result.total_pay).toBe(420.00);
     });
 
     test('should use default values for missing worker properties', async () => {
-      const mockPRPResult = {
-        effectiveHourlyRate: 10.50,
-        requiredRate: 10.42,
-        ragStatus: 'green',
-        complianceScore: 100,
-        totalHours: 40,
-        totalPay: 420.00,
-        breakdown: {}
-      };
-
-      mockPRPService.calculatePRP.mockReturnValue(mockPRPResult);
+      mockPRPService.calculatePRP.mockReturnValue({ success: false, error: 'Total hours must be greater than 0' });
 
       const result = await integratedService.calculateCorePRP(
         { worker_id: 'W001', worker_name: 'John Smith' }, // Missing age and apprentice
@@ -224,11 +218,112 @@ describe('Integrated NMW Service Tests', () => {
         {}
       );
       
-      expect(result.success).toBe(true);
+      expect(result.success).toBe(false);
+      expect(result.total_hours).toBe(0);
       expect(mockPRPService.calculatePRP).toHaveBeenCalledWith(
-        { worker_id: 'W001', worker_name: 'John Smith', age: 25, apprentice: false },
-        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31', hours: 0, pay: 0 }
+        { id: 'W001', worker_id: 'W001', worker_name: 'John Smith', age: 25, apprentice: false },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 0, total_pay: 0 }
+      );
+    });
+
+    test('should pass stored total hours and pay to the PRP calculation', async () => {
+      mockPRPService.calculatePRP.mockReturnValue({ success: false, error: 'not needed' });
+
+      await integratedService.calculateCorePRP(
+        { id: 7, worker_id: 'W001', age: 30 },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31', total_hours: '160', total_pay: '1900' },
+        {}
+      );
+
+      expect(mockPRPService.calculatePRP.mock.calls[0][0].id).toBe(7);
+      expect(mockPRPService.calculatePRP.mock.calls[0][1]).toMatchObject({ total_hours: 160, total_pay: 1900 });
+    });
+  });
+
+  describe('End-to-end with the PRP calculation', () => {
+    const ActualPRPCalculationService = jest.requireActual('../src/services/prpCalculationService');
+    const worker = { worker_id: 'W001', worker_name: 'John Smith', age: 30 };
+
+    beforeEach(() => {
+      integratedService.prpService = new ActualPRPCalculationService();
+      mockRatesConfig.getCategoryRates.mockResolvedValue({});
+      mockAccommodationService.calculateAccommodationOffset.mockResolvedValue({ success: true, total_charge: 0, total_offset: 0, total_excess: 0 });
+      mockDeductionService.calculateNMWDeductions.mockResolvedValue({ success: true, total_deductions: 0, compliant_deductions: 0, non_compliant_deductions: 0 });
+    });
+
+    test('should count mandatory activities through calculateComprehensiveNMW', async () => {
+      const result = await integratedService.calculateComprehensiveNMW(
+        worker,
+        {
+          id: 'PP001', period_start: '2024-05-01', period_end: '2024-05-31', hours: 160, pay: 1900,
+          shifts_worked: 20, mandatory_activities: [{ name: 'Security screening', minutesPerShift: 15 }]
+        },
+        {}, {}, {}
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.breakdown.mandatory_activities).toMatchObject({ shifts: 20, total_hours: 5, hours_without_activities: 160 });
+    });
+
+    test('should add training hours to the hours worked through calculateComprehensiveNMW', async () => {
+      const result = await integratedService.calculateComprehensiveNMW(
+        worker,
+        { id: 'PP001', period_start: '2024-05-01', period_end: '2024-05-31', hours: 160, pay: 1900, training_hours: 10 },
+        {}, {}, {}
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.total_hours).toBe(170);
+      expect(result.effective_hourly_rate).toBeCloseTo(11.18, 2);
+      expect(result.breakdown.training_time).toMatchObject({ hours_without_training: 160, hours_with_training: 170 });
+    });
+
+    test('should count a utilities deduction column under the accommodation offset limit rather than as a deduction', async () => {
+      const ActualAccommodationOffsetService = jest.requireActual('../src/services/accommodationOffsetService');
+      const ActualNMWDeductionService = jest.requireActual('../src/services/nmwDeductionService');
+      integratedService.accommodationService = new ActualAccommodationOffsetService();
+      integratedService.deductionService = new ActualNMWDeductionService();
+      mockRatesConfig.getCategoryRates.mockImplementation(async category => (
+        category === 'accommodation' ? { dailyLimit: 9.99, source: 'GOV.UK', lastUpdated: '2024-04-01' } : { maxDeduction: 0 }
+      ));
+
+      const result = await integratedService.calculateComprehensiveNMW(
+        worker,
+        {
+          id: 'PP001', period_start: '2024-05-01', period_end: '2024-05-31', hours: 160, pay: 1900,
+          deduction_lines: [{ name: 'utilities', column: 'utilities_deduction', amount: 400 }]
+        },
+        {}, {}, {}
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.breakdown.nmw_deductions).toMatchObject({ total_deductions: 0, deduction_lines: [] });
+      expect(result.breakdown.accommodation_offsets.related_charges[0]).toMatchObject({ name: 'utilities', amount: 400, source: 'deduction_line' });
+      expect(result.breakdown.accommodation_offsets.total_offset).toBeCloseTo(309.69, 2);
+      expect(result.breakdown.accommodation_offsets.total_excess).toBeCloseTo(90.31, 2);
+      expect(result.effective_hourly_rate).toBeCloseTo((1900 - 309.69) / 160, 2);
+    });
+
+    test('should stay GREEN when an employer-benefit deduction leaves pay above NMW', async () => {
+      const ActualNMWDeductionService = jest.requireActual('../src/services/nmwDeductionService');
+      integratedService.deductionService = new ActualNMWDeductionService();
+      mockRatesConfig.getCategoryRates.mockResolvedValue({ maxDeduction: 0 });
+
+      const result = await integratedService.calculateComprehensiveNMW(
+        worker,
+        {
+          id: 'PP001', period_start: '2024-05-01', period_end: '2024-05-31', hours: 160, pay: 2400,
+          deduction_lines: [{ name: 'uniform', amount: 40 }]
+        },
+        {}, {}, {}
       );
+
+      expect(result.success).toBe(true);
+      expect(result.total_deductions).toBe(40);
+      expect(result.effective_hourly_rate).toBeCloseTo(2360 / 160, 2);
+      expect(result.breakdown.nmw_deductions.compliance_status).toBe('green');
+      expect(result.final_compliance_status).toBe('green');
+      expect(result.rag_status).toBe('GREEN');
     });
   });
 
@@ -615,6 +710,129 @@ describe('Integrated NMW Service Tests', () => {
       expect(breakdown.accommodation_offsets).toBeNull();
       expect(breakdown.nmw_deductions).toBeNull();
     });
+
+    test('should include a mandatory unpaid activities line', () => {
+      const prpResult = {
+        total_hours: 170,
+        total_pay: 1840,
+        mandatory_activities: {
+          shifts: 20,
+          shift_count_source: 'shifts_worked',
+          activities: [{ name: 'Security screening', minutes_per_shift: 15, roles: null, hours: 5 }],
+          total_minutes: 300,
+          total_hours: 5,
+          hours_without_activities: 165,
+          effective_hourly_rate_without_activities: 11.15
+        }
+      };
+
+      const breakdown = integratedService.generateComprehensiveBreakdown(
+        prpResult, { success: false }, { success: false }, { success: false }, { success: false }, {}, {}, {}
+      );
+
+      expect(breakdown.mandatory_activities).toMatchObject({ shifts: 20, total_hours: 5, hours_without_activities: 165 });
+      expect(breakdown.mandatory_activities.activities[0].name).toBe('Security screening');
+    });
+  });
+
+  describe('Worker-Incurred Expenses', () => {
+    test('should subtract expenses borne by the worker from NMW pay', () => {
+      const prpResult = { total_pay: 1840, total_hours: 160, required_hourly_rate: 11.44 };
+
+      const result = integratedService.integrateCalculations(
+        prpResult,
+        { success: false },
+        { success: true, total_deductions: 0, total_excess: 0 },
+        { success: false },
+        { success: false },
+        { total: 0 },
+        { total: 0 },
+        {},
+        { success: false },
+        { success: true, total_expenses: 38 }
+      );
+
+      expect(result.totalWorkerExpenses).toBe(38);
+      expect(result.netPayForNMW).toBe(1802);
+      expect(result.effectiveHourlyRate).toBeCloseTo(11.26, 2);
+    });
+
+    test('should raise an issue for expenses that take pay below the minimum wage', () => {
+      const workerExpenses = { source: 'pay_period', expenses: [{ name: 'DBS check', category: 'other', amount: 38 }], total_expenses: 38 };
+
+      const [warning] = integratedService.generateWorkerExpenseWarnings(workerExpenses, { effectiveHourlyRate: 11.26, requiredHourlyRate: 11.44 });
+
+      expect(warning).toMatchObject({ code: 'WORKER_INCURRED_EXPENSES', severity: 'high', total_expenses: 38, expense_source: 'pay_period' });
+      expect(warning.message).toContain('DBS check');
+      expect(integratedService.generateWorkerExpenseWarnings(undefined, {})).toEqual([]);
+    });
+  });
+
+  describe('Salary Sacrifice', () => {
+    test('should subtract salary sacrifice from NMW pay', () => {
+      const prpResult = { total_pay: 1830, total_hours: 160, required_hourly_rate: 11.44 };
+
+      const result = integratedService.integrateCalculations(
+        prpResult,
+        { success: false },
+        { success: false },
+        { success: false },
+        { success: false },
+        { total: 0 },
+        { total: 0 },
+        {},
+        { success: true, total_sacrifice: 160 }
+      );
+
+      expect(result.totalSalarySacrifice).toBe(160);
+      expect(result.netPayForNMW).toBe(1670);
+      expect(result.effectiveHourlyRate).toBeCloseTo(10.44, 2);
+      expect(result.finalStatus).toBe('red');
+    });
+
+    test('should raise a RED warning with the employer exposure', () => {
+      const salarySacrifice = {
+        schemes: [{ scheme: 'pension', source: 'pension_sacrifice', amount: 160 }],
+        total_sacrifice: 160,
+        exposure: {
+          total_sacrifice: 160,
+          effective_hourly_rate_without_sacrifice: 11.44,
+          sacrifice_causes_shortfall: true,
+          arrears_owed: 160,
+          maximum_penalty: 320,
+          naming_risk: false
+        }
+      };
+
+      const [warning] = integratedService.generateSalarySacrificeWarnings(salarySacrifice);
+
+      expect(warning).toMatchObject({ code: 'SALARY_SACRIFICE_BELOW_MINIMUM', severity: 'high', arrears_owed: 160, maximum_penalty: 320 });
+      expect(warning.message).toContain('pension');
+      expect(integratedService.generateSalarySacrificeWarnings({ total_sacrifice: 50, schemes: [], exposure: null })).toEqual([]);
+    });
+  });
+
+  describe('Unpaid Training Time', () => {
+    test('should add training hours to the core PRP hours', () => {
+      const payPeriod = { training_hours: '7.5', training_description: 'Induction' };
+      const prpResult = { total_hours: 150, total_pay: 1800, effective_hourly_rate: 12 };
+
+      const trainingTime = integratedService.trainingTimeService.calculateTrainingTime(payPeriod, prpResult.total_hours);
+      const adjusted = integratedService.applyTrainingTime(prpResult, trainingTime);
+
+      expect(adjusted.total_hours).toBe(157.5);
+      expect(adjusted.effective_hourly_rate).toBeCloseTo(11.43, 2);
+    });
+
+    test('should flag training time that takes pay below the minimum rate', () => {
+      const trainingTime = { training_hours: 15, training_description: 'Mandatory e-learning', effective_hourly_rate_without_training: 12 };
+
+      const [warning] = integratedService.generateTrainingTimeWarnings(trainingTime, { effectiveHourlyRate: 10.91, requiredHourlyRate: 11.44 });
+
+      expect(warning).toMatchObject({ type: 'unpaid_training_time', code: 'UNPAID_TRAINING_TIME', severity: 'high', training_hours: 15 });
+      expect(warning.message).toContain('Mandatory e-learning');
+      expect(integratedService.generateTrainingTimeWarnings(null, {})).toEqual([]);
+    });
   });
 
   describe('Bulk Calculations', () => {
@@ -0,0 +1,98 @@
+/**
+ * Mandatory Activity Service Tests
+ *
+ * Tests per-client mandatory unpaid activities (security checks, handovers,
+ * PPE) counted as working time
+ */
+
+const MandatoryActivityService = require('../src/services/mandatoryActivityService');
+const { pool } = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('MandatoryActivityService', () => {
+  let activityService;
+
+  const activities = [
+    { name: 'Security screening', minutesPerShift: 10, roles: ['Warehouse Operative'] },
+    { name: 'PPE donning and doffing', minutesPerShift: 8 }
+  ];
+
+  beforeEach(() => {
+    activityService = new MandatoryActivityService();
+    pool.query.mockReset();
+  });
+
+  describe('validateActivities', () => {
+    test('should accept activities with minutes per shift and optional roles', () => {
+      expect(activityService.validateActivities(activities)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should reject activities without a name, minutes or valid roles', () => {
+      const result = activityService.validateActivities([
+        { minutesPerShift: 5 },
+        { name: 'Briefing', minutesPerShift: 0 },
+        { name: 'Handover', minutesPerShift: 10, roles: 'Nurse' }
+      ]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Activity at index 0 requires a name',
+        'Activity "Briefing" minutes per shift must be more than 0 and no more than 240',
+        'Activity "Handover" roles must be a list of role names'
+      ]);
+    });
+  });
+
+  describe('countShifts', () => {
+    test('should prefer rota shifts, then shifts worked, then days worked', () => {
+      expect(activityService.countShifts({ shifts: [{}, {}], shifts_worked: 5 })).toEqual({ count: 2, source: 'rota' });
+      expect(activityService.countShifts({ shifts_worked: '5', days_worked: 4 })).toEqual({ count: 5, source: 'shifts_worked' });
+      expect(activityService.countShifts({ days_worked: 4 })).toEqual({ count: 4, source: 'days_worked' });
+      expect(activityService.countShifts({})).toBeNull();
+    });
+  });
+
+  describe('calculateActivityTime', () => {
+    test('should apply role-filtered activities only to matching workers', () => {
+      const operative = activityService.calculateActivityTime(activities, { role: 'warehouse operative' }, { count: 20, source: 'shifts_worked' });
+      const driver = activityService.calculateActivityTime(activities, { role: 'Driver' }, { count: 20, source: 'shifts_worked' });
+
+      expect(operative.total_minutes).toBe(360);
+      expect(operative.total_hours).toBe(6);
+      expect(operative.activities.map(activity => activity.hours)).toEqual([3.33, 2.67]);
+      expect(driver.total_hours).toBe(2.67);
+      expect(driver.activities_not_applicable).toBe(1);
+    });
+
+    test('should flag when the number of shifts is unknown', () => {
+      const result = activityService.calculateActivityTime(activities, {}, null);
+
+      expect(result.total_hours).toBe(0);
+      expect(result.shifts_unknown).toBe(true);
+    });
+  });
+
+  describe('getClientActivities', () => {
+    test('should read activities from the client settings', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ settings: { mandatoryUnpaidActivities: activities } }] });
+
+      const result = await activityService.getClientActivities(3, 'client');
+
+      expect(result).toEqual(activities);
+      expect(pool.query.mock.calls[0][1]).toEqual([3]);
+    });
+
+    test('should not look up activities for employers', async () => {
+      const result = await activityService.getClientActivities(3, 'employer');
+
+      expect(result).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -168,6 +168,78 @@ describe('NMW Component Rules Module Tests', () => {
     });
   });
 
+  describe('Deduction Classification', () => {
+    beforeEach(async () => {
+      const mockRules = {
+        payComponents: {
+          deductions: {
+            statutory: {
+              category: 'statutory',
+              treatment: 'no_nmw_impact',
+              keywords: ['tax', 'ni', 'national_insurance'],
+              rule: 'Statutory deductions do not reduce pay for NMW purposes'
+            },
+            voluntary: {
+              category: 'voluntary',
+              treatment: 'no_nmw_impact',
+              keywords: ['gym_membership', 'staff_loan'],
+              rule: 'Deductions for the worker\'s own benefit do not reduce pay for NMW purposes'
+            },
+            employer_benefit: {
+              category: 'employer_benefit',
+              treatment: 'reduces_nmw_pay',
+              keywords: ['uniform', 'tools'],
+              rule: 'Deductions for the employer\'s own use and benefit reduce pay for NMW purposes'
+            }
+          }
+        }
+      };
+
+      mockFs.stat.mockResolvedValue({ mtime: new Date() });
+      mockFs.readFile.mockResolvedValue(JSON.stringify(mockRules));
+      await nmwComponentRules.loadRules();
+    });
+
+    test('should classify deductions by who benefits from them', async () => {
+      const gym = await nmwComponentRules.classifyDeduction('Gym Membership');
+      const uniform = await nmwComponentRules.classifyDeduction('Uniform Charge');
+
+      expect(gym.categoryPath).toBe('deductions.voluntary');
+      expect(gym.confidence).toBe('high');
+      expect(uniform.categoryPath).toBe('deductions.employer_benefit');
+      expect(uniform.matchedKeyword).toBe('uniform');
+      expect(uniform.confidence).toBe('medium');
+    });
+
+    test('should only match keywords as whole words', async () => {
+      const result = await nmwComponentRules.classifyDeduction('Uniform');
+
+      expect(result.categoryPath).toBe('deductions.employer_benefit');
+      expect((await nmwComponentRules.classifyDeduction('Employee NI')).categoryPath).toBe('deductions.statutory');
+      expect((await nmwComponentRules.classifyDeduction('Kitchen fund')).category).toBe('unclassified');
+    });
+  });
+
+  describe('Accommodation Charge Classification', () => {
+    test('should classify utilities and deposits as accommodation-related', async () => {
+      const mockRules = {
+        payComponents: {
+          benefitsInKind: {
+            accommodation: { category: 'included_limited', keywords: ['accommodation_charge', 'lodging'] },
+            accommodation_related: { category: 'included_limited', keywords: ['gas', 'electricity', 'deposit'] }
+          }
+        }
+      };
+
+      mockFs.stat.mockResolvedValue({ mtime: new Date() });
+      mockFs.readFile.mockResolvedValue(JSON.stringify(mockRules));
+
+      expect((await nmwComponentRules.classifyAccommodationCharge('Gas & Electricity')).categoryPath).toBe('benefitsInKind.accommodation_related');
+      expect((await nmwComponentRules.classifyAccommodationCharge('Accommodation Charge')).categoryPath).toBe('benefitsInKind.accommodation');
+      expect((await nmwComponentRules.classifyAccommodationCharge('Gasket')).category).toBe('unclassified');
+    });
+  });
+
   describe('Confidence Calculation', () => {
     test('should return high confidence for exact matches', () => {
       const confidence = nmwComponentRules.calculateConfidence('basic_pay', 'basic_pay');
@@ -426,6 +426,98 @@ describe('NMW Deduction Service Tests', () => {
     });
   });
 
+  describe('Named Deduction Lines', () => {
+    beforeEach(() => {
+      mockRatesConfig.getCategoryRates.mockResolvedValue({ maxDeduction: 0 });
+    });
+
+    test('should reduce NMW pay only for deductions for the employer\'s benefit', async () => {
+      const result = await nmwDeductionService.calculateNMWDeductions(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31' },
+        {
+          deduction_lines: [
+            { name: 'Gym Membership', amount: 25 },
+            { name: 'PPE', amount: 12.5 },
+            { name: 'Tax', amount: 150 }
+          ]
+        }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.total_deductions).toBe(12.5);
+      expect(result.deductions_not_reducing_nmw).toBe(175);
+      expect(result.deduction_lines.map(line => [line.name, line.treatment, line.reduces_nmw])).toEqual([
+        ['Gym Membership', 'worker_benefit', false],
+        ['PPE', 'employer_benefit', true],
+        ['Tax', 'statutory', false]
+      ]);
+      expect(result.deduction_lines[0].reasoning).toContain('deductions.voluntary');
+      expect(result.breakdown.deductions.linesNotReducingNMW).toBe(175);
+    });
+
+    test('should apply a treatment set in the column mapping over the component rules', async () => {
+      const result = await nmwDeductionService.calculateNMWDeductions(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31' },
+        { deduction_lines: [{ name: 'gym', amount: 25, treatment: 'employer_benefit' }] }
+      );
+
+      expect(result.total_deductions).toBe(25);
+      expect(result.deduction_lines[0]).toMatchObject({
+        source: 'column_mapping_override',
+        reduces_nmw: true,
+        needs_review: false
+      });
+      expect(result.compliance_status).toBe('green');
+    });
+
+    test('should reduce NMW pay for an employer-benefit line without counting it as an excess', async () => {
+      const result = await nmwDeductionService.calculateNMWDeductions(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31' },
+        { deduction_lines: [{ name: 'PPE', amount: 12.5 }] }
+      );
+
+      expect(result.total_deductions).toBe(12.5);
+      expect(result.non_compliant_deductions).toBe(0);
+      expect(result.compliance_status).toBe('green');
+      expect(result.compliance_score).toBe(100);
+    });
+
+    test('should treat unrecognised deductions as for the employer\'s benefit and flag them for review', async () => {
+      const result = await nmwDeductionService.calculateNMWDeductions(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31', deduction_lines: [{ name: 'Key holder fee', amount: 10 }] },
+        {}
+      );
+
+      expect(result.total_deductions).toBe(10);
+      expect(result.deduction_lines[0]).toMatchObject({ source: 'default', reduces_nmw: true, needs_review: true });
+    });
+
+    test('should set accommodation and utilities deductions aside for the accommodation offset', async () => {
+      const result = await nmwDeductionService.calculateNMWDeductions(
+        { worker_id: 'W001', worker_name: 'John Smith' },
+        { id: 'PP001', period_start: '2024-01-01', period_end: '2024-01-31' },
+        {
+          deduction_lines: [
+            { name: 'accommodation', column: 'accommodation_deduction', amount: 250 },
+            { name: 'utilities', column: 'utilities_deduction', amount: 40 },
+            { name: 'PPE', amount: 12.5 }
+          ]
+        }
+      );
+
+      expect(result.total_deductions).toBe(12.5);
+      expect(result.deduction_lines.map(line => line.name)).toEqual(['PPE']);
+      expect(result.accommodation_charges).toEqual([
+        { name: 'accommodation', amount: 250, source: 'deduction_line' },
+        { name: 'utilities', amount: 40, source: 'deduction_line' }
+      ]);
+    });
+  });
+
   describe('Bulk Calculations', () => {
     beforeEach(() => {
       mockRatesConfig.getCategoryRates.mockResolvedValue({
@@ -1,4 +1,5 @@
 const NMWRateLookupService = require('../src/services/nmwRateLookupService');
+const rateRegistry = require('../src/config/rateRegistry');
 const fs = require('fs').promises;
 
 // Mock fs module for testing
@@ -15,6 +16,7 @@ describe('NMW Rate Lookup Service Tests', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    rateRegistry.clearCache();
     nmwRateService = new NMWRateLookupService();
     mockFs = require('fs').promises;
     
@@ -292,6 +294,67 @@ describe('NMW Rate Lookup Service Tests', () => {
     });
   });
 
+  describe('Rate Band Forecast', () => {
+    test('should forecast a band change from the PRP after a birthday', async () => {
+      // Turns 21 on 15 May 2024, so the 18-20 band applies for the whole of May
+      const result = await nmwRateService.getRateBandForecast('2003-05-15', '2024-05-01', '2024-05-31');
+
+      expect(result.success).toBe(true);
+      expect(result.currentAge).toBe(20);
+      expect(result.currentRateType).toBe('nmw_18_20');
+      expect(result.birthdayInPeriod).toBe(true);
+      expect(result.birthday).toBe('2024-05-15');
+      expect(result.changesNextPeriod).toBe(true);
+      expect(result.nextPeriodStart).toBe('2024-06-01');
+      expect(result.nextRateType).toBe('national_living_wage');
+      expect(result.nextHourlyRate).toBe(11.44);
+    });
+
+    test('should not forecast a change when the birthday stays within the same band', async () => {
+      const result = await nmwRateService.getRateBandForecast('2005-05-15', '2024-05-01', '2024-05-31');
+
+      expect(result.success).toBe(true);
+      expect(result.birthdayInPeriod).toBe(true);
+      expect(result.changesNextPeriod).toBe(false);
+    });
+
+    test('should require date of birth and period dates', async () => {
+      const result = await nmwRateService.getRateBandForecast(null, '2024-05-01', '2024-05-31');
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('Rate Selection Across Uprating', () => {
+    test('should keep the previous year rates for a PRP spanning 1 April', async () => {
+      const result = await nmwRateService.getRateSelection('2024-03-15', '2024-04-14');
+
+      expect(result.success).toBe(true);
+      expect(result.basis).toBe('rate_in_force_at_prp_start');
+      expect(result.effectiveFrom).toBe('2023-04-01');
+      expect(result.spansUprating).toBe(true);
+      expect(result.upratingDate).toBe('2024-04-01');
+      expect(result.explanation).toContain('first PRP starting on or after 2024-04-01');
+    });
+
+    test('should use the new rates for a PRP starting on the uprating date', async () => {
+      const result = await nmwRateService.getRateSelection('2024-04-01', '2024-04-30');
+
+      expect(result.success).toBe(true);
+      expect(result.effectiveFrom).toBe('2024-04-01');
+      expect(result.spansUprating).toBe(false);
+      expect(result.upratingDate).toBeNull();
+    });
+
+    test('should look up the rate at the PRP start', async () => {
+      const selection = await nmwRateService.getRateSelection('2024-03-15', '2024-04-14');
+      const result = await nmwRateService.getRequiredRate(25, '2024-03-15');
+
+      expect(result.ratePeriod.effectiveFrom).toBe(selection.effectiveFrom);
+      expect(result.hourlyRate).toBe(10.42);
+    });
+  });
+
   describe('Bulk Operations', () => {
     test('should perform bulk rate lookup correctly', async () => {
       const workers = [
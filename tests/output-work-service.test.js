@@ -0,0 +1,176 @@
+/**
+ * Output Work Service Tests
+ *
+ * Tests output (piece-rate) work and the rated output work fair piece rate test
+ */
+
+const OutputWorkService = require('../src/services/outputWorkService');
+const RAGStatusService = require('../src/services/ragStatusService');
+
+describe('OutputWorkService', () => {
+  let outputWorkService;
+
+  const worker = {
+    worker_id: 'P001',
+    worker_name: 'Piece Worker',
+    age: 30,
+    work_type: 'output_work'
+  };
+
+  const payPeriod = {
+    period_start: '2024-05-01',
+    period_end: '2024-05-31'
+  };
+
+  beforeEach(() => {
+    outputWorkService = new OutputWorkService();
+  });
+
+  describe('isOutputWorker', () => {
+    test('should identify output workers', () => {
+      expect(outputWorkService.isOutputWorker(worker)).toBe(true);
+      expect(outputWorkService.isOutputWorker({ work_type: 'time_work' })).toBe(false);
+    });
+  });
+
+  describe('fair piece rate', () => {
+    test('should calculate fair piece rate from mean hourly output × 120%', () => {
+      // (£11.44 × 1.2) ÷ 20 units per hour
+      expect(outputWorkService.calculateFairPieceRate(11.44, 20)).toBeCloseTo(0.6864, 4);
+    });
+
+    test('should calculate deemed hours for rated output work', () => {
+      expect(outputWorkService.calculateDeemedHours(2000, 20)).toBeCloseTo(120, 2);
+      expect(outputWorkService.calculateDeemedHours(2000, 0)).toBe(0);
+    });
+  });
+
+  describe('calculateOutputWork', () => {
+    test('should pass the fair rate test when piece rate is fair', async () => {
+      const result = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 2000,
+        piece_rate: 0.70,
+        mean_hourly_output: 20
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.rated_output_work).toBe(true);
+      expect(result.output_pay).toBe(1400);
+      expect(result.hours_for_nmw).toBe(120);
+      expect(result.fair_piece_rate).toBe(0.6864);
+      expect(result.piece_rate_is_fair).toBe(true);
+      expect(result.effective_hourly_rate).toBe(11.67);
+      expect(result.shortfall).toBe(0);
+    });
+
+    test('should fail the fair rate test and calculate shortfall', async () => {
+      const result = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 2000,
+        piece_rate: 0.60,
+        mean_hourly_output: 20
+      });
+
+      expect(result.piece_rate_is_fair).toBe(false);
+      expect(result.effective_hourly_rate).toBe(10);
+      expect(result.shortfall).toBe(172.8);
+    });
+
+    test('should use actual hours when there is no fair rate test', async () => {
+      const result = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 1000,
+        piece_rate: 0.50,
+        hours: 40
+      });
+
+      expect(result.rated_output_work).toBe(false);
+      expect(result.hours_basis).toBe('actual_hours');
+      expect(result.hours_for_nmw).toBe(40);
+      expect(result.effective_hourly_rate).toBe(12.5);
+      expect(result.fair_piece_rate).toBeNull();
+    });
+
+    test('should flag when hours cannot be determined', async () => {
+      const result = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 1000,
+        piece_rate: 0.50
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.hours_determined).toBe(false);
+      expect(result.hours_basis).toBe('unknown');
+    });
+
+    test('should reject negative units', async () => {
+      const result = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: -5,
+        piece_rate: 0.50
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.details).toContain('Units produced cannot be negative');
+    });
+
+    test('should fail without worker age', async () => {
+      const result = await outputWorkService.calculateOutputWork({ work_type: 'output_work' }, {
+        ...payPeriod,
+        units_produced: 1000,
+        piece_rate: 0.50,
+        hours: 40
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to determine required rate');
+    });
+  });
+
+  describe('RAGStatusService integration', () => {
+    let ragStatusService;
+
+    beforeEach(() => {
+      ragStatusService = new RAGStatusService();
+    });
+
+    test('should report RED with fair piece rate reason', async () => {
+      const outputWork = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 2000,
+        piece_rate: 0.60,
+        mean_hourly_output: 20
+      });
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, {
+        effectiveHourlyRate: outputWork.effective_hourly_rate,
+        hoursWorked: outputWork.hours_for_nmw,
+        totalPay: outputWork.output_pay,
+        outputWork
+      });
+
+      expect(result.ragStatus).toBe('RED');
+      expect(result.reason).toContain('fair piece rate');
+      expect(result.outputWork.pieceRateIsFair).toBe(false);
+    });
+
+    test('should report AMBER when output hours are unknown', async () => {
+      const outputWork = await outputWorkService.calculateOutputWork(worker, {
+        ...payPeriod,
+        units_produced: 1000,
+        piece_rate: 0.50
+      });
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, {
+        effectiveHourlyRate: outputWork.effective_hourly_rate,
+        hoursWorked: 1,
+        totalPay: outputWork.output_pay,
+        outputWork
+      });
+
+      expect(result.ragStatus).toBe('AMBER');
+      expect(result.amberFlags).toContain('output_work_hours_unknown');
+    });
+  });
+});
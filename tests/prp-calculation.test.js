@@ -163,6 +163,17 @@ describe('PRP Calculation Service Tests', () => {
       expect(result.worker_type).toBe('adult');
     });
 
+    test('should use age at PRP start from date of birth', () => {
+      // Turns 23 during January, so the 21-22 band applies until the next PRP
+      const worker = { id: 1, age: 30, date_of_birth: '2001-01-15', apprentice_status: false };
+
+      const january = prpService.determineApplicableRate(worker, new Date('2024-01-01'));
+      const february = prpService.determineApplicableRate(worker, new Date('2024-02-01'));
+
+      expect(january.rule_name).toBe('NMW_23_24_21_22');
+      expect(february.rule_name).toBe('NLW_23_24');
+    });
+
     test('should return NMW 21-22 for workers aged 21-22', () => {
       const worker = { id: 2, age: 21, apprentice_status: false };
       const checkDate = new Date('2024-01-01');
@@ -566,6 +577,494 @@ describe('PRP Calculation Service Tests', () => {
     });
   });
 
+  describe('Rate Selection Across Uprating', () => {
+    const worker = { id: 1, age: 25, apprentice_status: false };
+
+    test('should take the rate at the PRP start when the PRP spans 1 April', () => {
+      const payPeriod = { id: 1, period_start: '2024-03-15', period_end: '2024-04-14', total_hours: 160, total_pay: 1700.00 };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.success).toBe(true);
+      expect(result.prp.rate_selection.basis).toBe('rate_in_force_at_prp_start');
+      expect(result.prp.rate_selection.rate_date).toBe('2024-03-15');
+      expect(result.prp.rate_selection.spans_uprating).toBe(true);
+      expect(result.prp.rate_selection.uprating_date).toBe('2024-04-01');
+      expect(result.prp.rate_selection.explanation).toContain('apply for the whole PRP');
+    });
+
+    test('should not flag a PRP that starts on the uprating date', () => {
+      const payPeriod = { id: 1, period_start: '2024-04-01', period_end: '2024-04-30', total_hours: 160, total_pay: 1700.00 };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.rate_selection.spans_uprating).toBe(false);
+      expect(result.prp.rate_selection.uprating_date).toBeNull();
+    });
+
+    test('should not flag a PRP ending the day before the uprating date', () => {
+      const result = prpService.getRateSelection(
+        prpService.calculatePRPDates('2024-03-01', '2024-03-31'),
+        prpService.determineApplicableRate(worker, new Date('2024-03-01'))
+      );
+
+      expect(result.spans_uprating).toBe(false);
+      expect(result.rate_year).toBe('2023-04-01');
+    });
+  });
+
+  describe('Sleep-in and On-call Working Time', () => {
+    const worker = { id: 1, age: 30, apprentice_status: false };
+
+    test('should use only qualifying rota hours', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-07',
+        total_pay: 400.00,
+        shifts: [
+          { date: '2024-05-01', shift_type: 'standard', start_time: '08:00', end_time: '16:00', break_minutes: 0 },
+          { date: '2024-05-02', shift_type: 'standard', start_time: '08:00', end_time: '16:00', break_minutes: 0 },
+          { date: '2024-05-02', shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00', active_hours: 1 },
+          { date: '2024-05-03', shift_type: 'standard', start_time: '08:00', end_time: '16:00', break_minutes: 0 }
+        ]
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.success).toBe(true);
+      expect(result.prp.total_hours).toBe(25);
+      expect(result.prp.working_time.excluded_hours).toBe(8);
+      expect(result.prp.effective_hourly_rate).toBe(16);
+      expect(result.compliance.issues.map(issue => issue.type)).toContain('non_working_time_excluded');
+    });
+
+    test('should flag sleep-ins without active hours', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-07',
+        total_pay: 200.00,
+        shifts: [
+          { date: '2024-05-01', shift_type: 'standard', start_time: '08:00', end_time: '16:00' },
+          { date: '2024-05-01', shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00' }
+        ]
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.success).toBe(true);
+      expect(result.prp.total_hours).toBe(8);
+      expect(result.compliance.issues.map(issue => issue.type)).toContain('active_hours_not_recorded');
+    });
+
+    test('should add travel between visits to NMW hours', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-07',
+        total_pay: 35.00,
+        shifts: [
+          { date: '2024-05-01', shift_type: 'standard', start_time: '09:00', end_time: '10:00' },
+          { date: '2024-05-01', shift_type: 'standard', start_time: '10:15', end_time: '11:15' },
+          { date: '2024-05-01', shift_type: 'standard', start_time: '12:00', end_time: '13:00', travel_minutes: 45 }
+        ]
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(4);
+      expect(result.prp.working_time.travel_hours).toBe(1);
+      expect(result.compliance.rag_status).toBe('RED');
+
+      const travelIssue = result.compliance.issues.find(issue => issue.type === 'travel_time_added');
+      expect(travelIssue.severity).toBe('medium');
+      expect(travelIssue.default_travel_legs).toBe(1);
+    });
+
+    test('should fail when no rota hours count as working time', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-07',
+        total_pay: 50.00,
+        shifts: [{ date: '2024-05-01', shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00', active_hours: 0 }]
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No rota hours in this pay period count as working time');
+    });
+  });
+
+  describe('Rota and Payroll Hours Reconciliation', () => {
+    const worker = { id: 1, age: 30, apprentice_status: false };
+    const shifts = [
+      { date: '2024-05-01', shift_type: 'standard', start_time: '08:00', end_time: '20:00' },
+      { date: '2024-05-02', shift_type: 'standard', start_time: '08:00', end_time: '20:00' },
+      { date: '2024-05-03', shift_type: 'standard', start_time: '08:00', end_time: '20:00' }
+    ];
+
+    test('should check NMW on rostered hours when they exceed paid hours', () => {
+      const payPeriod = { id: 1, period_start: '2024-05-01', period_end: '2024-05-07', total_hours: 30, total_pay: 330.00, shifts };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(36);
+      expect(result.prp.effective_hourly_rate).toBeCloseTo(9.17, 2);
+      expect(result.compliance.rag_status).toBe('RED');
+      expect(result.prp.hours_reconciliation).toMatchObject({ paid_hours: 30, rostered_hours: 36, hours_source: 'rostered', unpaid_hours: 6 });
+
+      const issue = result.compliance.issues.find(issue => issue.type === 'rostered_hours_exceed_paid');
+      expect(issue.code).toBe('ROSTERED_HOURS_EXCEED_PAID');
+      expect(issue.severity).toBe('high');
+      expect(issue.unpaid_hours).toBe(6);
+    });
+
+    test('should use paid hours when they are higher than rostered hours', () => {
+      const payPeriod = { id: 1, period_start: '2024-05-01', period_end: '2024-05-07', total_hours: 40, total_pay: 480.00, shifts };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(40);
+      expect(result.prp.hours_reconciliation.hours_source).toBe('paid');
+      expect(result.compliance.issues.map(issue => issue.type)).not.toContain('rostered_hours_exceed_paid');
+    });
+
+    test('should use clocked timesheet hours when they are the highest', () => {
+      const payPeriod = { id: 1, period_start: '2024-05-01', period_end: '2024-05-07', total_hours: 30, total_pay: 400.00, clocked_hours: 34.5 };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(34.5);
+      expect(result.prp.hours_reconciliation).toMatchObject({ rostered_hours: null, clocked_hours: 34.5, hours_source: 'clocked', unpaid_hours: 4.5 });
+      expect(result.compliance.issues.map(issue => issue.type)).toContain('rostered_hours_exceed_paid');
+    });
+
+    test('should leave pay periods without rota or timesheet hours unreconciled', () => {
+      const payPeriod = { id: 1, period_start: '2024-05-01', period_end: '2024-05-07', total_hours: 30, total_pay: 400.00 };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.hours_reconciliation).toBeNull();
+    });
+  });
+
+  describe('Mandatory Unpaid Activities', () => {
+    const worker = { id: 1, age: 30, apprentice_status: false, role: 'Warehouse Operative' };
+    const mandatoryActivities = [
+      { name: 'Security screening', minutesPerShift: 15, roles: ['Warehouse Operative'] },
+      { name: 'Pre-shift briefing', minutesPerShift: 15 }
+    ];
+
+    test('should add activity minutes per shift to NMW hours', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-31',
+        total_hours: 160,
+        total_pay: 1840.00,
+        shifts_worked: 20,
+        mandatory_activities: mandatoryActivities
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(170);
+      expect(result.prp.mandatory_activities.total_hours).toBe(10);
+      expect(result.prp.mandatory_activities.effective_hourly_rate_without_activities).toBe(11.5);
+      expect(result.prp.effective_hourly_rate).toBeCloseTo(10.82, 2);
+      expect(result.compliance.rag_status).toBe('RED');
+
+      const issue = result.compliance.issues.find(issue => issue.type === 'mandatory_unpaid_activities');
+      expect(issue.severity).toBe('high');
+      expect(issue.activity_hours).toBe(10);
+    });
+
+    test('should only apply activities for the worker role', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-31',
+        total_hours: 160,
+        total_pay: 1840.00,
+        shifts_worked: 20,
+        mandatory_activities: mandatoryActivities
+      };
+
+      const result = prpService.calculatePRP({ ...worker, role: 'Driver' }, payPeriod);
+
+      expect(result.prp.total_hours).toBe(165);
+      expect(result.prp.mandatory_activities.activities.map(activity => activity.name)).toEqual(['Pre-shift briefing']);
+    });
+
+    test('should flag activities when shifts worked is unknown', () => {
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-31',
+        total_hours: 160,
+        total_pay: 1840.00,
+        mandatory_activities: mandatoryActivities
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod);
+
+      expect(result.prp.total_hours).toBe(160);
+      expect(result.compliance.issues.map(issue => issue.type)).toContain('mandatory_activity_shifts_unknown');
+    });
+  });
+
+  describe('Pay in Arrears Reallocation', () => {
+    const worker = { id: 1, age: 25, apprentice_status: false };
+
+    test('should move overtime paid in the following PRP back to the PRP it was worked in', () => {
+      const payPeriods = [
+        { id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' },
+        { id: 1, worker_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 }
+      ];
+
+      const result = prpService.reallocatePayInArrears(payPeriods);
+
+      expect(result[0].id).toBe(1);
+      expect(result[0].total_pay).toBe(1900.00);
+      expect(result[1].total_pay).toBe(1650.00);
+      expect(result[0].pay_reallocations[0]).toMatchObject({ status: 'reallocated', direction: 'in', amount: 250 });
+      expect(result[1].pay_reallocations[0]).toMatchObject({ status: 'reallocated', direction: 'out', amount: 250 });
+    });
+
+    test('should reallocate pay components carrying a relates to period', () => {
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 },
+        {
+          id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00,
+          pay_components: [
+            { description: 'Overtime', amount: 200.00, relates_to_period: '2024-01-31' },
+            { description: 'Basic pay', amount: 1700.00 }
+          ]
+        }
+      ];
+
+      const result = prpService.reallocatePayInArrears(payPeriods);
+
+      expect(result[0].total_pay).toBe(1850.00);
+      expect(result[1].total_pay).toBe(1700.00);
+    });
+
+    test('should leave pay made later than the following PRP where it was paid', () => {
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 },
+        { id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1700.00 },
+        { id: 3, worker_id: 1, period_start: '2024-03-01', period_end: '2024-03-31', total_hours: 160, total_pay: 1950.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+
+      const result = prpService.reallocatePayInArrears(payPeriods);
+
+      expect(result[0].total_pay).toBe(1650.00);
+      expect(result[2].total_pay).toBe(1950.00);
+      expect(result[2].pay_reallocations[0].status).toBe('paid_late');
+
+      const calculation = prpService.calculatePRP(worker, result[2]);
+      expect(calculation.compliance.issues.some(issue => issue.type === 'pay_in_arrears_late')).toBe(true);
+    });
+
+    test('should flag pay relating to a PRP outside the upload', () => {
+      const payPeriods = [
+        { id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+
+      const result = prpService.reallocatePayInArrears(payPeriods);
+
+      expect(result[0].total_pay).toBe(1900.00);
+      expect(result[0].pay_reallocations[0].status).toBe('related_period_not_found');
+    });
+
+    test('should reallocate pay in arrears to the previous PRP from an earlier upload', () => {
+      const february = [
+        { id: 12, worker_id: 7, csv_upload_id: 2, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+      const earlierUploads = [
+        { id: 1, worker_id: 7, csv_upload_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_pay: 1650.00 }
+      ];
+
+      const result = prpService.reallocatePayInArrears(february, earlierUploads);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].total_pay).toBe(1650.00);
+      expect(result[0].pay_reallocations[0]).toMatchObject({ status: 'reallocated', direction: 'out', related_upload_id: 1, paid_in_upload_id: 2 });
+    });
+
+    test('should count pay in arrears from a later upload in the PRP it relates to', () => {
+      const january = [{ id: 1, worker_id: 7, csv_upload_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 }];
+      const laterUploads = [
+        { id: 12, worker_id: 7, csv_upload_id: 2, period_start: '2024-02-01', period_end: '2024-02-29', total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' },
+        { id: 13, worker_id: 7, csv_upload_id: 3, period_start: '2024-01-01', period_end: '2024-01-31', total_pay: 1650.00 }
+      ];
+
+      const result = prpService.reallocatePayInArrears(january, laterUploads);
+
+      expect(result.map(pp => pp.id)).toEqual([1]);
+      expect(result[0].total_pay).toBe(1900.00);
+      expect(result[0].pay_reallocations).toEqual([expect.objectContaining({ direction: 'in', amount: 250 })]);
+    });
+
+    test('should leave pay in arrears in the paying PRP when it is all of that PRP\'s pay', () => {
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 },
+        { id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 4, total_pay: 250.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+
+      const result = prpService.reallocatePayInArrears(payPeriods);
+      const calculation = prpService.calculatePRP(worker, result[1]);
+
+      expect(result[0].total_pay).toBe(1650.00);
+      expect(result[1].total_pay).toBe(250.00);
+      expect(calculation.success).toBe(true);
+      expect(calculation.compliance.issues.map(issue => issue.type)).toContain('pay_in_arrears_exceeds_pay');
+    });
+
+    test('should reallocate pay in arrears during batch calculation', () => {
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_hours: 180, total_pay: 1650.00 },
+        { id: 2, worker_id: 1, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+
+      const result = prpService.batchCalculatePRP([worker], payPeriods, [], []);
+      const january = result.calculations.find(calc => calc.prp.total_hours === 180);
+
+      expect(january.prp.total_pay).toBe(1900.00);
+      expect(january.prp.pay_reallocations).toHaveLength(1);
+      expect(result.summary.total_pay).toBe(3550.00);
+    });
+
+    test('should reallocate pay in arrears to another upload during batch calculation', () => {
+      const payPeriods = [
+        { id: 12, worker_id: 1, csv_upload_id: 2, period_start: '2024-02-01', period_end: '2024-02-29', total_hours: 160, total_pay: 1900.00, arrears_pay: 250.00, relates_to_period: '2024-01-15' }
+      ];
+      const otherPayPeriods = [{ id: 1, worker_id: 1, csv_upload_id: 1, period_start: '2024-01-01', period_end: '2024-01-31', total_pay: 1650.00 }];
+
+      const result = prpService.batchCalculatePRP([worker], payPeriods, [], [], otherPayPeriods);
+
+      expect(result.calculations).toHaveLength(1);
+      expect(result.calculations[0].prp.total_pay).toBe(1650.00);
+    });
+  });
+
+  describe('Unpaid Training Time', () => {
+    test('should add uploaded training hours to hours worked', () => {
+      const worker = { id: 1, age: 30 };
+      const payPeriod = { id: 1, period_start: '2024-05-01', period_end: '2024-05-31', total_hours: 160, total_pay: 1900, training_hours: '10', training_description: 'Induction' };
+
+      const result = prpService.calculatePRP(worker, payPeriod, [], []);
+
+      expect(result.prp.total_hours).toBe(170);
+      expect(result.prp.effective_hourly_rate).toBeCloseTo(11.18, 2);
+      expect(result.prp.training_time).toMatchObject({ training_hours: 10, hours_without_training: 160 });
+      expect(result.compliance.rag_status).toBe('RED');
+      expect(result.compliance.issues.find(issue => issue.type === 'unpaid_training_time').severity).toBe('high');
+    });
+  });
+
+  describe('Holiday Pay Dimension', () => {
+    test('should report holiday pay separately without changing the NMW status', () => {
+      const worker = { id: 1, age: 25, hours_pattern: 'irregular', leave_year_start: '2024-04-01' };
+      const payPeriod = {
+        id: 1,
+        period_start: '2024-05-01',
+        period_end: '2024-05-31',
+        total_hours: 100,
+        total_pay: 1200.00,
+        holiday_pay: 100.00
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod, [], []);
+
+      expect(result.compliance.rag_status).toBe('GREEN');
+      expect(result.compliance.holiday_pay).toMatchObject({ method: 'rolled_up', ragStatus: 'RED', shortfall: 44.84 });
+    });
+
+    test('should count holiday pay RAG statuses apart from the NMW counts', () => {
+      const workers = [{ id: 1, age: 25 }, { id: 2, age: 25, hours_pattern: 'irregular' }];
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2024-05-01', period_end: '2024-05-31', total_hours: 100, total_pay: 1200.00 },
+        { id: 2, worker_id: 2, period_start: '2024-05-01', period_end: '2024-05-31', total_hours: 100, total_pay: 1200.00, holiday_pay: 144.84 }
+      ];
+
+      const result = prpService.batchCalculatePRP(workers, payPeriods, [], []);
+
+      expect(result.compliant_workers).toBe(2);
+      expect(result.holiday_pay_summary).toEqual({ checked: 1, green: 1, amber: 0, red: 0, total_shortfall: 0 });
+    });
+  });
+
+  describe('Statutory Pay Dimension', () => {
+    test('should report underpaid SSP separately without changing the NMW status', () => {
+      const worker = { id: 1, age: 25 };
+      const payPeriod = {
+        id: 1,
+        period_start: '2025-05-01',
+        period_end: '2025-05-31',
+        total_hours: 100,
+        total_pay: 1300.00,
+        average_weekly_earnings: 400,
+        sick_days: 5,
+        sickness_start: '2025-05-12',
+        ssp_paid: 0
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod, [], []);
+
+      expect(result.compliance.rag_status).toBe('GREEN');
+      expect(result.compliance.statutory_pay).toMatchObject({ ragStatus: 'RED', total_due: 47.50, total_shortfall: 47.50 });
+    });
+
+    test('should count statutory pay RAG statuses apart from the NMW counts', () => {
+      const workers = [{ id: 1, age: 25 }, { id: 2, age: 25 }];
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2025-05-01', period_end: '2025-05-31', total_hours: 100, total_pay: 1300.00 },
+        { id: 2, worker_id: 2, period_start: '2025-05-01', period_end: '2025-05-31', total_hours: 100, total_pay: 1300.00, average_weekly_earnings: 400, sick_days: 2, ssp_paid: 47.50 }
+      ];
+
+      const result = prpService.batchCalculatePRP(workers, payPeriods, [], []);
+
+      expect(result.compliant_workers).toBe(2);
+      expect(result.statutory_pay_summary).toEqual({ checked: 1, green: 1, amber: 0, red: 0, critical_underpayments: 0, total_shortfall: 0 });
+    });
+  });
+
+  describe('Pension Auto-enrolment Dimension', () => {
+    test('should report an eligible jobholder who was not enrolled without changing the NMW status', () => {
+      const worker = { id: 1, age: 30 };
+      const payPeriod = {
+        id: 1,
+        period_start: '2025-05-01',
+        period_end: '2025-05-31',
+        total_hours: 150,
+        total_pay: 2000.00,
+        employer_pension_contribution: 0,
+        employee_pension_contribution: 0
+      };
+
+      const result = prpService.calculatePRP(worker, payPeriod, [], []);
+
+      expect(result.compliance.rag_status).toBe('GREEN');
+      expect(result.compliance.pension).toMatchObject({ category: 'eligible_jobholder', ragStatus: 'RED', issue: 'not_enrolled' });
+    });
+
+    test('should classify workers in the batch pension summary', () => {
+      const workers = [{ id: 1, age: 30 }, { id: 2, age: 30 }];
+      const payPeriods = [
+        { id: 1, worker_id: 1, period_start: '2025-05-01', period_end: '2025-05-31', total_hours: 150, total_pay: 2000.00, employer_pension_contribution: 44.40, employee_pension_contribution: 74.00 },
+        { id: 2, worker_id: 2, period_start: '2025-05-01', period_end: '2025-05-31', total_hours: 40, total_pay: 500.00 }
+      ];
+
+      const result = prpService.batchCalculatePRP(workers, payPeriods, [], []);
+
+      expect(result.pension_summary).toMatchObject({ checked: 2, green: 2, eligible_jobholders: 1, entitled_workers: 1, total_employer_shortfall: 0 });
+    });
+  });
+
   describe('Batch PRP Calculation', () => {
     test('should calculate PRP for multiple workers', () => {
       const workers = [
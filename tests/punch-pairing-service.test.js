@@ -0,0 +1,154 @@
+/**
+ * Punch Pairing Service Tests
+ *
+ * Tests pairing time-clock punches into shifts, paid break rules and
+ * flagging unpaired punches
+ */
+
+const PunchPairingService = require('../src/services/punchPairingService');
+const CSVParserService = require('../src/services/csvParserService');
+
+describe('PunchPairingService', () => {
+  let punchService;
+
+  const punch = (worker_id, timestamp, direction) => ({ worker_id, worker_name: `Worker ${worker_id}`, timestamp, direction });
+
+  beforeEach(() => {
+    punchService = new PunchPairingService();
+  });
+
+  describe('normalizeDirection', () => {
+    test('should recognise common punch directions', () => {
+      expect(punchService.normalizeDirection('IN')).toBe('in');
+      expect(punchService.normalizeDirection('Clock Out')).toBe('out');
+      expect(punchService.normalizeDirection('clock_in')).toBe('in');
+      expect(punchService.normalizeDirection('lunch')).toBeNull();
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    test('should parse ISO and UK day-first timestamps', () => {
+      expect(punchService.parseTimestamp('2024-05-01 22:15').toISOString()).toBe('2024-05-01T22:15:00.000Z');
+      expect(punchService.parseTimestamp('2024-05-01T22:15:30').toISOString()).toBe('2024-05-01T22:15:30.000Z');
+      expect(punchService.parseTimestamp('02/05/2024 07:05').toISOString()).toBe('2024-05-02T07:05:00.000Z');
+    });
+
+    test('should reject invalid timestamps', () => {
+      expect(punchService.parseTimestamp('2024-05-01')).toBeNull();
+      expect(punchService.parseTimestamp('31/02/2024 09:00')).toBeNull();
+      expect(punchService.parseTimestamp('2024-05-01 25:00')).toBeNull();
+    });
+  });
+
+  describe('processPunches', () => {
+    test('should pair an overnight shift on the clock-in date', () => {
+      const { shifts, unpaired } = punchService.processPunches([
+        punch('W1', '2024-05-01 22:00', 'in'),
+        punch('W1', '2024-05-02 06:30', 'out')
+      ]);
+
+      expect(unpaired).toEqual([]);
+      expect(shifts).toHaveLength(1);
+      expect(shifts[0]).toMatchObject({ worker_id: 'W1', date: '2024-05-01', start_time: '22:00', end_time: '06:30', hours: 8.5 });
+    });
+
+    test('should pay short breaks and deduct longer ones', () => {
+      const { shifts } = punchService.processPunches([
+        punch('W1', '2024-05-01 08:00', 'in'),
+        punch('W1', '2024-05-01 10:00', 'out'),
+        punch('W1', '2024-05-01 10:15', 'in'),
+        punch('W1', '2024-05-01 12:30', 'out'),
+        punch('W1', '2024-05-01 13:15', 'in'),
+        punch('W1', '2024-05-01 16:00', 'out')
+      ]);
+
+      expect(shifts).toHaveLength(1);
+      expect(shifts[0].paid_break_minutes).toBe(15);
+      expect(shifts[0].break_minutes).toBe(45);
+      expect(shifts[0].hours).toBe(7.25);
+    });
+
+    test('should start a new shift after a long gap', () => {
+      const { shifts } = punchService.processPunches([
+        punch('W1', '2024-05-01 07:00', 'in'),
+        punch('W1', '2024-05-01 10:00', 'out'),
+        punch('W1', '2024-05-01 16:00', 'in'),
+        punch('W1', '2024-05-01 19:00', 'out')
+      ]);
+
+      expect(shifts.map(shift => shift.hours)).toEqual([3, 3]);
+    });
+
+    test('should report punches with no partner', () => {
+      const { shifts, unpaired } = punchService.processPunches([
+        punch('W1', '2024-05-01 08:00', 'in'),
+        punch('W1', '2024-05-02 08:00', 'in'),
+        punch('W1', '2024-05-02 16:00', 'out'),
+        punch('W2', '2024-05-02 17:00', 'out')
+      ]);
+
+      expect(shifts).toHaveLength(1);
+      expect(unpaired).toEqual([
+        expect.objectContaining({ row: 2, reason: 'missing_clock_out' }),
+        expect.objectContaining({ row: 5, reason: 'missing_clock_in' })
+      ]);
+    });
+
+    test('should not pair a clock-out more than the maximum shift length after the clock-in', () => {
+      const { shifts, unpaired } = punchService.processPunches([
+        punch('W1', '2024-05-01 08:00', 'in'),
+        punch('W1', '2024-05-02 09:00', 'out')
+      ]);
+
+      expect(shifts).toEqual([]);
+      expect(unpaired.map(punch => punch.reason)).toEqual(['missing_clock_out', 'missing_clock_in']);
+    });
+  });
+
+  describe('Punches CSV processing', () => {
+    let csvParser;
+
+    beforeEach(() => {
+      csvParser = new CSVParserService();
+    });
+
+    test('should map common punch column names', () => {
+      const mapping = csvParser.mapColumns(['employee_id', 'name', 'punch_time', 'punch_type'], 'punches');
+
+      expect(Object.values(mapping)).toEqual(['worker_id', 'worker_name', 'timestamp', 'direction']);
+    });
+
+    test('should turn punches into shift rows with hours', () => {
+      const rows = csvParser.processData([
+        punch('W1', '2024-05-01 22:00', 'IN'),
+        punch('W1', '2024-05-02 07:00', 'OUT')
+      ], 'punches');
+
+      expect(rows).toHaveLength(1);
+      expect(rows[0].date).toEqual(new Date('2024-05-01'));
+      expect(rows[0].hours).toBe(9);
+    });
+
+    test('should flag unpaired punches as row-level validation errors', () => {
+      const data = [
+        punch('W1', '2024-05-01 08:00', 'IN'),
+        punch('W1', '2024-05-01 16:00', 'OUT'),
+        punch('W1', '2024-05-02 08:00', 'IN'),
+        punch('W1', 'yesterday', 'OUT'),
+        punch('W1', '2024-05-03 08:00', 'lunch')
+      ];
+
+      const result = csvParser.validateParsedData({
+        data,
+        columnMapping: { worker_id: 'worker_id', worker_name: 'worker_name', timestamp: 'timestamp', direction: 'direction' }
+      }, 'punches');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(error => [error.row, error.type])).toEqual([
+        [5, 'invalid_timestamp'],
+        [6, 'invalid_direction'],
+        [4, 'unpaired_punch']
+      ]);
+    });
+  });
+});
@@ -98,6 +98,19 @@ describe('RAG Status Service Tests', () => {
       );
     });
 
+    test('should use date of birth over a stored age', async () => {
+      const worker = { age: 30, date_of_birth: '2003-05-15', worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-05-01' };
+      mockNMWRateService.calculateAge.mockReturnValue(20);
+
+      await ragStatusService.getRequiredRate(worker, payPeriod);
+
+      expect(mockNMWRateService.calculateAge).toHaveBeenCalledWith('2003-05-15', '2024-05-01');
+      expect(mockNMWRateService.getRequiredRate).toHaveBeenCalledWith(
+        20, '2024-05-01', false, undefined
+      );
+    });
+
     test('should handle apprentice information', async () => {
       const worker = { 
         age: 20, 
@@ -263,6 +276,56 @@ describe('RAG Status Service Tests', () => {
       const criticalResult = ragStatusService.determineStatusFromRates(8.00, 11.44, {});
       expect(criticalResult.severity).toBe('CRITICAL');
     });
+
+    test('should rate a payment amount against the amount due with the same severity bands', () => {
+      const greenResult = ragStatusService.determineStatusFromAmounts(47.45, 47.50, 'SSP', 0.10);
+      expect(greenResult.ragStatus).toBe('GREEN');
+
+      const redResult = ragStatusService.determineStatusFromAmounts(100.00, 118.75, 'SSP');
+      expect(redResult.ragStatus).toBe('RED');
+      expect(redResult.reason).toContain('£18.75 below the amount due');
+      expect(redResult.severity).toBe('HIGH');
+      expect(redResult.amountComparison.shortfallPercentage).toBeCloseTo(15.79, 2);
+    });
+  });
+
+  describe('Shortfall Cause', () => {
+    test('should blame an adjustment only when the worker is compliant without it', () => {
+      expect(ragStatusService.isShortfallCausedBy(11.00, 11.60, 11.44)).toBe(true);
+      expect(ragStatusService.isShortfallCausedBy(11.00, 11.20, 11.44)).toBe(false);
+      expect(ragStatusService.isShortfallCausedBy(11.50, 12.00, 11.44)).toBe(false);
+    });
+  });
+
+  describe('Salary Sacrifice', () => {
+    test('should explain RED status caused by salary sacrifice', async () => {
+      const worker = { age: 25, worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-05-01', period_end: '2024-05-31' };
+      const calculatedData = {
+        effectiveHourlyRate: 10.44,
+        salarySacrifice: {
+          total_sacrifice: 160,
+          schemes: [{ scheme: 'pension', source: 'pension_sacrifice', amount: 160 }],
+          exposure: { arrears_owed: 160, maximum_penalty: 320, naming_risk: false }
+        }
+      };
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, calculatedData);
+
+      expect(result.ragStatus).toBe('RED');
+      expect(result.explanationCode).toBe('SALARY_SACRIFICE_BELOW_MINIMUM');
+      expect(result.reason).toContain('Salary sacrifice (£160.00)');
+      expect(result.salarySacrifice.totalSacrifice).toBe(160);
+    });
+
+    test('should keep GREEN status when pay after sacrifice meets the minimum', () => {
+      const statusResult = ragStatusService.determineStatusFromRates(12, 11.44, {});
+
+      const result = ragStatusService.applySalarySacrificeStatus(statusResult, { total_sacrifice: 50, schemes: [], exposure: null });
+
+      expect(result.ragStatus).toBe('GREEN');
+      expect(result.explanationCode).toBeUndefined();
+    });
   });
 
   describe('RAG Status Calculation', () => {
@@ -358,6 +421,78 @@ describe('RAG Status Service Tests', () => {
     });
   });
 
+  describe('Rate Band Change Warnings', () => {
+    test('should warn when the rate band changes next period', async () => {
+      mockNMWRateService.getRateBandForecast.mockResolvedValue({
+        success: true,
+        changesNextPeriod: true,
+        birthdayInPeriod: true,
+        birthday: '2024-05-15',
+        nextPeriodAge: 21,
+        nextPeriodStart: '2024-06-01',
+        currentRateType: 'nmw_18_20',
+        currentHourlyRate: 8.60,
+        nextRateType: 'national_living_wage',
+        nextHourlyRate: 11.44,
+        nextDescription: 'National Living Wage (21 and over)'
+      });
+
+      const worker = { date_of_birth: '2003-05-15', worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-05-01', period_end: '2024-05-31' };
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, { effectiveHourlyRate: 12.00 });
+
+      expect(result.ragStatus).toBe('GREEN');
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].type).toBe('rate_band_changes_next_period');
+      expect(result.warnings[0].message).toContain('turns 21 on 2024-05-15');
+      expect(result.warnings[0].next_period_start).toBe('2024-06-01');
+    });
+
+    test('should not warn without a date of birth', async () => {
+      const worker = { age: 25, worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-05-01', period_end: '2024-05-31' };
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, { effectiveHourlyRate: 12.00 });
+
+      expect(result.warnings).toEqual([]);
+      expect(mockNMWRateService.getRateBandForecast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Rate Selection', () => {
+    test('should report the rate year used for a PRP spanning the uprating date', async () => {
+      mockNMWRateService.getRateSelection.mockResolvedValue({
+        success: true,
+        basis: 'rate_in_force_at_prp_start',
+        effectiveFrom: '2023-04-01',
+        spansUprating: true,
+        upratingDate: '2024-04-01'
+      });
+
+      const worker = { age: 25, worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-03-15', period_end: '2024-04-14' };
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, { effectiveHourlyRate: 12.00 });
+
+      expect(mockNMWRateService.getRequiredRate).toHaveBeenCalledWith(25, '2024-03-15', false, undefined);
+      expect(mockNMWRateService.getRateSelection).toHaveBeenCalledWith('2024-03-15', '2024-04-14');
+      expect(result.rateSelection.spansUprating).toBe(true);
+      expect(result.rateSelection.effectiveFrom).toBe('2023-04-01');
+    });
+
+    test('should leave the rate selection empty when it cannot be determined', async () => {
+      mockNMWRateService.getRateSelection.mockResolvedValue({ success: false, error: 'No applicable rate period found' });
+
+      const worker = { age: 25, worker_id: 'W001' };
+      const payPeriod = { period_start: '2024-05-01', period_end: '2024-05-31' };
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, { effectiveHourlyRate: 12.00 });
+
+      expect(result.rateSelection).toBeNull();
+    });
+  });
+
   describe('Bulk Processing', () => {
     test('should process multiple workers correctly', async () => {
       const workers = [
@@ -0,0 +1,251 @@
+/**
+ * Rate Administration Service Tests
+ *
+ * Tests proposing, reviewing and publishing new NMW/NLW rate periods
+ */
+
+const RateAdministrationService = require('../src/services/rateAdministrationService');
+const rateRegistry = require('../src/config/rateRegistry');
+const { pool } = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+describe('RateAdministrationService', () => {
+  let rateAdminService;
+  let saveRatesSpy;
+  let client;
+
+  const admin = { userId: 1, email: 'admin@example.com' };
+  const reviewer = { userId: 2, email: 'reviewer@example.com' };
+
+  const april2025 = {
+    effectiveFrom: '2025-04-01',
+    description: 'April 2025 - March 2026',
+    rates: {
+      national_living_wage: { minAge: 21, maxAge: null, hourlyRate: 12.21, description: 'National Living Wage (21 and over)', category: 'NLW' },
+      nmw_18_20: { minAge: 18, maxAge: 20, hourlyRate: 10.00, description: 'National Minimum Wage (18-20)', category: 'NMW' },
+      nmw_16_17: { minAge: 16, maxAge: 17, hourlyRate: 7.55, description: 'National Minimum Wage (16-17)', category: 'NMW' },
+      apprentice: { minAge: null, maxAge: null, hourlyRate: 7.55, description: 'Apprentice Rate', category: 'APPRENTICE' }
+    }
+  };
+
+  beforeEach(() => {
+    rateRegistry.clearCache();
+    rateRegistry.loadRatesSync();
+    rateAdminService = new RateAdministrationService();
+
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+
+    // Transaction client used when publishing
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockReset();
+    pool.connect.mockResolvedValue(client);
+
+    // Never write the real rates file
+    saveRatesSpy = jest.spyOn(rateRegistry, 'saveRates').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    saveRatesSpy.mockRestore();
+  });
+
+  describe('validateRatePeriod', () => {
+    test('should accept a rate period that follows the latest one', () => {
+      const result = rateAdminService.validateRatePeriod(april2025, rateRegistry.rates);
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject a rate period that does not start after the latest one', () => {
+      const result = rateAdminService.validateRatePeriod(
+        { ...april2025, effectiveFrom: '2024-04-01' },
+        rateRegistry.rates
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Effective from date must be after the latest published rate period');
+    });
+
+    test('should reject a rate period with a gap in age bands', () => {
+      const { nmw_18_20, ...rates } = april2025.rates;
+      const result = rateAdminService.validateRatePeriod({ ...april2025, rates }, rateRegistry.rates);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Rate period from 2025-04-01 has a gap or overlap in age bands at age 18');
+    });
+  });
+
+  describe('reviewProposal', () => {
+    test('should not let the proposer review their own change', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 5, status: 'pending_review', proposed_by: admin.userId }] });
+
+      const result = await rateAdminService.reviewProposal(5, 'approve', 'Looks right', admin);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('same_reviewer');
+    });
+
+    test('should only review pending proposals', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 5, status: 'published', proposed_by: admin.userId }] });
+
+      const result = await rateAdminService.reviewProposal(5, 'approve', null, reviewer);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('invalid_status');
+    });
+
+    test('should approve a pending proposal reviewed by another admin', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: 'pending_review', proposed_by: admin.userId }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, status: 'approved', reviewed_by: reviewer.userId }] });
+
+      const result = await rateAdminService.reviewProposal(5, 'approve', 'Matches gov.uk', reviewer);
+
+      expect(result.success).toBe(true);
+      expect(result.proposal.status).toBe('approved');
+      expect(pool.query.mock.calls[1][1]).toEqual(['approved', reviewer.userId, 'Matches gov.uk', 5]);
+    });
+  });
+
+  describe('publishProposal', () => {
+    test('should snapshot the outgoing version and save the new one', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 5, status: 'approved', proposed_by: admin.userId, rate_period: april2025 }]
+      });
+
+      const result = await rateAdminService.publishProposal(5, reviewer);
+
+      expect(result.success).toBe(true);
+      expect(result.previousVersion).toBe('1.0.0');
+      expect(result.version).toBe('1.1.0');
+
+      const snapshotCall = client.query.mock.calls.find(([sql]) => sql.includes('ON CONFLICT (version) DO NOTHING'));
+      expect(snapshotCall[1][0]).toBe('1.0.0');
+      expect(JSON.parse(snapshotCall[1][3]).metadata.version).toBe('1.0.0');
+
+      const savedRates = saveRatesSpy.mock.calls[0][0];
+      expect(savedRates.metadata.version).toBe('1.1.0');
+      expect(savedRates.rates[0].effectiveFrom).toBe('2025-04-01');
+      expect(savedRates.rates.find(period => period.effectiveFrom === '2024-04-01').effectiveTo).toBe('2025-03-31');
+    });
+
+    test('should publish in one transaction, refresh compliance_rules and write the rates file last', async () => {
+      const steps = [];
+      client.query.mockImplementation(async (sql) => {
+        steps.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+        return { rows: [{ id: 5, status: 'published' }] };
+      });
+      saveRatesSpy.mockImplementation(async () => {
+        steps.push('saveRates');
+        return true;
+      });
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 5, status: 'approved', proposed_by: admin.userId, rate_period: april2025 }]
+      });
+
+      const result = await rateAdminService.publishProposal(5, reviewer);
+
+      expect(result.success).toBe(true);
+      expect(steps[0]).toBe('BEGIN');
+      expect(steps.slice(-2)).toEqual(['saveRates', 'COMMIT']);
+      expect(steps.indexOf('saveRates')).toBeGreaterThan(steps.lastIndexOf('INSERT INTO compliance_rules'));
+
+      const ruleCall = client.query.mock.calls.find(([sql, params]) => sql.includes('INSERT INTO compliance_rules') && params[0] === 'NLW_25_26');
+      expect(JSON.parse(ruleCall[1][3])).toEqual({ min_rate: 12.21 });
+      const previousRule = client.query.mock.calls.find(([sql, params]) => sql.includes('INSERT INTO compliance_rules') && params[0] === 'NLW_24_25');
+      expect(previousRule[1][7]).toBe('2025-03-31');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should roll back and leave the rates file alone when a database step fails', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('UPDATE rate_versions')) {
+          throw new Error('connection lost');
+        }
+        return { rows: [] };
+      });
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 5, status: 'approved', proposed_by: admin.userId, rate_period: april2025 }]
+      });
+
+      const result = await rateAdminService.publishProposal(5, reviewer);
+
+      expect(result.success).toBe(false);
+      expect(result.details).toBe('connection lost');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(saveRatesSpy).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should put the previous rates file back when the commit fails', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql === 'COMMIT') {
+          throw new Error('commit failed');
+        }
+        return { rows: [] };
+      });
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 5, status: 'approved', proposed_by: admin.userId, rate_period: april2025 }]
+      });
+
+      const result = await rateAdminService.publishProposal(5, reviewer);
+
+      expect(result.success).toBe(false);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(saveRatesSpy).toHaveBeenCalledTimes(2);
+      expect(saveRatesSpy.mock.calls[1][0].metadata.version).toBe('1.0.0');
+    });
+
+    test('should report a missing proposal', async () => {
+      const result = await rateAdminService.publishProposal(99, reviewer);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('not_found');
+      expect(saveRatesSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Versions', () => {
+    test('should bump the minor version', () => {
+      expect(rateAdminService.getNextVersion('1.0.0')).toBe('1.1.0');
+      expect(rateAdminService.getNextVersion('2.3.1')).toBe('2.4.0');
+      expect(rateAdminService.getNextVersion(null)).toBe('1.1.0');
+    });
+
+    test('should serve the current version from the registry', async () => {
+      const registry = await rateAdminService.getRegistryForVersion('1.0.0');
+
+      expect(registry).toBe(rateRegistry);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should serve older versions from their stored snapshot', async () => {
+      const snapshot = JSON.parse(JSON.stringify(rateRegistry.rates));
+      snapshot.metadata.version = '0.9.0';
+      snapshot.rates.find(period => period.effectiveFrom === '2024-04-01').rates.national_living_wage.hourlyRate = 11.00;
+      pool.query.mockResolvedValueOnce({ rows: [{ rate_table: snapshot }] });
+
+      const registry = await rateAdminService.getRegistryForVersion('0.9.0');
+
+      expect(registry).not.toBe(rateRegistry);
+      expect(registry.getVersion()).toBe('0.9.0');
+      expect(registry.findRatePeriod('2024-05-01').rates.national_living_wage.hourlyRate).toBe(11.00);
+      expect(rateRegistry.getVersion()).toBe('1.0.0');
+    });
+
+    test('should return null for an unknown version', async () => {
+      const registry = await rateAdminService.getRegistryForVersion('9.9.9');
+
+      expect(registry).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Rate Registry Tests
+ *
+ * Tests the single NMW/NLW rate source and its consistency self-test
+ */
+
+const rateRegistry = require('../src/config/rateRegistry');
+const PRPCalculationService = require('../src/services/prpCalculationService');
+
+describe('RateRegistry', () => {
+  beforeEach(() => {
+    rateRegistry.clearCache();
+    rateRegistry.loadRatesSync();
+  });
+
+  describe('Rate lookup', () => {
+    test('should find the rate period in force on a date', () => {
+      expect(rateRegistry.findRatePeriod('2024-03-31').effectiveFrom).toBe('2023-04-01');
+      expect(rateRegistry.findRatePeriod('2024-04-01').effectiveFrom).toBe('2024-04-01');
+      expect(rateRegistry.findRatePeriod('2010-01-01')).toBeNull();
+    });
+
+    test('should build rule names matching the compliance rules table', () => {
+      const ratePeriod = rateRegistry.findRatePeriod('2023-06-01');
+
+      expect(rateRegistry.getRuleName(ratePeriod, 'national_living_wage')).toBe('NLW_23_24');
+      expect(rateRegistry.getRuleName(ratePeriod, 'nmw_21_22')).toBe('NMW_23_24_21_22');
+      expect(rateRegistry.getRuleName(ratePeriod, 'apprentice')).toBe('NMW_23_24_APPRENTICE');
+    });
+
+    test('should find an uprating within a PRP', () => {
+      expect(rateRegistry.findUpratingWithin('2024-03-15', '2024-04-14').effectiveFrom).toBe('2024-04-01');
+      expect(rateRegistry.findUpratingWithin('2024-04-01', '2024-04-30')).toBeNull();
+    });
+
+    test('should give PRPCalculationService the same rates as the registry', () => {
+      const prpService = new PRPCalculationService();
+      const worker = { id: 1, age: 22, apprentice_status: false };
+
+      const result = prpService.determineApplicableRate(worker, new Date('2024-05-01'));
+      const ratePeriod = rateRegistry.findRatePeriod('2024-05-01');
+
+      expect(result.rule_name).toBe('NLW_24_25');
+      expect(result.rate).toBe(ratePeriod.rates.national_living_wage.hourlyRate);
+    });
+  });
+
+  describe('selfTest', () => {
+    test('should pass for the configured rates and matching compliance rules', () => {
+      const complianceRules = rateRegistry.getComplianceRuleRows().map(row => ({
+        rule_name: row.rule_name,
+        rule_logic: row.rule_logic
+      }));
+
+      const result = rateRegistry.selfTest(complianceRules);
+
+      expect(result.passed).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should report compliance rules that disagree with the registry', () => {
+      const complianceRules = rateRegistry.getComplianceRuleRows().map(row => ({
+        rule_name: row.rule_name,
+        rule_logic: row.rule_name === 'NLW_23_24' ? '{"min_rate": 10.00}' : row.rule_logic
+      }));
+      complianceRules.push({ rule_name: 'NLW_OLD', rule_logic: { min_rate: 9.00 } });
+
+      const result = rateRegistry.selfTest(complianceRules);
+
+      expect(result.passed).toBe(false);
+      expect(result.errors).toContain('Compliance rule NLW_23_24 has rate £10.00 but the registry has £10.42');
+      expect(result.errors).toContain('Compliance rule NLW_OLD is not in the rate registry');
+    });
+
+    test('should report gaps in age bands and rate periods', () => {
+      const original = rateRegistry.rates;
+      const rates = JSON.parse(JSON.stringify(original));
+      delete rates.rates.find(period => period.effectiveFrom === '2024-04-01').rates.nmw_18_20;
+      rates.rates.find(period => period.effectiveFrom === '2023-04-01').effectiveTo = '2024-03-30';
+      rateRegistry.rates = rates;
+
+      const result = rateRegistry.selfTest();
+      rateRegistry.rates = original;
+
+      expect(result.passed).toBe(false);
+      expect(result.errors).toContain('Rate period from 2024-04-01 has a gap or overlap in age bands at age 18');
+      expect(result.errors).toContain('Rate period ending 2024-03-30 is not followed directly by 2024-04-01');
+      expect(result.warnings).toContain('Compliance rules table was not checked');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Salaried Hours Service Tests
+ *
+ * Tests the salaried-hours work model and calculation-year true-up
+ */
+
+const SalariedHoursService = require('../src/services/salariedHoursService');
+const PRPCalculationService = require('../src/services/prpCalculationService');
+const { pool } = require('../src/config/database');
+
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('SalariedHoursService', () => {
+  let salariedHoursService;
+
+  const worker = {
+    id: 1,
+    external_id: 'EMP001',
+    organization_id: 10,
+    age: 30,
+    work_type: 'salaried_hours',
+    annual_basic_hours: 1950,
+    calculation_year_start: '2023-04-06'
+  };
+
+  const monthlyPeriod = {
+    id: 100,
+    period_start: '2024-03-01',
+    period_end: '2024-03-31',
+    total_hours: 170,
+    total_pay: 2000
+  };
+
+  beforeEach(() => {
+    salariedHoursService = new SalariedHoursService();
+    jest.clearAllMocks();
+  });
+
+  describe('isSalariedHoursWorker', () => {
+    test('should identify salaried-hours workers', () => {
+      expect(salariedHoursService.isSalariedHoursWorker(worker)).toBe(true);
+      expect(salariedHoursService.isSalariedHoursWorker({ work_type: 'time_work' })).toBe(false);
+      expect(salariedHoursService.isSalariedHoursWorker({})).toBe(false);
+    });
+  });
+
+  describe('getCalculationYear', () => {
+    test('should start the year on the calculation year anniversary', () => {
+      const year = salariedHoursService.getCalculationYear(worker, '2024-03-15');
+
+      expect(year.start.getFullYear()).toBe(2023);
+      expect(year.start.getMonth()).toBe(3);
+      expect(year.start.getDate()).toBe(6);
+      expect(year.end.getFullYear()).toBe(2024);
+      expect(year.end.getDate()).toBe(5);
+    });
+
+    test('should default to the tax year without a calculation year start', () => {
+      const year = salariedHoursService.getCalculationYear({}, '2024-05-01');
+
+      expect(year.start.getFullYear()).toBe(2024);
+      expect(year.start.getMonth()).toBe(3);
+      expect(year.start.getDate()).toBe(6);
+    });
+  });
+
+  describe('getPayFrequency', () => {
+    test('should determine pay frequency from period length', () => {
+      expect(salariedHoursService.getPayFrequency('2024-01-01', '2024-01-07')).toBe('weekly');
+      expect(salariedHoursService.getPayFrequency('2024-01-01', '2024-01-14')).toBe('fortnightly');
+      expect(salariedHoursService.getPayFrequency('2024-01-01', '2024-01-28')).toBe('four_weekly');
+      expect(salariedHoursService.getPayFrequency('2024-01-01', '2024-01-31')).toBe('monthly');
+    });
+
+    test('should treat calendar months as monthly whatever their length', () => {
+      expect(salariedHoursService.getPayFrequency('2025-02-01', '2025-02-28')).toBe('monthly');
+      expect(salariedHoursService.getPayFrequency('2024-02-01', '2024-02-29')).toBe('monthly');
+      expect(salariedHoursService.getPayFrequency('2024-01-15', '2024-02-14')).toBe('monthly');
+      expect(salariedHoursService.getPayFrequency('2024-04-01', '2024-06-30')).toBe('quarterly');
+      expect(salariedHoursService.getPayFrequency('2025-01-06', '2025-02-02')).toBe('four_weekly');
+    });
+
+    test('should spread annual basic hours over 12 PRPs for a February pay period', () => {
+      const result = salariedHoursService.calculateSalariedHours(
+        { annual_basic_hours: 1950, calculation_year_start: '2024-04-06' },
+        { period_start: '2025-02-01', period_end: '2025-02-28', total_hours: 150 }
+      );
+
+      expect(result).toMatchObject({ pay_frequency: 'monthly', prps_per_year: 12 });
+      expect(result.basic_hours_for_prp).toBeCloseTo(162.5, 2);
+    });
+  });
+
+  describe('calculateSalariedHours', () => {
+    test('should spread annual basic hours across the calculation year', () => {
+      const result = salariedHoursService.calculateSalariedHours(worker, monthlyPeriod, 1000);
+
+      expect(result.basic_hours_for_prp).toBe(162.5);
+      expect(result.hours_over_annual).toBe(0);
+      expect(result.nmw_hours).toBe(162.5);
+      expect(result.annual_threshold_exceeded).toBe(false);
+    });
+
+    test('should flag the PRP in which annual hours are first exceeded', () => {
+      const result = salariedHoursService.calculateSalariedHours(worker, monthlyPeriod, 1900);
+
+      expect(result.cumulative_hours).toBe(2070);
+      expect(result.hours_over_annual).toBe(120);
+      expect(result.threshold_first_exceeded_this_prp).toBe(true);
+      expect(result.nmw_hours).toBe(282.5);
+    });
+
+    test('should add all hours worked after the threshold to later PRPs', () => {
+      const result = salariedHoursService.calculateSalariedHours(worker, monthlyPeriod, 2000);
+
+      expect(result.hours_over_annual).toBe(170);
+      expect(result.threshold_first_exceeded_this_prp).toBe(false);
+      expect(result.annual_threshold_exceeded).toBe(true);
+    });
+
+    test('should reject workers without annual basic hours', () => {
+      expect(() => {
+        salariedHoursService.calculateSalariedHours({ work_type: 'salaried_hours' }, monthlyPeriod);
+      }).toThrow('Annual basic hours must be greater than 0');
+    });
+  });
+
+  describe('applyCumulativeHours', () => {
+    test('should record hours and attach cumulative hours from the ledger', async () => {
+      pool.query.mockImplementation((query) => {
+        if (query.includes('SUM(hours_worked)')) {
+          return Promise.resolve({ rows: [{ cumulative_hours: '1800.00' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const result = await salariedHoursService.applyCumulativeHours(worker, [monthlyPeriod]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].cumulative_hours_before).toBe(1800);
+
+      const insertCall = pool.query.mock.calls.find(call => call[0].includes('INSERT INTO salaried_hours_ledger'));
+      expect(insertCall[1][1]).toBe('EMP001');
+      expect(insertCall[1][5]).toBe(170);
+    });
+
+    test('should propagate database errors', async () => {
+      pool.query.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(salariedHoursService.applyCumulativeHours(worker, [monthlyPeriod]))
+        .rejects.toThrow('Database unavailable');
+    });
+  });
+
+  describe('PRPCalculationService integration', () => {
+    test('should use salaried hours for the effective hourly rate', () => {
+      const prpService = new PRPCalculationService();
+      const result = prpService.calculatePRP(worker, { ...monthlyPeriod, cumulative_hours_before: 1900 });
+
+      expect(result.success).toBe(true);
+      expect(result.prp.work_type).toBe('salaried_hours');
+      expect(result.prp.total_hours).toBe(282.5);
+      expect(result.prp.salaried_hours.threshold_first_exceeded_this_prp).toBe(true);
+      expect(result.compliance.issues.some(issue => issue.type === 'salaried_hours_threshold')).toBe(true);
+    });
+
+    test('should keep time work calculations unchanged', () => {
+      const prpService = new PRPCalculationService();
+      const result = prpService.calculatePRP({ id: 2, age: 30 }, monthlyPeriod);
+
+      expect(result.prp.work_type).toBe('time_work');
+      expect(result.prp.total_hours).toBe(170);
+      expect(result.prp.salaried_hours).toBeNull();
+    });
+  });
+});
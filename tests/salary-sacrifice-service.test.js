@@ -0,0 +1,87 @@
+/**
+ * Salary Sacrifice Service Tests
+ *
+ * Tests salary sacrifice amounts taken from payroll columns and pay
+ * components, and the employer's exposure when they take pay below NMW
+ */
+
+const SalarySacrificeService = require('../src/services/salarySacrificeService');
+const nmwComponentRules = require('../src/config/nmwComponentRules');
+
+// Mock the NMW component rules
+jest.mock('../src/config/nmwComponentRules');
+
+describe('SalarySacrificeService', () => {
+  let sacrificeService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sacrificeService = new SalarySacrificeService();
+
+    nmwComponentRules.classifyComponent.mockImplementation(async name => ({
+      categoryPath: ['childcare_vouchers', 'bike_scheme'].includes(name) ? 'salaryServices.sacrifice' : 'basicPay'
+    }));
+  });
+
+  describe('calculateSalarySacrifice', () => {
+    test('should total the payroll sacrifice columns by scheme', async () => {
+      const payPeriod = { id: 1, pension_sacrifice: '45.50', childcare_voucher_sacrifice: 100, ev_sacrifice: 0 };
+
+      const result = await sacrificeService.calculateSalarySacrifice({ worker_id: 'W001' }, payPeriod);
+
+      expect(result.success).toBe(true);
+      expect(result.total_sacrifice).toBe(145.5);
+      expect(result.schemes).toEqual([
+        { scheme: 'pension', source: 'pension_sacrifice', amount: 45.5 },
+        { scheme: 'childcare_vouchers', source: 'childcare_voucher_sacrifice', amount: 100 }
+      ]);
+    });
+
+    test('should pick up sacrifice pay components classified by the component rules', async () => {
+      const result = await sacrificeService.calculateSalarySacrifice({ worker_id: 'W001' }, { id: 1 }, {
+        basic_pay: 1800,
+        childcare_vouchers: -120,
+        bike_scheme: 30,
+        pension_salary_sacrifice: 50
+      });
+
+      expect(result.schemes.map(scheme => [scheme.scheme, scheme.amount])).toEqual([
+        ['childcare_vouchers', 120],
+        ['cycle_to_work', 30],
+        ['pension', 50]
+      ]);
+      expect(result.total_sacrifice).toBe(200);
+    });
+
+    test('should not count a sacrifice column twice when it is also a pay component', async () => {
+      const result = await sacrificeService.calculateSalarySacrifice({ worker_id: 'W001' }, { id: 1, pension_sacrifice: 60 }, { pension_sacrifice: 60 });
+
+      expect(result.total_sacrifice).toBe(60);
+    });
+  });
+
+  describe('calculateExposure', () => {
+    test('should report arrears, penalty and naming risk when sacrifice takes pay below the minimum', () => {
+      const exposure = sacrificeService.calculateExposure({ total_sacrifice: 300 }, 10.44, 11.44, 160);
+
+      expect(exposure).toEqual({
+        total_sacrifice: 300,
+        effective_hourly_rate_without_sacrifice: 12.32,
+        sacrifice_causes_shortfall: true,
+        arrears_owed: 160,
+        maximum_penalty: 320,
+        naming_risk: false
+      });
+    });
+
+    test('should apply the minimum penalty and flag naming above the threshold', () => {
+      expect(sacrificeService.calculateExposure({ total_sacrifice: 20 }, 11.4, 11.44, 100).maximum_penalty).toBe(100);
+      expect(sacrificeService.calculateExposure({ total_sacrifice: 400 }, 8, 11.44, 160).naming_risk).toBe(true);
+    });
+
+    test('should return null when pay after sacrifice meets the minimum wage', () => {
+      expect(sacrificeService.calculateExposure({ total_sacrifice: 100 }, 11.5, 11.44, 160)).toBeNull();
+      expect(sacrificeService.calculateExposure({ total_sacrifice: 0 }, 10, 11.44, 160)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Shift Classification Service Tests
+ *
+ * Tests sleep-in, on-call and awake night classification of rota shifts and
+ * travel time between visits
+ */
+
+const ShiftClassificationService = require('../src/services/shiftClassificationService');
+const CSVParserService = require('../src/services/csvParserService');
+
+describe('ShiftClassificationService', () => {
+  let shiftService;
+
+  beforeEach(() => {
+    shiftService = new ShiftClassificationService();
+  });
+
+  describe('normalizeShiftType', () => {
+    test('should recognise common rota labels', () => {
+      expect(shiftService.normalizeShiftType('Sleep-in')).toBe('sleep_in');
+      expect(shiftService.normalizeShiftType('Waking Night')).toBe('awake_night');
+      expect(shiftService.normalizeShiftType('On call at home')).toBe('on_call_home');
+      expect(shiftService.normalizeShiftType('on_call_workplace')).toBe('on_call_workplace');
+    });
+
+    test('should default blank shift types to standard and reject unknown ones', () => {
+      expect(shiftService.normalizeShiftType('')).toBe('standard');
+      expect(shiftService.normalizeShiftType(undefined)).toBe('standard');
+      expect(shiftService.normalizeShiftType('nap')).toBeNull();
+    });
+  });
+
+  describe('calculateShiftHours', () => {
+    test('should deduct breaks from the rostered shift', () => {
+      expect(shiftService.calculateShiftHours({ start_time: '09:00', end_time: '17:00', break_minutes: 30 })).toBe(7.5);
+    });
+
+    test('should handle shifts that run past midnight', () => {
+      expect(shiftService.calculateShiftHours({ start_time: '22:00', end_time: '07:00' })).toBe(9);
+      expect(shiftService.calculateShiftHours({ start_time: '22:00:00', end_time: '07:00:00' })).toBe(9);
+    });
+  });
+
+  describe('classifyShift', () => {
+    test('should count only active hours for a sleep-in', () => {
+      const result = shiftService.classifyShift({ shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00', active_hours: 1.5 });
+
+      expect(result.treatment).toBe('active_hours_only');
+      expect(result.shift_hours).toBe(9);
+      expect(result.qualifying_hours).toBe(1.5);
+      expect(result.excluded_hours).toBe(7.5);
+      expect(result.active_hours_missing).toBe(false);
+    });
+
+    test('should flag sleep-ins and on-call at home with no active hours recorded', () => {
+      const result = shiftService.classifyShift({ shift_type: 'on_call_home', start_time: '18:00', end_time: '08:00' });
+
+      expect(result.qualifying_hours).toBe(0);
+      expect(result.excluded_hours).toBe(14);
+      expect(result.active_hours_missing).toBe(true);
+    });
+
+    test('should count every hour of awake nights and on-call at the workplace', () => {
+      const awakeNight = shiftService.classifyShift({ shift_type: 'awake_night', start_time: '22:00', end_time: '07:00', active_hours: 2 });
+      const onCallWorkplace = shiftService.classifyShift({ shift_type: 'on_call_workplace', start_time: '20:00', end_time: '23:00' });
+
+      expect(awakeNight.qualifying_hours).toBe(9);
+      expect(onCallWorkplace.qualifying_hours).toBe(3);
+    });
+
+    test('should not count more active hours than the shift length', () => {
+      const result = shiftService.classifyShift({ shift_type: 'sleep_in', start_time: '22:00', end_time: '23:00', active_hours: 4 });
+
+      expect(result.qualifying_hours).toBe(1);
+    });
+
+    test('should throw for an unrecognised shift type', () => {
+      expect(() => shiftService.classifyShift({ shift_type: 'nap', start_time: '09:00', end_time: '10:00' }))
+        .toThrow('Unrecognised shift type "nap"');
+    });
+  });
+
+  describe('summarizeShifts', () => {
+    test('should total qualifying and excluded hours by shift type', () => {
+      const result = shiftService.summarizeShifts([
+        { shift_type: 'standard', start_time: '08:00', end_time: '16:00', break_minutes: 30 },
+        { shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00', active_hours: 1 },
+        { shift_type: 'sleep_in', start_time: '22:00', end_time: '07:00' }
+      ]);
+
+      expect(result.total_shift_hours).toBe(25.5);
+      expect(result.qualifying_hours).toBe(8.5);
+      expect(result.excluded_hours).toBe(17);
+      expect(result.shifts_missing_active_hours).toBe(1);
+      expect(result.by_shift_type.sleep_in).toEqual({ shifts: 2, shift_hours: 18, qualifying_hours: 1 });
+    });
+  });
+
+  describe('calculateTravelTime', () => {
+    const visits = [
+      { date: '2024-05-01', shift_type: 'standard', start_time: '08:40', end_time: '09:10' },
+      { date: '2024-05-01', shift_type: 'standard', start_time: '09:30', end_time: '10:00', travel_minutes: 20 },
+      { date: '2024-05-01', shift_type: 'standard', start_time: '10:20', end_time: '10:50' },
+      { date: '2024-05-01', shift_type: 'standard', start_time: '17:00', end_time: '17:30' },
+      { date: '2024-05-02', shift_type: 'standard', start_time: '08:00', end_time: '08:30', travel_minutes: 30 }
+    ];
+
+    test('should count supplied travel or the default between consecutive visits', () => {
+      const travel = shiftService.calculateTravelTime(visits);
+
+      expect(travel).toHaveLength(2);
+      expect(travel[0]).toMatchObject({ date: '2024-05-01', to_shift_index: 1, gap_minutes: 20, travel_minutes: 20, source: 'supplied' });
+      expect(travel[1]).toMatchObject({ to_shift_index: 2, gap_minutes: 20, travel_minutes: 15, source: 'default' });
+    });
+
+    test('should cap the default travel at the gap between visits', () => {
+      const travel = shiftService.calculateTravelTime([
+        { date: '2024-05-01', shift_type: 'standard', start_time: '09:00', end_time: '09:30' },
+        { date: '2024-05-01', shift_type: 'standard', start_time: '09:40', end_time: '10:10' },
+        { date: '2024-05-01', shift_type: 'standard', start_time: '10:10', end_time: '10:40' }
+      ]);
+
+      expect(travel).toHaveLength(1);
+      expect(travel[0]).toMatchObject({ to_shift_index: 1, gap_minutes: 10, travel_minutes: 10, source: 'default' });
+    });
+
+    test('should cap supplied travel at the gap between visits', () => {
+      const travel = shiftService.calculateTravelTime([
+        { date: '2024-05-01', shift_type: 'standard', start_time: '09:00', end_time: '09:30' },
+        { date: '2024-05-01', shift_type: 'standard', start_time: '09:40', end_time: '10:10', travel_minutes: 25 },
+        { date: '2024-05-01', shift_type: 'standard', start_time: '10:10', end_time: '10:40', travel_minutes: 15 },
+        { date: '2024-05-01', shift_type: 'standard', start_time: '10:30', end_time: '11:00', travel_minutes: 15 }
+      ]);
+
+      expect(travel).toHaveLength(1);
+      expect(travel[0]).toMatchObject({ to_shift_index: 1, gap_minutes: 10, travel_minutes: 10, source: 'supplied', supplied_minutes: 25 });
+    });
+
+    test('should not count split-shift gaps or travel to the first visit of the day', () => {
+      const travel = shiftService.calculateTravelTime(visits);
+
+      expect(travel.map(leg => leg.to_shift_index)).not.toContain(3);
+      expect(travel.map(leg => leg.to_shift_index)).not.toContain(4);
+    });
+
+    test('should add travel hours to qualifying hours', () => {
+      const result = shiftService.summarizeShifts(visits);
+
+      expect(result.shift_qualifying_hours).toBe(2.5);
+      expect(result.travel_hours).toBe(0.58);
+      expect(result.qualifying_hours).toBe(3.08);
+    });
+
+    test('should ignore sleep-ins when finding journeys', () => {
+      const travel = shiftService.calculateTravelTime([
+        { date: '2024-05-01', shift_type: 'standard', start_time: '18:00', end_time: '21:00' },
+        { date: '2024-05-01', shift_type: 'sleep_in', start_time: '21:30', end_time: '23:59' }
+      ]);
+
+      expect(travel).toEqual([]);
+    });
+  });
+
+  describe('Rota CSV processing', () => {
+    let csvParser;
+
+    beforeEach(() => {
+      csvParser = new CSVParserService();
+    });
+
+    test('should set rota row hours to qualifying hours only', () => {
+      const [row] = csvParser.processData([
+        { worker_id: 'C1', worker_name: 'Care Worker', date: '2024-05-01', start_time: '22:00', end_time: '07:00', shift_type: 'Sleep-in', active_hours: '0.5' }
+      ], 'rota');
+
+      expect(row.shift_type).toBe('sleep_in');
+      expect(row.shift_hours).toBe(9);
+      expect(row.qualifying_hours).toBe(0.5);
+      expect(row.hours).toBe(0.5);
+    });
+
+    test('should add travel between visits to rota row hours', () => {
+      const rows = csvParser.processData([
+        { worker_id: 'C1', worker_name: 'Care Worker', date: '2024-05-01', start_time: '09:00', end_time: '09:30' },
+        { worker_id: 'C1', worker_name: 'Care Worker', date: '2024-05-01', start_time: '09:45', end_time: '10:15', travel_minutes: '12' },
+        { worker_id: 'C2', worker_name: 'Other Worker', date: '2024-05-01', start_time: '09:40', end_time: '10:10' }
+      ], 'rota');
+
+      expect(rows[0].hours).toBe(0.5);
+      expect(rows[0].travel_hours).toBeUndefined();
+      expect(rows[1].travel_hours).toBe(0.2);
+      expect(rows[1].travel_source).toBe('supplied');
+      expect(rows[1].hours).toBe(0.7);
+      expect(rows[2].travel_hours).toBeUndefined();
+    });
+
+    test('should reject unrecognised shift types and negative active hours', () => {
+      const errors = csvParser.validateRow(
+        { worker_id: 'C1', shift_type: 'nap', active_hours: '-1' },
+        'rota',
+        2
+      );
+
+      expect(errors.map(error => error.type)).toEqual(['invalid_shift_type', 'invalid_active_hours']);
+    });
+  });
+});
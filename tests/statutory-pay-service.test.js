@@ -0,0 +1,132 @@
+const StatutoryPayService = require('../src/services/statutoryPayService');
+
+describe('Statutory Pay Service', () => {
+  let service;
+  const worker = { id: 1 };
+
+  beforeEach(() => {
+    service = new StatutoryPayService();
+  });
+
+  describe('checkStatutoryPay', () => {
+    test('should return nothing when the period has no statutory payments', () => {
+      expect(service.checkStatutoryPay(worker, { period_start: '2025-05-01', period_end: '2025-05-31', total_pay: 2000 })).toBeNull();
+    });
+
+    test('should take the most serious status across SSP, SMP and SPP', () => {
+      const result = service.checkStatutoryPay(worker, {
+        id: 3, period_start: '2025-06-01', period_end: '2025-06-30', average_weekly_earnings: 500,
+        sick_days: 2, ssp_paid: 47.50,
+        paternity_leave_start: '2025-06-02', spp_paid: 187.18
+      });
+
+      expect(result).toMatchObject({ ragStatus: 'RED', pay_period_id: 3, total_due: 421.86, total_paid: 234.68, total_shortfall: 187.18 });
+      expect(result.checks.ssp.ragStatus).toBe('GREEN');
+      expect(result.checks.spp.issue).toBe('spp_underpaid');
+    });
+  });
+
+  describe('checkSSP', () => {
+    const sickPeriod = { period_start: '2025-05-01', period_end: '2025-05-31', average_weekly_earnings: 400, sick_days: 5, sickness_start: '2025-05-12' };
+
+    test('should leave out three waiting days at the start of a new period of sickness', () => {
+      const check = service.checkSSP({ ...sickPeriod, ssp_paid: 47.50 });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', waiting_days: 3, payable_days: 2, daily_rate: 23.75, due: 47.50 });
+    });
+
+    test('should pay every day of sickness that links to an earlier period', () => {
+      const check = service.checkSSP({ ...sickPeriod, linked_sickness: true, ssp_paid: 47.50 });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'ssp_underpaid', waiting_days: 0, due: 118.75, shortfall: 71.25, severity: 'CRITICAL' });
+    });
+
+    test('should use the weekly rate for the tax year the sickness falls in', () => {
+      const check = service.checkSSP({
+        period_start: '2025-03-01', period_end: '2025-03-31', average_weekly_earnings: 400,
+        sick_days: 5, sickness_start: '2025-03-03', linked_sickness: 'yes', ssp_paid: 116.75
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', weekly_rate: 116.75, tax_year: '2024 to 2025 tax year' });
+    });
+
+    test('should not expect SSP for a worker earning below the lower earnings limit', () => {
+      const check = service.checkSSP({ ...sickPeriod, average_weekly_earnings: 120, ssp_paid: 0 });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', eligible: false, due: 0, lower_earnings_limit: 125 });
+    });
+
+    test('should only warn about a shortfall when average weekly earnings are missing', () => {
+      const check = service.checkSSP({ ...sickPeriod, average_weekly_earnings: null, ssp_paid: 0 });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'average_weekly_earnings_missing', payable_days: 2 });
+    });
+
+    test('should flag SSP paid without the sick days it covers', () => {
+      const check = service.checkSSP({ period_start: '2025-05-01', period_end: '2025-05-31', ssp_paid: 118.75 });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'sick_days_missing' });
+    });
+  });
+
+  describe('checkSMP', () => {
+    test('should pay 90% of earnings for six weeks, then the standard rate', () => {
+      const check = service.checkSMP({
+        period_start: '2025-06-01', period_end: '2025-06-30', average_weekly_earnings: 500,
+        maternity_pay_start: '2025-05-05', smp_paid: 1365.39
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', higher_weekly_rate: 450, higher_rate_days: 15, standard_rate_days: 15, due: 1365.39 });
+    });
+
+    test('should flag SMP paid at the standard rate during the first six weeks', () => {
+      const check = service.checkSMP({
+        period_start: '2025-05-01', period_end: '2025-05-31', average_weekly_earnings: 500,
+        maternity_pay_start: '2025-05-05', smp_paid: 721.98
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'RED', issue: 'smp_underpaid', due: 1735.71, shortfall: 1013.73 });
+    });
+
+    test('should ask for average weekly earnings before checking SMP', () => {
+      const check = service.checkSMP({ period_start: '2025-05-01', period_end: '2025-05-31', maternity_pay_start: '2025-05-05', smp_paid: 500 });
+
+      expect(check).toMatchObject({ ragStatus: 'AMBER', issue: 'average_weekly_earnings_missing' });
+    });
+  });
+
+  describe('checkSPP', () => {
+    test('should pay the lower of the standard rate and 90% of earnings for two weeks', () => {
+      const check = service.checkSPP({
+        period_start: '2025-06-01', period_end: '2025-06-30', average_weekly_earnings: 180,
+        paternity_leave_start: '2025-06-02', spp_paid: 324
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', leave_days: 14, weekly_rate: 162, paternity_leave_end: '2025-06-15' });
+    });
+
+    test('should only expect SPP for the days of leave taken', () => {
+      const check = service.checkSPP({
+        period_start: '2025-06-01', period_end: '2025-06-30', average_weekly_earnings: 500,
+        paternity_leave_start: '2025-06-02', paternity_leave_end: '2025-06-08', spp_paid: 187.18
+      });
+
+      expect(check).toMatchObject({ ragStatus: 'GREEN', leave_days: 7, due: 187.18 });
+    });
+  });
+
+  describe('summarizeResults', () => {
+    test('should count workers by RAG status and total the shortfalls', () => {
+      const results = [
+        null,
+        service.checkStatutoryPay(worker, { period_start: '2025-05-01', period_end: '2025-05-31', average_weekly_earnings: 400, sick_days: 2, ssp_paid: 47.50 }),
+        service.checkStatutoryPay(worker, { period_start: '2025-05-01', period_end: '2025-05-31', average_weekly_earnings: 400, sick_days: 5, ssp_paid: 0 }),
+        service.checkStatutoryPay(worker, { period_start: '2025-05-01', period_end: '2025-05-31', maternity_pay_start: '2025-05-05', smp_paid: 500 })
+      ];
+
+      expect(service.summarizeResults(results)).toEqual({
+        checked: 3, green: 1, amber: 1, red: 1, critical_underpayments: 1, total_shortfall: 118.75
+      });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const TipsAllocationService = require('../src/services/tipsAllocationService');
+const { pool } = require('../src/config/database');
+
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('Tips Allocation Service', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new TipsAllocationService();
+  });
+
+  describe('getPaymentDeadline', () => {
+    test('should allow until the end of the following month', () => {
+      expect(service.getPaymentDeadline('2024-01')).toBe('2024-02-29');
+      expect(service.getPaymentDeadline('2024-12')).toBe('2025-01-31');
+    });
+  });
+
+  describe('checkAllocation', () => {
+    const collections = [
+      { site: 'Soho', date: '2024-01-10', amount: 500 },
+      { site: 'Soho', date: '2024-02-14', amount: 300 },
+      { site: 'Leeds', date: '2024-01-20', amount: 200 }
+    ];
+
+    test('should pass tips paid in full by the deadline', () => {
+      const result = service.checkAllocation(collections, [
+        { worker_id: 'W001', site: 'Soho', date: '2024-02-28', amount: 500 },
+        { worker_id: 'W002', site: 'Soho', date: '2024-03-28', amount: 300 },
+        { worker_id: 'W003', site: 'leeds', date: '2024-02-01', amount: 200 }
+      ], { asOf: '2024-04-15' });
+
+      expect(result.summary.status).toBe('compliant');
+      expect(result.months.map(month => month.status)).toEqual(['compliant', 'compliant', 'compliant']);
+    });
+
+    test('should report late payments and shortfalls against the oldest tips owed', () => {
+      const result = service.checkAllocation(collections, [
+        { worker_id: 'W001', worker_name: 'Alex', site: 'Soho', date: '2024-02-20', amount: 400 },
+        { worker_id: 'W002', worker_name: 'Jo', site: 'Soho', date: '2024-03-05', amount: 50 }
+      ], { asOf: '2024-04-15' });
+
+      const soho = result.months.filter(month => month.site === 'Soho');
+      expect(soho[0]).toMatchObject({ month: '2024-01', paid_on_time: 400, paid_late: 50, shortfall: 50, status: 'shortfall' });
+      expect(soho[1]).toMatchObject({ month: '2024-02', shortfall: 300, status: 'shortfall' });
+      expect(result.late_payments).toEqual([expect.objectContaining({ worker_id: 'W002', tips_month: '2024-01', days_late: 5, amount: 50 })]);
+      expect(result.summary.total_shortfall).toBe(550);
+      expect(result.summary.status).toBe('non_compliant');
+    });
+
+    test('should match a payment to the tips month it shares out', () => {
+      const result = service.checkAllocation(collections, [
+        { worker_id: 'W001', site: 'Soho', date: '2024-03-05', amount: 300, tips_month: '2024-02-01' }
+      ], { asOf: '2024-03-10' });
+
+      const february = result.months.find(month => month.site === 'Soho' && month.month === '2024-02');
+      expect(february).toMatchObject({ paid_on_time: 300, status: 'compliant' });
+      expect(result.late_payments).toEqual([]);
+    });
+
+    test('should leave tips owed before the deadline as pending', () => {
+      const result = service.checkAllocation([{ site: 'Soho', date: '2024-03-10', amount: 100 }], [], { asOf: '2024-04-01' });
+
+      expect(result.months[0]).toMatchObject({ pending: 100, shortfall: 0, status: 'pending' });
+      expect(result.summary.status).toBe('pending');
+    });
+
+    test('should report payments with no tips collected to match', () => {
+      const result = service.checkAllocation([], [{ worker_id: 'W001', site: 'York', date: '2024-03-10', amount: 60 }], { asOf: '2024-04-01' });
+
+      expect(result.unmatched_distributions).toHaveLength(1);
+      expect(result.summary.total_unmatched).toBe(60);
+    });
+  });
+
+  describe('generateComplianceReport', () => {
+    test('should check a client payroll upload against its tips records and written policy', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, period_start: '2024-01-10', period_end: '2024-01-10', amount: '250.00', source: 'uploaded_tips', site: 'Soho' }] })
+        .mockResolvedValueOnce({ rows: [{ worker_id: 'W001', site: 'Soho', date: '2024-02-10', amount: '250.00' }] })
+        .mockResolvedValueOnce({ rows: [{ settings: { troncScheme: { independent: true, distributionPolicy: { method: 'hours', description: 'Shared by hours worked' } } } }] });
+
+      const report = await service.generateComplianceReport(
+        { id: 12, organizationId: 3, organizationType: 'client' },
+        [{ worker_id: 'W001', period_start: '2024-01-01', period_end: '2024-01-31' }],
+        { asOf: '2024-03-15' }
+      );
+
+      expect(pool.query.mock.calls[0][0]).toEqual(expect.stringContaining('FROM tips_records'));
+      expect(pool.query.mock.calls[0][1]).toEqual([3, '2024-01-01', '2024-01-31', 'uploaded_tips', ['card_tips', 'cash_tips']]);
+      expect(pool.query.mock.calls[1][1]).toEqual([3, 'client', 'distributed', '2024-01-01', '2024-02-29']);
+      expect(report.written_policy.recorded).toBe(true);
+      expect(report.summary.status).toBe('compliant');
+    });
+
+    test('should read uploaded tips for employers, who have no tronc collections', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await service.generateComplianceReport(
+        { id: 12, organizationId: 4, organizationType: 'employer' },
+        [{ worker_id: 'W001', period_start: '2024-01-01', period_end: '2024-01-31' }]
+      );
+
+      expect(pool.query.mock.calls[0][1]).toEqual([4, 'employer', 'collected', '2024-01-01', '2024-01-31']);
+    });
+
+    test('should count the same collections as the tronc report for a client', async () => {
+      const collections = [
+        { id: 1, period_start: '2024-06-01', period_end: '2024-06-30', amount: '600.00', source: 'service_charge', site: null },
+        { id: 7, period_start: '2024-06-14', period_end: '2024-06-14', amount: '300.00', source: 'uploaded_tips', site: 'Soho' }
+      ];
+      const workers = [
+        { worker_id: 'W001', worker_name: 'Alex', role: 'Waiter', total_hours: 100, tips: 300, tronc: 200, period_start: '2024-06-01', period_end: '2024-06-30' },
+        { worker_id: 'W002', worker_name: 'Jo', role: 'Chef', total_hours: 100, tips: 0, tronc: 400, period_start: '2024-06-01', period_end: '2024-06-30' }
+      ];
+      const scheme = { rows: [{ settings: { troncScheme: { independent: true, distributionPolicy: { method: 'hours', description: 'Shared by hours worked' } } } }] };
+
+      pool.query
+        .mockResolvedValueOnce({ rows: collections })
+        .mockResolvedValueOnce({
+          rows: [
+            { worker_id: 'W001', site: 'Soho', date: '2024-07-05', amount: '500.00' },
+            { worker_id: 'W002', site: 'Soho', date: '2024-07-05', amount: '400.00' }
+          ]
+        })
+        .mockResolvedValueOnce(scheme);
+      const tipsReport = await service.generateComplianceReport({ id: 12, organizationId: 7, organizationType: 'client' }, workers, { asOf: '2024-08-15' });
+
+      pool.query
+        .mockResolvedValueOnce(scheme)
+        .mockResolvedValueOnce({ rows: collections });
+      const troncReport = await service.troncSchemeService.generateAllocationReport({ organizationId: 7, organizationType: 'client' }, workers);
+
+      expect(pool.query.mock.calls[0][0]).toBe(pool.query.mock.calls[4][0]);
+      expect(tipsReport.summary.total_collected).toBe(900);
+      expect(troncReport.reconciliation.total_collected).toBe(tipsReport.summary.total_collected);
+      expect(troncReport.reconciliation.status).toBe('balanced');
+      expect(tipsReport.summary.status).toBe('compliant');
+    });
+
+    test('should return nothing when there are no tips records', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const report = await service.generateComplianceReport(
+        { id: 12, organizationId: 3, organizationType: 'employer' },
+        [{ worker_id: 'W001', period_start: '2024-01-01', period_end: '2024-01-31' }]
+      );
+
+      expect(report).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const TrainingTimeService = require('../src/services/trainingTimeService');
+
+describe('Training Time Service', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new TrainingTimeService();
+  });
+
+  describe('calculateTrainingTime', () => {
+    test('should add uploaded training hours to hours worked', () => {
+      const trainingTime = service.calculateTrainingTime({ training_hours: '7.5', training_description: 'Induction' }, 150);
+
+      expect(trainingTime).toMatchObject({ training_hours: 7.5, training_description: 'Induction', hours_without_training: 150, hours_with_training: 157.5 });
+      expect(trainingTime.rule).toContain('working time');
+    });
+
+    test('should return nothing when no training hours are recorded', () => {
+      expect(service.hasTrainingHours({ training_hours: 0 })).toBe(false);
+      expect(service.calculateTrainingTime({ training_hours: '' }, 150)).toBeNull();
+    });
+  });
+
+  describe('generateTrainingTimeIssue', () => {
+    test('should be high severity when training time alone takes pay below the minimum rate', () => {
+      const trainingTime = { training_hours: 15, training_description: 'Mandatory e-learning', effective_hourly_rate_without_training: 12 };
+
+      const issue = service.generateTrainingTimeIssue(trainingTime, 10.91, 11.44);
+
+      expect(issue).toMatchObject({ type: 'unpaid_training_time', severity: 'high', training_hours: 15 });
+      expect(issue.message).toBe('15 hours of unpaid training (Mandatory e-learning) added to NMW hours; effective rate £10.91 with them, £12.00 without');
+    });
+
+    test('should be medium severity when pay is below the minimum rate without the training time too', () => {
+      const trainingTime = { training_hours: 5, effective_hourly_rate_without_training: 11 };
+
+      expect(service.generateTrainingTimeIssue(trainingTime, 10.5, 11.44).severity).toBe('medium');
+    });
+  });
+});
@@ -437,6 +437,25 @@ describe('Tronc Exclusion Service Tests', () => {
       expect(result.warnings).toHaveLength(2); // Critical + proportion warning (200/1200 = 16.7% >= 15%)
     });
 
+    test('should describe the governance of the tronc scheme when tips are found', async () => {
+      const worker = { id: 1, external_id: 'W001' };
+      const payPeriod = { id: 1 };
+      const payComponents = { basic_pay: 1000, tronc: 120 };
+
+      nmwComponentRules.classifyComponent
+        .mockResolvedValueOnce({ category: 'included', confidence: 'high' })
+        .mockResolvedValueOnce({ category: 'excluded', categoryPath: 'tips.tronc', confidence: 'high' });
+
+      const result = await troncExclusionService.processTroncExclusions(worker, payPeriod, payComponents, {
+        troncScheme: { independent: false, distributionPolicy: { method: 'hours', description: 'Shared by hours worked' } }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.scheme_governance.scheme_type).toBe('employer_controlled');
+      expect(result.scheme_governance.ni_treatment).toContain('NICs are due');
+      expect(result.scheme_governance.issues).toEqual([]);
+    });
+
     test('should handle processing errors gracefully', async () => {
       const worker = { id: 1 };
       const payPeriod = { id: 1 };
@@ -0,0 +1,187 @@
+const TroncSchemeService = require('../src/services/troncSchemeService');
+const { pool } = require('../src/config/database');
+
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('Tronc Scheme Service', () => {
+  let service;
+
+  const independentScheme = {
+    troncmaster: { name: 'Sam Patel', role: 'Head Waiter' },
+    independent: true,
+    distributionPolicy: {
+      method: 'points',
+      description: 'Front of house 10 points per hour, kitchen 8 points per hour',
+      rolePoints: { Waiter: 10, Chef: 8 }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new TroncSchemeService();
+  });
+
+  describe('validateScheme', () => {
+    test('should accept a complete independent scheme', () => {
+      expect(service.validateScheme(independentScheme)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should reject a scheme without independence, method or role points', () => {
+      const result = service.validateScheme({
+        troncmaster: { role: 'Manager' },
+        distributionPolicy: { method: 'points' }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Tronc scheme must say whether it is independent (true or false)',
+        'Troncmaster requires a name',
+        'A points-based distribution policy requires points for each role'
+      ]);
+    });
+  });
+
+  describe('describeGovernance', () => {
+    test('should treat an independent tronc as free of NICs', () => {
+      const governance = service.describeGovernance(independentScheme);
+
+      expect(governance.scheme_type).toBe('independent_tronc');
+      expect(governance.troncmaster.name).toBe('Sam Patel');
+      expect(governance.ni_treatment).toContain('No employer or employee NICs');
+      expect(governance.issues).toEqual([]);
+    });
+
+    test('should flag an independent tronc with no troncmaster', () => {
+      const governance = service.describeGovernance({
+        independent: true,
+        distributionPolicy: { method: 'hours' }
+      });
+
+      expect(governance.issues.map(issue => issue.type)).toEqual([
+        'independent_tronc_without_troncmaster',
+        'no_written_policy'
+      ]);
+    });
+
+    test('should report when no scheme is recorded', () => {
+      const governance = service.describeGovernance(null);
+
+      expect(governance.scheme_recorded).toBe(false);
+      expect(governance.issues[0].type).toBe('tronc_scheme_not_recorded');
+    });
+  });
+
+  describe('reconcileDistributions', () => {
+    test('should find service charges kept back from workers', () => {
+      const result = service.reconcileDistributions(
+        [{ amount: 800, source: 'service_charge' }, { amount: 200, source: 'card_tips' }],
+        [{ amount: 450 }, { amount: 400 }]
+      );
+
+      expect(result.status).toBe('under_distributed');
+      expect(result.difference).toBe(150);
+      expect(result.retained_percentage).toBe(15);
+      expect(result.collected_by_source).toEqual({ service_charge: 800, card_tips: 200 });
+    });
+
+    test('should treat small rounding differences as balanced', () => {
+      const result = service.reconcileDistributions([{ amount: 500 }], [{ amount: 499.5 }]);
+
+      expect(result.status).toBe('balanced');
+    });
+  });
+
+  describe('assessFairness', () => {
+    test('should flag a worker paid outside the points policy', () => {
+      const fairness = service.assessFairness(independentScheme, [
+        { worker_id: 'W001', role: 'Waiter', hours: 100, amount: 500 },
+        { worker_id: 'W002', role: 'Chef', hours: 100, amount: 300 }
+      ]);
+
+      // 1000 and 800 points share £800: £444.44 and £355.56
+      expect(fairness.fair).toBe(false);
+      expect(fairness.workers[0].expected_share).toBe(444.44);
+      expect(fairness.workers[1].variance).toBe(-55.56);
+      expect(fairness.flagged_workers).toEqual(['W001', 'W002']);
+    });
+
+    test('should pass an hours-based allocation that follows the policy', () => {
+      const fairness = service.assessFairness({ independent: false, distributionPolicy: { method: 'hours' } }, [
+        { worker_id: 'W001', hours: 120, amount: 300 },
+        { worker_id: 'W002', hours: 80, amount: 198 }
+      ]);
+
+      expect(fairness.fair).toBe(true);
+      expect(fairness.flagged_workers).toEqual([]);
+    });
+
+    test('should flag roles with no points', () => {
+      const fairness = service.assessFairness(independentScheme, [
+        { worker_id: 'W001', role: 'Porter', hours: 40, amount: 100 }
+      ]);
+
+      expect(fairness.workers[0].flagged).toBe(true);
+      expect(fairness.workers[0].reason).toContain('No points are set for role "Porter"');
+    });
+  });
+
+  describe('validateCollectionOverlap', () => {
+    test('should reject card tips recorded for days already uploaded as tips collected', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ days: '3' }] });
+
+      const result = await service.validateCollectionOverlap(7, { period_start: '2024-06-01', period_end: '2024-06-30', source: 'card_tips' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('already been uploaded for 3 day(s)');
+      expect(pool.query.mock.calls[0][1]).toEqual([7, '2024-06-01', '2024-06-30']);
+    });
+
+    test('should accept service charges without checking uploaded tips', async () => {
+      const result = await service.validateCollectionOverlap(7, { period_start: '2024-06-01', period_end: '2024-06-30', source: 'service_charge' });
+
+      expect(result).toEqual({ isValid: true, errors: [] });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCollections', () => {
+    test('should not count uploaded tips on days covered by a recorded tips collection', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, period_start: '2024-06-01', period_end: '2024-06-30', amount: '900.00', source: 'card_tips', site: null }] });
+
+      const collections = await service.getCollections(7, '2024-06-01', '2024-06-30');
+
+      expect(pool.query.mock.calls[0][0]).toContain('NOT EXISTS');
+      expect(pool.query.mock.calls[0][1][4]).toEqual(['card_tips', 'cash_tips']);
+      expect(collections).toEqual([expect.objectContaining({ amount: 900, source: 'card_tips' })]);
+    });
+  });
+
+  describe('generateAllocationReport', () => {
+    test('should not report on employer uploads', async () => {
+      const report = await service.generateAllocationReport({ organizationId: 4, organizationType: 'employer' }, []);
+
+      expect(report).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reconcile a client upload against its recorded collections', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ settings: { troncScheme: independentScheme } }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, period_start: '2024-06-01', period_end: '2024-06-30', amount: '900.00', source: 'service_charge' }] });
+
+      const report = await service.generateAllocationReport({ organizationId: 7, organizationType: 'client' }, [
+        { worker_id: 'W001', worker_name: 'Alex', role: 'Waiter', total_hours: 100, tips: 300, tronc: 200, period_start: '2024-06-01', period_end: '2024-06-30' },
+        { worker_id: 'W002', worker_name: 'Jo', role: 'Chef', total_hours: 100, tips: 0, tronc: 400, period_start: '2024-06-01', period_end: '2024-06-30' }
+      ]);
+
+      expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('FROM tronc_collections'), [7, '2024-06-01', '2024-06-30', 'uploaded_tips', ['card_tips', 'cash_tips']]);
+      expect(report.governance.scheme_type).toBe('independent_tronc');
+      expect(report.reconciliation.status).toBe('balanced');
+      expect(report.fairness.workers.map(worker => worker.amount)).toEqual([500, 400]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Unmeasured Work Service Tests
+ *
+ * Tests work type classification and daily average agreements for unmeasured work
+ */
+
+const UnmeasuredWorkService = require('../src/services/unmeasuredWorkService');
+const WorkTypeService = require('../src/services/workTypeService');
+const RAGStatusService = require('../src/services/ragStatusService');
+
+describe('UnmeasuredWorkService', () => {
+  let unmeasuredWorkService;
+
+  const worker = {
+    worker_id: 'U001',
+    worker_name: 'Unmeasured Worker',
+    age: 30,
+    work_type: 'unmeasured_work',
+    agreed_daily_hours: 8,
+    daily_average_agreement_date: '2024-03-01'
+  };
+
+  const payPeriod = {
+    period_start: '2024-05-01',
+    period_end: '2024-05-31',
+    days_worked: 20,
+    hours: 165,
+    pay: 1900
+  };
+
+  beforeEach(() => {
+    unmeasuredWorkService = new UnmeasuredWorkService();
+  });
+
+  describe('WorkTypeService', () => {
+    test('should classify workers by work type', () => {
+      const workTypeService = new WorkTypeService();
+
+      expect(workTypeService.classifyWorker({ work_type: 'Daily Average' })).toBe('unmeasured_work');
+      expect(workTypeService.classifyWorker({ work_type: 'piecework' })).toBe('output_work');
+      expect(workTypeService.classifyWorker({ work_type: 'salaried' })).toBe('salaried_hours');
+      expect(workTypeService.classifyWorker({})).toBe('time_work');
+      expect(workTypeService.normalizeWorkType('zero hours')).toBeNull();
+    });
+  });
+
+  describe('isUnmeasuredWorker', () => {
+    test('should identify unmeasured workers', () => {
+      expect(unmeasuredWorkService.isUnmeasuredWorker(worker)).toBe(true);
+      expect(unmeasuredWorkService.isUnmeasuredWorker({ work_type: 'time_work' })).toBe(false);
+    });
+  });
+
+  describe('calculateUnmeasuredWork', () => {
+    test('should use agreed daily average hours when the agreement is realistic', () => {
+      const result = unmeasuredWorkService.calculateUnmeasuredWork(worker, payPeriod);
+
+      expect(result.success).toBe(true);
+      expect(result.agreement_on_file).toBe(true);
+      expect(result.agreement_realistic).toBe(true);
+      expect(result.agreed_hours).toBe(160);
+      expect(result.hours_for_nmw).toBe(160);
+      expect(result.hours_basis).toBe('daily_average_agreement');
+      expect(result.effective_hourly_rate).toBe(11.88);
+      expect(result.flags).toEqual([]);
+    });
+
+    test('should count all hours worked when the agreed average is unrealistic', () => {
+      const result = unmeasuredWorkService.calculateUnmeasuredWork(worker, {
+        ...payPeriod,
+        hours: 200
+      });
+
+      expect(result.agreement_realistic).toBe(false);
+      expect(result.actual_daily_average).toBe(10);
+      expect(result.hours_for_nmw).toBe(200);
+      expect(result.hours_basis).toBe('actual_hours');
+      expect(result.flags).toContain('daily_average_unrealistic');
+    });
+
+    test('should count all hours worked when no agreement is on file', () => {
+      const result = unmeasuredWorkService.calculateUnmeasuredWork(
+        { ...worker, agreed_daily_hours: null, daily_average_agreement_date: null },
+        payPeriod
+      );
+
+      expect(result.agreement_on_file).toBe(false);
+      expect(result.hours_for_nmw).toBe(165);
+      expect(result.flags).toContain('no_daily_average_agreement');
+    });
+
+    test('should ignore an agreement made after the period started', () => {
+      const result = unmeasuredWorkService.calculateUnmeasuredWork(
+        { ...worker, daily_average_agreement_date: '2024-05-15' },
+        payPeriod
+      );
+
+      expect(result.agreement_on_file).toBe(true);
+      expect(result.agreement_in_effect).toBe(false);
+      expect(result.hours_basis).toBe('actual_hours');
+      expect(result.flags).toContain('daily_average_agreement_after_period_start');
+    });
+
+    test('should reject invalid agreed daily hours', () => {
+      const result = unmeasuredWorkService.calculateUnmeasuredWork(
+        { ...worker, agreed_daily_hours: 30 },
+        payPeriod
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.details).toContain('Agreed daily hours must be between 0 and 24');
+    });
+  });
+
+  describe('RAGStatusService integration', () => {
+    let ragStatusService;
+
+    beforeEach(() => {
+      ragStatusService = new RAGStatusService();
+    });
+
+    test('should report AMBER when no daily average agreement is on file', async () => {
+      const unmeasuredWork = unmeasuredWorkService.calculateUnmeasuredWork(
+        { ...worker, agreed_daily_hours: null, daily_average_agreement_date: null },
+        payPeriod
+      );
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, {
+        effectiveHourlyRate: unmeasuredWork.effective_hourly_rate,
+        hoursWorked: unmeasuredWork.hours_for_nmw,
+        totalPay: unmeasuredWork.total_pay,
+        unmeasuredWork
+      });
+
+      expect(result.ragStatus).toBe('AMBER');
+      expect(result.amberFlags).toContain('no_daily_average_agreement');
+    });
+
+    test('should report AMBER when the agreed daily average is unrealistic', async () => {
+      const unrealisticPeriod = { ...payPeriod, hours: 200 };
+      const unmeasuredWork = unmeasuredWorkService.calculateUnmeasuredWork(worker, unrealisticPeriod);
+
+      const result = await ragStatusService.calculateRAGStatus(worker, unrealisticPeriod, {
+        effectiveHourlyRate: unmeasuredWork.effective_hourly_rate,
+        hoursWorked: unmeasuredWork.hours_for_nmw,
+        totalPay: unmeasuredWork.total_pay,
+        unmeasuredWork
+      });
+
+      expect(result.ragStatus).toBe('AMBER');
+      expect(result.amberFlags).toContain('daily_average_unrealistic');
+      expect(result.reason).toContain('not a realistic average');
+    });
+
+    test('should report GREEN when a realistic agreement is on file and pay is compliant', async () => {
+      const unmeasuredWork = unmeasuredWorkService.calculateUnmeasuredWork(worker, payPeriod);
+
+      const result = await ragStatusService.calculateRAGStatus(worker, payPeriod, {
+        effectiveHourlyRate: unmeasuredWork.effective_hourly_rate,
+        hoursWorked: unmeasuredWork.hours_for_nmw,
+        totalPay: unmeasuredWork.total_pay,
+        unmeasuredWork
+      });
+
+      expect(result.ragStatus).toBe('GREEN');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Worker Expense Service Tests
+ *
+ * Tests work expenses paid by workers themselves (DBS checks, uniforms,
+ * own vehicle) as reductions to NMW pay
+ */
+
+const WorkerExpenseService = require('../src/services/workerExpenseService');
+const { pool } = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+describe('WorkerExpenseService', () => {
+  let expenseService;
+
+  const defaults = [
+    { name: 'DBS check', category: 'dbs_check', amountPerPeriod: 4.5, roles: ['Care Assistant'] },
+    { name: 'Uniform', category: 'uniform', amountPerPeriod: 12 }
+  ];
+
+  beforeEach(() => {
+    expenseService = new WorkerExpenseService();
+    pool.query.mockReset();
+  });
+
+  describe('validateDefaults', () => {
+    test('should accept expenses with an amount per period and optional category and roles', () => {
+      expect(expenseService.validateDefaults(defaults)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should reject expenses without a name, amount or known category', () => {
+      const result = expenseService.validateDefaults([
+        { amountPerPeriod: 5 },
+        { name: 'Mileage', amountPerPeriod: 0 },
+        { name: 'Boots', amountPerPeriod: 20, category: 'footwear' }
+      ]);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Expense at index 0 requires a name',
+        'Expense "Mileage" amount per period must be more than 0',
+        'Expense "Boots" category must be one of: dbs_check, uniform, vehicle, tools, training, other'
+      ]);
+    });
+
+    test('should require an amount and a valid date for one-off and dated expenses, and a known period for recurring ones', () => {
+      const result = expenseService.validateDefaults([
+        { name: 'DBS check', oneOff: true, amount: 38 },
+        { name: 'Winter coat', date: '2025-10-01', amount: 45 },
+        { name: 'Enhanced DBS', oneOff: true, amountPerPeriod: 38 },
+        { name: 'Fleece', date: 'autumn', amount: 20 },
+        { name: 'Mileage', amountPerPeriod: 5, period: 'daily' }
+      ]);
+
+      expect(result.errors).toEqual([
+        'Expense "Enhanced DBS" amount must be more than 0',
+        'Expense "Fleece" date must be a valid date',
+        'Expense "Mileage" period must be one of: weekly, fortnightly, four_weekly, monthly, quarterly, bi_annual, annual'
+      ]);
+    });
+  });
+
+  describe('calculateWorkerExpenses', () => {
+    test('should add the amount uploaded for the worker and period to the client defaults', async () => {
+      const result = await expenseService.calculateWorkerExpenses(
+        { worker_id: 'W001', role: 'Care Assistant' },
+        { id: 1, worker_expenses: '38.00', worker_expense_description: 'Safety boots', worker_expense_defaults: defaults }
+      );
+
+      expect(result.source).toBe('pay_period_and_client_default');
+      expect(result.expenses[0]).toEqual({ name: 'Safety boots', category: 'other', amount: 38, source: 'pay_period' });
+      expect(result.total_expenses).toBe(54.5);
+    });
+
+    test('should use only the uploaded amount when no defaults apply', async () => {
+      const result = await expenseService.calculateWorkerExpenses({ role: 'Cook' }, { worker_expenses: '20', worker_expense_defaults: [] });
+
+      expect(result.source).toBe('pay_period');
+      expect(result.total_expenses).toBe(20);
+    });
+
+    test('should scale monthly defaults to the length of the pay reference period', async () => {
+      const weekly = await expenseService.calculateWorkerExpenses(
+        { role: 'Cook' },
+        { period_start: '2025-05-05', period_end: '2025-05-11', worker_expense_defaults: [{ name: 'Uniform', amountPerPeriod: 52 }] }
+      );
+      const monthly = await expenseService.calculateWorkerExpenses(
+        { role: 'Cook' },
+        { period_start: '2025-02-01', period_end: '2025-02-28', worker_expense_defaults: [{ name: 'Uniform', amountPerPeriod: 52 }] }
+      );
+      const fourWeeklyFromWeekly = await expenseService.calculateWorkerExpenses(
+        { role: 'Cook' },
+        { period_start: '2025-05-05', period_end: '2025-06-01', worker_expense_defaults: [{ name: 'Mileage', amountPerPeriod: 7.5, period: 'weekly' }] }
+      );
+
+      expect(weekly.total_expenses).toBe(12);
+      expect(monthly.total_expenses).toBe(52);
+      expect(fourWeeklyFromWeekly.total_expenses).toBe(30);
+    });
+
+    test('should charge a one-off expense only in the PRP containing the worker start date', async () => {
+      const dbs = [{ name: 'DBS check', category: 'dbs_check', oneOff: true, amount: 38 }];
+      const starter = { role: 'Care Assistant', employment_start_date: '2025-05-12' };
+
+      const firstPeriod = await expenseService.calculateWorkerExpenses(starter, { period_start: '2025-05-01', period_end: '2025-05-31', worker_expense_defaults: dbs });
+      const nextPeriod = await expenseService.calculateWorkerExpenses(starter, { period_start: '2025-06-01', period_end: '2025-06-30', worker_expense_defaults: dbs });
+      const noStartDate = await expenseService.calculateWorkerExpenses({ role: 'Care Assistant' }, { period_start: '2025-05-01', period_end: '2025-05-31', worker_expense_defaults: dbs });
+
+      expect(firstPeriod.total_expenses).toBe(38);
+      expect(nextPeriod.total_expenses).toBe(0);
+      expect(noStartDate.total_expenses).toBe(0);
+    });
+
+    test('should charge a dated expense only in the PRP containing its date', async () => {
+      const coat = [{ name: 'Winter coat', category: 'uniform', date: '2025-10-01', amount: 45 }];
+
+      const october = await expenseService.calculateWorkerExpenses({}, { period_start: '2025-09-29', period_end: '2025-10-05', worker_expense_defaults: coat });
+      const november = await expenseService.calculateWorkerExpenses({}, { period_start: '2025-11-01', period_end: '2025-11-30', worker_expense_defaults: coat });
+
+      expect(october.total_expenses).toBe(45);
+      expect(november.total_expenses).toBe(0);
+    });
+
+    test('should fall back to client defaults that apply to the worker role', async () => {
+      const carer = await expenseService.calculateWorkerExpenses({ role: 'care assistant' }, { worker_expense_defaults: defaults });
+      const cook = await expenseService.calculateWorkerExpenses({ role: 'Cook' }, { worker_expense_defaults: defaults });
+
+      expect(carer.source).toBe('client_default');
+      expect(carer.total_expenses).toBe(16.5);
+      expect(cook.expenses.map(expense => expense.name)).toEqual(['Uniform']);
+    });
+
+    test('should look up client defaults for client workers', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ settings: { workerExpenses: defaults } }] });
+
+      const result = await expenseService.calculateWorkerExpenses(
+        { role: 'Driver', organization_id: 3, organization_type: 'client' },
+        { id: 1 }
+      );
+
+      expect(result.total_expenses).toBe(12);
+      expect(pool.query.mock.calls[0][1]).toEqual([3]);
+    });
+
+    test('should report no expenses for employers without an uploaded amount', async () => {
+      const result = await expenseService.calculateWorkerExpenses({ organization_id: 3, organization_type: 'employer' }, { id: 1 });
+
+      expect(result.total_expenses).toBe(0);
+      expect(result.source).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});